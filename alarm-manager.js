@@ -6,6 +6,7 @@
  */
 
 import { logger } from './logger.js';
+import { TRASH, TOMBSTONES, WRITE_QUEUE } from './constants.js';
 
 /**
  * Alarm configuration
@@ -19,6 +20,18 @@ const ALARM_CONFIG = {
     KEEP_ALIVE: {
         name: 'keep-alive',
         intervalMinutes: 4 // Under 5-minute idle limit
+    },
+    TRASH_PURGE: {
+        name: 'trash-purge',
+        intervalMinutes: TRASH.PURGE_INTERVAL_MINUTES
+    },
+    TOMBSTONE_GC: {
+        name: 'tombstone-gc',
+        intervalMinutes: TOMBSTONES.GC_INTERVAL_MINUTES
+    },
+    WRITE_QUEUE_REPLAY: {
+        name: 'write-queue-replay',
+        intervalMinutes: WRITE_QUEUE.REPLAY_INTERVAL_MINUTES
     }
 };
 
@@ -52,6 +65,15 @@ export class AlarmManager {
             // Setup keep-alive alarm
             await this.setupKeepAliveAlarm();
 
+            // Setup trash purge alarm
+            await this.setupTrashPurgeAlarm();
+
+            // Setup tombstone garbage collection alarm
+            await this.setupTombstoneGcAlarm();
+
+            // Setup offline write queue replay alarm
+            await this.setupWriteQueueReplayAlarm();
+
             this.isInitialized = true;
             this.logger.info('Alarm manager initialized successfully');
         } catch (error) {
@@ -148,6 +170,63 @@ export class AlarmManager {
         }
     }
 
+    /**
+     * Setup alarm that purges expired videos from the trash
+     */
+    async setupTrashPurgeAlarm() {
+        try {
+            // Clear any existing trash purge alarm
+            await chrome.alarms.clear(ALARM_CONFIG.TRASH_PURGE.name);
+
+            await chrome.alarms.create(ALARM_CONFIG.TRASH_PURGE.name, {
+                delayInMinutes: 1,
+                periodInMinutes: ALARM_CONFIG.TRASH_PURGE.intervalMinutes
+            });
+
+            this.logger.info('Trash purge alarm set up successfully');
+        } catch (error) {
+            this.logger.error('Failed to set up trash purge alarm:', error);
+        }
+    }
+
+    /**
+     * Setup alarm that deletes tombstones older than the retention window
+     */
+    async setupTombstoneGcAlarm() {
+        try {
+            // Clear any existing tombstone garbage collection alarm
+            await chrome.alarms.clear(ALARM_CONFIG.TOMBSTONE_GC.name);
+
+            await chrome.alarms.create(ALARM_CONFIG.TOMBSTONE_GC.name, {
+                delayInMinutes: 5,
+                periodInMinutes: ALARM_CONFIG.TOMBSTONE_GC.intervalMinutes
+            });
+
+            this.logger.info('Tombstone garbage collection alarm set up successfully');
+        } catch (error) {
+            this.logger.error('Failed to set up tombstone garbage collection alarm:', error);
+        }
+    }
+
+    /**
+     * Setup alarm that replays queued Supabase writes
+     * The replay timer does not survive a suspended service worker, the alarm does
+     */
+    async setupWriteQueueReplayAlarm() {
+        try {
+            // Clear any existing write queue replay alarm
+            await chrome.alarms.clear(ALARM_CONFIG.WRITE_QUEUE_REPLAY.name);
+
+            await chrome.alarms.create(ALARM_CONFIG.WRITE_QUEUE_REPLAY.name, {
+                periodInMinutes: ALARM_CONFIG.WRITE_QUEUE_REPLAY.intervalMinutes
+            });
+
+            this.logger.info('Write queue replay alarm set up successfully');
+        } catch (error) {
+            this.logger.error('Failed to set up write queue replay alarm:', error);
+        }
+    }
+
     /**
      * Update synchronization interval
      * @param {number} intervalMinutes - New interval in minutes
@@ -17,45 +17,74 @@ import { messageRouter } from "./message-router.js";
 import { settingsManager } from "./settings-manager.js";
 import { alarmManager } from "./alarm-manager.js";
 import { videoTracker } from "./video-tracker.js";
+import { getDeviceId } from "./browser-utils.js";
 
 // Database modules
 import { Database } from "./bg-database.js";
 import { History } from "./bg-history.js";
 import { Youtube } from "./bg-youtube.js";
 import { Search } from "./bg-search.js";
+import { WatchEvents } from "./bg-watch-events.js";
+import { Trash } from "./bg-trash.js";
 import { SyncManagerInstance } from "./bg-sync-manager.js";
 import { databaseProviderFactory } from "./database-provider-factory.js";
 
 // Handler modules
 import {
     handleDatabaseExport,
+    handleDatabaseInspect,
     handleDatabaseImport,
+    handleDatabaseImportStart,
+    handleDatabaseImportBatch,
+    handleDatabaseImportFinish,
+    handleDatabaseImportCancel,
     handleDatabaseReset,
-    handleDatabaseSize
+    handleDatabaseSize,
+    handleDatabaseMigrations
 } from "./handlers/database-handlers.js";
 import {
     handleYoutubeLookup,
     handleYoutubeEnsure,
     handleYoutubeSynchronize,
     handleYoutubeLikedVideos,
-    handleYoutubeMark
+    handleYoutubeMark,
+    handleYoutubeProgress,
+    handleWatchEventsLookup
 } from "./handlers/youtube-handlers.js";
 import {
     handleSearchVideos,
-    handleSearchDelete
+    handleSearchDelete,
+    handleSearchDeleteMany
 } from "./handlers/search-handlers.js";
+import {
+    handleTrashList,
+    handleTrashRestore,
+    handleTrashPurge
+} from "./handlers/trash-handlers.js";
 import {
     handleProviderStatus,
     handleProviderSwitch,
+    handleProviderMirror,
     handleProviderList,
     handleProviderMigrate,
     handleProviderSync,
+    handleSyncConflicts,
     handleSupabaseConfigure,
     handleSupabaseTest,
     handleSupabaseClear,
     handleSupabaseGetCredentials,
     handleSupabaseGetStatus,
-    handleSupabaseCheckTable
+    handleSupabaseCheckTable,
+    handleSupabaseSchemaStatus,
+    handleSupabaseSchemaUpgrade,
+    handleSupabaseSignIn,
+    handleSupabaseSendCode,
+    handleSupabaseVerifyCode,
+    handleSupabaseSignOut,
+    handleCustomConfigure,
+    handleCustomTest,
+    handleCustomClear,
+    handleCustomGetConfig
 } from "./handlers/provider-handlers.js";
 import {
     handleHistorySynchronize
@@ -146,6 +175,13 @@ class ExtensionManager {
         if (!success) {
             throw new Error('Failed to initialize database provider factory');
         }
+
+        // Replay queued Supabase writes as soon as the network is back
+        globalThis.addEventListener('online', () => {
+            this.providerFactory.replayWriteQueue().catch((error) => {
+                logger.error('Failed to replay queued writes:', error);
+            });
+        });
     }
 
     /**
@@ -155,7 +191,9 @@ class ExtensionManager {
         await Promise.all([
             History.init(),
             Youtube.init(),
-            Search.init()
+            Search.init(),
+            WatchEvents.init(),
+            Trash.init()
         ]);
 
         logger.info('All modules initialized');
@@ -170,19 +208,35 @@ class ExtensionManager {
             // Database handlers
             'database-export': handleDatabaseExport,
             'database-import': handleDatabaseImport,
+            'database-inspect': handleDatabaseInspect,
+            'database-import-start': handleDatabaseImportStart,
+            'database-import-batch': handleDatabaseImportBatch,
+            'database-import-finish': handleDatabaseImportFinish,
+            'database-import-cancel': handleDatabaseImportCancel,
             'database-reset': handleDatabaseReset,
             'database-size': handleDatabaseSize,
+            'database-migrations': handleDatabaseMigrations,
 
             // YouTube handlers
             'youtube-lookup': handleYoutubeLookup,
             'youtube-ensure': handleYoutubeEnsure,
             'youtube-mark': handleYoutubeMark,
+            'youtube-progress': handleYoutubeProgress,
             'youtube-synchronize': handleYoutubeSynchronize,
             'youtube-liked-videos': handleYoutubeLikedVideos,
 
+            // Watch event handlers
+            'watch-events-lookup': handleWatchEventsLookup,
+
             // Search handlers
             'search-videos': handleSearchVideos,
             'search-delete': handleSearchDelete,
+            'search-delete-many': handleSearchDeleteMany,
+
+            // Trash handlers
+            'trash-list': handleTrashList,
+            'trash-restore': handleTrashRestore,
+            'trash-purge': handleTrashPurge,
 
             // History handlers
             'history-synchronize': handleHistorySynchronize,
@@ -190,9 +244,11 @@ class ExtensionManager {
             // Provider handlers
             'database-provider-status': handleProviderStatus,
             'database-provider-switch': handleProviderSwitch,
+            'database-provider-mirror': handleProviderMirror,
             'database-provider-list': handleProviderList,
             'database-provider-migrate': handleProviderMigrate,
             'database-provider-sync': handleProviderSync,
+            'database-sync-conflicts': handleSyncConflicts,
 
             // Supabase handlers
             'supabase-configure': handleSupabaseConfigure,
@@ -201,6 +257,18 @@ class ExtensionManager {
             'supabase-get-credentials': handleSupabaseGetCredentials,
             'supabase-get-status': handleSupabaseGetStatus,
             'supabase-check-table': handleSupabaseCheckTable,
+            'supabase-schema-status': handleSupabaseSchemaStatus,
+            'supabase-schema-upgrade': handleSupabaseSchemaUpgrade,
+            'supabase-sign-in': handleSupabaseSignIn,
+            'supabase-send-code': handleSupabaseSendCode,
+            'supabase-verify-code': handleSupabaseVerifyCode,
+            'supabase-sign-out': handleSupabaseSignOut,
+
+            // Self-hosted endpoint handlers
+            'custom-configure': handleCustomConfigure,
+            'custom-test': handleCustomTest,
+            'custom-clear': handleCustomClear,
+            'custom-get-config': handleCustomGetConfig,
 
             // Settings handlers
             'get-setting': handleGetSetting,
@@ -231,6 +299,18 @@ class ExtensionManager {
             logger.debug('Keep-alive ping:', new Date().toISOString());
             await chrome.storage.local.set({ lastKeepAlive: Date.now() });
         });
+
+        alarmManager.registerHandler('trash-purge', async () => {
+            await Trash.purgeExpired();
+        });
+
+        alarmManager.registerHandler('tombstone-gc', async () => {
+            await Database.providerFactory.collectTombstones();
+        });
+
+        alarmManager.registerHandler('write-queue-replay', async () => {
+            await Database.providerFactory.replayWriteQueue();
+        });
     }
 
     /**
@@ -367,6 +447,13 @@ const extensionManager = new ExtensionManager();
 // Make available globally
 globalThis.extensionManager = extensionManager;
 
+// Give a new installation its device ID right away, views are counted per device
+chrome.runtime.onInstalled.addListener(() => {
+    getDeviceId().catch(error => {
+        logger.error('Failed to create the device ID:', error);
+    });
+});
+
 // Listen for service worker startup to reinitialize
 chrome.runtime.onStartup.addListener(() => {
     logger.info('Service worker restarted - reinitializing...');
@@ -2,9 +2,25 @@ import { databaseProviderFactory } from "./database-provider-factory.js";
 import { credentialStorage } from "./credential-storage.js";
 import { supabaseDatabaseProvider } from "./supabase-database-provider.js";
 import { SyncManagerInstance } from "./bg-sync-manager.js";
-import { DATABASE, ERRORS } from "./constants.js";
+import { DATABASE, ERRORS, WATCH_SOURCES } from "./constants.js";
+import { mergeSources } from "./source-utils.js";
+import { runMigrations } from "./db-migrations.js";
 import { logger } from "./logger.js";
 
+/**
+ * Deletes an IndexedDB database
+ * @param {string} name - Database name
+ * @returns {Promise<void>} Resolves once deleted, or if the deletion is blocked or fails
+ */
+function deleteDatabase(name) {
+    return new Promise((resolve) => {
+        const request = indexedDB.deleteDatabase(name);
+        request.onsuccess = () => resolve();
+        request.onerror = () => resolve();
+        request.onblocked = () => resolve();
+    });
+}
+
 /**
  * Database management class for YouTube watch history
  * All methods now return Promises for modern async/await usage
@@ -15,6 +31,10 @@ export class DatabaseManager {
         this.DB_NAME = DATABASE.NAME;
         this.DB_VERSION = DATABASE.VERSION;
         this.STORE_NAME = DATABASE.STORE_NAME;
+        this.EVENTS_STORE_NAME = DATABASE.EVENTS_STORE_NAME;
+        this.OUTBOX_STORE_NAME = DATABASE.OUTBOX_STORE_NAME;
+        this.TOMBSTONES_STORE_NAME = DATABASE.TOMBSTONES_STORE_NAME;
+        this.WRITE_QUEUE_STORE_NAME = DATABASE.WRITE_QUEUE_STORE_NAME;
         this.isInitialized = false;
         this.syncManager = SyncManagerInstance;
         this.providerFactory = databaseProviderFactory;
@@ -60,53 +80,164 @@ export class DatabaseManager {
     }
 
     /**
-     * Opens the IndexedDB database
-     * @returns {Promise<void>}
+     * Opens the IndexedDB database, running pending schema migrations
+     * @param {Object} [options={}] - Open options
+     * @param {boolean} [options.dryRun=false] - Run pending migrations, then abort the upgrade and keep the current connection
+     * @param {string} [options.name] - Database to open, only a dry run may open another one than DB_NAME
+     * @returns {Promise<Array>} Results of the migration steps that ran
      */
-    async openDatabaseAsync() {
+    async openDatabaseAsync({ dryRun = false, name = this.DB_NAME } = {}) {
         return new Promise((resolve, reject) => {
-            const openRequest = indexedDB.open(this.DB_NAME, this.DB_VERSION);
-
-            openRequest.onupgradeneeded = () => {
-                const db = openRequest.result;
-                let store = null;
-
-                if (db.objectStoreNames.contains(this.STORE_NAME)) {
-                    store = openRequest.transaction.objectStore(this.STORE_NAME);
-                } else {
-                    store = db.createObjectStore(this.STORE_NAME, {
-                        keyPath: DATABASE.INDEXES.IDENT,
-                    });
-                }
-
-                // Create indexes if they don't exist
-                if (!store.indexNames.contains(DATABASE.INDEXES.IDENT)) {
-                    store.createIndex(DATABASE.INDEXES.IDENT, DATABASE.INDEXES.IDENT, { unique: true });
-                }
-
-                if (!store.indexNames.contains(DATABASE.INDEXES.TIMESTAMP)) {
-                    store.createIndex(DATABASE.INDEXES.TIMESTAMP, DATABASE.INDEXES.TIMESTAMP, { unique: false });
-                }
-
-                // Remove old timestamp index if it exists (renamed to intTimestamp)
-                if (store.indexNames.contains("longTimestamp")) {
-                    store.deleteIndex("longTimestamp");
-                }
+            const openRequest = indexedDB.open(dryRun ? name : this.DB_NAME, this.DB_VERSION);
+            let migrationResults = [];
+            let migrationError = null;
+
+            openRequest.onupgradeneeded = (event) => {
+                const transaction = openRequest.transaction;
+
+                runMigrations({
+                    db: openRequest.result,
+                    transaction,
+                    oldVersion: event.oldVersion,
+                    newVersion: event.newVersion,
+                    dryRun
+                }).then((results) => {
+                    migrationResults = results;
+                    if (dryRun) {
+                        transaction.abort();
+                    }
+                }).catch((error) => {
+                    migrationError = error;
+                    transaction.abort();
+                });
             };
 
             openRequest.onerror = () => {
+                // A dry run always ends with the aborted upgrade
+                if (dryRun && !migrationError) {
+                    resolve(migrationResults);
+                    return;
+                }
+
                 logger.error("Failed to open database:", {
-                    error: openRequest.error?.message || 'Unknown database error',
-                    errorName: openRequest.error?.name || 'DatabaseError'
+                    error: migrationError?.message || openRequest.error?.message || 'Unknown database error',
+                    errorName: migrationError?.name || openRequest.error?.name || 'DatabaseError'
                 });
-                this.database = null;
-                reject(new Error('Failed to open database'));
+                if (!dryRun) {
+                    this.database = null;
+                }
+                reject(new Error(migrationError ? `Database migration failed: ${migrationError.message}` : 'Failed to open database'));
             };
 
             openRequest.onsuccess = () => {
+                // Nothing was pending, so there is nothing to dry-run
+                if (dryRun) {
+                    openRequest.result.close();
+                    resolve(migrationResults);
+                    return;
+                }
+
                 this.database = openRequest.result;
-                resolve();
+                resolve(migrationResults);
+            };
+        });
+    }
+
+    /**
+     * Run the pending schema migrations without applying them
+     * Before init() the steps run on the stored database and the upgrade is aborted.
+     * Once the database is open, the steps after fromVersion run on a scratch copy of
+     * the stores that exist at that version, which is deleted afterwards.
+     * @param {number} [fromVersion] - Version to upgrade from, the version of the open database by default
+     * @returns {Promise<Array>} Results the migration steps would have
+     */
+    async dryRunMigrations(fromVersion = this.database?.version) {
+        if (!this.database) {
+            return await this.openDatabaseAsync({ dryRun: true });
+        }
+
+        const startVersion = Math.min(Math.max(Math.floor(Number(fromVersion)) || 0, 0), this.DB_VERSION);
+        if (startVersion >= this.DB_VERSION) {
+            logger.info(`Database is at version ${this.DB_VERSION}, no migrations pending`);
+            return [];
+        }
+
+        await deleteDatabase(DATABASE.DRY_RUN_NAME);
+        try {
+            await this.createDryRunCopy(startVersion);
+            return await this.openDatabaseAsync({ dryRun: true, name: DATABASE.DRY_RUN_NAME });
+        } finally {
+            await deleteDatabase(DATABASE.DRY_RUN_NAME);
+        }
+    }
+
+    /**
+     * Create the scratch database of a dry run at an older version
+     * The stores of that version are created by the migration steps up to it and get
+     * a copy of the records of the open database
+     * @param {number} version - Version of the scratch database
+     * @returns {Promise<void>}
+     */
+    async createDryRunCopy(version) {
+        const copy = await new Promise((resolve, reject) => {
+            // Versions start at 1, a copy of version 0 stays empty
+            const openRequest = indexedDB.open(DATABASE.DRY_RUN_NAME, Math.max(version, 1));
+
+            openRequest.onupgradeneeded = (event) => {
+                runMigrations({
+                    db: openRequest.result,
+                    transaction: openRequest.transaction,
+                    oldVersion: event.oldVersion,
+                    newVersion: version
+                }).catch(() => openRequest.transaction.abort());
             };
+
+            openRequest.onsuccess = () => resolve(openRequest.result);
+            openRequest.onerror = () => reject(new Error('Failed to create the dry run database'));
+        });
+
+        try {
+            const storeNames = Array.from(copy.objectStoreNames)
+                .filter(storeName => this.database.objectStoreNames.contains(storeName) && storeName !== DATABASE.MIGRATIONS_STORE_NAME);
+
+            for (const storeName of storeNames) {
+                const records = await new Promise((resolve, reject) => {
+                    const request = this.database.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(new Error(`Failed to read ${storeName}`));
+                });
+
+                await new Promise((resolve, reject) => {
+                    const transaction = copy.transaction([storeName], 'readwrite');
+                    const store = transaction.objectStore(storeName);
+                    records.forEach(record => store.put(record));
+
+                    transaction.oncomplete = () => resolve();
+                    transaction.onerror = () => reject(new Error(`Failed to copy ${storeName}`));
+                });
+            }
+        } finally {
+            copy.close();
+        }
+    }
+
+    /**
+     * Get the recorded schema migration history, oldest first
+     * @returns {Promise<Array>} Applied migration steps
+     */
+    async getMigrationHistory() {
+        if (!this.database) {
+            throw new Error(ERRORS.DATABASE_NOT_AVAILABLE);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = this.database
+                .transaction([DATABASE.MIGRATIONS_STORE_NAME], 'readonly')
+                .objectStore(DATABASE.MIGRATIONS_STORE_NAME)
+                .getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('Failed to read the migration history'));
         });
     }
 
@@ -126,16 +257,17 @@ export class DatabaseManager {
 
     /**
      * Export database data
+     * @param {Array|null} [videos=null] - Videos to export instead of all stored ones, e.g. search results
      * @returns {Promise<Object>} Export data with metadata
      */
-    async export() {
+    async export(videos = null) {
         try {
             const provider = this.providerFactory.getCurrentProvider();
             if (!provider) {
                 throw new Error(ERRORS.PROVIDER_NOT_FOUND);
             }
 
-            const data = await provider.getAllVideos();
+            const data = videos || await provider.getAllVideos();
             return {
                 version: this.DB_VERSION,
                 timestamp: Date.now(),
@@ -151,9 +283,11 @@ export class DatabaseManager {
     /**
      * Import database data
      * @param {Array} videos - Array of video records to import
+     * @param {Object} [options] - Import options
+     * @param {boolean} [options.replace=false] - Store the records as they are instead of merging them with stored ones
      * @returns {Promise<Object>} Import result with count
      */
-    async import(videos) {
+    async import(videos, { replace = false } = {}) {
         try {
             if (!videos || !Array.isArray(videos)) {
                 throw new Error(ERRORS.INVALID_REQUEST);
@@ -164,7 +298,15 @@ export class DatabaseManager {
                 throw new Error(ERRORS.PROVIDER_NOT_FOUND);
             }
 
-            await provider.importVideos(videos);
+            // Records from exports that predate source tracking are attributed to the import
+            // Replaced records count as changed now, so a stored record changed later than the backup does not win
+            const changed = replace ? { intUpdated: Date.now() } : {};
+            const videosWithSources = videos.map(video => {
+                const sources = mergeSources(video.arrSources);
+                return { ...video, ...changed, arrSources: sources.length > 0 ? sources : [WATCH_SOURCES.IMPORT] };
+            });
+
+            await provider.importVideos(videosWithSources, { replace });
             return { count: videos.length };
         } catch (error) {
             logger.error("Failed to import data:", error);
@@ -184,6 +326,12 @@ export class DatabaseManager {
             }
 
             await provider.clearAllVideos();
+            if (provider.clearWatchEvents) {
+                await provider.clearWatchEvents();
+            }
+
+            // The next sync has to compare everything again
+            await this.providerFactory.resetSyncState();
             logger.info('Database reset successfully');
         } catch (error) {
             logger.error("Failed to reset database:", error);
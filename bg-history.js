@@ -1,6 +1,9 @@
 import { decodeHtmlEntitiesAndFixEncoding } from "./text-utils.js";
 import { logger } from "./logger.js";
-import { YOUTUBE } from "./constants.js";
+import { YOUTUBE, WATCH_SOURCES, SYNC } from "./constants.js";
+import { mergeSources } from "./source-utils.js";
+import { WatchEvents } from "./bg-watch-events.js";
+import { Trash } from "./bg-trash.js";
 
 /**
  * History management class
@@ -95,8 +98,37 @@ export class HistoryManager {
         return cleanTitle;
     }
 
+    /**
+     * Get the deletion times of videos in the trash or deleted by a tombstone
+     * Trashed videos keep their browser history until they are purged
+     * @param {Object} currentProvider - Database provider
+     * @param {string[]} videoIds - Video IDs
+     * @returns {Promise<Map<string, number>>} Latest deletion time per deleted video
+     */
+    async getDeletionTimes(currentProvider, videoIds) {
+        const deletionTimes = new Map();
+        const addDeletion = (videoId, intDeleted) => {
+            if (intDeleted > 0) {
+                deletionTimes.set(videoId, Math.max(deletionTimes.get(videoId) || 0, intDeleted));
+            }
+        };
+
+        for (let index = 0; index < videoIds.length; index += SYNC.DELTA.PUSH_BATCH_SIZE) {
+            const batch = videoIds.slice(index, index + SYNC.DELTA.PUSH_BATCH_SIZE);
+
+            (await Trash.getEntries(batch)).forEach(entry => addDeletion(entry.strIdent, entry.intDeleted));
+
+            if (typeof currentProvider.getTombstones === 'function') {
+                (await currentProvider.getTombstones(batch)).forEach(tombstone => addDeletion(tombstone.strIdent, tombstone.intDeleted));
+            }
+        }
+
+        return deletionTimes;
+    }
+
     /**
      * Synchronize browser history with YouTube videos
+     * Deleted videos are skipped unless they were visited again after the deletion
      * @param {number} startTime - Start timestamp (milliseconds)
      * @param {boolean} [skipExisting=false] - Skip videos already in database
      * @param {Function} [onProgress] - Optional progress callback
@@ -135,6 +167,12 @@ export class HistoryManager {
                     });
             });
 
+            const historyVideoIds = historyResults
+                .filter(historyResult => this.isYouTubeVideoUrl(historyResult.url))
+                .map(historyResult => this.extractVideoId(historyResult.url))
+                .filter(videoId => videoId && YOUTUBE.PATTERNS.VIDEO_ID.test(videoId));
+            const deletionTimes = await this.getDeletionTimes(currentProvider, Array.from(new Set(historyVideoIds)));
+
             let processedVideos = [];
             let processedCount = 0;
             let skippedCount = 0;
@@ -165,6 +203,12 @@ export class HistoryManager {
                     continue;
                 }
 
+                // Deleted videos stay deleted unless they were watched again since
+                if (deletionTimes.has(videoId) && (historyResult.lastVisitTime || 0) <= deletionTimes.get(videoId)) {
+                    skippedCount++;
+                    continue;
+                }
+
                 // Check if video already exists in the database
                 const existingVideo = await currentProvider.getVideo(videoId);
 
@@ -178,10 +222,12 @@ export class HistoryManager {
                 if (existingVideo) {
                     // Update existing video with latest timestamp and count
                     videoToStore = {
+                        ...existingVideo,
                         strIdent: videoId,
                         intTimestamp: Math.max(existingVideo.intTimestamp || 0, historyResult.lastVisitTime || 0),
                         strTitle: existingVideo.strTitle || cleanTitle,
                         intCount: Math.max(existingVideo.intCount || 1, historyResult.visitCount || 1),
+                        arrSources: mergeSources(existingVideo.arrSources, [WATCH_SOURCES.BROWSER_HISTORY]),
                     };
                 } else {
                     // Create new video record
@@ -190,12 +236,18 @@ export class HistoryManager {
                         intTimestamp: historyResult.lastVisitTime,
                         strTitle: cleanTitle,
                         intCount: historyResult.visitCount || 1,
+                        arrSources: [WATCH_SOURCES.BROWSER_HISTORY],
                     };
                 }
 
                 // Store the video in the current provider
                 await currentProvider.putVideo(videoToStore);
                 processedVideos.push(videoToStore);
+
+                // Log the visit unless it was already reflected by the stored timestamp
+                if (!existingVideo || historyResult.lastVisitTime > (existingVideo.intTimestamp || 0)) {
+                    await WatchEvents.record(videoId, WATCH_SOURCES.BROWSER_HISTORY, historyResult.lastVisitTime);
+                }
                 processedCount++;
 
                 // Report progress every 100 videos
@@ -221,6 +273,35 @@ export class HistoryManager {
             throw error;
         }
     }
+
+    /**
+     * Delete the YouTube URLs of a video from browser history
+     * @param {string} videoId - Video ID
+     * @returns {Promise<void>}
+     */
+    async deleteVideo(videoId) {
+        // Search for YouTube URLs containing this video ID
+        const historyResults = await new Promise((resolve) => {
+            chrome.history.search({
+                text: videoId,
+                startTime: 0,
+                maxResults: 1000000,
+            },
+                resolve
+            );
+        });
+
+        // Delete matching URLs from browser history
+        for (let historyResult of historyResults) {
+            if (!this.isYouTubeVideoUrl(historyResult.url) || !historyResult.title) {
+                continue;
+            }
+
+            chrome.history.deleteUrl({
+                url: historyResult.url,
+            });
+        }
+    }
 }
 
 // Global instance
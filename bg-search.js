@@ -1,5 +1,19 @@
 import { logger } from "./logger.js";
-import { YOUTUBE } from "./constants.js";
+import { YOUTUBE, SEARCH } from "./constants.js";
+import { WatchEvents } from "./bg-watch-events.js";
+import { Trash } from "./bg-trash.js";
+import { parseSearchQuery } from "./query-parser.js";
+
+/**
+ * Picks the narrowest of several optional bounds
+ * @param {Array<number|null|undefined>} values - Bounds, unset ones are ignored
+ * @param {function(...number): number} pick - Math.max for lower bounds, Math.min for upper bounds
+ * @returns {number|undefined} Narrowest bound or undefined if none is set
+ */
+function narrowest(values, pick) {
+    const bounds = values.filter(value => value !== null && value !== undefined && Number.isFinite(Number(value))).map(Number);
+    return bounds.length > 0 ? pick(...bounds) : undefined;
+}
 
 /**
  * Search management class
@@ -44,47 +58,49 @@ export class SearchManager {
 
     /**
      * Search for videos in the database
-     * @param {string} [query=''] - Search query (searches in ID and title)
+     * Besides free text the query accepts before:, after:, count:, id:, source:
+     * and negated words or phrases, see parseSearchQuery
+     * @param {string} [query=''] - Search query
      * @param {number} [skip=0] - Number of results to skip
      * @param {number} [length=0] - Number of results to return (0 = all)
+     * @param {Object} [filters={}] - Additional filters, combined with the ones in the query
+     * @param {string} [filters.source] - Only return videos marked by this detection source
+     * @param {number} [filters.startTimestamp] - Only return videos watched at or after this time
+     * @param {number} [filters.endTimestamp] - Only return videos watched at or before this time
+     * @param {number} [filters.minCount] - Only return videos viewed at least this many times
      * @returns {Promise<Object>} Object with videos array and totalResults count
+     * @throws {ValidationError} If the query syntax is invalid
      */
-    async lookup(query = '', skip = 0, length = 0) {
-        try {
-            const currentProvider = this.getProvider();
+    async lookup(query = '', skip = 0, length = 0, filters = {}) {
+        const parsed = parseSearchQuery(query);
 
-            // Get all videos from the current provider
-            const allVideos = await currentProvider.getAllVideos();
-
-            // Filter videos based on search query
-            let filteredVideos = [];
-
-            if (!query || query.trim() === '') {
-                // Empty query - show all videos
-                filteredVideos = allVideos;
-            } else {
-                // Non-empty query - search in both ID and title (case-insensitive)
-                const searchTerm = query.toLowerCase().trim();
-                filteredVideos = allVideos.filter(video => {
-                    const videoId = (video.strIdent || '').toLowerCase();
-                    const videoTitle = (video.strTitle || '').toLowerCase();
-                    return videoId.includes(searchTerm) || videoTitle.includes(searchTerm);
-                });
+        try {
+            // A source: in the query and a source filter both have to match
+            if (parsed.source && filters.source && parsed.source !== filters.source) {
+                return { videos: [], totalResults: 0 };
             }
 
-            // Sort by timestamp (newest first)
-            filteredVideos.sort((a, b) => (b.intTimestamp || 0) - (a.intTimestamp || 0));
-
-            // Store total count before pagination
-            const totalResults = filteredVideos.length;
+            const currentProvider = this.getProvider();
 
-            // Apply pagination
-            const actualLength = length || filteredVideos.length;
-            const paginatedVideos = filteredVideos.slice(skip, skip + actualLength);
+            // Filtering, ranking (newest first without search text) and pagination happen in the provider
+            const result = await currentProvider.queryVideos({
+                text: parsed.text,
+                exclude: parsed.excludeText,
+                startTimestamp: narrowest([parsed.startTimestamp, filters.startTimestamp], Math.max),
+                endTimestamp: narrowest([parsed.endTimestamp, filters.endTimestamp], Math.min),
+                minCount: narrowest([parsed.minCount, filters.minCount], Math.max),
+                maxCount: parsed.maxCount,
+                idText: parsed.idText,
+                source: parsed.source || filters.source,
+                sortBy: 'relevance',
+                order: 'desc',
+                offset: skip,
+                limit: length
+            });
 
             return {
-                videos: paginatedVideos,
-                totalResults: totalResults
+                videos: result.videos,
+                totalResults: result.totalResults
             };
 
         } catch (error) {
@@ -94,7 +110,8 @@ export class SearchManager {
     }
 
     /**
-     * Delete a video from database and browser history
+     * Move a video from the database to the trash
+     * Its browser history entries are removed once it is purged from the trash
      * @param {string} videoId - Video ID to delete
      * @param {Function} [onProgress] - Optional progress callback
      * @returns {Promise<boolean>} Success status
@@ -103,58 +120,86 @@ export class SearchManager {
         try {
             const currentProvider = this.getProvider();
 
-            // Step 1: Delete from database
+            // Step 1: Keep a copy in the trash
             if (onProgress) {
                 onProgress({
-                    strProgress: "1/2 - deleting it from the database",
+                    strProgress: "1/2 - moving it to the trash",
                 });
             }
 
-            await currentProvider.deleteVideo(videoId);
+            await Trash.add([videoId]);
 
-            // Step 2: Delete from browser history
+            // Step 2: Delete from database
             if (onProgress) {
                 onProgress({
-                    strProgress: "2/2 - deleting it from the history in the browser",
+                    strProgress: "2/2 - deleting it from the database",
                 });
             }
 
-            // Search for YouTube URLs containing this video ID
-            const historyResults = await new Promise((resolve) => {
-                chrome.history.search({
-                    text: videoId,
-                    startTime: 0,
-                    maxResults: 1000000,
-                },
-                    resolve
-                );
-            });
+            await currentProvider.deleteVideo(videoId);
+            await WatchEvents.deleteTimeline(videoId);
 
-            // Delete matching URLs from browser history
-            for (let historyResult of historyResults) {
-                // Check if URL is a valid YouTube video URL
-                if (
-                    !historyResult.url.startsWith(YOUTUBE.URLS.WATCH) &&
-                    !historyResult.url.startsWith(YOUTUBE.URLS.SHORTS) &&
-                    !historyResult.url.startsWith(YOUTUBE.URLS.MOBILE_WATCH)
-                ) {
-                    continue;
-                }
+            logger.info(`Moved video ${videoId} to the trash`);
+            return true;
 
-                if (!historyResult.title) {
-                    continue;
+        } catch (error) {
+            logger.error("Search delete error:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the IDs of all videos matching a search, for "select all matching query"
+     * @param {string} [query=''] - Search query, see lookup
+     * @param {Object} [filters={}] - Additional filters, see lookup
+     * @returns {Promise<string[]>} Matching video IDs
+     */
+    async lookupIds(query = '', filters = {}) {
+        const result = await this.lookup(query, 0, 0, filters);
+        return result.videos.map(video => video.strIdent);
+    }
+
+    /**
+     * Move several videos from the database to the trash in batches
+     * @param {string[]} videoIds - Video IDs to delete
+     * @param {Function} [onProgress] - Optional progress callback, called after every batch
+     * @returns {Promise<Object>} Object with the number of deleted videos
+     */
+    async deleteMany(videoIds, onProgress = null) {
+        try {
+            if (!Array.isArray(videoIds)) {
+                throw new Error("Invalid video IDs - must be an array");
+            }
+
+            const uniqueIds = Array.from(new Set(videoIds)).filter(videoId => YOUTUBE.PATTERNS.VIDEO_ID.test(videoId));
+            const currentProvider = this.getProvider();
+            let deletedCount = 0;
+
+            for (let i = 0; i < uniqueIds.length; i += SEARCH.DELETE_BATCH_SIZE) {
+                const batch = uniqueIds.slice(i, i + SEARCH.DELETE_BATCH_SIZE);
+
+                await Trash.add(batch);
+                await currentProvider.deleteVideos(batch);
+                for (const videoId of batch) {
+                    await WatchEvents.deleteTimeline(videoId);
                 }
 
-                chrome.history.deleteUrl({
-                    url: historyResult.url,
-                });
+                deletedCount += batch.length;
+
+                if (onProgress) {
+                    onProgress({
+                        strProgress: `${deletedCount}/${uniqueIds.length} - moving them to the trash`,
+                        intDeleted: deletedCount,
+                        intTotal: uniqueIds.length,
+                    });
+                }
             }
 
-            logger.info(`Deleted video ${videoId} from database and history`);
-            return true;
+            logger.info(`Moved ${deletedCount} videos to the trash`);
+            return { deletedCount };
 
         } catch (error) {
-            logger.error("Search delete error:", error);
+            logger.error("Search delete many error:", error);
             throw error;
         }
     }
@@ -196,6 +196,7 @@ export class SyncManager {
                 autoSyncEnabled: this.autoSyncEnabled,
                 syncIntervalMinutes: this.syncIntervalMinutes,
                 lastSyncTimestamp: this.lastSyncTimestamp,
+                pendingChanges: await databaseProviderFactory.getPendingChangeCount(),
                 isManualSyncInProgress: this.isManualSyncInProgress,
                 nextSyncTime: this.autoSyncEnabled && this.syncInterval ?
                     new Date(Date.now() + (this.syncIntervalMinutes * 60 * 1000)).toISOString() : null
@@ -258,19 +259,23 @@ export class SyncManager {
 
             console.log("Starting automatic sync between IndexedDB and Supabase...");
 
-            // Perform bidirectional sync between IndexedDB and Supabase
+            // Perform bidirectional delta sync between IndexedDB and Supabase
             const syncResult = await databaseProviderFactory.syncProviders('indexeddb', 'supabase');
 
-            if (syncResult) {
-                // Update last sync timestamp
-                this.lastSyncTimestamp = Date.now();
-                await chrome.storage.sync.set({ sync_last_timestamp: this.lastSyncTimestamp });
+            // Update last sync timestamp
+            this.lastSyncTimestamp = Date.now();
+            await chrome.storage.sync.set({ sync_last_timestamp: this.lastSyncTimestamp });
 
-                console.log("Auto-sync completed successfully");
-                return { success: true, synced: 1, conflicts: 0, message: "Sync completed successfully" };
-            } else {
-                throw new Error("Sync operation returned false");
-            }
+            console.log("Auto-sync completed successfully");
+            return {
+                success: true,
+                synced: syncResult.pulled + syncResult.pushed,
+                pulled: syncResult.pulled,
+                pushed: syncResult.pushed,
+                deleted: syncResult.deleted,
+                conflicts: syncResult.conflicts,
+                message: `Sync completed successfully: ${syncResult.pulled} pulled, ${syncResult.pushed} pushed, ${syncResult.deleted} deleted, ${syncResult.conflicts} conflicts`
+            };
         } catch (error) {
             console.error("Auto-sync failed:", error);
             throw error;
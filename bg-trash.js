@@ -0,0 +1,289 @@
+import { logger } from "./logger.js";
+import { DATABASE, ERRORS, TRASH } from "./constants.js";
+import { Database } from "./bg-database.js";
+import { History } from "./bg-history.js";
+import { WatchEvents } from "./bg-watch-events.js";
+
+/**
+ * Trash management class
+ * Keeps deleted videos and their watch events in a local store so they can be
+ * restored until the retention window expires. Matching browser history entries
+ * are only removed once a video is purged from the trash.
+ */
+export class TrashManager {
+    constructor() {
+        this.isInitialized = false;
+    }
+
+    /**
+     * Initialize the Trash module
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.isInitialized = true;
+        logger.debug('Trash module initialized');
+    }
+
+    /**
+     * Get the current database provider
+     * @returns {Object} Database provider
+     * @throws {Error} If provider is not available
+     */
+    getProvider() {
+        const extensionManager = globalThis.extensionManager;
+        if (!extensionManager || !extensionManager.providerFactory) {
+            throw new Error("Database provider factory not available");
+        }
+
+        const currentProvider = extensionManager.providerFactory.getCurrentProvider();
+        if (!currentProvider) {
+            throw new Error("No current database provider available");
+        }
+
+        return currentProvider;
+    }
+
+    /**
+     * Get the trash object store
+     * The trash always lives in IndexedDB, whichever provider holds the videos
+     * @param {string} mode - Transaction mode
+     * @returns {IDBObjectStore} Object store
+     */
+    getStore(mode = 'readonly') {
+        if (!Database.database) {
+            throw new Error(ERRORS.DATABASE_NOT_AVAILABLE);
+        }
+
+        const transaction = Database.database.transaction([DATABASE.TRASH_STORE_NAME], mode);
+        return transaction.objectStore(DATABASE.TRASH_STORE_NAME);
+    }
+
+    /**
+     * Get the configured retention window
+     * @returns {Promise<number>} Retention in days
+     */
+    async getRetentionDays() {
+        const result = await chrome.storage.sync.get([TRASH.RETENTION_KEY]);
+        const days = parseInt(result[TRASH.RETENTION_KEY], 10);
+
+        if (!Number.isInteger(days)) {
+            return TRASH.DEFAULT_RETENTION_DAYS;
+        }
+
+        return Math.min(TRASH.MAX_RETENTION_DAYS, Math.max(TRASH.MIN_RETENTION_DAYS, days));
+    }
+
+    /**
+     * Move snapshots of videos and their watch events into the trash
+     * Must be called before the videos are deleted from the provider
+     * @param {string[]} videoIds - Video IDs about to be deleted
+     * @returns {Promise<number>} Number of videos put into the trash
+     */
+    async add(videoIds) {
+        const currentProvider = this.getProvider();
+        const intDeleted = Date.now();
+        const entries = [];
+
+        for (const videoId of videoIds) {
+            const video = await currentProvider.getVideo(videoId);
+            if (!video) {
+                continue;
+            }
+
+            entries.push({
+                strIdent: videoId,
+                intDeleted,
+                objVideo: video,
+                arrEvents: await WatchEvents.getTimeline(videoId),
+            });
+        }
+
+        if (entries.length === 0) {
+            return 0;
+        }
+
+        await new Promise((resolve, reject) => {
+            const store = this.getStore('readwrite');
+            entries.forEach(entry => store.put(entry));
+
+            store.transaction.oncomplete = () => resolve();
+            store.transaction.onerror = () => reject(new Error('Failed to add videos to the trash'));
+        });
+
+        return entries.length;
+    }
+
+    /**
+     * Get trash entries by video ID
+     * @param {string[]} videoIds - Video IDs
+     * @returns {Promise<Array>} Existing trash entries
+     */
+    async getEntries(videoIds) {
+        return new Promise((resolve, reject) => {
+            const store = this.getStore('readonly');
+            const entries = [];
+
+            videoIds.forEach(videoId => {
+                store.get(videoId).onsuccess = (event) => {
+                    if (event.target.result) {
+                        entries.push(event.target.result);
+                    }
+                };
+            });
+
+            store.transaction.oncomplete = () => resolve(entries);
+            store.transaction.onerror = () => reject(new Error('Failed to read the trash'));
+        });
+    }
+
+    /**
+     * Remove entries from the trash
+     * @param {string[]} videoIds - Video IDs
+     * @returns {Promise<void>}
+     */
+    async removeEntries(videoIds) {
+        return new Promise((resolve, reject) => {
+            const store = this.getStore('readwrite');
+            videoIds.forEach(videoId => store.delete(videoId));
+
+            store.transaction.oncomplete = () => resolve();
+            store.transaction.onerror = () => reject(new Error('Failed to remove videos from the trash'));
+        });
+    }
+
+    /**
+     * List the videos in the trash, most recently deleted first
+     * @returns {Promise<Array>} Trash entries with their expiry time
+     */
+    async list() {
+        const retention = (await this.getRetentionDays()) * 24 * 60 * 60 * 1000;
+
+        const entries = await new Promise((resolve, reject) => {
+            const request = this.getStore('readonly').index(DATABASE.TRASH_INDEXES.DELETED).getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('Failed to read the trash'));
+        });
+
+        return entries.reverse().map(entry => ({
+            strIdent: entry.strIdent,
+            strTitle: entry.objVideo.strTitle,
+            intTimestamp: entry.objVideo.intTimestamp,
+            intCount: entry.objVideo.intCount,
+            intDeleted: entry.intDeleted,
+            intExpires: entry.intDeleted + retention,
+        }));
+    }
+
+    /**
+     * Restore videos and their watch events from the trash
+     * Videos watched again since the deletion are merged with the restored record
+     * @param {string[]} videoIds - Video IDs to restore
+     * @returns {Promise<Object>} Object with the number of restored videos
+     */
+    async restore(videoIds) {
+        try {
+            const currentProvider = this.getProvider();
+            const entries = await this.getEntries(videoIds);
+
+            for (const entry of entries) {
+                await currentProvider.putVideo(entry.objVideo);
+
+                if (typeof currentProvider.addWatchEvent === 'function') {
+                    for (const event of entry.arrEvents || []) {
+                        const watchEvent = { ...event };
+                        delete watchEvent.intId;
+                        await currentProvider.addWatchEvent(watchEvent);
+                    }
+                }
+            }
+
+            await this.removeEntries(entries.map(entry => entry.strIdent));
+
+            logger.info(`Restored ${entries.length} videos from the trash`);
+            return { restoredCount: entries.length };
+        } catch (error) {
+            logger.error("Trash restore error:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete videos from the trash and their entries from browser history
+     * History entries are kept for videos that were watched again since the deletion
+     * @param {string[]} videoIds - Video IDs to purge
+     * @returns {Promise<Object>} Object with the number of purged videos
+     */
+    async purge(videoIds) {
+        try {
+            const currentProvider = this.getProvider();
+            const entries = await this.getEntries(videoIds);
+
+            for (const entry of entries) {
+                if (!(await currentProvider.getVideo(entry.strIdent))) {
+                    await History.deleteVideo(entry.strIdent);
+                }
+            }
+
+            await this.removeEntries(entries.map(entry => entry.strIdent));
+
+            logger.info(`Purged ${entries.length} videos from the trash`);
+            return { purgedCount: entries.length };
+        } catch (error) {
+            logger.error("Trash purge error:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete every video in the trash
+     * @returns {Promise<Object>} Object with the number of purged videos
+     */
+    async purgeAll() {
+        const entries = await this.list();
+        return await this.purge(entries.map(entry => entry.strIdent));
+    }
+
+    /**
+     * Permanently delete the videos whose retention window has expired
+     * @returns {Promise<Object>} Object with the number of purged videos
+     */
+    async purgeExpired() {
+        const retention = (await this.getRetentionDays()) * 24 * 60 * 60 * 1000;
+
+        const videoIds = await new Promise((resolve, reject) => {
+            const request = this.getStore('readonly')
+                .index(DATABASE.TRASH_INDEXES.DELETED)
+                .getAllKeys(IDBKeyRange.upperBound(Date.now() - retention));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('Failed to read the trash'));
+        });
+
+        if (videoIds.length === 0) {
+            return { purgedCount: 0 };
+        }
+
+        return await this.purge(videoIds);
+    }
+
+    /**
+     * Empty the trash without touching browser history, used by database resets
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        return new Promise((resolve, reject) => {
+            const request = this.getStore('readwrite').clear();
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(new Error('Failed to clear the trash'));
+        });
+    }
+}
+
+// Global instance
+export const Trash = new TrashManager();
@@ -0,0 +1,136 @@
+import { logger } from "./logger.js";
+import { getDeviceId } from "./browser-utils.js";
+import { normalizeSource } from "./source-utils.js";
+import { getDeviceCounts } from "./count-utils.js";
+
+/**
+ * Watch event management class
+ * Keeps an append-only log of individual views next to the aggregated video records
+ */
+export class WatchEventManager {
+    constructor() {
+        this.isInitialized = false;
+    }
+
+    /**
+     * Initialize the watch event module
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.isInitialized = true;
+        logger.debug('Watch event module initialized');
+    }
+
+    /**
+     * Get the current database provider
+     * @returns {Object} Database provider
+     * @throws {Error} If provider is not available
+     */
+    getProvider() {
+        const extensionManager = globalThis.extensionManager;
+        if (!extensionManager || !extensionManager.providerFactory) {
+            throw new Error("Database provider factory not available");
+        }
+
+        const currentProvider = extensionManager.providerFactory.getCurrentProvider();
+        if (!currentProvider) {
+            throw new Error("No current database provider available");
+        }
+
+        return currentProvider;
+    }
+
+    /**
+     * Record a view of a video
+     * Failures are logged and swallowed so that marking a video never fails because of the event log
+     * @param {string} videoId - Video ID
+     * @param {string} source - Detection source, one of WATCH_SOURCES
+     * @param {number} [timestamp] - Time of the view (defaults to now)
+     * @returns {Promise<boolean>} True if a new event was stored
+     */
+    async record(videoId, source, timestamp = null) {
+        try {
+            const currentProvider = this.getProvider();
+            if (typeof currentProvider.addWatchEvent !== 'function') {
+                return false;
+            }
+
+            return await currentProvider.addWatchEvent({
+                strIdent: videoId,
+                intTimestamp: timestamp || Date.now(),
+                strSource: normalizeSource(source),
+                strDevice: await getDeviceId(),
+            });
+        } catch (error) {
+            logger.warn(`Failed to record watch event for ${videoId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the view timeline of a video, oldest first
+     * @param {string} videoId - Video ID
+     * @returns {Promise<Array>} Watch events
+     */
+    async getTimeline(videoId) {
+        try {
+            if (!videoId || typeof videoId !== 'string' || videoId.length !== 11) {
+                throw new Error(`Invalid video ID: ${videoId}`);
+            }
+
+            const currentProvider = this.getProvider();
+            if (typeof currentProvider.getWatchEvents !== 'function') {
+                return [];
+            }
+
+            return await currentProvider.getWatchEvents(videoId);
+        } catch (error) {
+            logger.error("Watch event lookup error:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the views of a video per device
+     * @param {string} videoId - Video ID
+     * @returns {Promise<Object<string, number>>} View counts by device ID, empty if the video is unknown
+     */
+    async getDeviceCounts(videoId) {
+        const video = await this.getProvider().getVideo(videoId);
+        return video ? getDeviceCounts(video) : {};
+    }
+
+    /**
+     * Delete the view timeline of a video
+     * @param {string} videoId - Video ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteTimeline(videoId) {
+        const currentProvider = this.getProvider();
+        if (typeof currentProvider.deleteWatchEvents !== 'function') {
+            return true;
+        }
+
+        return await currentProvider.deleteWatchEvents(videoId);
+    }
+
+    /**
+     * Clear all watch events of the current provider
+     * @returns {Promise<boolean>} Success status
+     */
+    async clear() {
+        const currentProvider = this.getProvider();
+        if (typeof currentProvider.clearWatchEvents !== 'function') {
+            return true;
+        }
+
+        return await currentProvider.clearWatchEvents();
+    }
+}
+
+// Global instance
+export const WatchEvents = new WatchEventManager();
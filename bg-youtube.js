@@ -1,6 +1,9 @@
 import { decodeHtmlEntitiesAndFixEncoding } from "./text-utils.js";
 import { isValidVideoTitle } from "./validation.js";
-import { TIMEOUTS } from "./constants.js";
+import { TIMEOUTS, WATCH_SOURCES } from "./constants.js";
+import { createProgress, mergeProgress } from "./progress-utils.js";
+import { mergeSources, hasSource } from "./source-utils.js";
+import { WatchEvents } from "./bg-watch-events.js";
 import { logger } from "./logger.js";
 
 /**
@@ -280,7 +283,8 @@ export class YoutubeManager {
                     }
 
                     // Store new video
-                    await currentProvider.putVideo(video);
+                    await currentProvider.putVideo({ ...video, arrSources: [WATCH_SOURCES.YOUTUBE_HISTORY] });
+                    await WatchEvents.record(video.strIdent, WATCH_SOURCES.YOUTUBE_HISTORY, video.intTimestamp);
                     processedCount++;
 
                     // Report progress every 10 videos
@@ -396,7 +400,8 @@ export class YoutubeManager {
                     }
 
                     // Store new video
-                    await currentProvider.putVideo(video);
+                    await currentProvider.putVideo({ ...video, arrSources: [WATCH_SOURCES.YOUTUBE_LIKED] });
+                    await WatchEvents.record(video.strIdent, WATCH_SOURCES.YOUTUBE_LIKED, video.intTimestamp);
                     processedCount++;
 
                     // Report progress every 10 videos
@@ -450,6 +455,7 @@ export class YoutubeManager {
                     intTimestamp: video.intTimestamp || Date.now(),
                     strTitle: video.strTitle || "",
                     intCount: video.intCount || 1,
+                    ...mergeProgress(video, null),
                 };
             }
 
@@ -467,9 +473,10 @@ export class YoutubeManager {
      * @param {string} [title] - Video title
      * @param {number} [timestamp] - Timestamp
      * @param {number} [count] - View count
+     * @param {string} [source] - Detection source, one of WATCH_SOURCES
      * @returns {Promise<Object>} Video object
      */
-    async ensure(videoId, title = "", timestamp = null, count = null) {
+    async ensure(videoId, title = "", timestamp = null, count = null, source = WATCH_SOURCES.UNKNOWN) {
         try {
             // Validate video ID
             if (!videoId || typeof videoId !== 'string' || videoId.length !== 11) {
@@ -492,17 +499,19 @@ export class YoutubeManager {
                     titleToUse = title;
                 }
 
-                // Return existing video data with potentially updated title
+                // Return existing video data with potentially updated title and sources
                 logger.debug("Returning existing video data for:", videoId);
                 videoToReturn = {
+                    ...existingVideo,
                     strIdent: existingVideo.strIdent,
                     intTimestamp: existingVideo.intTimestamp,
                     strTitle: titleToUse,
                     intCount: existingVideo.intCount || 1,
+                    arrSources: mergeSources(existingVideo.arrSources, [source]),
                 };
 
-                // Update the database if title changed
-                if (titleToUse !== existingVideo.strTitle) {
+                // Update the database if the title changed or the source is new
+                if (titleToUse !== existingVideo.strTitle || !hasSource(existingVideo, source)) {
                     await currentProvider.putVideo(videoToReturn);
                 }
             } else {
@@ -515,10 +524,12 @@ export class YoutubeManager {
                     intTimestamp: timestamp || Date.now(),
                     strTitle: titleToUse,
                     intCount: count || 1,
+                    arrSources: mergeSources([source]),
                 };
 
                 // Store the new video in the current provider
                 await currentProvider.putVideo(newVideo);
+                await WatchEvents.record(videoId, source, newVideo.intTimestamp);
                 videoToReturn = newVideo;
             }
 
@@ -536,9 +547,10 @@ export class YoutubeManager {
      * @param {string} [title] - Video title
      * @param {number} [timestamp] - Timestamp
      * @param {number} [count] - View count
+     * @param {string} [source] - Detection source, one of WATCH_SOURCES
      * @returns {Promise<Object>} Video object
      */
-    async mark(videoId, title = "", timestamp = null, count = null) {
+    async mark(videoId, title = "", timestamp = null, count = null, source = WATCH_SOURCES.UNKNOWN) {
         try {
             // Validate video ID
             if (!videoId || typeof videoId !== 'string' || videoId.length !== 11) {
@@ -552,6 +564,7 @@ export class YoutubeManager {
             const currentTime = Date.now();
 
             let videoToStore;
+            let isNewView = true;
             if (existingVideo) {
                 // Update existing video
                 const existingTimestamp = existingVideo.intTimestamp || 0;
@@ -559,6 +572,7 @@ export class YoutubeManager {
 
                 // Only increment count if enough time has passed since last view
                 const shouldIncrementCount = timeSinceLastView >= TIMEOUTS.VIEW_COUNT_COOLDOWN;
+                isNewView = shouldIncrementCount;
 
                 // Prefer valid titles over invalid ones
                 let titleToUse = existingVideo.strTitle || "";
@@ -570,10 +584,12 @@ export class YoutubeManager {
                 }
 
                 videoToStore = {
+                    ...existingVideo,
                     strIdent: existingVideo.strIdent,
                     intTimestamp: timestamp || currentTime,
                     strTitle: titleToUse,
                     intCount: shouldIncrementCount ? (existingVideo.intCount + 1 || 1) : (existingVideo.intCount || 1),
+                    arrSources: mergeSources(existingVideo.arrSources, [source]),
                 };
             } else {
                 // Create new video entry only if title is valid or no title is provided
@@ -584,12 +600,18 @@ export class YoutubeManager {
                     intTimestamp: timestamp || currentTime,
                     strTitle: titleToUse,
                     intCount: count || 1,
+                    arrSources: mergeSources([source]),
                 };
             }
 
             // Store the video in the current provider
             await currentProvider.putVideo(videoToStore);
 
+            // Only views that were counted end up in the event log
+            if (isNewView) {
+                await WatchEvents.record(videoId, source, videoToStore.intTimestamp);
+            }
+
             return videoToStore;
 
         } catch (error) {
@@ -597,6 +619,73 @@ export class YoutubeManager {
             throw error;
         }
     }
+
+    /**
+     * Store the playback progress of a video
+     * @param {string} videoId - Video ID
+     * @param {string} [title] - Video title
+     * @param {number} position - Playback position in seconds
+     * @param {number} [duration] - Video duration in seconds
+     * @returns {Promise<Object>} Video object
+     */
+    async updateProgress(videoId, title = "", position, duration = null) {
+        try {
+            // Validate video ID
+            if (!videoId || typeof videoId !== 'string' || videoId.length !== 11) {
+                throw new Error(`Invalid video ID: ${videoId}`);
+            }
+
+            const progress = createProgress(Number(position), Number(duration));
+            if (!progress) {
+                throw new Error(`Invalid playback position: ${position}`);
+            }
+
+            const currentProvider = this.getProvider();
+
+            // Check if video already exists in the database
+            const existingVideo = await currentProvider.getVideo(videoId);
+
+            let videoToStore;
+            if (existingVideo) {
+                // Prefer valid titles over invalid ones
+                let titleToUse = existingVideo.strTitle || "";
+                if (title && isValidVideoTitle(title)) {
+                    titleToUse = title;
+                }
+
+                videoToStore = {
+                    ...existingVideo,
+                    strTitle: titleToUse,
+                    arrSources: mergeSources(existingVideo.arrSources, [WATCH_SOURCES.YOUTUBE_PROGRESS]),
+                    ...mergeProgress(existingVideo, progress),
+                };
+            } else {
+                const titleToUse = title && isValidVideoTitle(title) ? title : "";
+
+                videoToStore = {
+                    strIdent: videoId,
+                    intTimestamp: Date.now(),
+                    strTitle: titleToUse,
+                    intCount: 1,
+                    arrSources: [WATCH_SOURCES.YOUTUBE_PROGRESS],
+                    ...progress,
+                };
+            }
+
+            // Store the video in the current provider
+            await currentProvider.putVideo(videoToStore);
+
+            if (!existingVideo) {
+                await WatchEvents.record(videoId, WATCH_SOURCES.YOUTUBE_PROGRESS, videoToStore.intTimestamp);
+            }
+
+            return videoToStore;
+
+        } catch (error) {
+            logger.error("YouTube progress error:", error);
+            throw error;
+        }
+    }
 }
 
 // Global instance
@@ -5,7 +5,9 @@
  * Handles browser detection, messaging, and JSON parsing
  */
 
-import { IMPORT_EXPORT, TIMEOUTS } from './constants.js';
+import { IMPORT_EXPORT, STORAGE_KEYS, TIMEOUTS } from './constants.js';
+
+let cachedDeviceId = null;
 
 /**
  * Detects the browser type
@@ -93,3 +95,23 @@ export function createResponseCallback(transformArgs, responseCallback) {
     };
 }
 
+
+/**
+ * Gets the ID of this browser installation, generating it on first use
+ * @returns {Promise<string>} Device ID
+ */
+export async function getDeviceId() {
+    if (cachedDeviceId) {
+        return cachedDeviceId;
+    }
+
+    const result = await chrome.storage.local.get([STORAGE_KEYS.DEVICE_ID]);
+    cachedDeviceId = result[STORAGE_KEYS.DEVICE_ID];
+
+    if (!cachedDeviceId) {
+        cachedDeviceId = crypto.randomUUID();
+        await chrome.storage.local.set({ [STORAGE_KEYS.DEVICE_ID]: cachedDeviceId });
+    }
+
+    return cachedDeviceId;
+}
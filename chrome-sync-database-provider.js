@@ -0,0 +1,603 @@
+/**
+ * Chrome Sync Database Provider for YouTube Watch History
+ * Stores video IDs, watch times and view counts in chrome.storage.sync, so
+ * videos are marked on every device signed in to the same browser profile
+ * without any setup. Titles and progress are not stored, they would not fit:
+ * entries are packed into chunks within the 8KB item limit and, once the
+ * 100KB quota is reached, the oldest entries are removed to make room.
+ */
+
+import { SYNC } from './constants.js';
+import { normalizeQuery, hasSearch, matchesQuery } from './query-utils.js';
+import { rankVideos } from './search-utils.js';
+
+/**
+ * Chrome Sync Database Provider
+ * Keeps the decoded chunks in memory and reloads them when another device changed them
+ */
+export class ChromeSyncDatabaseProvider {
+    constructor() {
+        this.isInitialized = false;
+        this.isConnected = false;
+        this.videos = new Map(); // {intTimestamp, intCount} by video ID
+        this.chunks = []; // Video IDs of every stored chunk, in stored order
+        this.storedChunks = []; // Stored value of every chunk, only changed chunks are written
+        this.loaded = false;
+        this.loading = null; // Pending load, shared by concurrent reads
+        this.generation = 0; // Incremented by storage changes, a load started before one is stale
+        this.listening = false;
+        this.mutations = []; // Writes waiting to be stored, applied together in one write
+        this.saving = null; // Running write
+        this.budgetBytes = SYNC.LIMITS.CHROME_STORAGE_QUOTA - SYNC.CHROME_STORAGE.RESERVED_BYTES;
+        this.evictedVideos = 0;
+    }
+
+    /**
+     * Initialize the provider and load the stored chunks
+     * @returns {Promise<boolean>} Success status
+     */
+    async init() {
+        try {
+            if (!this.listening) {
+                chrome.storage.onChanged.addListener((changes, areaName) => this.onStorageChanged(changes, areaName));
+                this.listening = true;
+            }
+
+            this.loaded = false;
+            await this.load();
+
+            this.isInitialized = true;
+            this.isConnected = true;
+            return true;
+        } catch (error) {
+            console.error('Failed to initialize Chrome sync provider:', error.message);
+            this.isInitialized = false;
+            this.isConnected = false;
+            return false;
+        }
+    }
+
+    /**
+     * Ensure database is connected
+     * @private
+     */
+    ensureConnected() {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+    }
+
+    /**
+     * Reload the chunks with the next read once they changed, on this or another device
+     * @param {Object} changes - Changed storage keys
+     * @param {string} areaName - Storage area
+     */
+    onStorageChanged(changes, areaName) {
+        if (areaName === 'sync' && Object.keys(changes).some(key => key.startsWith(SYNC.CHROME_STORAGE.KEY))) {
+            this.generation++;
+            this.loaded = false;
+        }
+    }
+
+    /**
+     * Get the storage key of a chunk
+     * @param {number} index - Chunk index
+     * @returns {string} Storage key
+     */
+    getChunkKey(index) {
+        return `${SYNC.CHROME_STORAGE.KEY}_${index}`;
+    }
+
+    /**
+     * Encode a video as "id.minutes[.count]", minutes and count in base 36
+     * @param {string} videoId - YouTube video ID
+     * @param {{intTimestamp: number, intCount: number}} record - Stored record
+     * @returns {string} Encoded entry
+     */
+    encodeEntry(videoId, record) {
+        const minutes = Math.floor(record.intTimestamp / SYNC.CHROME_STORAGE.TIMESTAMP_UNIT).toString(36);
+        return record.intCount > 1 ? `${videoId}.${minutes}.${record.intCount.toString(36)}` : `${videoId}.${minutes}`;
+    }
+
+    /**
+     * Decode an entry written by encodeEntry
+     * @param {string} entry - Encoded entry
+     * @returns {{strIdent: string, intTimestamp: number, intCount: number}|null} Decoded video or null if invalid
+     */
+    decodeEntry(entry) {
+        const [strIdent, minutes, count] = entry.split('.');
+        const intTimestamp = parseInt(minutes, 36) * SYNC.CHROME_STORAGE.TIMESTAMP_UNIT;
+        const intCount = count ? parseInt(count, 36) : 1;
+
+        if (!strIdent || !Number.isFinite(intTimestamp) || !Number.isFinite(intCount)) {
+            return null;
+        }
+
+        return { strIdent, intTimestamp, intCount };
+    }
+
+    /**
+     * Convert a written video to the stored record, keeping only what is stored
+     * @param {Object} video - Video data
+     * @returns {{intTimestamp: number, intCount: number}} Stored record
+     */
+    toStoredRecord(video) {
+        const unit = SYNC.CHROME_STORAGE.TIMESTAMP_UNIT;
+        return {
+            intTimestamp: Math.floor((video.intTimestamp || Date.now()) / unit) * unit,
+            intCount: Math.max(1, Math.floor(video.intCount || 1))
+        };
+    }
+
+    /**
+     * Convert a stored record to a video record
+     * @param {string} videoId - YouTube video ID
+     * @param {Object|undefined} record - Stored record
+     * @returns {Object|null} Video record or null
+     */
+    toVideoRecord(videoId, record) {
+        return record ? { strIdent: videoId, intTimestamp: record.intTimestamp, intCount: record.intCount } : null;
+    }
+
+    /**
+     * Load the stored chunks
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.loading) {
+            this.loading = this.fetchChunks().finally(() => {
+                this.loading = null;
+            });
+        }
+
+        await this.loading;
+    }
+
+    /**
+     * Read and decode the stored chunks
+     * @returns {Promise<void>}
+     */
+    async fetchChunks() {
+        const generation = this.generation;
+        const stored = await chrome.storage.sync.get(null);
+        const chunkCount = Number(stored[SYNC.CHROME_STORAGE.KEY]) || 0;
+
+        const videos = new Map();
+        const chunks = [];
+        const storedChunks = [];
+
+        for (let index = 0; index < chunkCount; index++) {
+            const value = stored[this.getChunkKey(index)];
+            const ids = [];
+
+            if (typeof value === 'string' && value) {
+                for (const entry of value.split(' ')) {
+                    const video = this.decodeEntry(entry);
+                    if (video && !videos.has(video.strIdent)) {
+                        videos.set(video.strIdent, { intTimestamp: video.intTimestamp, intCount: video.intCount });
+                        ids.push(video.strIdent);
+                    }
+                }
+            }
+
+            chunks.push(ids);
+            storedChunks.push(typeof value === 'string' ? value : null);
+        }
+
+        this.videos = videos;
+        this.chunks = chunks;
+        this.storedChunks = storedChunks;
+        this.loaded = generation === this.generation;
+    }
+
+    /**
+     * Load the chunks if they changed since they were loaded
+     * @returns {Promise<void>}
+     */
+    async ensureLoaded() {
+        this.ensureConnected();
+
+        if (!this.loaded) {
+            await this.load();
+        }
+    }
+
+    /**
+     * Get the bytes the chunks may use, the quota less what the settings use or at least the reserved bytes
+     * @returns {Promise<number>} Available bytes
+     */
+    async getBudget() {
+        const ownKeys = [SYNC.CHROME_STORAGE.KEY, ...this.storedChunks.map((value, index) => this.getChunkKey(index))];
+        const totalBytes = await chrome.storage.sync.getBytesInUse(null);
+        const ownBytes = await chrome.storage.sync.getBytesInUse(ownKeys);
+        const otherBytes = Math.max(SYNC.CHROME_STORAGE.RESERVED_BYTES, totalBytes - ownBytes);
+
+        return SYNC.LIMITS.CHROME_STORAGE_QUOTA - otherBytes;
+    }
+
+    /**
+     * Get the bytes a chunk uses, counted like Chrome: key length plus JSON value length
+     * @param {Map<string, Object>} videos - Stored records by video ID
+     * @param {string[]} ids - Video IDs of the chunk
+     * @param {number} index - Chunk index
+     * @returns {number} Bytes in use
+     */
+    getChunkSize(videos, ids, index) {
+        const value = ids.map(videoId => this.encodeEntry(videoId, videos.get(videoId))).join(' ');
+        return this.getChunkKey(index).length + JSON.stringify(value).length;
+    }
+
+    /**
+     * Place the videos into chunks, keeping stored entries in their chunk so few chunks change
+     * New entries go into the first chunk with room, the oldest entries are evicted beyond the budget
+     * @param {Map<string, Object>} videos - Stored records by video ID
+     * @param {number} budget - Bytes the chunks may use
+     * @returns {{chunks: string[][], evicted: string[]}} Video IDs per chunk and evicted video IDs
+     */
+    layoutChunks(videos, budget) {
+        const itemMax = SYNC.LIMITS.CHROME_STORAGE_ITEM_MAX;
+        const chunks = this.chunks.map(ids => ids.filter(videoId => videos.has(videoId)));
+        const placed = new Set(chunks.flat());
+        const added = Array.from(videos.keys()).filter(videoId => !placed.has(videoId));
+        const sizes = chunks.map((ids, index) => this.getChunkSize(videos, ids, index));
+
+        // Entries that grew past the item limit are placed again
+        chunks.forEach((ids, index) => {
+            while (sizes[index] > itemMax) {
+                added.push(ids.pop());
+                sizes[index] = this.getChunkSize(videos, ids, index);
+            }
+        });
+
+        added.sort((a, b) => videos.get(a).intTimestamp - videos.get(b).intTimestamp);
+
+        for (const videoId of added) {
+            const entrySize = this.encodeEntry(videoId, videos.get(videoId)).length + 1;
+            const index = sizes.findIndex(size => size + entrySize <= itemMax);
+
+            if (index === -1) {
+                chunks.push([videoId]);
+                sizes.push(this.getChunkSize(videos, [videoId], chunks.length - 1));
+            } else {
+                chunks[index].push(videoId);
+                sizes[index] += entrySize;
+            }
+        }
+
+        const metaSize = SYNC.CHROME_STORAGE.KEY.length + String(chunks.length).length;
+        let total = metaSize + sizes.reduce((sum, size) => sum + size, 0);
+        const evicted = new Set();
+
+        if (total > budget) {
+            const chunkOf = new Map();
+            chunks.forEach((ids, index) => ids.forEach(videoId => chunkOf.set(videoId, index)));
+            const remaining = chunks.map(ids => ids.length);
+            const oldest = Array.from(chunkOf.keys()).sort((a, b) => videos.get(a).intTimestamp - videos.get(b).intTimestamp);
+
+            for (const videoId of oldest) {
+                if (total <= budget) {
+                    break;
+                }
+
+                const index = chunkOf.get(videoId);
+                remaining[index]--;
+                total -= this.encodeEntry(videoId, videos.get(videoId)).length + (remaining[index] > 0 ? 1 : 0);
+                evicted.add(videoId);
+            }
+        }
+
+        const result = chunks.map(ids => ids.filter(videoId => !evicted.has(videoId)));
+
+        // Empty chunks in between keep their key, the chunks after them would change otherwise
+        while (result.length > 0 && result[result.length - 1].length === 0) {
+            result.pop();
+        }
+
+        return { chunks: result, evicted: Array.from(evicted) };
+    }
+
+    /**
+     * Store the videos, writing only the chunks that changed
+     * @param {Map<string, Object>} videos - Stored records by video ID, evicted videos are removed from it
+     * @returns {Promise<void>}
+     */
+    async saveVideos(videos) {
+        this.budgetBytes = await this.getBudget();
+        const { chunks, evicted } = this.layoutChunks(videos, this.budgetBytes);
+
+        if (evicted.length > 0) {
+            evicted.forEach(videoId => videos.delete(videoId));
+            this.evictedVideos += evicted.length;
+            console.warn(`Chrome sync storage is full, removed the ${evicted.length} oldest videos`);
+        }
+
+        const encoded = chunks.map(ids => ids.map(videoId => this.encodeEntry(videoId, videos.get(videoId))).join(' '));
+        const changes = {};
+
+        encoded.forEach((value, index) => {
+            if (value !== this.storedChunks[index]) {
+                changes[this.getChunkKey(index)] = value;
+            }
+        });
+
+        if (encoded.length !== this.storedChunks.length) {
+            changes[SYNC.CHROME_STORAGE.KEY] = encoded.length;
+        }
+
+        const removed = this.storedChunks.slice(encoded.length).map((value, offset) => this.getChunkKey(encoded.length + offset));
+
+        if (Object.keys(changes).length > 0) {
+            await chrome.storage.sync.set(changes);
+        }
+
+        if (removed.length > 0) {
+            await chrome.storage.sync.remove(removed);
+        }
+
+        this.videos = videos;
+        this.chunks = chunks;
+        this.storedChunks = encoded;
+    }
+
+    /**
+     * Apply a write to the stored videos
+     * Writes within the write delay are stored together, Chrome limits how often sync storage may be written
+     * @param {(videos: Map<string, Object>) => *} mutation - Changes the records and returns the result of the write
+     * @returns {Promise<*>} Result of the mutation once stored
+     */
+    mutate(mutation) {
+        this.ensureConnected();
+
+        return new Promise((resolve, reject) => {
+            this.mutations.push({ mutation, resolve, reject });
+            this.scheduleSave();
+        });
+    }
+
+    /**
+     * Start storing the waiting writes after the write delay unless a write is running
+     */
+    scheduleSave() {
+        if (this.saving || this.mutations.length === 0) {
+            return;
+        }
+
+        this.saving = new Promise(resolve => setTimeout(resolve, SYNC.CHROME_STORAGE.WRITE_DELAY))
+            .then(() => this.saveMutations())
+            .finally(() => {
+                this.saving = null;
+                this.scheduleSave();
+            });
+    }
+
+    /**
+     * Store the waiting writes on top of the latest chunks, which include the changes of other devices
+     * @returns {Promise<void>}
+     */
+    async saveMutations() {
+        const batch = this.mutations.splice(0);
+
+        try {
+            if (!this.loaded) {
+                await this.load();
+            }
+
+            const videos = new Map(this.videos);
+            const results = batch.map(entry => entry.mutation(videos));
+
+            await this.saveVideos(videos);
+            batch.forEach((entry, index) => entry.resolve(results[index]));
+        } catch (error) {
+            console.error('Failed to write Chrome sync storage:', error.message);
+            this.loaded = false;
+            batch.forEach(entry => entry.reject(error));
+        }
+    }
+
+    async testConnection() {
+        try {
+            await this.load();
+            this.isConnected = true;
+            return true;
+        } catch (error) {
+            console.error('Chrome sync storage test failed:', error.message);
+            this.isConnected = false;
+            return false;
+        }
+    }
+
+    updateConnectionStatus() {
+        this.isConnected = this.isInitialized;
+    }
+
+    async getVideo(videoId) {
+        await this.ensureLoaded();
+        return this.toVideoRecord(videoId, this.videos.get(videoId));
+    }
+
+    /**
+     * Store or merge a video, keeping the latest watch time and the highest view count
+     * Every device shares the stored count, so no per-device counts are kept
+     * @param {Object} video - Video data
+     * @returns {Promise<boolean>} Success status
+     */
+    async putVideo(video) {
+        return await this.mutate((videos) => {
+            const existing = videos.get(video.strIdent);
+            const record = this.toStoredRecord(video);
+
+            videos.set(video.strIdent, existing ? {
+                intTimestamp: Math.max(existing.intTimestamp, record.intTimestamp),
+                intCount: Math.max(existing.intCount, record.intCount)
+            } : record);
+            return true;
+        });
+    }
+
+    async getAllVideos() {
+        await this.ensureLoaded();
+        return Array.from(this.videos, ([videoId, record]) => this.toVideoRecord(videoId, record));
+    }
+
+    async getVideoCount() {
+        await this.ensureLoaded();
+        return this.videos.size;
+    }
+
+    async clearAllVideos() {
+        return await this.mutate((videos) => {
+            videos.clear();
+            return true;
+        });
+    }
+
+    async deleteVideo(videoId) {
+        return await this.deleteVideos([videoId]);
+    }
+
+    /**
+     * Delete several videos
+     * Every device reads the same chunks, so no tombstones are needed
+     * @param {string[]} videoIds - YouTube video IDs
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteVideos(videoIds) {
+        if (!videoIds || videoIds.length === 0) {
+            return true;
+        }
+
+        return await this.mutate((videos) => {
+            videoIds.forEach(videoId => videos.delete(videoId));
+            return true;
+        });
+    }
+
+    /**
+     * Import several videos, the oldest are evicted when they do not fit
+     * @param {Array} videos - Video records
+     * @param {Object} [options] - Write options
+     * @param {boolean} [options.replace=false] - Store the records as they are instead of merging them
+     * @returns {Promise<boolean>} Success status
+     */
+    async importVideos(videos, { replace = false } = {}) {
+        if (!videos || videos.length === 0) {
+            return true;
+        }
+
+        return await this.mutate((stored) => {
+            for (const video of videos) {
+                const existing = stored.get(video.strIdent);
+                const record = this.toStoredRecord(video);
+
+                stored.set(video.strIdent, existing && !replace ? {
+                    intTimestamp: Math.max(existing.intTimestamp, record.intTimestamp),
+                    intCount: Math.max(existing.intCount, record.intCount)
+                } : record);
+            }
+            return true;
+        });
+    }
+
+    async getVideos(videoIds) {
+        await this.ensureLoaded();
+        return videoIds.filter(videoId => this.videos.has(videoId)).map(videoId => this.toVideoRecord(videoId, this.videos.get(videoId)));
+    }
+
+    /**
+     * Query the stored videos
+     * Titles are not stored, so title searches match nothing
+     * @param {import('./query-utils.js').VideoQuery} [options] - Query options
+     * @returns {Promise<import('./query-utils.js').VideoQueryResult>} Matching page and total count
+     */
+    async queryVideos(options = {}) {
+        await this.ensureLoaded();
+
+        const query = normalizeQuery(options);
+        const matches = [];
+
+        for (const [videoId, record] of this.videos) {
+            if ((query.startTimestamp !== null && record.intTimestamp < query.startTimestamp) ||
+                (query.endTimestamp !== null && record.intTimestamp > query.endTimestamp)) {
+                continue;
+            }
+
+            const video = this.toVideoRecord(videoId, record);
+            if (matchesQuery(video, query)) {
+                matches.push(video);
+            }
+        }
+
+        const sorted = query.rank && hasSearch(query)
+            ? rankVideos(matches, query.search)
+            : matches.sort((a, b) => query.order === 'asc' ? a.intTimestamp - b.intTimestamp : b.intTimestamp - a.intTimestamp);
+
+        const end = query.limit > 0 ? query.offset + query.limit : undefined;
+        return { videos: sorted.slice(query.offset, end), totalResults: sorted.length };
+    }
+
+    async searchVideos(query, limit = 100) {
+        const result = await this.queryVideos({ text: query, sortBy: 'relevance', limit });
+        return result.videos;
+    }
+
+    async getVideosByDateRange(startTimestamp, endTimestamp) {
+        const result = await this.queryVideos({ startTimestamp, endTimestamp });
+        return result.videos;
+    }
+
+    async getStatistics() {
+        await this.ensureLoaded();
+
+        let totalViews = 0;
+        let oldestTimestamp = 0;
+        let newestTimestamp = 0;
+
+        for (const record of this.videos.values()) {
+            totalViews += record.intCount;
+            oldestTimestamp = oldestTimestamp === 0 ? record.intTimestamp : Math.min(oldestTimestamp, record.intTimestamp);
+            newestTimestamp = Math.max(newestTimestamp, record.intTimestamp);
+        }
+
+        const totalVideos = this.videos.size;
+        return {
+            totalVideos,
+            oldestTimestamp,
+            newestTimestamp,
+            totalViews,
+            avgViewsPerVideo: totalVideos > 0 ? totalViews / totalVideos : 0
+        };
+    }
+
+    /**
+     * Close the provider once the waiting writes are stored
+     * @returns {Promise<boolean>} Success status
+     */
+    async close() {
+        while (this.saving) {
+            await this.saving;
+        }
+
+        this.isConnected = false;
+        this.isInitialized = false;
+        return true;
+    }
+
+    getProviderInfo() {
+        const usedBytes = this.storedChunks.reduce((sum, value, index) =>
+            sum + this.getChunkKey(index).length + JSON.stringify(value || '').length, 0);
+
+        return {
+            name: 'Chrome Sync',
+            type: 'remote',
+            isConnected: this.isConnected,
+            isInitialized: this.isInitialized,
+            videoCount: this.videos.size,
+            usedBytes,
+            budgetBytes: this.budgetBytes,
+            evictedVideos: this.evictedVideos
+        };
+    }
+}
+
+// Create singleton instance
+export const chromeSyncDatabaseProvider = new ChromeSyncDatabaseProvider();
@@ -15,6 +15,17 @@
  * @property {Object} INDEXES - Index definitions
  * @property {string} INDEXES.IDENT - Identity index name
  * @property {string} INDEXES.TIMESTAMP - Timestamp index name
+ * @property {string} INDEXES.COMPLETION - Completion ratio index name
+ * @property {string} INDEXES.TITLE_TOKENS - Inverted title word index name
+ * @property {string} EVENTS_STORE_NAME - Watch event object store name
+ * @property {Object} EVENTS_INDEXES - Watch event index definitions
+ * @property {string} TRASH_STORE_NAME - Deleted video object store name
+ * @property {Object} TRASH_INDEXES - Deleted video index definitions
+ * @property {string} MIGRATIONS_STORE_NAME - Applied schema migration object store name
+ * @property {string} OUTBOX_STORE_NAME - Local changes waiting to be synced object store name
+ * @property {string} TOMBSTONES_STORE_NAME - Deleted video marker object store name
+ * @property {Object} TOMBSTONES_INDEXES - Deleted video marker index definitions
+ * @property {string} WRITE_QUEUE_STORE_NAME - Supabase writes waiting for connectivity object store name
  */
 
 /**
@@ -22,7 +33,48 @@
  * @property {string} strIdent - YouTube video ID
  * @property {number} intTimestamp - Last watched timestamp
  * @property {string} strTitle - Video title
- * @property {number} intCount - View count
+ * @property {number} intCount - View count, the sum of objCounts
+ * @property {Object<string, number>} [objCounts] - Views per device ID, merged by taking the highest count per device
+ * @property {number} [intPosition] - Last playback position in seconds
+ * @property {number} [intDuration] - Video duration in seconds
+ * @property {number} [dblCompletion] - Furthest completion ratio reached (0.0 - 1.0)
+ * @property {string[]} [arrSources] - Detection sources that marked the video, from WATCH_SOURCES
+ * @property {number} [intUpdated] - Time of the last local change, set by tracked IndexedDB writes
+ * @property {Object} [objSynced] - Synced fields as they were after the last sync, the base of the merge policies
+ */
+
+/**
+ * @typedef {Object} WatchEvent
+ * @property {number} [intId] - Auto-incremented event ID (assigned by the store)
+ * @property {string} strIdent - YouTube video ID
+ * @property {number} intTimestamp - Time of the view
+ * @property {string} strSource - Detection source, one of WATCH_SOURCES
+ * @property {string} strDevice - ID of the device that recorded the view
+ */
+
+/**
+ * @typedef {Object} TrashEntry
+ * @property {string} strIdent - YouTube video ID
+ * @property {number} intDeleted - Time of the deletion
+ * @property {VideoRecord} objVideo - Deleted video record
+ * @property {WatchEvent[]} arrEvents - Deleted watch events of the video
+ */
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string} strIdent - ID of the changed video
+ * @property {number} intQueued - Time of the latest change waiting to be pushed
+ */
+
+/**
+ * @typedef {Object} QueuedWrite
+ * @property {number} [intId] - Auto-incremented queue position (assigned by the store)
+ * @property {string} strMethod - HTTP method of the request
+ * @property {string} strPath - PostgREST path of the request
+ * @property {Object|Array|null} objBody - Request body
+ * @property {Object} objHeaders - Additional request headers
+ * @property {Object<string, number>|null} [objBase] - View counts of a video row built while Supabase was unreachable, its new views are added to the stored row on replay
+ * @property {number} intQueued - Time the write was queued
  */
 
 /**
@@ -30,6 +82,9 @@
  * @property {Object} PROVIDERS - Available sync providers
  * @property {Object} INTERVALS - Sync interval constants
  * @property {Object} LIMITS - Sync limitations
+ * @property {Object} DELTA - Incremental sync settings
+ * @property {Object} DOCUMENT - Self-hosted document settings
+ * @property {Object} CHROME_STORAGE - Chrome sync storage layout
  */
 
 /**
@@ -38,12 +93,44 @@
  */
 export const DATABASE = {
     NAME: "Database",
-    VERSION: 401,
+    VERSION: 409,
     STORE_NAME: "storeDatabase",
     INDEXES: {
         IDENT: "strIdent",
-        TIMESTAMP: "intTimestamp"
-    }
+        TIMESTAMP: "intTimestamp",
+        COMPLETION: "dblCompletion",
+        TITLE_TOKENS: "arrTitleTokens"
+    },
+    EVENTS_STORE_NAME: "storeEvents",
+    EVENTS_INDEXES: {
+        IDENT: "strIdent",
+        TIMESTAMP: "intTimestamp",
+        UNIQUE_VIEW: "strIdent_intTimestamp_strSource"
+    },
+    TRASH_STORE_NAME: "storeTrash",
+    TRASH_INDEXES: {
+        DELETED: "intDeleted"
+    },
+    MIGRATIONS_STORE_NAME: "storeMigrations",
+    OUTBOX_STORE_NAME: "storeOutbox",
+    TOMBSTONES_STORE_NAME: "storeTombstones",
+    TOMBSTONES_INDEXES: {
+        UPDATED: "intUpdated"
+    },
+    WRITE_QUEUE_STORE_NAME: "storeWriteQueue",
+    DRY_RUN_NAME: "DatabaseDryRun"    // Scratch copy that migration dry runs upgrade, deleted afterwards
+};
+
+// Detection sources of a view
+export const WATCH_SOURCES = {
+    BROWSER_NAVIGATION: "browser-navigation",
+    BROWSER_HISTORY: "browser-history",
+    YOUTUBE_PROGRESS: "youtube-progress",
+    YOUTUBE_HISTORY: "youtube-history",
+    YOUTUBE_LIKED: "youtube-liked",
+    RATING: "rating",
+    IMPORT: "import",
+    UNKNOWN: "unknown"
 };
 
 // Storage Keys
@@ -59,6 +146,19 @@ export const STORAGE_KEYS = {
 
     // Database Provider
     DATABASE_PROVIDER: "database_provider",
+    DATABASE_MIRROR: "database_mirror",
+
+    // Remote change time up to which the last sync pulled
+    SYNC_WATERMARK: "sync_watermark",
+
+    // Device Identity
+    DEVICE_ID: "device_id",
+
+    // Progress of an interrupted streaming import, used to resume it
+    IMPORT_CHECKPOINT: "import_checkpoint",
+
+    // Applied Supabase schema versions, lets the provider start and queue writes while Supabase is unreachable
+    SUPABASE_SCHEMA: "supabase_schema",
 
     // Visualization Settings
     VISUALIZATION: {
@@ -67,7 +167,9 @@ export const STORAGE_KEYS = {
         SHOWBADGE: "idVisualization_Showbadge",
         SHOWDATE: "idVisualization_Showdate",
         HIDEPROGRESS: "idVisualization_Hideprogress",
-        SHOWPUBLISHDATE: "idVisualization_Showpublishdate"
+        SHOWPUBLISHDATE: "idVisualization_Showpublishdate",
+        MARKPARTIAL: "idVisualization_Markpartial",
+        PARTIALTHRESHOLD: "idVisualization_Partialthreshold"
     },
 
     // Condition Settings
@@ -83,7 +185,9 @@ export const STORAGE_KEYS = {
         GRAYOUT: "stylesheet_Grayout",
         SHOWBADGE: "stylesheet_Showbadge",
         SHOWDATE: "stylesheet_Showdate",
-        HIDEPROGRESS: "stylesheet_Hideprogress"
+        HIDEPROGRESS: "stylesheet_Hideprogress",
+        MARKPARTIAL: "stylesheet_Markpartial",
+        PARTIALBADGE: "stylesheet_Partialbadge"
     },
 
     // Supabase Configuration
@@ -137,6 +241,28 @@ export const SYNC = {
         CHROME_STORAGE_QUOTA: 102400, // 100KB
         CHROME_STORAGE_ITEM_MAX: 8192, // 8KB per item
         BATCH_SIZE: 100
+    },
+
+    DELTA: {
+        PAGE_SIZE: 1000, // Remote rows pulled per request
+        PUSH_BATCH_SIZE: 200, // Outbox entries pushed per request, their IDs go into the request URL
+        PULL_OVERLAP_MS: 300000 // 5 minutes, covers clock skew between devices writing updated_at
+    },
+
+    DOCUMENT: {
+        FORMATS: {
+            JSON: "json",
+            NDJSON: "ndjson"
+        },
+        MAX_CONFLICT_RETRIES: 5, // Reloads of a document another device saved first before a write fails
+        REFRESH_INTERVAL: 30000 // 30 seconds, reads revalidate the loaded document at most this often
+    },
+
+    CHROME_STORAGE: {
+        KEY: "wm_videos", // Number of chunks, the chunks are stored as wm_videos_0, wm_videos_1, ...
+        RESERVED_BYTES: 16384, // 16KB of the quota left to the settings
+        WRITE_DELAY: 2000, // Writes within 2 seconds are stored together, Chrome limits sync writes per minute and hour
+        TIMESTAMP_UNIT: 60000 // Timestamps are stored in minutes
     }
 };
 
@@ -146,13 +272,20 @@ export const ACTIONS = {
     YOUTUBE_LOOKUP: "youtube-lookup",
     YOUTUBE_ENSURE: "youtube-ensure",
     YOUTUBE_MARK: "youtube-mark",
+    YOUTUBE_PROGRESS: "youtube-progress",
     YOUTUBE_SYNCHRONIZE: "youtube-synchronize",
     YOUTUBE_LIKED_VIDEOS: "youtube-liked-videos",
 
     // Database Actions
     DATABASE_EXPORT: "database-export",
     DATABASE_IMPORT: "database-import",
+    DATABASE_INSPECT: "database-inspect",
+    DATABASE_IMPORT_START: "database-import-start",
+    DATABASE_IMPORT_BATCH: "database-import-batch",
+    DATABASE_IMPORT_FINISH: "database-import-finish",
+    DATABASE_IMPORT_CANCEL: "database-import-cancel",
     DATABASE_RESET: "database-reset",
+    DATABASE_MIGRATIONS: "database-migrations",
     DATABASE_SYNC_ENABLE: "database-sync-enable",
     DATABASE_SYNC_DISABLE: "database-sync-disable",
     DATABASE_SYNC_NOW: "database-sync-now",
@@ -161,11 +294,22 @@ export const ACTIONS = {
     // Provider Actions
     DATABASE_PROVIDER_STATUS: "database-provider-status",
     DATABASE_PROVIDER_SWITCH: "database-provider-switch",
+    DATABASE_PROVIDER_MIRROR: "database-provider-mirror",
     DATABASE_PROVIDER_SYNC: "database-provider-sync",
+    DATABASE_SYNC_CONFLICTS: "database-sync-conflicts",
 
     // Search Actions
     SEARCH_LOOKUP: "search-lookup",
     SEARCH_DELETE: "search-delete",
+    SEARCH_DELETE_MANY: "search-delete-many",
+
+    // Trash Actions
+    TRASH_LIST: "trash-list",
+    TRASH_RESTORE: "trash-restore",
+    TRASH_PURGE: "trash-purge",
+
+    // Watch Event Actions
+    WATCH_EVENTS_LOOKUP: "watch-events-lookup",
 
     // History Actions
     HISTORY_SYNCHRONIZE: "history-synchronize",
@@ -180,7 +324,19 @@ export const ACTIONS = {
     SUPABASE_TEST: "supabase-test",
     SUPABASE_CLEAR: "supabase-clear",
     SUPABASE_GET_CREDENTIALS: "supabase-get-credentials",
-    SUPABASE_GET_STATUS: "supabase-get-status"
+    SUPABASE_GET_STATUS: "supabase-get-status",
+    SUPABASE_SCHEMA_STATUS: "supabase-schema-status",
+    SUPABASE_SCHEMA_UPGRADE: "supabase-schema-upgrade",
+    SUPABASE_SIGN_IN: "supabase-sign-in",
+    SUPABASE_SEND_CODE: "supabase-send-code",
+    SUPABASE_VERIFY_CODE: "supabase-verify-code",
+    SUPABASE_SIGN_OUT: "supabase-sign-out",
+
+    // Custom Endpoint Actions
+    CUSTOM_CONFIGURE: "custom-configure",
+    CUSTOM_TEST: "custom-test",
+    CUSTOM_CLEAR: "custom-clear",
+    CUSTOM_GET_CONFIG: "custom-get-config"
 };
 
 // Error Messages
@@ -206,6 +362,85 @@ export const TIMEOUTS = {
     CHUNK_PROCESSING_DELAY: 150 // milliseconds delay between import chunks
 };
 
+// Watch Progress Configuration
+export const PROGRESS = {
+    FINISHED_THRESHOLD: 0.9,    // Completion ratio from which a video counts as finished
+    REPORT_INTERVAL: 15000,     // milliseconds between progress reports from the content script
+    STATES: {
+        PARTIAL: "partial",
+        FINISHED: "finished"
+    }
+};
+
+// Search Configuration
+export const SEARCH = {
+    DELETE_BATCH_SIZE: 100     // Videos deleted per batch by bulk deletes
+};
+
+// Trash Configuration
+export const TRASH = {
+    RETENTION_KEY: "idTrash_Retentiondays",
+    DEFAULT_RETENTION_DAYS: 30,
+    MIN_RETENTION_DAYS: 1,
+    MAX_RETENTION_DAYS: 365,
+    PURGE_INTERVAL_MINUTES: 60     // How often expired entries are purged
+};
+
+// Sync Merge Configuration
+export const MERGE = {
+    SETTINGS_KEY: "sync_merge_policy",     // chrome.storage.sync, {strPolicy, objRules}
+    REPORT_KEY: "sync_conflicts",          // chrome.storage.local, conflicts of the last sync
+    REPORT_LIMIT: 200,                     // Conflicts kept in the report
+    POLICIES: {
+        MERGE: "merge",                    // Combine both sides field by field
+        LAST_WRITER_WINS: "last-writer-wins",
+        KEEP_LOCAL: "keep-local",
+        KEEP_REMOTE: "keep-remote"
+    },
+    RULES: {
+        POLICY: "policy",                  // Follow the record policy
+        SUM: "sum"                         // View counts only, adds up the views of every device (objCounts)
+    },
+    FIELDS: {
+        TIMESTAMP: "timestamp",
+        COUNT: "count",                    // Sums across devices unless configured otherwise
+        TITLE: "title",
+        PROGRESS: "progress",
+        SOURCES: "sources"
+    }
+};
+
+// View Count Configuration
+export const VIEW_COUNTS = {
+    UNATTRIBUTED: "unattributed"   // Device key of views counted before devices were tracked
+};
+
+// Tombstone Configuration
+export const TOMBSTONES = {
+    RETENTION_DAYS: 90,            // Devices offline for longer may bring deleted videos back
+    GC_INTERVAL_MINUTES: 1440      // How often expired tombstones are collected
+};
+
+// Offline Write Queue Configuration
+export const WRITE_QUEUE = {
+    REPLAY_BATCH_SIZE: 50,         // Queued writes read per replay step
+    MAX_REPLAY_DELAY: 300000,      // milliseconds, upper bound of the replay backoff
+    REPLAY_INTERVAL_MINUTES: 5     // How often the alarm retries a queue left by a suspended worker
+};
+
+// Supabase Schema Configuration
+export const SUPABASE_SCHEMA = {
+    VERSION_TABLE: "watchmarker_schema",          // Applied schema versions
+    APPLY_FUNCTION: "watchmarker_apply_schema",   // Runs upgrade SQL for the service role
+    UPSERT_FUNCTION: "watchmarker_upsert_videos", // Bulk upsert of video records
+    SHARED_OWNER: "00000000-0000-0000-0000-000000000000" // user_id of rows written with the service role key
+};
+
+// Supabase Auth Configuration
+export const SUPABASE_AUTH = {
+    SESSION_REFRESH_MARGIN: 60000  // milliseconds, sessions expiring sooner are refreshed before a request
+};
+
 // Import/Export Configuration
 export const IMPORT_EXPORT = {
     MAX_RETRY_ATTEMPTS: 100,
@@ -213,7 +448,28 @@ export const IMPORT_EXPORT = {
     CHUNK_SIZE_MEDIUM: 750,     // For datasets > 10000 videos
     CHUNK_SIZE_SMALL: 1000,     // For datasets <= 10000 videos
     LARGE_DATASET_THRESHOLD: 50000,
-    MEDIUM_DATASET_THRESHOLD: 10000
+    MEDIUM_DATASET_THRESHOLD: 10000,
+
+    FORMATS: {
+        JSON: "json",     // Full backup, restored by the regular import
+        CSV: "csv",
+        NDJSON: "ndjson"  // One JSON object per line
+    },
+    DATE_FORMATS: {
+        ISO: "iso",       // 2024-01-31T12:00:00.000Z
+        EPOCH: "epoch"    // Milliseconds since 1970
+    },
+    // Columns of CSV and NDJSON exports, also the fields a CSV column can be mapped to on import
+    COLUMNS: ["id", "title", "watched", "count", "sources", "position", "duration", "completion", "url"],
+    DEFAULT_COLUMNS: ["id", "title", "watched", "count"],
+    PREVIEW_ROWS: 5,      // Rows shown next to the column mapping
+
+    // How imported records are written over the stored ones
+    STRATEGIES: {
+        MERGE: "merge",       // Keep the latest time and the highest count of both
+        REPLACE: "replace",   // Store the records of the file as they are
+        ONLY_NEW: "only-new"  // Leave stored videos untouched
+    }
 };
 
 // Default Values
@@ -224,7 +480,9 @@ export const DEFAULTS = {
         SHOWBADGE: "1",
         SHOWDATE: "1",
         HIDEPROGRESS: "0",
-        SHOWPUBLISHDATE: "0"
+        SHOWPUBLISHDATE: "0",
+        MARKPARTIAL: "1",
+        PARTIALTHRESHOLD: 90
     },
 
     CONDITIONS: {
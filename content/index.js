@@ -5,6 +5,12 @@
 class OptionsPageManager {
     constructor() {
         this.isInitialized = false;
+        this.pendingImport = null; // File waiting for its column mapping or for the import after its preview
+        this.importStream = null; // Streamed import of a large file in progress
+
+        // JSON backups and NDJSON files above this size are streamed to the background in batches
+        this.streamImportThreshold = 8 * 1024 * 1024;
+        this.streamImportBatchSize = 1000;
         this.themeToggle = null;
         this.bootstrap = null;
 
@@ -76,7 +82,7 @@ class OptionsPageManager {
     cacheElements() {
         const elementIds = [
             'theme-toggle', 'theme-icon', 'idDatabase_Size', 'provider_indexeddb',
-            'provider_supabase', 'enable_auto_sync', 'supabase-config',
+            'provider_supabase', 'provider_custom', 'provider_chrome', 'enable_auto_sync', 'supabase-config', 'custom-config',
             'supabase_url', 'supabase_api_key', 'supabase-setup-instructions',
             'copy-sql-button', 'search-icon', 'search-spinner', 'successToast', 'errorToast',
             'successToastMessage', 'errorToastMessage', 'sr-announcements'
@@ -112,7 +118,11 @@ class OptionsPageManager {
         this.providerIndexedDB = this.getElementById('provider_indexeddb');
         this.providerSupabase = this.getElementById('provider_supabase');
         this.enableAutoSync = this.getElementById('enable_auto_sync');
+        this.enableMirror = this.getElementById('enable_mirror');
         this.supabaseConfig = this.getElementById('supabase-config');
+        this.providerCustom = this.getElementById('provider_custom');
+        this.providerChrome = this.getElementById('provider_chrome');
+        this.customConfig = this.getElementById('custom-config');
 
         // Supabase configuration elements
         this.supabaseUrl = this.getElementById('supabase_url');
@@ -121,6 +131,14 @@ class OptionsPageManager {
         this.supabaseStatusIcon = document.getElementById('supabase-status-icon');
         this.supabaseStatusText = document.getElementById('supabase-status-text');
 
+        // Self-hosted endpoint elements
+        this.customUrl = this.getElementById('custom_url');
+        this.customFormat = this.getElementById('custom_format');
+        this.customUsername = this.getElementById('custom_username');
+        this.customPassword = this.getElementById('custom_password');
+        this.customStatus = this.getElementById('custom-status');
+        this.customStatusText = this.getElementById('custom-status-text');
+
         // Supabase setup instructions
         this.supabaseSetupInstructions = this.getElementById('supabase-setup-instructions');
         this.copySqlButton = this.getElementById('copy-sql-button');
@@ -153,12 +171,23 @@ class OptionsPageManager {
             this.getElementById('idDatabase_Export').addEventListener('click', () => this.exportDatabase());
             this.getElementById('idDatabase_Import').parentElement.querySelector('input[type=file]').addEventListener('change', (event) => this.importDatabase(event));
             this.getElementById('idDatabase_Reset').addEventListener('click', () => this.resetDatabase());
+            this.getElementById('idDatabase_ExportFormat').addEventListener('change', () => this.updateExportOptions());
+            this.getElementById('idDatabase_MappingImport').addEventListener('click', () => this.previewMappedFile());
+            this.getElementById('idDatabase_MappingCancel').addEventListener('click', () => this.cancelImport());
+            this.getElementById('idDatabase_ImportStrategy').addEventListener('change', () => this.renderImportPreview());
+            this.getElementById('idDatabase_PreviewImport').addEventListener('click', () => this.commitImport());
+            this.getElementById('idDatabase_PreviewCancel').addEventListener('click', () => this.cancelImport());
+            this.getElementById('idDatabase_ImportCancel').addEventListener('click', () => this.cancelStreamImport());
 
             // Database Provider
             this.getElementById('idDatabase_Sync').addEventListener('click', () => this.syncDatabases());
             this.providerIndexedDB.addEventListener('change', () => this.switchDatabaseProvider('indexeddb'));
             this.providerSupabase.addEventListener('change', () => this.switchDatabaseProvider('supabase'));
+            this.providerCustom.addEventListener('change', () => this.switchDatabaseProvider('custom'));
+            this.providerChrome.addEventListener('change', () => this.switchDatabaseProvider('chrome'));
             this.enableAutoSync.addEventListener('change', (event) => this.toggleAutoSync(event));
+            this.enableMirror.addEventListener('change', (event) => this.toggleMirror(event));
+            this.setupMergePolicyListeners();
             // YouTube Auto Sync removed - this functionality is now handled by Watch Detection Conditions - YouTube History
             // this.getElementById('enable_youtube_auto_sync').addEventListener('change', (event) => this.toggleYouTubeAutoSync(event));
 
@@ -166,9 +195,19 @@ class OptionsPageManager {
             this.getElementById('supabase_save').addEventListener('click', () => this.saveSupabaseConfig());
             this.getElementById('supabase_test').addEventListener('click', () => this.testSupabaseConnection());
             this.getElementById('supabase_clear').addEventListener('click', () => this.clearSupabaseConfig());
+            this.getElementById('supabase_sign_in').addEventListener('click', () => this.signInToSupabase());
+            this.getElementById('supabase_send_code').addEventListener('click', () => this.sendSupabaseSignInCode());
+            this.getElementById('supabase_verify_code').addEventListener('click', () => this.verifySupabaseSignInCode());
+            this.getElementById('supabase_sign_out').addEventListener('click', () => this.signOutOfSupabase());
+
+            // Self-hosted endpoint configuration
+            this.getElementById('custom_save').addEventListener('click', () => this.saveCustomConfig());
+            this.getElementById('custom_test').addEventListener('click', () => this.testCustomConnection());
+            this.getElementById('custom_clear').addEventListener('click', () => this.clearCustomConfig());
 
             // Supabase setup instructions
             this.copySqlButton.addEventListener('click', () => this.copySqlToClipboard());
+            this.getElementById('supabase_schema_upgrade').addEventListener('click', () => this.upgradeSupabaseSchema());
 
             // Toggle switches for conditions (using new form-switch format)
             this.setupToggleSwitch('idCondition_Brownav');
@@ -185,10 +224,16 @@ class OptionsPageManager {
             this.setupToggleSwitch('idVisualization_Showdate');
             this.setupToggleSwitch('idVisualization_Hideprogress');
             this.setupToggleSwitch('idVisualization_Showpublishdate');
+            this.setupToggleSwitch('idVisualization_Markpartial');
+            this.setupNumberSetting('idVisualization_Partialthreshold', 1, 100);
 
             // Search functionality
             this.setupSearchListeners();
 
+            // Recently deleted videos
+            this.setupNumberSetting('idTrash_Retentiondays', 1, 365);
+            this.setupTrashListeners();
+
             // Synchronization
             this.setupSynchronizationListeners();
 
@@ -219,16 +264,23 @@ class OptionsPageManager {
             currentPage: 1,
             pageSize: 50,
             totalResults: 0,
-            isSearching: false
+            isSearching: false,
+            selectedIds: new Set(),
+            selectAllMatching: false,
+            excludedIds: new Set()
         };
 
         // Search button click
-        searchButton.addEventListener('click', () => this.performSearch());
+        searchButton.addEventListener('click', () => {
+            this.clearSearchSelection();
+            this.performSearch();
+        });
 
         // Enter key search
         searchQuery.addEventListener('keypress', (event) => {
             if (event.key === 'Enter') {
                 event.preventDefault();
+                this.clearSearchSelection();
                 this.performSearch();
             }
         });
@@ -241,15 +293,26 @@ class OptionsPageManager {
             searchTimeout = setTimeout(() => {
                 const query = searchQuery.value.trim();
 
-                // Reset to first page when query changes
+                // Reset to first page and selection when query changes
                 this.searchState.currentPage = 1;
                 this.searchState.currentQuery = query;
+                this.clearSearchSelection();
 
                 // Always search (empty query shows all videos)
                 this.performSearch();
             }, 1000);
         });
 
+        this.getElementById('idSearch_Export').addEventListener('click', () => this.exportSearchResults());
+
+        // Source filter searches immediately
+        this.getElementById('idSearch_Source').addEventListener('change', () => {
+            this.searchState.currentPage = 1;
+            this.clearSearchSelection();
+            this.searchState.currentQuery = searchQuery.value.trim();
+            this.performSearch();
+        });
+
         // Prevent input expansion issues
         searchQuery.addEventListener('focus', (event) => {
             event.target.style.width = 'auto';
@@ -365,6 +428,55 @@ class OptionsPageManager {
         });
     }
 
+    /**
+     * Set up a numeric setting input stored in chrome.storage.sync
+     * @param {string} elementId - Input element ID (also the storage key)
+     * @param {number} min - Minimum accepted value
+     * @param {number} max - Maximum accepted value
+     */
+    setupNumberSetting(elementId, min, max) {
+        const inputElement = this.getElementById(elementId);
+        let storedValue = null;
+
+        inputElement.addEventListener('change', async () => {
+            const value = parseInt(inputElement.value, 10);
+
+            if (!Number.isInteger(value) || value < min || value > max) {
+                this.showError(`${this.getSettingDisplayName(elementId)} must be between ${min} and ${max}`);
+                inputElement.value = storedValue ?? '';
+                return;
+            }
+
+            try {
+                await chrome.storage.sync.set({ [elementId]: value });
+                storedValue = value;
+                this.showSuccess(`Setting ${this.getSettingDisplayName(elementId)} set to ${value}`);
+            } catch (error) {
+                console.error(`Error updating ${elementId}:`, JSON.stringify({
+                    error: error.message,
+                    errorName: error.name,
+                    errorStack: error.stack,
+                    elementId: elementId
+                }, null, 2));
+                inputElement.value = storedValue ?? '';
+                this.showError(`Failed to update ${this.getSettingDisplayName(elementId)} setting`);
+            }
+        });
+
+        // Initialize input value
+        chrome.storage.sync.get([elementId]).then(result => {
+            storedValue = result[elementId] ?? null;
+            inputElement.value = storedValue ?? '';
+        }).catch(error => {
+            console.error(`Error loading initial value for ${elementId}:`, JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack,
+                elementId: elementId
+            }, null, 2));
+        });
+    }
+
     /**
      * Get display name for a setting
      * @param {string} elementId - Element ID
@@ -383,7 +495,10 @@ class OptionsPageManager {
             'idVisualization_Showbadge': 'Show Badge',
             'idVisualization_Showdate': 'Show Date',
             'idVisualization_Hideprogress': 'Hide Progress Bar',
-            'idVisualization_Showpublishdate': 'Show Publication Date'
+            'idVisualization_Showpublishdate': 'Show Publication Date',
+            'idVisualization_Markpartial': 'Mark Partially Watched',
+            'idVisualization_Partialthreshold': 'Finished Threshold',
+            'idTrash_Retentiondays': 'Keep Deleted Videos'
         };
         return nameMap[elementId] || elementId;
     }
@@ -521,27 +636,35 @@ class OptionsPageManager {
 
     /**
      * Export database
+     * @param {Object|null} [filter] - Search query and filters limiting the export, read from the export options by default
      */
-    async exportDatabase() {
+    async exportDatabase(filter = this.getExportFilter()) {
         try {
+            const format = this.getElementById('idDatabase_ExportFormat').value;
             const response = await this.sendMessageWithRetry({
-                action: 'database-export'
+                action: 'database-export',
+                format,
+                dateFormat: this.getElementById('idDatabase_ExportDates').value,
+                columns: Array.from(document.querySelectorAll('.export-column:checked'), checkbox => checkbox.value),
+                ...filter
             });
 
             if (response && response.success) {
-                const blob = new Blob([response.data], { type: 'application/json' });
+                const blob = new Blob([response.data], { type: response.mimeType || 'application/json' });
                 const url = URL.createObjectURL(blob);
                 const a = document.createElement('a');
                 a.href = url;
-                a.download = `youtube-watchmarker-${new Date().toISOString().split('T')[0]}.database`;
+                a.download = `youtube-watchmarker-${new Date().toISOString().split('T')[0]}.${response.extension || 'database'}`;
                 document.body.appendChild(a);
                 a.click();
                 document.body.removeChild(a);
                 URL.revokeObjectURL(url);
 
-                this.showSuccess('Database exported successfully');
+                this.showSuccess(filter
+                    ? `Exported ${response.count} matching video${response.count !== 1 ? 's' : ''}`
+                    : 'Database exported successfully');
             } else {
-                this.showError('Failed to export database');
+                this.showError(response?.error || 'Failed to export database');
             }
         } catch (error) {
             console.error('Export error:', JSON.stringify({
@@ -553,8 +676,277 @@ class OptionsPageManager {
         }
     }
 
+    /**
+     * Read the export filters of the Database Operations section
+     * Dates cover whole days in local time
+     * @returns {Object|null} Query and filters, or null to export everything
+     */
+    getExportFilter() {
+        const from = this.getElementById('idDatabase_ExportFrom').value;
+        const to = this.getElementById('idDatabase_ExportTo').value;
+        const minCount = parseInt(this.getElementById('idDatabase_ExportMinCount').value, 10);
+
+        const filter = {
+            query: this.getElementById('idDatabase_ExportQuery').value.trim() || undefined,
+            startTimestamp: from ? new Date(`${from}T00:00:00`).getTime() : undefined,
+            endTimestamp: to ? new Date(`${to}T23:59:59.999`).getTime() : undefined,
+            source: this.getElementById('idDatabase_ExportSource').value || undefined,
+            minCount: Number.isFinite(minCount) && minCount > 0 ? minCount : undefined
+        };
+
+        return Object.values(filter).some(value => value !== undefined) ? filter : null;
+    }
+
+    /**
+     * Export the videos matching the current search
+     */
+    async exportSearchResults() {
+        await this.exportDatabase({
+            query: this.searchState.currentQuery || this.getElementById('idSearch_Query').value.trim(),
+            source: this.getElementById('idSearch_Source').value || undefined
+        });
+    }
+
+    /**
+     * Show the date format and column choices for CSV and NDJSON exports
+     */
+    updateExportOptions() {
+        const isTable = this.getElementById('idDatabase_ExportFormat').value !== 'json';
+        this.getElementById('idDatabase_ExportDatesGroup').classList.toggle('d-none', !isTable);
+        this.getElementById('idDatabase_ExportColumns').classList.toggle('d-none', !isTable);
+    }
+
+    /**
+     * Get the import format of a CSV or NDJSON file from its name
+     * @param {string} fileName - Name of the chosen file
+     * @returns {string|null} 'csv', 'ndjson' or null for other files
+     */
+    getTableFormat(fileName) {
+        const extension = fileName.split('.').pop().toLowerCase();
+        if (extension === 'csv' || extension === 'tsv') return 'csv';
+        if (extension === 'ndjson' || extension === 'jsonl') return 'ndjson';
+        return null;
+    }
+
+    /**
+     * Show the column mapping of a CSV or NDJSON file
+     * @param {string} fileName - Name of the chosen file
+     * @param {string} content - File content
+     * @param {string} format - 'csv' or 'ndjson'
+     */
+    async showImportMapping(fileName, content, format) {
+        const response = await this.sendMessageWithRetry({
+            action: 'database-inspect',
+            data: content,
+            format
+        });
+
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Failed to read the file');
+        }
+
+        const fieldNames = {
+            'id': 'Video ID',
+            'url': 'URL',
+            'title': 'Title',
+            'watched': 'Last watched',
+            'count': 'Views',
+            'sources': 'Sources',
+            'position': 'Position',
+            'duration': 'Duration',
+            'completion': 'Completion'
+        };
+
+        this.pendingImport = { fileName, content, format, headers: response.headers };
+        this.getElementById('idDatabase_MappingInfo').textContent =
+            `${fileName}: ${response.rows} row${response.rows !== 1 ? 's' : ''}. Choose the column holding each field; a video ID or URL is required.`;
+
+        this.getElementById('idDatabase_MappingFields').innerHTML = Object.entries(fieldNames).map(([field, name]) => `
+            <div class="col-6 col-md-4">
+                <label class="form-label small mb-1" for="idMapping_${field}">${name}</label>
+                <select class="form-select form-select-sm import-mapping-select" id="idMapping_${field}" data-mapping-field="${field}">
+                    <option value="">Not imported</option>
+                    ${response.headers.map((header, index) => `
+                        <option value="${index}" ${response.mapping[field] === header ? 'selected' : ''}>${this.escapeHtml(header)}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `).join('');
+
+        this.getElementById('idDatabase_MappingPreview').innerHTML = `
+            <thead class="table-secondary">
+                <tr>${response.headers.map(header => `<th>${this.escapeHtml(header)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${response.preview.map(row => `
+                    <tr>${row.map(cell => `<td>${this.escapeHtml(typeof cell === 'object' ? JSON.stringify(cell) : String(cell))}</td>`).join('')}</tr>
+                `).join('')}
+            </tbody>
+        `;
+
+        this.getElementById('idDatabase_Mapping').classList.remove('d-none');
+    }
+
+    /**
+     * Hide the column mapping
+     */
+    hideImportMapping() {
+        this.getElementById('idDatabase_Mapping').classList.add('d-none');
+        this.getElementById('idDatabase_MappingFields').innerHTML = '';
+        this.getElementById('idDatabase_MappingPreview').innerHTML = '';
+    }
+
+    /**
+     * Preview the import of the pending CSV or NDJSON file with the chosen column mapping
+     */
+    async previewMappedFile() {
+        if (!this.pendingImport) return;
+
+        const button = this.getElementById('idDatabase_MappingImport');
+        const mapping = {};
+        document.querySelectorAll('.import-mapping-select').forEach(select => {
+            if (select.value) {
+                mapping[select.dataset.mappingField] = this.pendingImport.headers[Number(select.value)];
+            }
+        });
+
+        if (!mapping.id && !mapping.url) {
+            this.showError('Choose the column holding the video ID or URL');
+            return;
+        }
+
+        try {
+            this.showButtonLoading(button, 'Comparing...');
+            this.pendingImport.mapping = mapping;
+            await this.showImportPreview();
+            this.hideImportMapping();
+        } catch (error) {
+            console.error('Import preview error:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            this.showError('Import failed: ' + error.message);
+        } finally {
+            this.hideButtonLoading(button);
+        }
+    }
+
+    /**
+     * Send the pending file to the background to import or preview it
+     * @param {Object} options - Merge strategy, and dryRun to only compare the file with the stored videos
+     * @returns {Promise<Object>} Successful response
+     */
+    async sendImportRequest(options) {
+        const { content, format, mapping } = this.pendingImport;
+        const response = await this.sendMessageWithRetry({
+            action: 'database-import',
+            data: content,
+            format,
+            mapping,
+            ...options
+        });
+
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Failed to import database');
+        }
+        return response;
+    }
+
+    /**
+     * Compare the pending file with the stored videos and show what importing it would change
+     * Nothing is written until the import is confirmed
+     */
+    async showImportPreview() {
+        const pending = this.pendingImport;
+        const report = pending.file
+            ? await this.streamImportFile(pending.file, { dryRun: true })
+            : (await this.sendImportRequest({ dryRun: true })).report;
+
+        // Cancelled while comparing
+        if (!report || this.pendingImport !== pending) {
+            if (this.pendingImport === pending) this.cancelImport();
+            return;
+        }
+
+        pending.report = report;
+        this.renderImportPreview();
+        this.getElementById('idDatabase_Preview').classList.remove('d-none');
+    }
+
+    /**
+     * Show the preview report for the chosen merge strategy
+     */
+    renderImportPreview() {
+        const report = this.pendingImport?.report;
+        if (!report) return;
+
+        const strategy = this.getElementById('idDatabase_ImportStrategy').value;
+        const changes = report.strategies[strategy];
+        const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+
+        this.getElementById('idDatabase_PreviewInfo').textContent =
+            `${this.pendingImport.fileName}: ${plural(report.total, 'record')}. Nothing has been written yet.`;
+
+        this.getElementById('idDatabase_PreviewSummary').innerHTML = `
+            <ul class="list-unstyled mb-0">
+                <li><i class="fas fa-plus text-success me-2"></i>${plural(report.new, 'new video')}</li>
+                <li>
+                    <i class="fas fa-pen text-primary me-2"></i>${plural(changes.updated, 'stored video')} updated
+                    (${plural(changes.timestamps, 'last watched time')}, ${plural(changes.counts, 'view count')}, ${plural(changes.titles, 'title')})
+                </li>
+                <li><i class="fas fa-equals text-muted me-2"></i>${plural(report.existing - changes.updated, 'stored video')} unchanged</li>
+                <li><i class="fas fa-ban text-danger me-2"></i>${plural(report.invalid, 'invalid record')} skipped</li>
+            </ul>
+        `;
+    }
+
+    /**
+     * Import the pending file with the chosen merge strategy
+     */
+    async commitImport() {
+        const pending = this.pendingImport;
+        if (!pending) return;
+
+        const button = this.getElementById('idDatabase_PreviewImport');
+        const strategy = this.getElementById('idDatabase_ImportStrategy').value;
+
+        try {
+            this.showButtonLoading(button, 'Importing...');
+
+            const response = pending.file
+                ? await this.streamImportFile(pending.file, { strategy })
+                : await this.sendImportRequest({ strategy });
+
+            this.cancelImport();
+            this.showSuccess(response.message || 'Database imported successfully');
+            await this.loadInitialData(); // Refresh displayed data
+        } catch (error) {
+            console.error('Import error:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            this.showError('Import failed: ' + error.message);
+        } finally {
+            this.hideButtonLoading(button);
+        }
+    }
+
+    /**
+     * Forget the pending file and hide its column mapping and preview
+     */
+    cancelImport() {
+        this.pendingImport = null;
+        this.hideImportMapping();
+        this.getElementById('idDatabase_Preview').classList.add('d-none');
+        this.getElementById('idDatabase_PreviewSummary').innerHTML = '';
+    }
+
     /**
      * Import database from file
+     * The file is first compared with the stored videos and imported once the preview is confirmed;
+     * the columns of CSV and NDJSON files are mapped before the preview
      * @param {Event} event - File input change event
      */
     async importDatabase(event) {
@@ -566,6 +958,13 @@ class OptionsPageManager {
 
         try {
             this.showButtonLoading(importButton, 'Reading file...');
+            this.cancelImport();
+
+            if (await this.canStreamImport(file)) {
+                this.pendingImport = { fileName: file.name, file };
+                await this.showImportPreview();
+                return;
+            }
 
             const fileContent = await this.readFileAsText(file);
 
@@ -579,17 +978,14 @@ class OptionsPageManager {
                 await new Promise(resolve => setTimeout(resolve, 100));
             }
 
-            const response = await this.sendMessageWithRetry({
-                action: 'database-import',
-                data: fileContent
-            });
-
-            if (response && response.success) {
-                this.showSuccess(response.message || 'Database imported successfully');
-                await this.loadInitialData(); // Refresh displayed data
-            } else {
-                this.showError(response?.error || 'Failed to import database');
+            const tableFormat = this.getTableFormat(file.name);
+            if (tableFormat) {
+                await this.showImportMapping(file.name, fileContent, tableFormat);
+                return;
             }
+
+            this.pendingImport = { fileName: file.name, content: fileContent };
+            await this.showImportPreview();
         } catch (error) {
             console.error('Import error:', JSON.stringify({
                 error: error.message,
@@ -603,6 +999,318 @@ class OptionsPageManager {
         }
     }
 
+    /**
+     * Check whether a file is a large JSON backup or NDJSON file to stream in batches
+     * Legacy base64 backups, Google Takeout HTML and CSV files are read at once
+     * @param {File} file - Chosen file
+     * @returns {Promise<boolean>} True if the file should be streamed
+     */
+    async canStreamImport(file) {
+        if (file.size <= this.streamImportThreshold || typeof file.stream !== 'function') {
+            return false;
+        }
+
+        if (this.getTableFormat(file.name) === 'ndjson') {
+            return true;
+        }
+
+        const start = (await file.slice(0, 1024).text()).replace(/^\uFEFF/, '').trimStart();
+        if (!/\.(json|database)$/i.test(file.name) || !(start.startsWith('{') || start.startsWith('['))) {
+            return false;
+        }
+
+        // Google Takeout's watch-history.json groups views over the whole file
+        const records = this.readFileRecords(file, 'json');
+        const first = await records.next();
+        await records.return();
+        return !first.done && 'strIdent' in Object(first.value.record);
+    }
+
+    /**
+     * Stream a large file to the background in batches over a port
+     * The background records every imported batch, so an import that was cancelled or
+     * interrupted resumes after the last imported batch when the same file is chosen again.
+     * A dry run only compares the batches with the stored videos and adds up their reports
+     * @param {File} file - Chosen file
+     * @param {Object} [options] - Import options
+     * @param {string} [options.strategy='merge'] - Merge strategy
+     * @param {boolean} [options.dryRun=false] - Only compare the file with the stored videos
+     * @returns {Promise<Object|null>} Finish or cancel response, or the preview report (null if the preview was cancelled)
+     */
+    async streamImportFile(file, { strategy = 'merge', dryRun = false } = {}) {
+        const format = this.getTableFormat(file.name) === 'ndjson' ? 'ndjson' : 'json';
+        const importId = `${file.name}:${file.size}:${file.lastModified}`;
+        const action = dryRun ? 'Comparing' : 'Importing';
+        const port = chrome.runtime.connect({ name: 'database-import' });
+        this.importStream = { cancelled: false };
+        this.showImportProgress(`${action} ${file.name}...`, 0);
+
+        try {
+            let skip = 0;
+            if (!dryRun) {
+                const start = await this.sendPortMessage(port, { action: 'database-import-start', importId });
+                if (start.records > 0 &&
+                    confirm(`Resume the import of ${file.name}? ${start.imported} videos of it were imported before it stopped.`)) {
+                    skip = start.records;
+                }
+            }
+
+            let batch = [];
+            let offset = skip;
+            let index = 0;
+            let bytesRead = 0;
+            let report = null;
+
+            const sendBatch = async () => {
+                const response = await this.sendPortMessage(port, {
+                    action: 'database-import-batch', importId, offset, videos: batch, strategy, dryRun
+                });
+                offset += batch.length;
+                batch = [];
+
+                if (dryRun) {
+                    report = this.addImportReports(report, response.report);
+                }
+                this.showImportProgress(`${action} ${file.name}: ${dryRun ? `${report.total} records compared` : `${response.imported} videos imported`}`, bytesRead / file.size);
+            };
+
+            for await (const next of this.readFileRecords(file, format)) {
+                if (this.importStream.cancelled) {
+                    break;
+                }
+
+                bytesRead = next.bytesRead;
+                if (index++ < skip) {
+                    continue;
+                }
+
+                const record = next.record;
+                for (const field of ['strTitle', 'title']) {
+                    if (record && typeof record[field] === 'string') {
+                        record[field] = this.fixUtf8DoubleEncoding(record[field]);
+                    }
+                }
+
+                batch.push(record);
+                if (batch.length >= this.streamImportBatchSize) {
+                    await sendBatch();
+                }
+            }
+
+            if (this.importStream.cancelled) {
+                return dryRun ? null : await this.sendPortMessage(port, { action: 'database-import-cancel', importId });
+            }
+
+            if (batch.length > 0 || offset === 0) {
+                await sendBatch();
+            }
+            return dryRun ? report : await this.sendPortMessage(port, { action: 'database-import-finish', importId });
+        } finally {
+            port.disconnect();
+            this.importStream = null;
+            this.hideImportProgress();
+        }
+    }
+
+    /**
+     * Add up the preview reports of streamed batches
+     * @param {Object|null} total - Report so far, null before the first batch
+     * @param {Object} report - Report of a batch
+     * @returns {Object} Combined report
+     */
+    addImportReports(total, report) {
+        if (!total) return report;
+
+        for (const [key, value] of Object.entries(report)) {
+            if (typeof value === 'number') {
+                total[key] += value;
+            } else {
+                this.addImportReports(total[key], value);
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Stop the streamed import after the batch being imported
+     */
+    cancelStreamImport() {
+        if (this.importStream) {
+            this.importStream.cancelled = true;
+            this.showImportProgress('Cancelling import...', null);
+        }
+    }
+
+    /**
+     * Send a message over a port and wait for its response
+     * @param {chrome.runtime.Port} port - Port to the background
+     * @param {Object} message - Message with an action
+     * @returns {Promise<Object>} Successful response
+     */
+    sendPortMessage(port, message) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                port.onMessage.removeListener(onMessage);
+                port.onDisconnect.removeListener(onDisconnect);
+            };
+            const onMessage = (response) => {
+                cleanup();
+                if (response && response.success) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response?.error || 'Import failed'));
+                }
+            };
+            const onDisconnect = () => {
+                cleanup();
+                reject(new Error('The connection to the extension was lost, choose the same file again to resume the import'));
+            };
+
+            port.onMessage.addListener(onMessage);
+            port.onDisconnect.addListener(onDisconnect);
+            port.postMessage(message);
+        });
+    }
+
+    /**
+     * Read the records of a JSON backup or an NDJSON file without loading the whole file
+     * JSON records are the objects of the "data" array, or of the top-level array of older backups
+     * @param {File} file - File to read
+     * @param {string} format - 'json' or 'ndjson'
+     * @returns {AsyncGenerator<{record: Object, bytesRead: number}>} Parsed records and the bytes read so far
+     */
+    async *readFileRecords(file, format) {
+        const reader = file.stream().getReader();
+        const decoder = new TextDecoder();
+        const state = { depth: 0, inString: false, escaped: false, stringStart: -1, lastString: '', recordDepth: null, start: -1 };
+        let buffer = '';
+        let position = 0;
+        let bytesRead = 0;
+        let lineNumber = 0;
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                bytesRead += value ? value.length : 0;
+                buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+                if (format === 'ndjson') {
+                    const lines = buffer.split('\n');
+                    buffer = done ? '' : lines.pop();
+
+                    for (const line of lines) {
+                        lineNumber++;
+                        if (line.trim() === '') continue;
+                        try {
+                            yield { record: JSON.parse(line), bytesRead };
+                        } catch (error) {
+                            if (!(error instanceof SyntaxError)) throw error;
+                            throw new Error(`Invalid JSON on line ${lineNumber}`);
+                        }
+                    }
+                } else {
+                    const records = [];
+                    position = this.scanJsonRecords(buffer, position, state, records);
+
+                    // Keep the unfinished record, or the key being read, for the next chunk
+                    const keep = state.start !== -1 ? state.start : (state.inString ? state.stringStart : buffer.length);
+                    buffer = buffer.slice(keep);
+                    position -= keep;
+                    state.start = state.start !== -1 ? state.start - keep : -1;
+                    state.stringStart = state.inString ? state.stringStart - keep : -1;
+
+                    for (const record of records) {
+                        yield { record, bytesRead };
+                    }
+                }
+
+                if (done) break;
+            }
+        } finally {
+            await reader.cancel();
+        }
+    }
+
+    /**
+     * Scan JSON text for the objects of the records array
+     * @param {string} text - Text read so far
+     * @param {number} position - Index to continue scanning at
+     * @param {Object} state - Scanner state kept between chunks
+     * @param {Array<Object>} records - Receives the complete records found
+     * @returns {number} Index scanning stopped at
+     */
+    scanJsonRecords(text, position, state, records) {
+        for (let i = position; i < text.length; i++) {
+            const char = text[i];
+
+            if (state.inString) {
+                if (state.escaped) {
+                    state.escaped = false;
+                } else if (char === '\\') {
+                    state.escaped = true;
+                } else if (char === '"') {
+                    state.inString = false;
+                    if (state.depth === 1 && state.start === -1) {
+                        state.lastString = text.slice(state.stringStart + 1, i);
+                    }
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                state.inString = true;
+                state.stringStart = i;
+            } else if (char === '{' || char === '[') {
+                if (state.recordDepth === null && char === '[') {
+                    // Records are the top-level array of older backups or the "data" array
+                    if (state.depth === 0) {
+                        state.recordDepth = 1;
+                    } else if (state.depth === 1 && state.lastString === 'data') {
+                        state.recordDepth = 2;
+                    }
+                } else if (char === '{' && state.depth === state.recordDepth && state.start === -1) {
+                    state.start = i;
+                }
+                state.depth++;
+            } else if (char === '}' || char === ']') {
+                state.depth--;
+                if (state.start !== -1 && state.depth === state.recordDepth) {
+                    records.push(JSON.parse(text.slice(state.start, i + 1)));
+                    state.start = -1;
+                } else if (state.recordDepth !== null && state.depth < state.recordDepth) {
+                    // The records array ended
+                    state.recordDepth = -1;
+                }
+            }
+        }
+
+        return text.length;
+    }
+
+    /**
+     * Show the progress of a streamed import
+     * @param {string} text - Progress text
+     * @param {number|null} ratio - Part of the file read, null to keep the bar
+     */
+    showImportProgress(text, ratio) {
+        this.getElementById('idDatabase_ImportProgressText').textContent = text;
+        if (ratio !== null) {
+            const percentage = Math.round(Math.min(ratio, 1) * 100);
+            const bar = this.getElementById('idDatabase_ImportProgressBar');
+            bar.style.width = `${percentage}%`;
+            bar.setAttribute('aria-valuenow', String(percentage));
+        }
+        this.getElementById('idDatabase_ImportProgress').classList.remove('d-none');
+    }
+
+    /**
+     * Hide the progress of a streamed import
+     */
+    hideImportProgress() {
+        this.getElementById('idDatabase_ImportProgress').classList.add('d-none');
+        this.getElementById('idDatabase_ImportProgressBar').style.width = '0%';
+    }
+
     /**
      * Read file as text using modern FileReader API with charset detection
      * @param {File} file - File to read
@@ -806,10 +1514,11 @@ class OptionsPageManager {
 
     /**
      * Switch database provider
-     * @param {string} provider - Provider type ('indexeddb' or 'supabase')
+     * @param {string} provider - Provider type ('indexeddb', 'supabase', 'custom' or 'chrome')
      */
     async switchDatabaseProvider(provider) {
         try {
+            this.customConfig.classList.toggle('d-none', provider !== 'custom');
 
             if (provider === 'supabase') {
                 // Show Supabase configuration panel
@@ -830,14 +1539,7 @@ class OptionsPageManager {
                             this.updateSupabaseStatus('success', 'Credentials valid. Switching to Supabase…');
                             try {
                                 await this.actuallySwitchProvider('supabase');
-                                const tableExists = await this.checkTableExists();
-                                if (tableExists) {
-                                    this.updateSupabaseStatus('success', 'Connected to Supabase. Table is ready.');
-                                    this.hideSetupInstructions();
-                                } else {
-                                    this.updateSupabaseStatus('warning', 'Connected to Supabase. Table setup required (see instructions below).');
-                                    this.showSetupInstructions();
-                                }
+                                await this.checkSupabaseSchema('Connected to Supabase. Table is ready.', 'Connected to Supabase. Table setup required (see instructions below).');
                             } catch (switchError) {
                                 this.updateSupabaseStatus('danger', `Switch failed: ${switchError.message}`);
                             }
@@ -854,13 +1556,25 @@ class OptionsPageManager {
                     this.updateSupabaseStatus('secondary', 'Enter your Supabase URL and Service Role key, then click Save or Test.');
                     this.showSetupInstructions();
                 }
-            } else {
+            } else if (provider === 'custom') {
                 this.supabaseConfig.classList.add('d-none');
-                // Hide setup instructions when switching away from Supabase
                 this.hideSetupInstructions();
 
-                // Switch to IndexedDB immediately since no configuration is needed
-                await this.actuallySwitchProvider('indexeddb');
+                // Switch right away when an endpoint is saved, otherwise wait for Save
+                if (await this.loadCustomConfig()) {
+                    this.updateCustomStatus('info', 'Loading the history document…');
+                    await this.actuallySwitchProvider('custom');
+                    this.updateCustomStatus('success', 'Connected to your server.');
+                } else {
+                    this.updateCustomStatus('secondary', 'Enter the URL of your history document, then click Save & Switch.');
+                }
+            } else {
+                this.supabaseConfig.classList.add('d-none');
+                // Hide setup instructions when switching away from Supabase
+                this.hideSetupInstructions();
+
+                // Switch to IndexedDB or Chrome sync immediately since no configuration is needed
+                await this.actuallySwitchProvider(provider === 'chrome' ? 'chrome' : 'indexeddb');
             }
         } catch (error) {
             console.error('Error switching provider UI:', JSON.stringify({
@@ -871,11 +1585,18 @@ class OptionsPageManager {
             this.showError('Failed to switch provider: ' + error.message);
 
             // Revert radio button selection
-            if (provider === 'supabase') {
+            if (provider === 'custom') {
+                // Keep the endpoint panel open so the user can fix the configuration
+                this.updateCustomStatus('danger', `Switch failed: ${error.message}`);
+                this.customConfig.classList.remove('d-none');
+            } else if (provider === 'supabase') {
                 // Keep Supabase panel open so the user can input credentials
                 this.providerIndexedDB.checked = false;
                 this.providerSupabase.checked = true;
                 this.supabaseConfig.classList.remove('d-none');
+            } else if (provider === 'chrome') {
+                // The background fell back to IndexedDB
+                await this.updateProviderStatus();
             } else {
                 this.providerIndexedDB.checked = false;
                 this.providerSupabase.checked = true;
@@ -885,7 +1606,7 @@ class OptionsPageManager {
 
     /**
      * Actually switch the database provider in the background
-     * @param {string} provider - Provider type ('indexeddb' or 'supabase')
+     * @param {string} provider - Provider type ('indexeddb', 'supabase', 'custom' or 'chrome')
      */
     async actuallySwitchProvider(provider) {
         const response = await this.sendMessageWithRetry({
@@ -894,7 +1615,8 @@ class OptionsPageManager {
         });
 
         if (response && response.success) {
-            this.showSuccess(`Successfully switched to ${provider === 'indexeddb' ? 'Local Storage' : 'Supabase'}`);
+            const names = { indexeddb: 'Local Storage', supabase: 'Supabase', custom: 'your server', chrome: 'Chrome Sync' };
+            this.showSuccess(`Successfully switched to ${names[provider] || provider}`);
             await this.updateDatabaseSize();
             return true;
         } else {
@@ -902,6 +1624,35 @@ class OptionsPageManager {
         }
     }
 
+    /**
+     * Toggle mirroring local writes to Supabase
+     * @param {Event} event - Change event
+     */
+    async toggleMirror(event) {
+        const isEnabled = event.target.checked;
+
+        try {
+            const response = await this.sendMessageWithRetry({
+                action: 'database-provider-mirror',
+                enabled: isEnabled
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to change the mirror mode');
+            }
+
+            this.showSuccess(isEnabled ? 'Changes are now mirrored to Supabase' : 'Changes are no longer mirrored to Supabase');
+        } catch (error) {
+            console.error('Error toggling mirror mode:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            this.showError('Failed to change the mirror mode: ' + error.message);
+            event.target.checked = !isEnabled;
+        }
+    }
+
     /**
      * Toggle automatic synchronization
      * @param {Event} event - Change event
@@ -949,6 +1700,202 @@ class OptionsPageManager {
         }
     }
 
+    /**
+     * Set up the conflict resolution settings and report
+     */
+    setupMergePolicyListeners() {
+        this.getElementById('idSync_Policy').addEventListener('change', () => this.saveMergePolicy());
+        document.querySelectorAll('.merge-rule-select').forEach(select => {
+            select.addEventListener('change', () => this.saveMergePolicy());
+        });
+
+        // Every sync, manual or automatic, replaces the report
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.sync_conflicts) {
+                this.loadConflictReport();
+            }
+        });
+    }
+
+    /**
+     * Load the merge policy into the conflict resolution settings
+     */
+    async loadMergePolicy() {
+        try {
+            const result = await chrome.storage.sync.get(['sync_merge_policy']);
+            const policy = result.sync_merge_policy || {};
+
+            this.getElementById('idSync_Policy').value = policy.strPolicy || 'merge';
+            document.querySelectorAll('.merge-rule-select').forEach(select => {
+                select.value = policy.objRules?.[select.getAttribute('data-merge-field')] || select.getAttribute('data-default-rule') || 'policy';
+            });
+        } catch (error) {
+            console.error('Error loading merge policy:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+        }
+    }
+
+    /**
+     * Save the conflict resolution settings, used from the next sync on
+     */
+    async saveMergePolicy() {
+        try {
+            const objRules = {};
+            document.querySelectorAll('.merge-rule-select').forEach(select => {
+                objRules[select.getAttribute('data-merge-field')] = select.value;
+            });
+
+            await chrome.storage.sync.set({
+                sync_merge_policy: {
+                    strPolicy: this.getElementById('idSync_Policy').value,
+                    objRules
+                }
+            });
+            this.showSuccess('Conflict resolution saved');
+        } catch (error) {
+            console.error('Error saving merge policy:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            this.showError('Failed to save conflict resolution');
+        }
+    }
+
+    /**
+     * Load and display the conflicts of the last sync
+     */
+    async loadConflictReport() {
+        const conflictResults = this.getElementById('idSync_Conflicts');
+
+        try {
+            const response = await this.sendMessageWithRetry({
+                action: 'database-sync-conflicts'
+            });
+
+            if (response && response.success) {
+                this.displayConflictReport(response.report);
+            } else {
+                conflictResults.innerHTML = `<div class="alert alert-warning mb-0"><i class="fas fa-exclamation-triangle me-2"></i>Could not load the conflict report</div>`;
+            }
+        } catch (error) {
+            console.error('Error loading conflict report:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            conflictResults.innerHTML = `<div class="alert alert-warning mb-0"><i class="fas fa-exclamation-triangle me-2"></i>Could not load the conflict report</div>`;
+        }
+    }
+
+    /**
+     * Display the conflicts of the last sync
+     * @param {Object|null} report - Conflict report, null before the first sync
+     */
+    displayConflictReport(report) {
+        const conflictResults = this.getElementById('idSync_Conflicts');
+
+        if (!report) {
+            conflictResults.innerHTML = `<small class="text-muted">No sync has run yet.</small>`;
+            return;
+        }
+
+        const syncedAt = this.formatDateForTable(new Date(report.intTimestamp));
+        if (report.intTotal === 0) {
+            conflictResults.innerHTML = `<small class="text-muted">No conflicts during the last sync (${syncedAt}).</small>`;
+            return;
+        }
+
+        const policyNames = {
+            'merge': 'Merge',
+            'last-writer-wins': 'Last writer wins',
+            'keep-local': 'Keep this device',
+            'keep-remote': 'Keep Supabase'
+        };
+        const shown = report.arrConflicts.length < report.intTotal ? `, showing the first ${report.arrConflicts.length}` : '';
+
+        conflictResults.innerHTML = `
+            <div class="small text-muted mb-2">
+                <i class="fas fa-code-branch me-1"></i>
+                ${report.intTotal} video${report.intTotal !== 1 ? 's' : ''} changed differently on both sides during the last sync (${syncedAt}),
+                resolved with ${this.escapeHtml(policyNames[report.strPolicy] || report.strPolicy)}${shown}
+            </div>
+            <div class="table-responsive" style="max-height: 20rem;">
+                <table class="table table-sm table-striped mb-0">
+                    <thead class="table-secondary">
+                        <tr>
+                            <th>Title</th>
+                            <th>Field</th>
+                            <th>This device</th>
+                            <th>Supabase</th>
+                            <th>Kept</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.arrConflicts.map(conflict => conflict.arrFields.map((field, index) => `
+                            <tr>
+                                <td>
+                                    ${index === 0 ? `
+                                        <a href="https://www.youtube.com/watch?v=${conflict.strIdent}" target="_blank" class="text-decoration-none">
+                                            ${this.escapeHtml(conflict.strTitle || 'Untitled Video')}
+                                        </a>
+                                    ` : ''}
+                                </td>
+                                <td>${this.escapeHtml(this.getConflictFieldDisplayName(field.strField))}</td>
+                                <td>${this.escapeHtml(this.formatConflictValue(field.strField, field.local))}</td>
+                                <td>${this.escapeHtml(this.formatConflictValue(field.strField, field.remote))}</td>
+                                <td class="fw-medium">${this.escapeHtml(this.formatConflictValue(field.strField, field.merged))}</td>
+                            </tr>
+                        `).join('')).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Get the display name of a conflicting record field
+     * @param {string} field - Record field
+     * @returns {string} Display name
+     */
+    getConflictFieldDisplayName(field) {
+        const nameMap = {
+            'intTimestamp': 'Last watched',
+            'intCount': 'View count',
+            'strTitle': 'Title',
+            'intPosition': 'Position',
+            'intDuration': 'Duration',
+            'dblCompletion': 'Completion',
+            'arrSources': 'Sources'
+        };
+        return nameMap[field] || field;
+    }
+
+    /**
+     * Format a value of a conflicting record field
+     * @param {string} field - Record field
+     * @param {*} value - Field value
+     * @returns {string} Formatted value
+     */
+    formatConflictValue(field, value) {
+        if (value === undefined || value === null || value === '') {
+            return '-';
+        }
+        if (field === 'intTimestamp') {
+            return this.formatDateForTable(new Date(value));
+        }
+        if (field === 'dblCompletion') {
+            return `${Math.round(value * 100)}%`;
+        }
+        if (Array.isArray(value)) {
+            return value.map(source => this.getWatchSourceDisplayName(source)).join(', ');
+        }
+        return String(value);
+    }
+
     /**
      * Sync databases between providers
      */
@@ -1045,14 +1992,7 @@ class OptionsPageManager {
                     this.updateSupabaseStatus('success', 'Credentials valid. Switching to Supabase…');
                     try {
                         await this.actuallySwitchProvider('supabase');
-                        const tableExists = await this.checkTableExists();
-                        if (tableExists) {
-                            this.updateSupabaseStatus('success', 'Connected to Supabase. Table is ready.');
-                            this.hideSetupInstructions();
-                        } else {
-                            this.updateSupabaseStatus('warning', 'Connected to Supabase. Table setup required (see instructions below).');
-                            this.showSetupInstructions();
-                        }
+                        await this.checkSupabaseSchema('Connected to Supabase. Table is ready.', 'Connected to Supabase. Table setup required (see instructions below).');
                     } catch (switchError) {
                         console.error('Failed to switch to Supabase after configuration:', JSON.stringify({
                             error: switchError.message,
@@ -1091,17 +2031,8 @@ class OptionsPageManager {
             });
 
             if (response && response.success) {
-                // Check if table exists after successful connection
-                const tableExists = await this.checkTableExists();
-
-                if (tableExists) {
-                    this.updateSupabaseStatus('success', response.message || 'Connection successful - table is ready!');
-                    // Hide setup instructions if connection and table are both OK
-                    this.hideSetupInstructions();
-                } else {
-                    this.updateSupabaseStatus('warning', 'Connection successful, but table setup is required. See instructions below.');
-                    this.showSetupInstructions();
-                }
+                // Check the table and its schema version after successful connection
+                await this.checkSupabaseSchema(response.message || 'Connection successful - table is ready!', 'Connection successful, but table setup is required. See instructions below.');
             } else {
                 this.updateSupabaseStatus('danger', 'Connection test failed: ' + (response?.error || 'Connection failed'));
             }
@@ -1134,6 +2065,7 @@ class OptionsPageManager {
                 // Clear form fields
                 this.supabaseUrl.value = '';
                 this.supabaseApiKey.value = '';
+                this.updateSupabaseAccount(null);
 
                 this.showSuccess('Supabase configuration cleared');
 
@@ -1215,6 +2147,105 @@ class OptionsPageManager {
         }
     }
 
+    /**
+     * Check the Supabase table and schema version, and show the setup instructions when something is missing
+     * @param {string} readyText - Status shown when the schema is up to date
+     * @param {string} setupText - Status shown when the table does not exist
+     */
+    async checkSupabaseSchema(readyText, setupText) {
+        const schema = await this.loadSchemaStatus();
+        // The schema status also covers the video table, the table check is the fallback
+        const tableExists = schema ? !schema.arrMissing.some(step => step.intVersion === 1) : await this.checkTableExists();
+
+        if (!tableExists) {
+            this.updateSupabaseStatus('warning', setupText);
+            this.showSetupInstructions();
+        } else if (schema && schema.arrMissing.length > 0) {
+            this.updateSupabaseStatus('warning', `${readyText} Schema version ${schema.intVersion} of ${schema.intLatest}, upgrade available (see instructions below).`);
+            this.showSetupInstructions();
+        } else {
+            this.updateSupabaseStatus('success', readyText);
+            // Hide setup instructions if connection and schema are both OK
+            this.hideSetupInstructions();
+        }
+    }
+
+    /**
+     * Load the Supabase schema status and fill the setup instructions with the missing upgrades and their SQL
+     * @returns {Promise<Object|null>} Schema status, null if it could not be checked
+     */
+    async loadSchemaStatus() {
+        try {
+            const response = await this.sendMessageWithRetry({
+                action: 'supabase-schema-status'
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to check the schema');
+            }
+
+            const schema = response.schema;
+            this.getElementById('supabase-schema-version').textContent = String(schema.intVersion);
+            this.getElementById('supabase-schema-latest').textContent = String(schema.intLatest);
+            this.getElementById('supabase-schema-summary').classList.toggle('d-none', schema.arrMissing.length === 0);
+
+            const stepList = this.getElementById('supabase-schema-steps');
+            stepList.replaceChildren(...schema.arrMissing.map((step) => {
+                const item = document.createElement('li');
+                item.textContent = `Version ${step.intVersion}: ${step.strDescription} (${step.arrObjects.join(', ')})`;
+                return item;
+            }));
+
+            // Upgrades that would lock out the anon key are held back until the user signs in
+            const warning = this.getElementById('supabase-schema-warning');
+            warning.textContent = schema.strWarning || '';
+            warning.classList.toggle('d-none', !schema.strWarning);
+
+            this.getElementById('supabase-sql-code').textContent = schema.strSql;
+            this.getElementById('supabase_schema_upgrade').classList.toggle('d-none', !schema.canApply);
+
+            return schema;
+        } catch (error) {
+            console.error('Error checking the Supabase schema:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            return null;
+        }
+    }
+
+    /**
+     * Apply the missing Supabase schema upgrades
+     */
+    async upgradeSupabaseSchema() {
+        const upgradeButton = this.getElementById('supabase_schema_upgrade');
+
+        try {
+            this.showButtonLoading(upgradeButton, 'Upgrading...');
+
+            const response = await this.sendMessageWithRetry({
+                action: 'supabase-schema-upgrade'
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to upgrade the schema');
+            }
+
+            this.showSuccess(`Supabase schema upgraded to version ${response.schema.intVersion}`);
+            await this.checkSupabaseSchema('Connected to Supabase. Schema is up to date.', 'Connected to Supabase. Table setup required (see instructions below).');
+        } catch (error) {
+            console.error('Error upgrading the Supabase schema:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            this.showError('Failed to upgrade the schema: ' + error.message);
+        } finally {
+            this.hideButtonLoading(upgradeButton);
+        }
+    }
+
     /**
      * Update the Supabase status strip in the UI
      * @param {('secondary'|'info'|'success'|'warning'|'danger')} level
@@ -1282,104 +2313,378 @@ class OptionsPageManager {
     }
 
     /**
-     * Load existing Supabase configuration
+     * Show a message in the self-hosted endpoint status strip
+     * @param {string} level - Bootstrap alert level
+     * @param {string} text - Message
      */
-    async loadSupabaseConfig() {
+    updateCustomStatus(level, text) {
+        this.customStatus.className = `alert alert-${level} mt-3`;
+        this.customStatusText.textContent = text;
+    }
+
+    /**
+     * Load the saved self-hosted endpoint into the form
+     * @returns {Promise<boolean>} Whether an endpoint is saved
+     */
+    async loadCustomConfig() {
+        const response = await this.sendMessageWithRetry({ action: 'custom-get-config' });
+        const endpoint = response && response.success ? response.endpoint : null;
+
+        this.customUrl.value = endpoint ? endpoint.strUrl : '';
+        this.customFormat.value = endpoint ? endpoint.strFormat : 'json';
+        this.customUsername.value = endpoint ? endpoint.strUsername || '' : '';
+        this.customPassword.value = '';
+        this.customPassword.placeholder = endpoint && endpoint.hasPassword ? 'Saved, leave empty to keep it' : '';
+
+        return endpoint !== null;
+    }
+
+    /**
+     * Ask for access to the server of the endpoint
+     * Must run before anything else is awaited, Chrome only asks while the click is being handled
+     * @param {string} url - Document URL
+     * @returns {Promise<boolean>} Whether access was granted
+     */
+    async requestEndpointPermission(url) {
+        let origin;
         try {
-            // Get masked credentials for display
-            const credentialsResponse = await this.sendMessageWithRetry({
-                action: 'supabase-get-credentials'
-            });
+            origin = new URL(url).origin;
+        } catch {
+            throw new Error('Please provide a valid document URL');
+        }
 
-            if (credentialsResponse && credentialsResponse.success && credentialsResponse.credentials) {
-                const credentials = credentialsResponse.credentials;
+        return await chrome.permissions.request({ origins: [`${origin}/*`] });
+    }
 
-                // Display current configuration
-                this.currentUrl.textContent = credentials.supabaseUrl || '-';
-                this.currentApiKey.textContent = credentials.apiKey || '-';
+    /**
+     * Save the self-hosted endpoint and switch to it
+     */
+    async saveCustomConfig() {
+        const saveButton = this.getElementById('custom_save');
 
-                this.currentConfig.classList.remove('d-none');
-            } else {
-                this.currentConfig.classList.add('d-none');
+        try {
+            const endpoint = {
+                strUrl: this.customUrl.value.trim(),
+                strFormat: this.customFormat.value,
+                strUsername: this.customUsername.value.trim(),
+                strPassword: this.customPassword.value
+            };
+
+            if (!(await this.requestEndpointPermission(endpoint.strUrl))) {
+                throw new Error('Access to the server was not granted');
             }
 
+            this.showButtonLoading(saveButton, 'Saving...');
+
+            const response = await this.sendMessageWithRetry({
+                action: 'custom-configure',
+                ...endpoint
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to save configuration');
+            }
 
+            // Clear sensitive fields for security
+            this.customPassword.value = '';
 
+            this.updateCustomStatus('info', 'Loading the history document…');
+            await this.actuallySwitchProvider('custom');
+            this.providerCustom.checked = true;
+            this.updateCustomStatus('success', 'Connected to your server.');
         } catch (error) {
-            console.error('Error loading Supabase config:', JSON.stringify({
+            console.error('Error saving the endpoint:', JSON.stringify({
                 error: error.message,
                 errorName: error.name,
                 errorStack: error.stack
             }, null, 2));
-            this.currentConfig.classList.add('d-none');
+            this.updateCustomStatus('danger', 'Failed to save configuration: ' + error.message);
+        } finally {
+            this.hideButtonLoading(saveButton);
         }
     }
 
     /**
-     * Synchronize browser history
+     * Test the saved self-hosted endpoint
      */
-    async syncBrowserHistory() {
-        const syncButton = this.getElementById('sync-history');
+    async testCustomConnection() {
+        const testButton = this.getElementById('custom_test');
 
         try {
-            this.showButtonLoading(syncButton, 'Syncing...');
+            if (!(await this.requestEndpointPermission(this.customUrl.value.trim()))) {
+                throw new Error('Access to the server was not granted');
+            }
 
-            const response = await this.sendMessageWithRetry({
-                action: 'history-synchronize'
-            });
+            this.showButtonLoading(testButton, 'Testing...');
 
+            const response = await this.sendMessageWithRetry({ action: 'custom-test' });
             if (response && response.success) {
-                const videoCount = response.videoCount || 0;
-                this.showSuccess(`Browser history synchronized! Added ${videoCount} videos.`);
-                await this.updateDatabaseSize();
-
-                // Refresh search results to show newly added videos
-                if (videoCount > 0) {
-                    await this.performSearch();
-                }
+                const info = response.info || {};
+                this.updateCustomStatus('success', `Connection successful, ${info.videoCount || 0} videos in the document.`);
             } else {
-                const errorMessage = response?.error || 'History synchronization failed';
-
-                // Show more user-friendly error messages
-                if (errorMessage.includes('Database not initialized') || errorMessage.includes('Extension not fully initialized')) {
-                    this.showError('Extension is still initializing. Please wait a moment and try again.');
-                } else {
-                    this.showError('History sync failed: ' + errorMessage);
-                }
+                this.updateCustomStatus('danger', 'Connection test failed: ' + (response?.error || 'Connection failed'));
             }
         } catch (error) {
-            console.error('Error syncing browser history:', JSON.stringify({
+            console.error('Error testing the endpoint:', JSON.stringify({
                 error: error.message,
                 errorName: error.name,
                 errorStack: error.stack
             }, null, 2));
-
-            // Show more user-friendly error messages
-            if (error.message.includes('Database not initialized') || error.message.includes('Extension not fully initialized')) {
-                this.showError('Extension is still initializing. Please wait a moment and try again.');
-            } else {
-                this.showError('History sync failed: ' + error.message);
-            }
+            this.updateCustomStatus('danger', 'Connection test failed: ' + error.message);
         } finally {
-            this.hideButtonLoading(syncButton);
+            this.hideButtonLoading(testButton);
         }
     }
 
     /**
-     * Synchronize YouTube history
+     * Clear the self-hosted endpoint and switch back to IndexedDB
      */
-    async syncYouTubeHistory() {
-        const syncButton = this.getElementById('sync-youtube');
+    async clearCustomConfig() {
+        if (!confirm('Are you sure you want to clear the self-hosted configuration?')) {
+            return;
+        }
 
         try {
-            this.showButtonLoading(syncButton, 'Syncing...');
+            const response = await this.sendMessageWithRetry({ action: 'custom-clear' });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to clear configuration');
+            }
 
-            const response = await this.sendMessageWithRetry({
-                action: 'youtube-synchronize'
-            });
+            await this.loadCustomConfig();
+            this.showSuccess('Self-hosted configuration cleared');
 
-            if (response && response.success) {
-                const videoCount = response.videoCount || 0;
+            // Back to the IndexedDB UI, the background already switched
+            this.providerIndexedDB.checked = true;
+            this.providerCustom.checked = false;
+            this.customConfig.classList.add('d-none');
+            await this.updateDatabaseSize();
+        } catch (error) {
+            console.error('Error clearing the endpoint:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            this.showError('Failed to clear configuration: ' + error.message);
+        }
+    }
+
+    /**
+     * Load existing Supabase configuration
+     */
+    async loadSupabaseConfig() {
+        try {
+            // Get masked credentials for display
+            const credentialsResponse = await this.sendMessageWithRetry({
+                action: 'supabase-get-credentials'
+            });
+
+            if (credentialsResponse && credentialsResponse.success && credentialsResponse.credentials) {
+                const credentials = credentialsResponse.credentials;
+
+                // Display current configuration
+                this.currentUrl.textContent = credentials.supabaseUrl || '-';
+                this.currentApiKey.textContent = credentials.apiKey || '-';
+
+                this.currentConfig.classList.remove('d-none');
+            } else {
+                this.currentConfig.classList.add('d-none');
+            }
+
+            const statusResponse = await this.sendMessageWithRetry({
+                action: 'supabase-get-status'
+            });
+            this.updateSupabaseAccount(statusResponse && statusResponse.success ? statusResponse.status.email : null);
+        } catch (error) {
+            console.error('Error loading Supabase config:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            this.currentConfig.classList.add('d-none');
+        }
+    }
+
+    /**
+     * Show the signed-in Supabase user, or the sign-in form
+     * @param {string|null} email - Email of the signed-in user
+     */
+    updateSupabaseAccount(email) {
+        this.getElementById('supabase-account-email').textContent = email || '-';
+        this.getElementById('supabase-account-signed-in').classList.toggle('d-none', !email);
+        this.getElementById('supabase-account-signed-out').classList.toggle('d-none', !!email);
+    }
+
+    /**
+     * Send a Supabase sign-in request and show the signed-in user
+     * @param {HTMLElement} button - Button showing the progress
+     * @param {Object} message - Sign-in message for the background
+     */
+    async sendSupabaseSignIn(button, message) {
+        try {
+            this.showButtonLoading(button, 'Signing in...');
+
+            const response = await this.sendMessageWithRetry(message);
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Sign-in failed');
+            }
+
+            this.getElementById('supabase_password').value = '';
+            this.getElementById('supabase_code').value = '';
+            this.updateSupabaseAccount(response.email);
+            this.showSuccess(response.message);
+        } catch (error) {
+            console.error('Error signing in to Supabase:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            this.showError('Failed to sign in: ' + error.message);
+        } finally {
+            this.hideButtonLoading(button);
+        }
+    }
+
+    /**
+     * Sign in to Supabase with email and password
+     */
+    async signInToSupabase() {
+        await this.sendSupabaseSignIn(this.getElementById('supabase_sign_in'), {
+            action: 'supabase-sign-in',
+            email: this.getElementById('supabase_email').value.trim(),
+            password: this.getElementById('supabase_password').value
+        });
+    }
+
+    /**
+     * Sign in to Supabase with the code of a sign-in email
+     */
+    async verifySupabaseSignInCode() {
+        await this.sendSupabaseSignIn(this.getElementById('supabase_verify_code'), {
+            action: 'supabase-verify-code',
+            email: this.getElementById('supabase_email').value.trim(),
+            token: this.getElementById('supabase_code').value
+        });
+    }
+
+    /**
+     * Email a Supabase sign-in code
+     */
+    async sendSupabaseSignInCode() {
+        const sendButton = this.getElementById('supabase_send_code');
+
+        try {
+            this.showButtonLoading(sendButton, 'Sending...');
+
+            const response = await this.sendMessageWithRetry({
+                action: 'supabase-send-code',
+                email: this.getElementById('supabase_email').value.trim()
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to send the code');
+            }
+
+            this.showSuccess(response.message);
+        } catch (error) {
+            console.error('Error sending the Supabase sign-in code:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            this.showError('Failed to send the sign-in code: ' + error.message);
+        } finally {
+            this.hideButtonLoading(sendButton);
+        }
+    }
+
+    /**
+     * Sign out of Supabase
+     */
+    async signOutOfSupabase() {
+        try {
+            const response = await this.sendMessageWithRetry({
+                action: 'supabase-sign-out'
+            });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Sign-out failed');
+            }
+
+            this.updateSupabaseAccount(null);
+            this.showSuccess(response.message);
+        } catch (error) {
+            console.error('Error signing out of Supabase:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            this.showError('Failed to sign out: ' + error.message);
+        }
+    }
+
+    /**
+     * Synchronize browser history
+     */
+    async syncBrowserHistory() {
+        const syncButton = this.getElementById('sync-history');
+
+        try {
+            this.showButtonLoading(syncButton, 'Syncing...');
+
+            const response = await this.sendMessageWithRetry({
+                action: 'history-synchronize'
+            });
+
+            if (response && response.success) {
+                const videoCount = response.videoCount || 0;
+                this.showSuccess(`Browser history synchronized! Added ${videoCount} videos.`);
+                await this.updateDatabaseSize();
+
+                // Refresh search results to show newly added videos
+                if (videoCount > 0) {
+                    await this.performSearch();
+                }
+            } else {
+                const errorMessage = response?.error || 'History synchronization failed';
+
+                // Show more user-friendly error messages
+                if (errorMessage.includes('Database not initialized') || errorMessage.includes('Extension not fully initialized')) {
+                    this.showError('Extension is still initializing. Please wait a moment and try again.');
+                } else {
+                    this.showError('History sync failed: ' + errorMessage);
+                }
+            }
+        } catch (error) {
+            console.error('Error syncing browser history:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+
+            // Show more user-friendly error messages
+            if (error.message.includes('Database not initialized') || error.message.includes('Extension not fully initialized')) {
+                this.showError('Extension is still initializing. Please wait a moment and try again.');
+            } else {
+                this.showError('History sync failed: ' + error.message);
+            }
+        } finally {
+            this.hideButtonLoading(syncButton);
+        }
+    }
+
+    /**
+     * Synchronize YouTube history
+     */
+    async syncYouTubeHistory() {
+        const syncButton = this.getElementById('sync-youtube');
+
+        try {
+            this.showButtonLoading(syncButton, 'Syncing...');
+
+            const response = await this.sendMessageWithRetry({
+                action: 'youtube-synchronize'
+            });
+
+            if (response && response.success) {
+                const videoCount = response.videoCount || 0;
                 this.showSuccess(`YouTube history synchronized! Added ${videoCount} videos.`);
                 await this.updateDatabaseSize();
 
@@ -1538,284 +2843,892 @@ class OptionsPageManager {
             if (totalVideos > 0) {
                 await this.performSearch();
             }
-
-            // Show results
-            const resultMessage = `All sources synchronized! Total: ${totalVideos} videos added.\n\n${results.join('\n')}`;
-            this.showSuccess(resultMessage);
-
+
+            // Show results
+            const resultMessage = `All sources synchronized! Total: ${totalVideos} videos added.\n\n${results.join('\n')}`;
+            this.showSuccess(resultMessage);
+
+        } catch (error) {
+            console.error('Error syncing all sources:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+
+            // Show more user-friendly error messages
+            if (error.message.includes('Database not initialized') || error.message.includes('Extension not fully initialized')) {
+                this.showError('Extension is still initializing. Please wait a moment and try again.');
+            } else {
+                this.showError('Sync all failed: ' + error.message);
+            }
+        } finally {
+            this.hideButtonLoading(syncButton);
+        }
+    }
+
+
+
+
+
+    /**
+     * Perform search
+     */
+    async performSearch() {
+        // Prevent multiple concurrent searches
+        if (this.searchState.isSearching) return;
+
+        const searchQuery = this.getElementById('idSearch_Query');
+        const searchButton = this.getElementById('idSearch_Lookup');
+        const searchResults = this.getElementById('idSearch_Results');
+
+        // Use the query from search state if available, otherwise from input
+        let query = this.searchState.currentQuery;
+        if (query === undefined || query === null) {
+            query = searchQuery.value.trim();
+            this.searchState.currentQuery = query;
+        }
+
+        // Update search state
+        this.searchState.isSearching = true;
+
+        try {
+            // Update button state
+            this.searchIcon.classList.add('d-none');
+            this.searchSpinner.classList.remove('d-none');
+            searchButton.disabled = true;
+            searchResults.classList.add('search-loading');
+
+            const response = await this.sendMessageWithRetry({
+                action: 'search-videos',
+                query: query, // Use the query from search state
+                source: this.getElementById('idSearch_Source').value || undefined,
+                page: this.searchState.currentPage,
+                pageSize: this.searchState.pageSize
+            });
+
+            if (response && response.success) {
+                this.clearSearchSyntaxError();
+                const videos = response.objVideos || response.results || [];
+                this.searchState.totalResults = response.totalResults || 0;
+                this.displaySearchResults(videos);
+            } else if (response?.code === 'VALIDATION_ERROR') {
+                // Invalid query syntax, keep the previous results
+                this.showSearchSyntaxError(response.error);
+            } else {
+                const errorMessage = query ?
+                    'Search failed. Please try again.' :
+                    'Failed to load watch history.';
+                this.showError(response?.error || errorMessage);
+                searchResults.innerHTML = `<div class="alert alert-warning"><i class="fas fa-exclamation-triangle me-2"></i>${errorMessage}</div>`;
+            }
+        } catch (error) {
+            console.error('Search error:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            const errorMessage = query ?
+                'Search failed. Please try again.' :
+                'Failed to load watch history.';
+            this.showError(errorMessage);
+            searchResults.innerHTML = `<div class="alert alert-danger"><i class="fas fa-exclamation-circle me-2"></i>An error occurred. Please try again.</div>`;
+        } finally {
+            // Reset button state
+            this.searchIcon.classList.remove('d-none');
+            this.searchSpinner.classList.add('d-none');
+            searchButton.disabled = false;
+            searchResults.classList.remove('search-loading');
+            this.searchState.isSearching = false;
+        }
+    }
+
+    /**
+     * Show a query syntax error below the search box
+     * @param {string} message - Parse error message
+     */
+    showSearchSyntaxError(message) {
+        const searchQuery = this.getElementById('idSearch_Query');
+        const searchError = this.getElementById('idSearch_Error');
+
+        searchQuery.classList.add('is-invalid');
+        searchError.textContent = message || 'Invalid search syntax.';
+        searchError.classList.remove('d-none');
+    }
+
+    /**
+     * Clear the query syntax error below the search box
+     */
+    clearSearchSyntaxError() {
+        this.getElementById('idSearch_Query').classList.remove('is-invalid');
+        this.getElementById('idSearch_Error').classList.add('d-none');
+    }
+
+    /**
+     * Perform initial search on page load (no error messages)
+     */
+    async performInitialSearch() {
+        try {
+            // Initialize search state for initial load
+            this.searchState.currentQuery = '';
+            this.searchState.currentPage = 1;
+
+            const response = await this.sendMessageWithRetry({
+                action: 'search-videos',
+                query: '', // Empty query to show all videos
+                page: 1,
+                pageSize: 50
+            });
+
+            if (response && response.success) {
+                const videos = response.objVideos || response.results || [];
+                this.searchState.totalResults = response.totalResults || 0;
+                this.displaySearchResults(videos);
+            } else {
+                console.warn('Initial search failed:', response);
+                // Don't show error on initial load, just show empty state
+                const searchResults = this.getElementById('idSearch_Results');
+                searchResults.innerHTML = '<div class="alert alert-info"><i class="fas fa-info-circle me-2"></i>No videos found in your watch history. Try synchronizing your browser history or YouTube history first.</div>';
+            }
+        } catch (error) {
+            console.error('Initial search error:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            // Don't show error toast on initial load
+            const searchResults = this.getElementById('idSearch_Results');
+            searchResults.innerHTML = '<div class="alert alert-info"><i class="fas fa-info-circle me-2"></i>No videos found in your watch history. Try synchronizing your browser history or YouTube history first.</div>';
+        }
+    }
+
+    /**
+     * Display search results
+     * @param {Array} results - Search results
+     */
+    displaySearchResults(results) {
+        const searchResults = this.getElementById('idSearch_Results');
+
+        if (!results || results.length === 0) {
+            const message = this.searchState.currentQuery || this.getElementById('idSearch_Source').value ?
+                'No videos found matching your search.' :
+                'No videos found in your watch history. Try synchronizing your browser history or YouTube history first.';
+            searchResults.innerHTML = `<div class="alert alert-info"><i class="fas fa-info-circle me-2"></i>${message}</div>`;
+            return;
+        }
+
+        // Create modern table structure with enhanced styling
+        const html = `
+            <div class="mt-3">
+                <div class="d-flex justify-content-between align-items-center mb-3">
+                    <h6 class="mb-0 text-primary">
+                        <i class="fas fa-video me-2"></i>
+                        Found ${this.searchState.totalResults} video${this.searchState.totalResults !== 1 ? 's' : ''}
+                        ${this.searchState.currentQuery ? ` for "${this.escapeHtml(this.searchState.currentQuery)}"` : ''}
+                    </h6>
+                    <small class="text-muted">
+                        <i class="fas fa-external-link-alt me-1"></i>
+                        Click titles to open on YouTube
+                    </small>
+                </div>
+                <div class="d-flex flex-wrap align-items-center gap-2 mb-3 search-bulk-actions">
+                    <span class="text-muted small search-selection-count"></span>
+                    <button class="btn btn-sm btn-outline-primary select-all-matching-btn" type="button">
+                        <i class="fas fa-check-double me-1"></i>Select all ${this.searchState.totalResults} matching
+                    </button>
+                    <button class="btn btn-sm btn-outline-secondary clear-selection-btn" type="button">
+                        <i class="fas fa-times me-1"></i>Clear selection
+                    </button>
+                    <button class="btn btn-sm btn-danger delete-selected-btn" type="button">
+                        <i class="fas fa-trash me-1"></i>Delete selected
+                    </button>
+                </div>
+                <div class="table-responsive">
+                    <table class="table table-hover table-striped">
+                        <thead class="table-secondary">
+                            <tr>
+                                <th class="text-center" style="width: 40px;">
+                                    <input type="checkbox" class="form-check-input select-page-checkbox" aria-label="Select all videos on this page" />
+                                </th>
+                                <th class="text-center" style="width: 200px;">
+                                    <i class="fas fa-clock me-2"></i>Watch Time
+                                </th>
+                                <th>
+                                    <i class="fas fa-play me-2"></i>Video Title
+                                </th>
+                                <th class="text-center" style="width: 100px;">
+                                    <i class="fas fa-eye me-2"></i>Visits
+                                </th>
+                                <th class="text-center" style="width: 120px;">
+                                    <i class="fas fa-cog me-2"></i>Actions
+                                </th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${results.map(result => `
+                                <tr class="search-result-item">
+                                    <td class="text-center">
+                                        <input type="checkbox" class="form-check-input select-video-checkbox"
+                                               data-video-id="${result.strIdent || result.id}"
+                                               aria-label="Select video"
+                                               ${this.isVideoSelected(result.strIdent || result.id) ? 'checked' : ''} />
+                                    </td>
+                                    <td class="text-center">
+                                        <small class="text-muted font-monospace">
+                                            ${this.formatDateForTable(new Date(result.intTimestamp || result.timestamp))}
+                                        </small>
+                                    </td>
+                                    <td>
+                                        <a href="https://www.youtube.com/watch?v=${result.strIdent || result.id}" 
+                                           target="_blank" 
+                                           class="text-decoration-none fw-medium text-primary">
+                                            ${this.escapeHtml(result.strTitle || result.title || 'Untitled Video')}
+                                            <i class="fas fa-external-link-alt ms-2 text-muted small"></i>
+                                        </a>
+                                        <div class="mt-1">
+                                            ${(result.arrSources || []).map(source => `
+                                                <span class="badge bg-light text-secondary border me-1">${this.escapeHtml(this.getWatchSourceDisplayName(source))}</span>
+                                            `).join('')}
+                                        </div>
+                                    </td>
+                                    <td class="text-center">
+                                        <span class="badge bg-primary rounded-pill">
+                                            ${result.intCount || result.count || 1}
+                                        </span>
+                                    </td>
+                                    <td class="text-center text-nowrap">
+                                        <button class="btn btn-sm btn-outline-secondary timeline-video-btn hover-lift me-1"
+                                                data-video-id="${result.strIdent || result.id}"
+                                                title="Show view timeline">
+                                            <i class="fas fa-history"></i>
+                                        </button>
+                                        <button class="btn btn-sm btn-outline-danger delete-video-btn hover-lift" 
+                                                data-video-id="${result.strIdent || result.id}"
+                                                title="Delete from watch history">
+                                            <i class="fas fa-trash"></i>
+                                        </button>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${this.renderPagination()}
+            </div>
+        `;
+
+        searchResults.innerHTML = html;
+
+        // Add fade-in animation
+        searchResults.classList.add('animate-fade-in');
+
+        // Set up pagination event listeners
+        this.setupPaginationListeners(searchResults);
+
+        // Add event listeners for timeline buttons
+        searchResults.querySelectorAll('.timeline-video-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const videoId = e.currentTarget.getAttribute('data-video-id');
+                this.toggleVideoTimeline(videoId, e.currentTarget);
+            });
+        });
+
+        // Add event listeners for delete buttons
+        const deleteButtons = searchResults.querySelectorAll('.delete-video-btn');
+        deleteButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                const videoId = e.currentTarget.getAttribute('data-video-id');
+                this.deleteVideo(videoId, e.currentTarget);
+            });
+        });
+
+        this.setupSelectionListeners(searchResults);
+    }
+
+    /**
+     * Set up the selection checkboxes and bulk actions of the search results
+     * @param {HTMLElement} searchResults - Search results container
+     */
+    setupSelectionListeners(searchResults) {
+        const videoCheckboxes = searchResults.querySelectorAll('.select-video-checkbox');
+
+        videoCheckboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const videoId = e.currentTarget.getAttribute('data-video-id');
+
+                // With "all matching" selected, unchecked rows are left out of the selection
+                if (this.searchState.selectAllMatching) {
+                    if (e.currentTarget.checked) {
+                        this.searchState.excludedIds.delete(videoId);
+                    } else {
+                        this.searchState.excludedIds.add(videoId);
+                    }
+                } else if (e.currentTarget.checked) {
+                    this.searchState.selectedIds.add(videoId);
+                } else {
+                    this.searchState.selectedIds.delete(videoId);
+                }
+                this.updateSelectionState(searchResults);
+            });
+        });
+
+        searchResults.querySelector('.select-page-checkbox').addEventListener('change', (e) => {
+            const checked = e.currentTarget.checked;
+            videoCheckboxes.forEach(checkbox => {
+                const videoId = checkbox.getAttribute('data-video-id');
+                if (this.searchState.selectAllMatching) {
+                    if (checked) {
+                        this.searchState.excludedIds.delete(videoId);
+                    } else {
+                        this.searchState.excludedIds.add(videoId);
+                    }
+                } else if (checked) {
+                    this.searchState.selectedIds.add(videoId);
+                } else {
+                    this.searchState.selectedIds.delete(videoId);
+                }
+            });
+            this.updateSelectionState(searchResults);
+        });
+
+        searchResults.querySelector('.select-all-matching-btn').addEventListener('click', () => {
+            this.searchState.selectAllMatching = true;
+            this.searchState.selectedIds.clear();
+            this.searchState.excludedIds.clear();
+            this.updateSelectionState(searchResults);
+        });
+
+        searchResults.querySelector('.clear-selection-btn').addEventListener('click', () => {
+            this.clearSearchSelection();
+            this.updateSelectionState(searchResults);
+        });
+
+        searchResults.querySelector('.delete-selected-btn').addEventListener('click', (e) => {
+            this.deleteSelectedVideos(e.currentTarget);
+        });
+
+        this.updateSelectionState(searchResults);
+    }
+
+    /**
+     * Check whether a video is part of the current selection
+     * @param {string} videoId - Video ID
+     * @returns {boolean} True if selected
+     */
+    isVideoSelected(videoId) {
+        return this.searchState.selectAllMatching
+            ? !this.searchState.excludedIds.has(videoId)
+            : this.searchState.selectedIds.has(videoId);
+    }
+
+    /**
+     * Get the number of selected videos
+     * @returns {number} Selected video count
+     */
+    getSelectionCount() {
+        return this.searchState.selectAllMatching
+            ? Math.max(this.searchState.totalResults - this.searchState.excludedIds.size, 0)
+            : this.searchState.selectedIds.size;
+    }
+
+    /**
+     * Reset the selection of the search results
+     */
+    clearSearchSelection() {
+        if (!this.searchState) return;
+
+        this.searchState.selectedIds.clear();
+        this.searchState.selectAllMatching = false;
+        this.searchState.excludedIds.clear();
+    }
+
+    /**
+     * Sync the checkboxes and bulk action bar with the current selection
+     * @param {HTMLElement} searchResults - Search results container
+     */
+    updateSelectionState(searchResults) {
+        const videoCheckboxes = Array.from(searchResults.querySelectorAll('.select-video-checkbox'));
+        videoCheckboxes.forEach(checkbox => {
+            checkbox.checked = this.isVideoSelected(checkbox.getAttribute('data-video-id'));
+        });
+
+        const checkedCount = videoCheckboxes.filter(checkbox => checkbox.checked).length;
+        const pageCheckbox = searchResults.querySelector('.select-page-checkbox');
+        pageCheckbox.checked = checkedCount > 0 && checkedCount === videoCheckboxes.length;
+        pageCheckbox.indeterminate = checkedCount > 0 && checkedCount < videoCheckboxes.length;
+
+        const selectionCount = this.getSelectionCount();
+        let selectionText = `${selectionCount} selected`;
+        if (this.searchState.selectAllMatching) {
+            selectionText = this.searchState.excludedIds.size > 0 ?
+                `${selectionCount} of ${this.searchState.totalResults} matching videos selected` :
+                `All ${selectionCount} matching videos selected`;
+        }
+        searchResults.querySelector('.search-selection-count').textContent = selectionText;
+        searchResults.querySelector('.select-all-matching-btn').classList.toggle('d-none', this.searchState.selectAllMatching && this.searchState.excludedIds.size === 0);
+        searchResults.querySelector('.clear-selection-btn').disabled = selectionCount === 0;
+        searchResults.querySelector('.delete-selected-btn').disabled = selectionCount === 0;
+    }
+
+    /**
+     * Delete all selected videos from the database and browser history
+     * @param {HTMLElement} deleteButton - The bulk delete button element
+     */
+    async deleteSelectedVideos(deleteButton) {
+        const selectionCount = this.getSelectionCount();
+        if (selectionCount === 0) return;
+
+        if (!confirm(`Are you sure you want to delete ${selectionCount} video${selectionCount !== 1 ? 's' : ''} from your watch history?`)) {
+            return;
+        }
+
+        try {
+            this.showButtonLoading(deleteButton, 'Deleting...');
+
+            const request = this.searchState.selectAllMatching ? {
+                action: 'search-delete-many',
+                selectAll: true,
+                excludedIds: Array.from(this.searchState.excludedIds),
+                query: this.searchState.currentQuery,
+                source: this.getElementById('idSearch_Source').value || undefined
+            } : {
+                action: 'search-delete-many',
+                videoIds: Array.from(this.searchState.selectedIds)
+            };
+
+            const response = await this.sendMessageWithRetry(request);
+
+            if (response && response.success) {
+                this.showSuccess(`Moved ${response.deletedCount} video${response.deletedCount !== 1 ? 's' : ''} to Recently Deleted`);
+
+                this.clearSearchSelection();
+                await this.updateDatabaseSize();
+                await this.loadTrash();
+
+                // The current page may no longer exist
+                this.searchState.currentPage = 1;
+                await this.performSearch();
+            } else {
+                this.showError(response?.error || 'Failed to delete videos');
+            }
+        } catch (error) {
+            console.error('Bulk delete error:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            this.showError('Delete error: ' + error.message);
+        } finally {
+            this.hideButtonLoading(deleteButton);
+        }
+    }
+
+    /**
+     * Show or hide the view timeline of a video below its search result row
+     * @param {string} videoId - Video ID
+     * @param {HTMLElement} timelineButton - The timeline button element
+     */
+    async toggleVideoTimeline(videoId, timelineButton) {
+        const row = timelineButton.closest('tr');
+        const existingTimeline = row.nextElementSibling;
+
+        if (existingTimeline && existingTimeline.classList.contains('video-timeline-row')) {
+            existingTimeline.remove();
+            return;
+        }
+
+        try {
+            this.showButtonLoading(timelineButton, 'Loading...');
+
+            const response = await this.sendMessageWithRetry({
+                action: 'watch-events-lookup',
+                videoId: videoId
+            });
+
+            if (!response || !response.success) {
+                this.showError(response?.error || 'Failed to load view timeline');
+                return;
+            }
+
+            const timelineRow = document.createElement('tr');
+            timelineRow.className = 'video-timeline-row';
+            timelineRow.innerHTML = `<td colspan="5">${this.renderDeviceCounts(response.counts || {}, response.deviceId)}${this.renderVideoTimeline(response.events || [])}</td>`;
+            row.after(timelineRow);
+        } catch (error) {
+            console.error('Timeline error:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            this.showError('Timeline error: ' + error.message);
+        } finally {
+            this.hideButtonLoading(timelineButton);
+        }
+    }
+
+    /**
+     * Render the views of a video per device
+     * @param {Object} counts - View counts by device ID
+     * @param {string} deviceId - ID of this device
+     * @returns {string} HTML markup
+     */
+    renderDeviceCounts(counts, deviceId) {
+        const devices = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        if (devices.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="d-flex flex-wrap gap-2 small mb-2">
+                <span class="text-muted"><i class="fas fa-laptop me-1"></i>Views per device:</span>
+                ${devices.map(([device, count]) => `
+                    <span class="badge bg-light text-secondary border" title="${this.escapeHtml(device)}">
+                        ${this.escapeHtml(this.getDeviceDisplayName(device, deviceId))}
+                        <span class="badge bg-primary rounded-pill ms-1">${count}</span>
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Get the display name of a device of the view counts
+     * @param {string} device - Device ID
+     * @param {string} deviceId - ID of this device
+     * @returns {string} Human-readable device name
+     */
+    getDeviceDisplayName(device, deviceId) {
+        if (device === deviceId) {
+            return 'This device';
+        }
+        if (device === 'unattributed') {
+            return 'Before per-device counting';
+        }
+        return device.slice(0, 8);
+    }
+
+    /**
+     * Render the view timeline of a video
+     * @param {Array} events - Watch events, oldest first
+     * @returns {string} HTML markup
+     */
+    renderVideoTimeline(events) {
+        if (events.length === 0) {
+            return '<small class="text-muted"><i class="fas fa-info-circle me-2"></i>No individual views recorded for this video yet.</small>';
+        }
+
+        return `
+            <ol class="list-unstyled small mb-0">
+                ${events.map(event => `
+                    <li class="d-flex gap-3">
+                        <span class="font-monospace text-muted">${this.formatDateForTable(new Date(event.intTimestamp))}</span>
+                        <span class="badge bg-secondary">${this.escapeHtml(this.getWatchSourceDisplayName(event.strSource))}</span>
+                        <span class="text-muted" title="Device">${this.escapeHtml((event.strDevice || '').slice(0, 8))}</span>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * Get display name for a watch detection source
+     * @param {string} source - Source identifier
+     * @returns {string} Human-readable source name
+     */
+    getWatchSourceDisplayName(source) {
+        const nameMap = {
+            'browser-navigation': 'Browser Navigation',
+            'browser-history': 'Browser History',
+            'youtube-progress': 'YouTube Progress',
+            'youtube-history': 'YouTube History',
+            'youtube-liked': 'Liked Videos',
+            'rating': 'Video Rating',
+            'import': 'Import',
+            'unknown': 'Unknown'
+        };
+        return nameMap[source] || source || 'Unknown';
+    }
+
+    /**
+     * Delete a video from the database
+     * @param {string} videoId - Video ID to delete
+     * @param {HTMLElement} deleteButton - The delete button element
+     */
+    async deleteVideo(videoId, deleteButton) {
+        if (!confirm('Are you sure you want to delete this video from your watch history?')) {
+            return;
+        }
+
+        try {
+            this.showButtonLoading(deleteButton, 'Deleting...');
+
+            const response = await this.sendMessageWithRetry({
+                action: 'search-delete',
+                videoId: videoId
+            });
+
+            if (response && response.success) {
+                this.showSuccess('Video moved to Recently Deleted');
+
+                // Update database size to reflect the deletion
+                await this.updateDatabaseSize();
+                await this.loadTrash();
+
+                // Refresh the search results, but check if we need to go back a page
+                const totalPagesAfterDelete = Math.ceil((this.searchState.totalResults - 1) / this.searchState.pageSize);
+                if (this.searchState.currentPage > totalPagesAfterDelete && totalPagesAfterDelete > 0) {
+                    this.searchState.currentPage = totalPagesAfterDelete;
+                }
+
+                // Refresh the current search
+                await this.performSearch();
+            } else {
+                this.showError('Failed to delete video');
+            }
         } catch (error) {
-            console.error('Error syncing all sources:', JSON.stringify({
+            console.error('Delete error:', JSON.stringify({
                 error: error.message,
                 errorName: error.name,
                 errorStack: error.stack
             }, null, 2));
-
-            // Show more user-friendly error messages
-            if (error.message.includes('Database not initialized') || error.message.includes('Extension not fully initialized')) {
-                this.showError('Extension is still initializing. Please wait a moment and try again.');
-            } else {
-                this.showError('Sync all failed: ' + error.message);
-            }
+            this.showError('Delete error: ' + error.message);
         } finally {
-            this.hideButtonLoading(syncButton);
+            this.hideButtonLoading(deleteButton);
         }
     }
 
-
-
-
-
     /**
-     * Perform search
+     * Set up the recently deleted section
      */
-    async performSearch() {
-        // Prevent multiple concurrent searches
-        if (this.searchState.isSearching) return;
-
-        const searchQuery = this.getElementById('idSearch_Query');
-        const searchButton = this.getElementById('idSearch_Lookup');
-        const searchResults = this.getElementById('idSearch_Results');
+    setupTrashListeners() {
+        this.getElementById('idTrash_Empty').addEventListener('click', (e) => this.emptyTrash(e.currentTarget));
 
-        // Use the query from search state if available, otherwise from input
-        let query = this.searchState.currentQuery;
-        if (query === undefined || query === null) {
-            query = searchQuery.value.trim();
-            this.searchState.currentQuery = query;
-        }
+        // Expiry dates depend on the retention window
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'sync' && changes.idTrash_Retentiondays) {
+                this.loadTrash();
+            }
+        });
+    }
 
-        // Update search state
-        this.searchState.isSearching = true;
+    /**
+     * Load and display the recently deleted videos
+     */
+    async loadTrash() {
+        const trashResults = this.getElementById('idTrash_Results');
 
         try {
-            // Update button state
-            this.searchIcon.classList.add('d-none');
-            this.searchSpinner.classList.remove('d-none');
-            searchButton.disabled = true;
-            searchResults.classList.add('search-loading');
-
             const response = await this.sendMessageWithRetry({
-                action: 'search-videos',
-                query: query, // Use the query from search state
-                page: this.searchState.currentPage,
-                pageSize: this.searchState.pageSize
+                action: 'trash-list'
             });
 
             if (response && response.success) {
-                const videos = response.objVideos || response.results || [];
-                this.searchState.totalResults = response.totalResults || 0;
-                this.displaySearchResults(videos);
+                this.displayTrash(response.objVideos || []);
             } else {
-                const errorMessage = query ?
-                    'Search failed. Please try again.' :
-                    'Failed to load watch history.';
-                this.showError(response?.error || errorMessage);
-                searchResults.innerHTML = `<div class="alert alert-warning"><i class="fas fa-exclamation-triangle me-2"></i>${errorMessage}</div>`;
+                trashResults.innerHTML = `<div class="alert alert-warning mb-0"><i class="fas fa-exclamation-triangle me-2"></i>Could not load recently deleted videos</div>`;
             }
         } catch (error) {
-            console.error('Search error:', JSON.stringify({
+            console.error('Error loading trash:', JSON.stringify({
                 error: error.message,
                 errorName: error.name,
                 errorStack: error.stack
             }, null, 2));
-            const errorMessage = query ?
-                'Search failed. Please try again.' :
-                'Failed to load watch history.';
-            this.showError(errorMessage);
-            searchResults.innerHTML = `<div class="alert alert-danger"><i class="fas fa-exclamation-circle me-2"></i>An error occurred. Please try again.</div>`;
-        } finally {
-            // Reset button state
-            this.searchIcon.classList.remove('d-none');
-            this.searchSpinner.classList.add('d-none');
-            searchButton.disabled = false;
-            searchResults.classList.remove('search-loading');
-            this.searchState.isSearching = false;
+            trashResults.innerHTML = `<div class="alert alert-warning mb-0"><i class="fas fa-exclamation-triangle me-2"></i>Could not load recently deleted videos</div>`;
         }
     }
 
     /**
-     * Perform initial search on page load (no error messages)
+     * Display the recently deleted videos
+     * @param {Array} videos - Trash entries, most recently deleted first
      */
-    async performInitialSearch() {
+    displayTrash(videos) {
+        const trashResults = this.getElementById('idTrash_Results');
+        this.getElementById('idTrash_Empty').disabled = videos.length === 0;
+
+        if (videos.length === 0) {
+            trashResults.innerHTML = `<div class="alert alert-info mb-0"><i class="fas fa-info-circle me-2"></i>No recently deleted videos.</div>`;
+            return;
+        }
+
+        trashResults.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-hover table-striped mb-0">
+                    <thead class="table-secondary">
+                        <tr>
+                            <th class="text-center" style="width: 200px;">
+                                <i class="fas fa-trash me-1"></i>Deleted
+                            </th>
+                            <th>
+                                <i class="fas fa-play me-1"></i>Title
+                            </th>
+                            <th class="text-center" style="width: 100px;">
+                                <i class="fas fa-eye me-1"></i>Visits
+                            </th>
+                            <th class="text-center" style="width: 200px;">
+                                <i class="fas fa-hourglass-end me-1"></i>Removed For Good
+                            </th>
+                            <th class="text-center" style="width: 120px;">
+                                <i class="fas fa-cog me-1"></i>Actions
+                            </th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${videos.map(video => `
+                            <tr>
+                                <td class="text-center">
+                                    <small class="text-muted font-monospace">
+                                        ${this.formatDateForTable(new Date(video.intDeleted))}
+                                    </small>
+                                </td>
+                                <td>
+                                    <a href="https://www.youtube.com/watch?v=${video.strIdent}"
+                                       target="_blank"
+                                       class="text-decoration-none fw-medium">
+                                        ${this.escapeHtml(video.strTitle || 'Untitled Video')}
+                                    </a>
+                                </td>
+                                <td class="text-center">
+                                    <span class="badge bg-primary rounded-pill">${video.intCount || 1}</span>
+                                </td>
+                                <td class="text-center">
+                                    <small class="text-muted font-monospace">
+                                        ${this.formatDateForTable(new Date(video.intExpires))}
+                                    </small>
+                                </td>
+                                <td class="text-center">
+                                    <button class="btn btn-sm btn-outline-success restore-video-btn me-1"
+                                            data-video-id="${video.strIdent}"
+                                            title="Restore to watch history">
+                                        <i class="fas fa-undo"></i>
+                                    </button>
+                                    <button class="btn btn-sm btn-outline-danger purge-video-btn"
+                                            data-video-id="${video.strIdent}"
+                                            title="Delete permanently, including the browser history">
+                                        <i class="fas fa-times"></i>
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        trashResults.querySelectorAll('.restore-video-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.restoreVideo(e.currentTarget.getAttribute('data-video-id'), e.currentTarget);
+            });
+        });
+
+        trashResults.querySelectorAll('.purge-video-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.purgeVideo(e.currentTarget.getAttribute('data-video-id'), e.currentTarget);
+            });
+        });
+    }
+
+    /**
+     * Restore a video from the trash
+     * @param {string} videoId - Video ID
+     * @param {HTMLElement} restoreButton - The restore button element
+     */
+    async restoreVideo(videoId, restoreButton) {
         try {
-            // Initialize search state for initial load
-            this.searchState.currentQuery = '';
-            this.searchState.currentPage = 1;
+            this.showButtonLoading(restoreButton, '...');
 
             const response = await this.sendMessageWithRetry({
-                action: 'search-videos',
-                query: '', // Empty query to show all videos
-                page: 1,
-                pageSize: 50
+                action: 'trash-restore',
+                videoIds: [videoId]
             });
 
             if (response && response.success) {
-                const videos = response.objVideos || response.results || [];
-                this.searchState.totalResults = response.totalResults || 0;
-                this.displaySearchResults(videos);
+                this.showSuccess('Video restored successfully');
+
+                await this.updateDatabaseSize();
+                await this.loadTrash();
+                await this.performSearch();
             } else {
-                console.warn('Initial search failed:', response);
-                // Don't show error on initial load, just show empty state
-                const searchResults = this.getElementById('idSearch_Results');
-                searchResults.innerHTML = '<div class="alert alert-info"><i class="fas fa-info-circle me-2"></i>No videos found in your watch history. Try synchronizing your browser history or YouTube history first.</div>';
+                this.showError(response?.error || 'Failed to restore video');
+                this.hideButtonLoading(restoreButton);
             }
         } catch (error) {
-            console.error('Initial search error:', JSON.stringify({
+            console.error('Restore error:', JSON.stringify({
                 error: error.message,
                 errorName: error.name,
                 errorStack: error.stack
             }, null, 2));
-            // Don't show error toast on initial load
-            const searchResults = this.getElementById('idSearch_Results');
-            searchResults.innerHTML = '<div class="alert alert-info"><i class="fas fa-info-circle me-2"></i>No videos found in your watch history. Try synchronizing your browser history or YouTube history first.</div>';
+            this.showError('Restore error: ' + error.message);
+            this.hideButtonLoading(restoreButton);
         }
     }
 
     /**
-     * Display search results
-     * @param {Array} results - Search results
+     * Permanently delete a video from the trash and the browser history
+     * @param {string} videoId - Video ID
+     * @param {HTMLElement} purgeButton - The purge button element
      */
-    displaySearchResults(results) {
-        const searchResults = this.getElementById('idSearch_Results');
-
-        if (!results || results.length === 0) {
-            const message = this.searchState.currentQuery ?
-                'No videos found matching your search.' :
-                'No videos found in your watch history. Try synchronizing your browser history or YouTube history first.';
-            searchResults.innerHTML = `<div class="alert alert-info"><i class="fas fa-info-circle me-2"></i>${message}</div>`;
+    async purgeVideo(videoId, purgeButton) {
+        if (!confirm('Are you sure you want to delete this video permanently? It will also be removed from the browser history.')) {
             return;
         }
 
-        // Create modern table structure with enhanced styling
-        const html = `
-            <div class="mt-3">
-                <div class="d-flex justify-content-between align-items-center mb-3">
-                    <h6 class="mb-0 text-primary">
-                        <i class="fas fa-video me-2"></i>
-                        Found ${this.searchState.totalResults} video${this.searchState.totalResults !== 1 ? 's' : ''}
-                        ${this.searchState.currentQuery ? ` for "${this.escapeHtml(this.searchState.currentQuery)}"` : ''}
-                    </h6>
-                    <small class="text-muted">
-                        <i class="fas fa-external-link-alt me-1"></i>
-                        Click titles to open on YouTube
-                    </small>
-                </div>
-                <div class="table-responsive">
-                    <table class="table table-hover table-striped">
-                        <thead class="table-secondary">
-                            <tr>
-                                <th class="text-center" style="width: 200px;">
-                                    <i class="fas fa-clock me-2"></i>Watch Time
-                                </th>
-                                <th>
-                                    <i class="fas fa-play me-2"></i>Video Title
-                                </th>
-                                <th class="text-center" style="width: 100px;">
-                                    <i class="fas fa-eye me-2"></i>Visits
-                                </th>
-                                <th class="text-center" style="width: 80px;">
-                                    <i class="fas fa-cog me-2"></i>Actions
-                                </th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            ${results.map(result => `
-                                <tr class="search-result-item">
-                                    <td class="text-center">
-                                        <small class="text-muted font-monospace">
-                                            ${this.formatDateForTable(new Date(result.intTimestamp || result.timestamp))}
-                                        </small>
-                                    </td>
-                                    <td>
-                                        <a href="https://www.youtube.com/watch?v=${result.strIdent || result.id}" 
-                                           target="_blank" 
-                                           class="text-decoration-none fw-medium text-primary">
-                                            ${this.escapeHtml(result.strTitle || result.title || 'Untitled Video')}
-                                            <i class="fas fa-external-link-alt ms-2 text-muted small"></i>
-                                        </a>
-                                    </td>
-                                    <td class="text-center">
-                                        <span class="badge bg-primary rounded-pill">
-                                            ${result.intCount || result.count || 1}
-                                        </span>
-                                    </td>
-                                    <td class="text-center">
-                                        <button class="btn btn-sm btn-outline-danger delete-video-btn hover-lift" 
-                                                data-video-id="${result.strIdent || result.id}"
-                                                title="Delete from watch history">
-                                            <i class="fas fa-trash"></i>
-                                        </button>
-                                    </td>
-                                </tr>
-                            `).join('')}
-                        </tbody>
-                    </table>
-                </div>
-                ${this.renderPagination()}
-            </div>
-        `;
-
-        searchResults.innerHTML = html;
-
-        // Add fade-in animation
-        searchResults.classList.add('animate-fade-in');
-
-        // Set up pagination event listeners
-        this.setupPaginationListeners(searchResults);
+        try {
+            this.showButtonLoading(purgeButton, '...');
 
-        // Add event listeners for delete buttons
-        const deleteButtons = searchResults.querySelectorAll('.delete-video-btn');
-        deleteButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                const videoId = e.currentTarget.getAttribute('data-video-id');
-                this.deleteVideo(videoId, e.currentTarget);
+            const response = await this.sendMessageWithRetry({
+                action: 'trash-purge',
+                videoIds: [videoId]
             });
-        });
+
+            if (response && response.success) {
+                this.showSuccess('Video deleted permanently');
+                await this.loadTrash();
+            } else {
+                this.showError(response?.error || 'Failed to delete video');
+                this.hideButtonLoading(purgeButton);
+            }
+        } catch (error) {
+            console.error('Purge error:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            this.showError('Delete error: ' + error.message);
+            this.hideButtonLoading(purgeButton);
+        }
     }
 
     /**
-     * Delete a video from the database
-     * @param {string} videoId - Video ID to delete
-     * @param {HTMLElement} deleteButton - The delete button element
+     * Permanently delete every video in the trash
+     * @param {HTMLElement} emptyButton - The empty trash button element
      */
-    async deleteVideo(videoId, deleteButton) {
-        if (!confirm('Are you sure you want to delete this video from your watch history?')) {
+    async emptyTrash(emptyButton) {
+        if (!confirm('Are you sure you want to delete all recently deleted videos permanently? They will also be removed from the browser history.')) {
             return;
         }
 
         try {
-            this.showButtonLoading(deleteButton, 'Deleting...');
+            this.showButtonLoading(emptyButton, 'Emptying...');
 
             const response = await this.sendMessageWithRetry({
-                action: 'search-delete',
-                videoId: videoId
+                action: 'trash-purge',
+                all: true
             });
 
             if (response && response.success) {
-                this.showSuccess('Video deleted successfully');
-
-                // Update database size to reflect the deletion
-                await this.updateDatabaseSize();
-
-                // Refresh the search results, but check if we need to go back a page
-                const totalPagesAfterDelete = Math.ceil((this.searchState.totalResults - 1) / this.searchState.pageSize);
-                if (this.searchState.currentPage > totalPagesAfterDelete && totalPagesAfterDelete > 0) {
-                    this.searchState.currentPage = totalPagesAfterDelete;
-                }
-
-                // Refresh the current search
-                await this.performSearch();
+                this.showSuccess(`Deleted ${response.purgedCount} video${response.purgedCount !== 1 ? 's' : ''} permanently`);
             } else {
-                this.showError('Failed to delete video');
+                this.showError(response?.error || 'Failed to empty the trash');
             }
         } catch (error) {
-            console.error('Delete error:', JSON.stringify({
+            console.error('Empty trash error:', JSON.stringify({
                 error: error.message,
                 errorName: error.name,
                 errorStack: error.stack
             }, null, 2));
-            this.showError('Delete error: ' + error.message);
+            this.showError('Empty trash error: ' + error.message);
         } finally {
-            this.hideButtonLoading(deleteButton);
+            this.hideButtonLoading(emptyButton);
+            await this.loadTrash();
         }
     }
 
@@ -1899,7 +3812,9 @@ class OptionsPageManager {
                 this.updateDatabaseSize(),
                 this.updateProviderStatus(),
                 this.performInitialSearch(), // Show all videos by default without errors
-
+                this.loadTrash(),
+                this.loadMergePolicy(),
+                this.loadConflictReport()
             ]);
         } catch (error) {
             console.error('Error loading initial data:', JSON.stringify({
@@ -2173,6 +4088,10 @@ class OptionsPageManager {
                 const status = response.status;
 
                 // Update provider radio buttons based on actual provider type
+                this.providerCustom.checked = status.type === 'custom';
+                this.providerChrome.checked = status.type === 'chrome';
+                this.customConfig.classList.toggle('d-none', status.type !== 'custom');
+
                 if (status.type === 'indexeddb') {
                     this.providerIndexedDB.checked = true;
                     this.providerSupabase.checked = false;
@@ -2182,6 +4101,19 @@ class OptionsPageManager {
                     this.providerSupabase.checked = true;
                     this.supabaseConfig.classList.remove('d-none');
                     await this.loadSupabaseConfig();
+
+                    if (status.pendingWrites > 0) {
+                        this.updateSupabaseStatus('warning', `Supabase is unreachable, ${status.pendingWrites} changes are saved locally and will be sent once it is back`);
+                    }
+                } else if (status.type === 'custom') {
+                    this.providerIndexedDB.checked = false;
+                    this.providerSupabase.checked = false;
+                    this.supabaseConfig.classList.add('d-none');
+                    await this.loadCustomConfig();
+                } else if (status.type === 'chrome') {
+                    this.providerIndexedDB.checked = false;
+                    this.providerSupabase.checked = false;
+                    this.supabaseConfig.classList.add('d-none');
                 } else {
                     // Default to IndexedDB if provider type is null or unknown
                     this.providerIndexedDB.checked = true;
@@ -2192,6 +4124,7 @@ class OptionsPageManager {
                 // Load auto-sync setting from sync storage
                 const autoSyncResult = await chrome.storage.sync.get(['auto_sync_enabled']);
                 this.enableAutoSync.checked = autoSyncResult.auto_sync_enabled || false;
+                this.enableMirror.checked = status.mirror === true;
             } else {
                 console.warn('Failed to get provider status:', response?.error);
                 // Default to IndexedDB on error
@@ -0,0 +1,110 @@
+// @ts-check
+
+/**
+ * View count utilities for YouTube Watchmarker
+ * Records keep their views per device in objCounts, a grow-only counter that
+ * merges by taking the highest count of every device, so views on several
+ * devices add up instead of collapsing into the highest total. intCount is
+ * always the sum of the map.
+ */
+
+import { VIEW_COUNTS } from './constants.js';
+
+/**
+ * Merges view count maps, keeping the highest count of every device
+ * @param {...(Object<string, number>|undefined)} maps - View counts per device
+ * @returns {Object<string, number>} Merged counts
+ */
+export function mergeDeviceCounts(...maps) {
+    const merged = {};
+
+    for (const map of maps) {
+        for (const [device, count] of Object.entries(map || {})) {
+            if (Number.isFinite(count) && count > 0) {
+                merged[device] = Math.max(merged[device] || 0, Math.floor(count));
+            }
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Adds the views a record counted on top of a base to stored counts
+ * Used for records written without reading the stored counts first, where
+ * the base holds the counts the record started from
+ * @param {Object<string, number>|undefined} stored - Stored view counts per device
+ * @param {Object<string, number>|undefined} counts - View counts of the record
+ * @param {Object<string, number>|undefined} base - View counts the record started from
+ * @returns {Object<string, number>} Stored counts with the new views added
+ */
+export function addDeviceViews(stored, counts, base) {
+    const added = mergeDeviceCounts(stored);
+
+    for (const [device, count] of Object.entries(mergeDeviceCounts(counts))) {
+        const views = count - ((base || {})[device] || 0);
+        if (views > 0) {
+            added[device] = (added[device] || 0) + views;
+        }
+    }
+
+    return added;
+}
+
+/**
+ * Adds up the views of every device
+ * @param {Object<string, number>|undefined} counts - View counts per device
+ * @returns {number} Total views
+ */
+export function sumDeviceCounts(counts) {
+    return Object.values(counts || {}).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Gets the views per device of a stored record
+ * Views counted before devices were tracked, or by a client that only updated
+ * intCount, are attributed to VIEW_COUNTS.UNATTRIBUTED
+ * @param {Object|null|undefined} video - Video record
+ * @returns {Object<string, number>} View counts per device
+ */
+export function getDeviceCounts(video) {
+    const counts = mergeDeviceCounts(video?.objCounts);
+    const missing = (video?.intCount || 0) - sumDeviceCounts(counts);
+
+    if (missing > 0) {
+        counts[VIEW_COUNTS.UNATTRIBUTED] = (counts[VIEW_COUNTS.UNATTRIBUTED] || 0) + missing;
+    }
+
+    return counts;
+}
+
+/**
+ * Adds the per-device counts to a stored record and makes intCount their sum
+ * @param {Object} video - Video record
+ * @returns {Object} Record with objCounts
+ */
+export function withDeviceCounts(video) {
+    const objCounts = getDeviceCounts(video);
+    return { ...video, objCounts, intCount: sumDeviceCounts(objCounts) || 1 };
+}
+
+/**
+ * Counts the views of a local write
+ * The write carries the new total in intCount, views beyond what the stored
+ * record and the write already attribute are views of this device
+ * @param {Object} video - Record being written
+ * @param {string} deviceId - ID of this device
+ * @param {Object|null} [existing] - Stored record of the same video
+ * @returns {Object} Record with objCounts and intCount
+ */
+export function countViews(video, deviceId, existing = null) {
+    const objCounts = mergeDeviceCounts(existing ? getDeviceCounts(existing) : null, video.objCounts);
+    const total = sumDeviceCounts(objCounts);
+    const requested = Math.max(existing?.intCount || 0, video.intCount || 1);
+
+    if (requested > total) {
+        objCounts[deviceId] = (objCounts[deviceId] || 0) + requested - total;
+    }
+
+    return { ...video, objCounts, intCount: sumDeviceCounts(objCounts) };
+}
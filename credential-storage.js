@@ -189,6 +189,8 @@ export class CredentialStorage {
     constructor() {
         this.encryption = new WebEncryption();
         this.storageKey = 'supabase_credentials';
+        this.sessionKey = 'supabase_session';
+        this.endpointKey = 'custom_endpoint';
     }
 
     /**
@@ -210,6 +212,12 @@ export class CredentialStorage {
                 throw new Error('Invalid Supabase URL format');
             }
 
+            // A session belongs to the project it was made with
+            const previous = await this.getCredentials();
+            if (previous && previous.supabaseUrl !== credentials.supabaseUrl) {
+                await this.clearSession();
+            }
+
             // Encrypt sensitive data
             const encryptedCredentials = {
                 supabaseUrl: await this.encryption.encrypt(credentials.supabaseUrl),
@@ -341,11 +349,214 @@ export class CredentialStorage {
     }
 
     /**
-     * Clear stored credentials
+     * Send a request to the Supabase Auth API of the stored project
+     * Uses the stored API key, which is the anon key when several people share the project
+     * @param {string} path - Auth API path
+     * @param {Object} body - Request body
+     * @param {string|null} [accessToken] - Access token of the session the request acts for
+     * @returns {Promise<Object|null>} Response data
+     */
+    async requestAuth(path, body, accessToken = null) {
+        const credentials = await this.getCredentials();
+        if (!credentials) {
+            throw new Error('No credentials found');
+        }
+
+        const response = await fetch(`${credentials.supabaseUrl}/auth/v1${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'apikey': credentials.apiKey,
+                'Authorization': `Bearer ${accessToken || credentials.apiKey}`,
+                'X-Client-Info': 'youtube-watchmarker-extension'
+            },
+            body: JSON.stringify(body)
+        });
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch {
+            data = null;
+        }
+
+        if (!response.ok) {
+            // Same format as the database requests, so callers can tell outages from rejections
+            const message = data?.error_description || data?.msg || data?.message || text || response.statusText;
+            throw new Error(`HTTP ${response.status}: ${message}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Sign in to Supabase Auth with email and password
+     * @param {string} email - Account email
+     * @param {string} password - Account password
+     * @returns {Promise<Object>} Stored session
+     */
+    async signInWithPassword(email, password) {
+        if (!email || !password) {
+            throw new Error('Email and password are required');
+        }
+
+        return await this.storeSession(await this.requestAuth('/token?grant_type=password', { email, password }));
+    }
+
+    /**
+     * Email a one-time sign-in code, sent with the magic link of the project's email template
+     * Existing accounts only, accounts are created by the project owner
+     * @param {string} email - Account email
+     * @returns {Promise<boolean>} True once the email is sent
+     */
+    async sendSignInCode(email) {
+        if (!email) {
+            throw new Error('Email is required');
+        }
+
+        await this.requestAuth('/otp', { email, create_user: false });
+        return true;
+    }
+
+    /**
+     * Sign in with the one-time code of a magic link email
+     * @param {string} email - Account email
+     * @param {string} token - Code from the email
+     * @returns {Promise<Object>} Stored session
+     */
+    async verifySignInCode(email, token) {
+        if (!email || !token) {
+            throw new Error('Email and code are required');
+        }
+
+        return await this.storeSession(await this.requestAuth('/verify', { type: 'email', email, token: token.trim() }));
+    }
+
+    /**
+     * Exchange the refresh token of a session for a new session
+     * A rejected refresh token ends the session, outages leave it for a later attempt
+     * @param {Object} session - Current session
+     * @returns {Promise<Object>} Stored new session
+     */
+    async refreshSession(session) {
+        try {
+            return await this.storeSession(await this.requestAuth('/token?grant_type=refresh_token', {
+                refresh_token: session.refreshToken
+            }));
+        } catch (error) {
+            if (/^HTTP (400|401|403):/.test(error.message)) {
+                await this.clearSession();
+                throw new Error('Supabase session expired, please sign in again');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Sign out of Supabase Auth and forget the session
+     * @returns {Promise<boolean>} Success status
+     */
+    async signOut() {
+        const session = await this.getSession();
+
+        try {
+            if (session) {
+                await this.requestAuth('/logout', {}, session.accessToken);
+            }
+        } catch (error) {
+            // The session is forgotten locally even if Supabase cannot revoke it
+            console.warn('Failed to revoke the Supabase session:', error.message);
+        }
+
+        return await this.clearSession();
+    }
+
+    /**
+     * Store the session of an Auth API response, tokens encrypted like the credentials
+     * @param {Object} data - Auth API response with access_token, refresh_token, expires_in and user
+     * @returns {Promise<Object>} Stored session
+     */
+    async storeSession(data) {
+        if (!data || !data.access_token || !data.refresh_token || !data.user) {
+            throw new Error('Supabase Auth returned no session');
+        }
+
+        const session = {
+            accessToken: data.access_token,
+            refreshToken: data.refresh_token,
+            expiresAt: data.expires_at ? data.expires_at * 1000 : Date.now() + (data.expires_in || 3600) * 1000,
+            userId: data.user.id,
+            email: data.user.email || null
+        };
+
+        await chrome.storage.local.set({
+            [this.sessionKey]: {
+                accessToken: await this.encryption.encrypt(session.accessToken),
+                refreshToken: await this.encryption.encrypt(session.refreshToken),
+                expiresAt: session.expiresAt,
+                userId: session.userId,
+                email: session.email
+            }
+        });
+
+        return session;
+    }
+
+    /**
+     * Retrieve and decrypt the Supabase Auth session
+     * @returns {Promise<Object|null>} Session or null if not signed in
+     */
+    async getSession() {
+        try {
+            const result = await chrome.storage.local.get([this.sessionKey]);
+            const encryptedSession = result[this.sessionKey];
+
+            if (!encryptedSession) {
+                return null;
+            }
+
+            return {
+                accessToken: await this.encryption.decrypt(encryptedSession.accessToken),
+                refreshToken: await this.encryption.decrypt(encryptedSession.refreshToken),
+                expiresAt: encryptedSession.expiresAt,
+                userId: encryptedSession.userId,
+                email: encryptedSession.email
+            };
+        } catch (error) {
+            console.error('Failed to retrieve session:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            return null;
+        }
+    }
+
+    /**
+     * Forget the Supabase Auth session
+     * @returns {Promise<boolean>} Success status
+     */
+    async clearSession() {
+        try {
+            await chrome.storage.local.remove([this.sessionKey]);
+            return true;
+        } catch (error) {
+            console.error('Failed to clear session:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            return false;
+        }
+    }
+
+    /**
+     * Clear stored credentials and the session made with them
      */
     async clearCredentials() {
         try {
-            await chrome.storage.local.remove([this.storageKey]);
+            await chrome.storage.local.remove([this.storageKey, this.sessionKey]);
             return true;
         } catch (error) {
             console.error('Failed to clear credentials:', JSON.stringify({
@@ -428,6 +639,115 @@ export class CredentialStorage {
         };
     }
 
+    /**
+     * Store the self-hosted endpoint of the custom provider, the password encrypted
+     * @param {Object} endpoint - Endpoint configuration
+     * @param {string} endpoint.strUrl - URL of the history document
+     * @param {string} [endpoint.strFormat] - 'json' or 'ndjson'
+     * @param {string} [endpoint.strUsername] - Username for HTTP basic authentication
+     * @param {string} [endpoint.strPassword] - Password for HTTP basic authentication, the saved one is kept when empty
+     * @returns {Promise<boolean>} Success status
+     */
+    async storeEndpoint(endpoint) {
+        let url;
+        try {
+            url = new URL(endpoint.strUrl);
+        } catch {
+            throw new Error('Invalid endpoint URL');
+        }
+
+        const isLocalhost = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+        if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocalhost)) {
+            throw new Error('Invalid endpoint URL: use https, or http for a server on this computer');
+        }
+
+        const username = endpoint.strUsername || null;
+        let password = endpoint.strPassword ? await this.encryption.encrypt(endpoint.strPassword) : null;
+        if (!password && username) {
+            const result = await chrome.storage.local.get([this.endpointKey]);
+            const stored = result[this.endpointKey];
+            if (stored && stored.strUsername === username) {
+                password = stored.strPassword;
+            }
+        }
+
+        await chrome.storage.local.set({
+            [this.endpointKey]: {
+                strUrl: url.href,
+                strFormat: endpoint.strFormat === 'ndjson' ? 'ndjson' : 'json',
+                strUsername: username,
+                strPassword: password,
+                stored_at: Date.now()
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Retrieve the self-hosted endpoint with the decrypted password
+     * @returns {Promise<Object|null>} Endpoint configuration or null if not configured
+     */
+    async getEndpoint() {
+        try {
+            const result = await chrome.storage.local.get([this.endpointKey]);
+            const stored = result[this.endpointKey];
+
+            if (!stored) {
+                return null;
+            }
+
+            return {
+                ...stored,
+                strPassword: stored.strPassword ? await this.encryption.decrypt(stored.strPassword) : null
+            };
+        } catch (error) {
+            console.error('Failed to retrieve endpoint:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            return null;
+        }
+    }
+
+    /**
+     * Get the self-hosted endpoint for display purposes, without the password
+     * @returns {Promise<Object|null>} Endpoint configuration or null if not configured
+     */
+    async getMaskedEndpoint() {
+        const endpoint = await this.getEndpoint();
+        if (!endpoint) {
+            return null;
+        }
+
+        return {
+            strUrl: endpoint.strUrl,
+            strFormat: endpoint.strFormat,
+            strUsername: endpoint.strUsername,
+            hasPassword: !!endpoint.strPassword,
+            stored_at: endpoint.stored_at
+        };
+    }
+
+    /**
+     * Clear the self-hosted endpoint
+     * @returns {Promise<boolean>} Success status
+     */
+    async clearEndpoint() {
+        try {
+            await chrome.storage.local.remove([this.endpointKey]);
+            return true;
+        } catch (error) {
+            console.error('Failed to clear endpoint:', JSON.stringify({
+                error: error.message,
+                errorName: error.name,
+                errorStack: error.stack
+            }, null, 2));
+            return false;
+        }
+    }
+
     /**
      * Get masked credentials for display purposes
      * @returns {Object|null} Masked credentials or null if not found
@@ -490,15 +810,21 @@ export class CredentialStorage {
                     configured: false,
                     hasUrl: false,
                     hasApiKey: false,
-                    storedAt: null
+                    storedAt: null,
+                    signedIn: false,
+                    email: null
                 };
             }
 
+            const session = await this.getSession();
+
             return {
                 configured: true,
                 hasUrl: !!credentials.supabaseUrl,
                 hasApiKey: !!credentials.apiKey,
-                storedAt: credentials.stored_at ? new Date(credentials.stored_at) : null
+                storedAt: credentials.stored_at ? new Date(credentials.stored_at) : null,
+                signedIn: !!session,
+                email: session ? session.email : null
             };
         } catch (error) {
             console.error('Failed to get credential status:', JSON.stringify({
@@ -510,7 +836,9 @@ export class CredentialStorage {
                 configured: false,
                 hasUrl: false,
                 hasApiKey: false,
-                storedAt: null
+                storedAt: null,
+                signedIn: false,
+                email: null
             };
         }
     }
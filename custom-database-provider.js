@@ -0,0 +1,585 @@
+/**
+ * Custom Database Provider for YouTube Watch History
+ * Stores the history as one JSON or NDJSON document on a self-hosted WebDAV
+ * (e.g. Nextcloud) or plain HTTP endpoint. Every device reads and writes the
+ * same document, writes send the ETag of the version they changed in If-Match,
+ * and a write rejected because another device saved first is applied again
+ * to the newer document.
+ */
+
+import { credentialStorage } from './credential-storage.js';
+import { SYNC, VIEW_COUNTS } from './constants.js';
+import { normalizeQuery, hasSearch, matchesQuery } from './query-utils.js';
+import { rankVideos } from './search-utils.js';
+import { mergeProgress } from './progress-utils.js';
+import { mergeSources } from './source-utils.js';
+import { countViews, withDeviceCounts } from './count-utils.js';
+import { getDeviceId } from './browser-utils.js';
+
+/**
+ * Custom Database Provider
+ * Keeps the last loaded document in memory and revalidates it with its ETag
+ */
+export class CustomDatabaseProvider {
+    constructor() {
+        this.isInitialized = false;
+        this.isConnected = false;
+        this.endpoint = null; // URL, format and optional login from the credential storage
+        this.videos = new Map(); // Video records of the loaded document by video ID
+        this.etag = null; // ETag of the loaded document, null if the server sends none
+        this.exists = false; // Whether the document exists on the server
+        this.loadedAt = 0;
+        this.loading = null; // Pending load, shared by concurrent reads
+        this.mutations = []; // Writes waiting to be saved, applied together in one upload
+        this.saving = null; // Running upload
+        this.timeout = 60000;
+    }
+
+    /**
+     * Initialize the provider with the stored endpoint and load the document
+     * @returns {Promise<boolean>} Success status
+     */
+    async init() {
+        try {
+            this.endpoint = await credentialStorage.getEndpoint();
+            if (!this.endpoint) {
+                return false;
+            }
+
+            this.videos = new Map();
+            this.etag = null;
+            this.loadedAt = 0;
+            await this.load();
+
+            this.isInitialized = true;
+            this.isConnected = true;
+            return true;
+        } catch (error) {
+            console.error('Failed to initialize custom provider:', error.message);
+            this.isInitialized = false;
+            this.isConnected = false;
+            return false;
+        }
+    }
+
+    /**
+     * Ensure database is connected
+     * @private
+     */
+    ensureConnected() {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+    }
+
+    /**
+     * Send a request to the endpoint
+     * @param {string} method - HTTP method
+     * @param {Object} [headers] - Additional headers
+     * @param {string|null} [body] - Request body
+     * @returns {Promise<Response>} Fetch response, not ok responses included
+     */
+    async request(method, headers = {}, body = null) {
+        const requestHeaders = {
+            'Cache-Control': 'no-cache',
+            ...headers
+        };
+
+        if (this.endpoint.strUsername) {
+            const login = new TextEncoder().encode(`${this.endpoint.strUsername}:${this.endpoint.strPassword || ''}`);
+            requestHeaders['Authorization'] = `Basic ${btoa(String.fromCharCode(...login))}`;
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            return await fetch(this.endpoint.strUrl, {
+                method,
+                headers: requestHeaders,
+                body,
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Connection timeout - check your network and endpoint URL');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Create the error of a failed response
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Error>} Error with the status, like the Supabase provider
+     */
+    async createResponseError(response) {
+        const errorText = await response.text().catch(() => '');
+
+        if (response.status === 401 || response.status === 403) {
+            return new Error(`HTTP ${response.status}: Access denied - check the username and password of the endpoint`);
+        }
+
+        return new Error(`HTTP ${response.status}: ${errorText.slice(0, 200) || response.statusText}`);
+    }
+
+    /**
+     * Load the document, or confirm the loaded one is current
+     * @param {boolean} [force=false] - Download the document even if the loaded version is current
+     * @returns {Promise<void>}
+     */
+    async load(force = false) {
+        if (!this.loading) {
+            this.loading = this.fetchDocument(force).finally(() => {
+                this.loading = null;
+            });
+        }
+
+        await this.loading;
+    }
+
+    /**
+     * Download the document unless the server reports the loaded version as current
+     * @param {boolean} force - Download without If-None-Match
+     * @returns {Promise<void>}
+     */
+    async fetchDocument(force) {
+        const headers = { 'Accept': 'application/json, application/x-ndjson, text/plain' };
+        if (this.etag && !force) {
+            headers['If-None-Match'] = this.etag;
+        }
+
+        const response = await this.request('GET', headers);
+
+        if (response.status === 304) {
+            this.loadedAt = Date.now();
+            return;
+        }
+
+        if (response.status === 404) {
+            // Created by the first write
+            this.videos = new Map();
+            this.etag = null;
+            this.exists = false;
+            this.loadedAt = Date.now();
+            return;
+        }
+
+        if (!response.ok) {
+            throw await this.createResponseError(response);
+        }
+
+        const videos = this.parseDocument(await response.text());
+        this.videos = new Map(videos.map(video => [video.strIdent, video]));
+        this.etag = response.headers.get('ETag');
+        this.exists = true;
+        this.loadedAt = Date.now();
+    }
+
+    /**
+     * Reload the document if it was loaded longer ago than the refresh interval
+     * @returns {Promise<void>}
+     */
+    async ensureLoaded() {
+        this.ensureConnected();
+
+        if (Date.now() - this.loadedAt >= SYNC.DOCUMENT.REFRESH_INTERVAL) {
+            await this.load();
+        }
+    }
+
+    /**
+     * Parse a JSON or NDJSON document
+     * JSON documents are read whatever the configured format, so the format can be changed
+     * @param {string} text - Document text
+     * @returns {Array<Object>} Video records
+     */
+    parseDocument(text) {
+        const trimmed = text.trim();
+        if (!trimmed) {
+            return [];
+        }
+
+        let records;
+        try {
+            const data = JSON.parse(trimmed);
+            // A single NDJSON line is a JSON document too
+            records = Array.isArray(data) ? data : (data.arrVideos || [data]);
+        } catch {
+            // One record per line
+            records = trimmed.split('\n').filter(line => line.trim()).map((line, index) => {
+                try {
+                    return JSON.parse(line);
+                } catch {
+                    throw new Error(`Invalid document: line ${index + 1} is not JSON`);
+                }
+            });
+        }
+
+        if (!Array.isArray(records)) {
+            throw new Error('Invalid document: no video records found');
+        }
+
+        return records.filter(record => record && typeof record.strIdent === 'string');
+    }
+
+    /**
+     * Serialize video records in the configured format
+     * @param {Map<string, Object>} videos - Video records by video ID
+     * @returns {{body: string, contentType: string}} Document and its content type
+     */
+    serializeDocument(videos) {
+        const records = Array.from(videos.values());
+
+        if (this.endpoint.strFormat === SYNC.DOCUMENT.FORMATS.NDJSON) {
+            return {
+                body: records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : ''),
+                contentType: 'application/x-ndjson'
+            };
+        }
+
+        return {
+            body: JSON.stringify({ intVersion: 1, intUpdated: Date.now(), arrVideos: records }),
+            contentType: 'application/json'
+        };
+    }
+
+    /**
+     * Upload the document if nobody saved a newer version in between
+     * @param {Map<string, Object>} videos - Video records by video ID
+     * @returns {Promise<void>}
+     */
+    async saveDocument(videos) {
+        const { body, contentType } = this.serializeDocument(videos);
+        const headers = { 'Content-Type': contentType };
+
+        if (this.etag) {
+            headers['If-Match'] = this.etag;
+        } else if (!this.exists) {
+            headers['If-None-Match'] = '*';
+        } else {
+            console.warn('The endpoint sends no ETag, concurrent writes of other devices may be overwritten');
+        }
+
+        const response = await this.request('PUT', headers, body);
+
+        if (response.status === 412) {
+            throw new Error('HTTP 412: The document was changed by another device');
+        }
+
+        if (!response.ok) {
+            throw await this.createResponseError(response);
+        }
+
+        this.etag = response.headers.get('ETag');
+        this.exists = true;
+
+        if (!this.etag) {
+            // WebDAV servers may leave the ETag out of PUT responses, read it with the next load
+            this.loadedAt = 0;
+        }
+    }
+
+    /**
+     * Apply a write to the document and save it
+     * Writes made while an upload is running are saved together with the next one
+     * @param {(videos: Map<string, Object>) => *} mutation - Changes the records and returns the result of the write,
+     *     applied again to the newer document when another device saved first
+     * @returns {Promise<*>} Result of the mutation once saved
+     */
+    mutate(mutation) {
+        this.ensureConnected();
+
+        return new Promise((resolve, reject) => {
+            this.mutations.push({ mutation, resolve, reject });
+            this.scheduleSave();
+        });
+    }
+
+    /**
+     * Start saving the waiting writes unless an upload is running
+     */
+    scheduleSave() {
+        if (this.saving || this.mutations.length === 0) {
+            return;
+        }
+
+        this.saving = this.saveMutations().finally(() => {
+            this.saving = null;
+            this.scheduleSave();
+        });
+    }
+
+    /**
+     * Save the waiting writes in one upload, reloading the document on conflicts
+     * @returns {Promise<void>}
+     */
+    async saveMutations() {
+        const batch = this.mutations.splice(0);
+
+        try {
+            for (let attempt = 0; ; attempt++) {
+                if (attempt > 0 || !this.loadedAt) {
+                    await this.load(attempt > 0);
+                }
+
+                const videos = new Map(this.videos);
+                const results = batch.map(entry => entry.mutation(videos));
+
+                try {
+                    await this.saveDocument(videos);
+                    this.videos = videos;
+                    batch.forEach((entry, index) => entry.resolve(results[index]));
+                    return;
+                } catch (error) {
+                    if (!error.message.startsWith('HTTP 412:') || attempt >= SYNC.DOCUMENT.MAX_CONFLICT_RETRIES) {
+                        throw error;
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('Failed to save the document:', error.message);
+            batch.forEach(entry => entry.reject(error));
+        }
+    }
+
+    /**
+     * Merge a written record with the stored one, like the IndexedDB provider
+     * @param {Object|undefined} existing - Stored record
+     * @param {Object} video - Written record
+     * @param {string} deviceId - Device the new views are counted for
+     * @returns {Object} Record to store
+     */
+    mergeVideo(existing, video, deviceId) {
+        let merged = video;
+
+        if (existing) {
+            merged = {
+                ...existing,
+                ...video,
+                intTimestamp: Math.max(existing.intTimestamp || 0, video.intTimestamp || 0),
+                intCount: Math.max(existing.intCount || 1, video.intCount || 1),
+                arrSources: mergeSources(existing.arrSources, video.arrSources),
+                ...mergeProgress(existing, video)
+            };
+        }
+
+        return { ...countViews(merged, deviceId, existing), intUpdated: Date.now() };
+    }
+
+    /**
+     * Convert a stored record to a video record
+     * @param {Object|undefined} record - Stored record
+     * @returns {Object|null} Video record or null
+     */
+    toVideoRecord(record) {
+        return record ? withDeviceCounts(record) : null;
+    }
+
+    async testConnection() {
+        try {
+            if (!this.endpoint) {
+                return false;
+            }
+
+            await this.load();
+            this.isConnected = true;
+            return true;
+        } catch (error) {
+            console.error('Custom endpoint connection test failed:', error.message);
+            this.isConnected = false;
+            return false;
+        }
+    }
+
+    updateConnectionStatus() {
+        this.isConnected = this.isInitialized && this.endpoint !== null;
+    }
+
+    async getVideo(videoId) {
+        await this.ensureLoaded();
+        return this.toVideoRecord(this.videos.get(videoId));
+    }
+
+    /**
+     * Store or merge a video record
+     * @param {Object} video - Video data
+     * @param {Object} [options] - Write options
+     * @param {boolean} [options.track=true] - Count new views for this device
+     * @returns {Promise<boolean>} Success status
+     */
+    async putVideo(video, { track = true } = {}) {
+        const deviceId = track ? await getDeviceId() : VIEW_COUNTS.UNATTRIBUTED;
+
+        return await this.mutate((videos) => {
+            videos.set(video.strIdent, this.mergeVideo(videos.get(video.strIdent), video, deviceId));
+            return true;
+        });
+    }
+
+    async getAllVideos() {
+        await this.ensureLoaded();
+        return Array.from(this.videos.values(), record => this.toVideoRecord(record));
+    }
+
+    async getVideoCount() {
+        await this.ensureLoaded();
+        return this.videos.size;
+    }
+
+    async clearAllVideos() {
+        return await this.mutate((videos) => {
+            videos.clear();
+            return true;
+        });
+    }
+
+    async deleteVideo(videoId) {
+        return await this.deleteVideos([videoId]);
+    }
+
+    /**
+     * Delete several video records
+     * Every device reads the same document, so no tombstones are needed
+     * @param {string[]} videoIds - YouTube video IDs
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteVideos(videoIds) {
+        if (!videoIds || videoIds.length === 0) {
+            return true;
+        }
+
+        return await this.mutate((videos) => {
+            videoIds.forEach(videoId => videos.delete(videoId));
+            return true;
+        });
+    }
+
+    /**
+     * Import several video records
+     * @param {Array} videos - Video records
+     * @param {Object} [options] - Write options
+     * @param {boolean} [options.track=true] - Count new views for this device
+     * @param {boolean} [options.replace=false] - Store the records as they are instead of merging them
+     * @returns {Promise<boolean>} Success status
+     */
+    async importVideos(videos, { track = true, replace = false } = {}) {
+        if (!videos || videos.length === 0) {
+            return true;
+        }
+
+        const deviceId = track ? await getDeviceId() : VIEW_COUNTS.UNATTRIBUTED;
+
+        return await this.mutate((stored) => {
+            for (const video of videos) {
+                stored.set(video.strIdent, replace ? video : this.mergeVideo(stored.get(video.strIdent), video, deviceId));
+            }
+            return true;
+        });
+    }
+
+    async getVideos(videoIds) {
+        await this.ensureLoaded();
+        return videoIds.map(videoId => this.videos.get(videoId)).filter(Boolean).map(record => this.toVideoRecord(record));
+    }
+
+    /**
+     * Query the loaded document
+     * @param {import('./query-utils.js').VideoQuery} [options] - Query options
+     * @returns {Promise<import('./query-utils.js').VideoQueryResult>} Matching page and total count
+     */
+    async queryVideos(options = {}) {
+        await this.ensureLoaded();
+
+        const query = normalizeQuery(options);
+        const matches = [];
+
+        for (const record of this.videos.values()) {
+            const timestamp = record.intTimestamp || 0;
+            if ((query.startTimestamp !== null && timestamp < query.startTimestamp) ||
+                (query.endTimestamp !== null && timestamp > query.endTimestamp)) {
+                continue;
+            }
+
+            const video = this.toVideoRecord(record);
+            if (matchesQuery(video, query)) {
+                matches.push(video);
+            }
+        }
+
+        const sorted = query.rank && hasSearch(query)
+            ? rankVideos(matches, query.search)
+            : matches.sort((a, b) => query.order === 'asc'
+                ? (a.intTimestamp || 0) - (b.intTimestamp || 0)
+                : (b.intTimestamp || 0) - (a.intTimestamp || 0));
+
+        const end = query.limit > 0 ? query.offset + query.limit : undefined;
+        return { videos: sorted.slice(query.offset, end), totalResults: sorted.length };
+    }
+
+    async searchVideos(query, limit = 100) {
+        const result = await this.queryVideos({ text: query, sortBy: 'relevance', limit });
+        return result.videos;
+    }
+
+    async getVideosByDateRange(startTimestamp, endTimestamp) {
+        const result = await this.queryVideos({ startTimestamp, endTimestamp });
+        return result.videos;
+    }
+
+    async getStatistics() {
+        await this.ensureLoaded();
+
+        let totalViews = 0;
+        let oldestTimestamp = 0;
+        let newestTimestamp = 0;
+
+        for (const record of this.videos.values()) {
+            const timestamp = record.intTimestamp || 0;
+            totalViews += record.intCount || 1;
+            oldestTimestamp = oldestTimestamp === 0 ? timestamp : Math.min(oldestTimestamp, timestamp);
+            newestTimestamp = Math.max(newestTimestamp, timestamp);
+        }
+
+        const totalVideos = this.videos.size;
+        return {
+            totalVideos,
+            oldestTimestamp,
+            newestTimestamp,
+            totalViews,
+            avgViewsPerVideo: totalVideos > 0 ? totalViews / totalVideos : 0
+        };
+    }
+
+    /**
+     * Close the provider once the waiting writes are saved
+     * @returns {Promise<boolean>} Success status
+     */
+    async close() {
+        while (this.saving) {
+            await this.saving;
+        }
+
+        this.isConnected = false;
+        this.isInitialized = false;
+        return true;
+    }
+
+    getProviderInfo() {
+        return {
+            name: 'Self-hosted (WebDAV / HTTP)',
+            type: 'remote',
+            isConnected: this.isConnected,
+            isInitialized: this.isInitialized,
+            url: this.endpoint ? this.endpoint.strUrl : null,
+            format: this.endpoint ? this.endpoint.strFormat : null,
+            hasETag: this.etag !== null,
+            videoCount: this.videos.size
+        };
+    }
+}
+
+// Create singleton instance
+export const customDatabaseProvider = new CustomDatabaseProvider();
@@ -1,10 +1,22 @@
 /**
  * Database Provider Factory
- * Manages switching between different database providers (IndexedDB, Supabase)
+ * Manages switching between different database providers (IndexedDB, Supabase, self-hosted endpoint, Chrome sync)
  */
 
 import { supabaseDatabaseProvider } from './supabase-database-provider.js';
+import { customDatabaseProvider } from './custom-database-provider.js';
+import { chromeSyncDatabaseProvider } from './chrome-sync-database-provider.js';
+import { MirrorDatabaseProvider } from './mirror-database-provider.js';
 import { credentialStorage } from './credential-storage.js';
+import { mergeProgress } from './progress-utils.js';
+import { mergeSources } from './source-utils.js';
+import { normalizeQuery, hasSearch, hasRecordFilters, matchesQuery } from './query-utils.js';
+import { getTitleTokens, getIndexLookups, rankVideos } from './search-utils.js';
+import { createTombstone, revokeTombstone, isDeletedBy, mergeTombstones, applyTombstones } from './tombstone-utils.js';
+import { getDefaultMergePolicy, normalizeMergePolicy, mergeRecords, markSynced } from './merge-policies.js';
+import { countViews, withDeviceCounts } from './count-utils.js';
+import { getDeviceId } from './browser-utils.js';
+import { DATABASE, MERGE, STORAGE_KEYS, SYNC, TOMBSTONES, VIEW_COUNTS } from './constants.js';
 
 /**
  * IndexedDB Provider Wrapper
@@ -79,7 +91,7 @@ class IndexedDBProvider {
             const request = store.get(videoId);
 
             request.onsuccess = () => {
-                resolve(request.result || null);
+                resolve(this.toVideoRecord(request.result));
             };
 
             request.onerror = () => {
@@ -88,7 +100,14 @@ class IndexedDBProvider {
         });
     }
 
-    async putVideo(video) {
+    /**
+     * Store or merge a video record
+     * @param {Object} video - Video record
+     * @param {Object} [options] - Write options
+     * @param {boolean} [options.track=true] - Queue the change for the next sync, false for changes pulled from a remote provider
+     * @returns {Promise<boolean>} Success status
+     */
+    async putVideo(video, { track = true } = {}) {
         // Update connection status
         this.updateConnectionStatus();
 
@@ -96,8 +115,11 @@ class IndexedDBProvider {
             throw new Error('Database not connected');
         }
 
+        // New views of tracked writes happened on this device
+        const deviceId = track ? await getDeviceId() : VIEW_COUNTS.UNATTRIBUTED;
+
         return new Promise((resolve, reject) => {
-            const transaction = this.databaseManager.database.transaction([this.databaseManager.STORE_NAME], 'readwrite');
+            const transaction = this.databaseManager.database.transaction(this.getWriteStoreNames(track), 'readwrite');
             const store = transaction.objectStore(this.databaseManager.STORE_NAME);
 
             // Check if video exists
@@ -113,21 +135,29 @@ class IndexedDBProvider {
                         ...existingVideo,
                         ...video,
                         intTimestamp: Math.max(existingVideo.intTimestamp || 0, video.intTimestamp || 0),
-                        intCount: Math.max(existingVideo.intCount || 1, video.intCount || 1)
+                        intCount: Math.max(existingVideo.intCount || 1, video.intCount || 1),
+                        arrSources: mergeSources(existingVideo.arrSources, video.arrSources),
+                        ...mergeProgress(existingVideo, video)
                     };
                 }
 
-                const putRequest = store.put(videoToStore);
+                videoToStore = countViews(videoToStore, deviceId, existingVideo);
 
-                putRequest.onsuccess = () => {
-                    resolve(true);
-                };
+                if (track) {
+                    videoToStore = this.trackChange(transaction, videoToStore);
+                }
+
+                const putRequest = store.put(this.toStoredRecord(videoToStore));
 
                 putRequest.onerror = () => {
                     reject(new Error('Failed to put video'));
                 };
             };
 
+            transaction.oncomplete = () => {
+                resolve(true);
+            };
+
             getRequest.onerror = () => {
                 reject(new Error('Failed to check existing video'));
             };
@@ -148,7 +178,7 @@ class IndexedDBProvider {
             const request = store.getAll();
 
             request.onsuccess = () => {
-                resolve(request.result || []);
+                resolve((request.result || []).map(record => this.toVideoRecord(record)));
             };
 
             request.onerror = () => {
@@ -183,41 +213,89 @@ class IndexedDBProvider {
         }
 
         return new Promise((resolve, reject) => {
-            const transaction = this.databaseManager.database.transaction([this.databaseManager.STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(this.databaseManager.STORE_NAME);
-            const request = store.clear();
+            // Pending changes and tombstones of the cleared videos are dropped with them
+            const transaction = this.databaseManager.database.transaction(this.getWriteStoreNames(true), 'readwrite');
+            transaction.objectStore(this.databaseManager.STORE_NAME).clear();
+            transaction.objectStore(this.databaseManager.OUTBOX_STORE_NAME).clear();
+            transaction.objectStore(this.databaseManager.TOMBSTONES_STORE_NAME).clear();
 
-            request.onsuccess = () => {
+            transaction.oncomplete = () => {
                 resolve(true);
             };
 
-            request.onerror = () => {
+            transaction.onerror = () => {
                 reject(new Error('Failed to clear all videos'));
             };
         });
     }
 
-    async deleteVideo(videoId) {
+    /**
+     * Delete a video record
+     * @param {string} videoId - YouTube video ID
+     * @param {Object} [options] - Write options
+     * @param {boolean} [options.track=true] - Leave a tombstone and queue it for the next sync
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteVideo(videoId, options = {}) {
+        return await this.deleteVideos([videoId], options);
+    }
+
+    /**
+     * Delete several video records in one transaction
+     * @param {string[]} videoIds - YouTube video IDs
+     * @param {Object} [options] - Write options
+     * @param {boolean} [options.track=true] - Leave tombstones and queue them for the next sync
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteVideos(videoIds, { track = true } = {}) {
         if (!this.isConnected) {
             throw new Error('Database not connected');
         }
 
+        if (!videoIds || videoIds.length === 0) {
+            return true;
+        }
+
         return new Promise((resolve, reject) => {
-            const transaction = this.databaseManager.database.transaction([this.databaseManager.STORE_NAME], 'readwrite');
+            const transaction = this.databaseManager.database.transaction(this.getWriteStoreNames(track), 'readwrite');
             const store = transaction.objectStore(this.databaseManager.STORE_NAME);
-            const request = store.delete(videoId);
 
-            request.onsuccess = () => {
+            videoIds.forEach(videoId => {
+                if (!track) {
+                    store.delete(videoId);
+                    return;
+                }
+
+                store.get(videoId).onsuccess = (event) => {
+                    // A view stamped later than now (clock skew) must not outlive the deletion
+                    const intDeleted = Math.max(Date.now(), event.target.result?.intTimestamp || 0);
+                    const tombstone = createTombstone(videoId, intDeleted);
+
+                    transaction.objectStore(this.databaseManager.TOMBSTONES_STORE_NAME).put(tombstone);
+                    transaction.objectStore(this.databaseManager.OUTBOX_STORE_NAME).put({ strIdent: videoId, intQueued: tombstone.intUpdated });
+                    store.delete(videoId);
+                };
+            });
+
+            transaction.oncomplete = () => {
                 resolve(true);
             };
 
-            request.onerror = () => {
-                reject(new Error('Failed to delete video'));
+            transaction.onerror = () => {
+                reject(new Error('Failed to delete videos'));
             };
         });
     }
 
-    async importVideos(videos) {
+    /**
+     * Store or merge several video records in one transaction
+     * @param {Array} videos - Video records
+     * @param {Object} [options] - Write options
+     * @param {boolean} [options.track=true] - Queue the changes for the next sync, false for changes pulled from a remote provider
+     * @param {boolean} [options.replace=false] - Store the records as they are instead of merging them with existing ones, used for records already merged by a sync
+     * @returns {Promise<boolean>} Success status
+     */
+    async importVideos(videos, { track = true, replace = false } = {}) {
         if (!this.isConnected) {
             throw new Error('Database not connected');
         }
@@ -226,8 +304,10 @@ class IndexedDBProvider {
             return true;
         }
 
+        const deviceId = track ? await getDeviceId() : VIEW_COUNTS.UNATTRIBUTED;
+
         return new Promise((resolve, reject) => {
-            const transaction = this.databaseManager.database.transaction([this.databaseManager.STORE_NAME], 'readwrite');
+            const transaction = this.databaseManager.database.transaction(this.getWriteStoreNames(track), 'readwrite');
             const store = transaction.objectStore(this.databaseManager.STORE_NAME);
 
             let processed = 0;
@@ -248,17 +328,28 @@ class IndexedDBProvider {
                     const existingVideo = getRequest.result;
                     let videoToStore = video;
 
-                    if (existingVideo) {
-                        // Merge with existing data, keeping the latest timestamp
-                        videoToStore = {
-                            ...existingVideo,
-                            ...video,
-                            intTimestamp: Math.max(existingVideo.intTimestamp || 0, video.intTimestamp || 0),
-                            intCount: Math.max(existingVideo.intCount || 1, video.intCount || 1)
-                        };
+                    // Records changed again since a sync read them are merged instead of replaced
+                    if (!replace || (existingVideo && (existingVideo.intUpdated || 0) > (video.intUpdated || 0))) {
+                        if (existingVideo) {
+                            // Merge with existing data, keeping the latest timestamp
+                            videoToStore = {
+                                ...existingVideo,
+                                ...video,
+                                intTimestamp: Math.max(existingVideo.intTimestamp || 0, video.intTimestamp || 0),
+                                intCount: Math.max(existingVideo.intCount || 1, video.intCount || 1),
+                                arrSources: mergeSources(existingVideo.arrSources, video.arrSources),
+                                ...mergeProgress(existingVideo, video)
+                            };
+                        }
+
+                        videoToStore = countViews(videoToStore, deviceId, existingVideo);
                     }
 
-                    const putRequest = store.put(videoToStore);
+                    if (track) {
+                        videoToStore = this.trackChange(transaction, videoToStore);
+                    }
+
+                    const putRequest = store.put(this.toStoredRecord(videoToStore));
 
                     putRequest.onsuccess = () => {
                         processed++;
@@ -279,57 +370,836 @@ class IndexedDBProvider {
         });
     }
 
-    async searchVideos(query, limit = 100) {
+    /**
+     * Get the stored records of several videos
+     * @param {string[]} videoIds - YouTube video IDs
+     * @returns {Promise<Array>} Existing video records
+     */
+    async getVideos(videoIds) {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.databaseManager.STORE_NAME);
+            const videos = [];
+
+            (videoIds || []).forEach(videoId => {
+                store.get(videoId).onsuccess = (event) => {
+                    if (event.target.result) {
+                        videos.push(this.toVideoRecord(event.target.result));
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => {
+                resolve(videos);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to get videos'));
+            };
+        });
+    }
+
+    /**
+     * Get the object stores a write transaction needs
+     * @param {boolean} track - Whether the write queues changes in the outbox
+     * @returns {string[]} Object store names
+     */
+    getWriteStoreNames(track) {
+        const storeNames = [this.databaseManager.STORE_NAME];
+        if (track) {
+            storeNames.push(this.databaseManager.OUTBOX_STORE_NAME, this.databaseManager.TOMBSTONES_STORE_NAME);
+        }
+        return storeNames;
+    }
+
+    /**
+     * Stamp a changed record and queue it in the outbox of the same transaction
+     * Storing a deleted video again on purpose (restore, import) revokes its tombstone,
+     * so the next sync brings it back on the other devices instead of deleting it here
+     * @param {IDBTransaction} transaction - Write transaction including the outbox and tombstone stores
+     * @param {Object} video - Record about to be stored
+     * @returns {Object} Record with its change time
+     */
+    trackChange(transaction, video) {
+        const intUpdated = Date.now();
+        transaction.objectStore(this.databaseManager.OUTBOX_STORE_NAME).put({ strIdent: video.strIdent, intQueued: intUpdated });
+
+        const tombstones = transaction.objectStore(this.databaseManager.TOMBSTONES_STORE_NAME);
+        tombstones.get(video.strIdent).onsuccess = (event) => {
+            if (event.target.result?.intDeleted > 0) {
+                tombstones.put(revokeTombstone(video.strIdent, intUpdated));
+            }
+        };
+
+        return { ...video, intUpdated };
+    }
+
+    /**
+     * Get the tombstones of several videos
+     * @param {string[]} videoIds - YouTube video IDs
+     * @returns {Promise<Array>} Existing tombstones
+     */
+    async getTombstones(videoIds) {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.TOMBSTONES_STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.databaseManager.TOMBSTONES_STORE_NAME);
+            const tombstones = [];
+
+            (videoIds || []).forEach(videoId => {
+                store.get(videoId).onsuccess = (event) => {
+                    if (event.target.result) {
+                        tombstones.push(event.target.result);
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => {
+                resolve(tombstones);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to get tombstones'));
+            };
+        });
+    }
+
+    /**
+     * Get every stored tombstone
+     * @returns {Promise<Array>} Tombstones
+     */
+    async getAllTombstones() {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.TOMBSTONES_STORE_NAME], 'readonly');
+            const request = transaction.objectStore(this.databaseManager.TOMBSTONES_STORE_NAME).getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result || []);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to get tombstones'));
+            };
+        });
+    }
+
+    /**
+     * Store tombstones received from a sync and delete the videos they remove
+     * Newer local tombstones are kept, and nothing is queued for the next sync
+     * @param {Array} tombstones - Tombstones
+     * @returns {Promise<string[]>} IDs of the deleted videos
+     */
+    async importTombstones(tombstones) {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+
+        if (!tombstones || tombstones.length === 0) {
+            return [];
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([
+                this.databaseManager.STORE_NAME,
+                this.databaseManager.TOMBSTONES_STORE_NAME
+            ], 'readwrite');
+            const store = transaction.objectStore(this.databaseManager.STORE_NAME);
+            const tombstoneStore = transaction.objectStore(this.databaseManager.TOMBSTONES_STORE_NAME);
+            const deletedIds = [];
+
+            tombstones.forEach(tombstone => {
+                tombstoneStore.get(tombstone.strIdent).onsuccess = (event) => {
+                    const [winner] = mergeTombstones([event.target.result].filter(Boolean), [tombstone]);
+                    if (winner !== event.target.result) {
+                        tombstoneStore.put(winner);
+                    }
+
+                    store.get(tombstone.strIdent).onsuccess = (videoEvent) => {
+                        if (isDeletedBy(videoEvent.target.result, winner)) {
+                            store.delete(tombstone.strIdent);
+                            deletedIds.push(tombstone.strIdent);
+                        }
+                    };
+                };
+            });
+
+            transaction.oncomplete = () => {
+                resolve(deletedIds);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to import tombstones'));
+            };
+        });
+    }
+
+    /**
+     * Delete the tombstones last written before a point in time
+     * @param {number} cutoff - Tombstones written at or before this time are deleted
+     * @returns {Promise<number>} Number of deleted tombstones
+     */
+    async purgeTombstones(cutoff) {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.TOMBSTONES_STORE_NAME], 'readwrite');
+            const index = transaction.objectStore(this.databaseManager.TOMBSTONES_STORE_NAME).index(DATABASE.TOMBSTONES_INDEXES.UPDATED);
+            const request = index.openCursor(IDBKeyRange.upperBound(cutoff));
+            let purged = 0;
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    purged++;
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => {
+                resolve(purged);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to purge tombstones'));
+            };
+        });
+    }
+
+    /**
+     * Get the local changes waiting to be synced, ordered by video ID
+     * @param {number} [limit=0] - Maximum number of entries (0 = all)
+     * @param {string|null} [after=null] - Only entries after this video ID, for paging
+     * @returns {Promise<Array<{strIdent: string, intQueued: number}>>} Outbox entries
+     */
+    async getOutbox(limit = 0, after = null) {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.OUTBOX_STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.databaseManager.OUTBOX_STORE_NAME);
+            const range = after !== null ? IDBKeyRange.lowerBound(after, true) : null;
+            const request = store.getAll(range, limit > 0 ? limit : undefined);
+
+            request.onsuccess = () => {
+                resolve(request.result || []);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to read the sync outbox'));
+            };
+        });
+    }
+
+    /**
+     * Get the number of local changes waiting to be synced
+     * @returns {Promise<number>} Outbox size
+     */
+    async getOutboxCount() {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.OUTBOX_STORE_NAME], 'readonly');
+            const request = transaction.objectStore(this.databaseManager.OUTBOX_STORE_NAME).count();
+
+            request.onsuccess = () => {
+                resolve(request.result || 0);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to count the sync outbox'));
+            };
+        });
+    }
+
+    /**
+     * Get which of several videos have local changes waiting to be synced
+     * @param {string[]} videoIds - YouTube video IDs
+     * @returns {Promise<Set<string>>} IDs with an outbox entry
+     */
+    async getQueuedIds(videoIds) {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.OUTBOX_STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.databaseManager.OUTBOX_STORE_NAME);
+            const queuedIds = new Set();
+
+            (videoIds || []).forEach(videoId => {
+                store.getKey(videoId).onsuccess = (event) => {
+                    if (event.target.result !== undefined) {
+                        queuedIds.add(videoId);
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => {
+                resolve(queuedIds);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to read the sync outbox'));
+            };
+        });
+    }
+
+    /**
+     * Remove pushed changes from the outbox
+     * Entries changed again while the push was running stay queued
+     * @param {Array<{strIdent: string, intQueued: number}>} entries - Pushed outbox entries
+     * @returns {Promise<boolean>} Success status
+     */
+    async removeFromOutbox(entries) {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+
+        if (!entries || entries.length === 0) {
+            return true;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.OUTBOX_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(this.databaseManager.OUTBOX_STORE_NAME);
+
+            entries.forEach(entry => {
+                store.get(entry.strIdent).onsuccess = (event) => {
+                    if (event.target.result && event.target.result.intQueued === entry.intQueued) {
+                        store.delete(entry.strIdent);
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => {
+                resolve(true);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to update the sync outbox'));
+            };
+        });
+    }
+
+    /**
+     * Get the write queue object store
+     * The queue serves the Supabase provider while it is the current provider,
+     * so only the database has to be open, not this provider
+     * @param {string} mode - Transaction mode
+     * @returns {IDBObjectStore} Object store
+     */
+    getWriteQueueStore(mode = 'readonly') {
+        if (!this.databaseManager?.database) {
+            throw new Error('Database not connected');
+        }
+
+        const transaction = this.databaseManager.database.transaction([this.databaseManager.WRITE_QUEUE_STORE_NAME], mode);
+        return transaction.objectStore(this.databaseManager.WRITE_QUEUE_STORE_NAME);
+    }
+
+    /**
+     * Append a write to the queue of writes waiting for Supabase
+     * @param {import('./constants.js').QueuedWrite} write - Queued write without its ID
+     * @returns {Promise<number>} ID of the queued write
+     */
+    async addQueuedWrite(write) {
+        return new Promise((resolve, reject) => {
+            const request = this.getWriteQueueStore('readwrite').add(write);
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to queue the write'));
+            };
+        });
+    }
+
+    /**
+     * Get the oldest writes waiting for Supabase, in the order they were made
+     * @param {number} [limit=0] - Maximum number of writes (0 = all)
+     * @returns {Promise<Array<import('./constants.js').QueuedWrite>>} Queued writes
+     */
+    async getQueuedWrites(limit = 0) {
+        return new Promise((resolve, reject) => {
+            const request = this.getWriteQueueStore('readonly').getAll(null, limit > 0 ? limit : undefined);
+
+            request.onsuccess = () => {
+                resolve(request.result || []);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to read the write queue'));
+            };
+        });
+    }
+
+    /**
+     * Get the number of writes waiting for Supabase
+     * @returns {Promise<number>} Queue length
+     */
+    async getQueuedWriteCount() {
+        return new Promise((resolve, reject) => {
+            const request = this.getWriteQueueStore('readonly').count();
+
+            request.onsuccess = () => {
+                resolve(request.result || 0);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to count the write queue'));
+            };
+        });
+    }
+
+    /**
+     * Remove a replayed write from the queue
+     * @param {number} writeId - ID of the queued write
+     * @returns {Promise<boolean>} Success status
+     */
+    async removeQueuedWrite(writeId) {
+        return new Promise((resolve, reject) => {
+            const request = this.getWriteQueueStore('readwrite').delete(writeId);
+
+            request.onsuccess = () => {
+                resolve(true);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to update the write queue'));
+            };
+        });
+    }
+
+    /**
+     * Drop every write waiting for Supabase
+     * @returns {Promise<boolean>} Success status
+     */
+    async clearQueuedWrites() {
+        return new Promise((resolve, reject) => {
+            const request = this.getWriteQueueStore('readwrite').clear();
+
+            request.onsuccess = () => {
+                resolve(true);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to clear the write queue'));
+            };
+        });
+    }
+
+    /**
+     * Query videos through the timestamp index without loading the whole store
+     * Unfiltered queries only walk the requested page, filtered queries stream
+     * over the timestamp range and keep only the matching page in memory
+     * @param {import('./query-utils.js').VideoQuery} [options] - Query options
+     * @returns {Promise<import('./query-utils.js').VideoQueryResult>} Matching page and total count
+     */
+    async queryVideos(options = {}) {
+        // Update connection status
+        this.updateConnectionStatus();
+
         if (!this.isConnected) {
             throw new Error('Database not connected');
         }
 
-        const allVideos = await this.getAllVideos();
-        const filteredVideos = allVideos.filter(video =>
-            video.strTitle && video.strTitle.toLowerCase().includes(query.toLowerCase())
+        const query = normalizeQuery(options);
+        const filtered = hasRecordFilters(query);
+
+        if (query.startTimestamp !== null && query.endTimestamp !== null && query.startTimestamp > query.endTimestamp) {
+            return { videos: [], totalResults: 0 };
+        }
+
+        if (hasSearch(query)) {
+            return this.searchVideoRecords(query);
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.databaseManager.STORE_NAME);
+            const index = store.index('intTimestamp');
+            const range = this.getTimestampRange(query);
+
+            const videos = [];
+            let totalResults = 0;
+            let skipped = query.offset === 0;
+
+            if (!filtered) {
+                const countRequest = index.count(range);
+                countRequest.onsuccess = () => {
+                    totalResults = countRequest.result || 0;
+                };
+            }
+
+            const cursorRequest = index.openCursor(range, query.order === 'asc' ? 'next' : 'prev');
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    return;
+                }
+
+                if (!filtered) {
+                    if (!skipped) {
+                        skipped = true;
+                        cursor.advance(query.offset);
+                        return;
+                    }
+
+                    videos.push(this.toVideoRecord(cursor.value));
+                    if (query.limit === 0 || videos.length < query.limit) {
+                        cursor.continue();
+                    }
+                    return;
+                }
+
+                if (matchesQuery(cursor.value, query)) {
+                    if (totalResults >= query.offset && (query.limit === 0 || videos.length < query.limit)) {
+                        videos.push(this.toVideoRecord(cursor.value));
+                    }
+                    totalResults++;
+                }
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => {
+                resolve({ videos, totalResults });
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to query videos'));
+            };
+        });
+    }
+
+    /**
+     * Run a full-text query through the inverted title index
+     * Only the candidates found in the index are loaded, then filtered, sorted and paginated
+     * @param {import('./query-utils.js').NormalizedQuery} query - Normalized query with a search
+     * @returns {Promise<import('./query-utils.js').VideoQueryResult>} Matching page and total count
+     */
+    async searchVideoRecords(query) {
+        const candidates = await this.getSearchCandidates(query.search);
+        const range = this.getTimestampRange(query);
+
+        const matches = candidates.filter(video =>
+            (!range || range.includes(video.intTimestamp)) && matchesQuery(video, query)
         );
 
-        return filteredVideos.slice(0, limit);
+        const sorted = query.rank
+            ? rankVideos(matches, query.search)
+            : matches.sort((a, b) => query.order === 'asc'
+                ? (a.intTimestamp || 0) - (b.intTimestamp || 0)
+                : (b.intTimestamp || 0) - (a.intTimestamp || 0));
+
+        const end = query.limit > 0 ? query.offset + query.limit : undefined;
+        return { videos: sorted.slice(query.offset, end), totalResults: sorted.length };
+    }
+
+    /**
+     * Load the videos that contain every searched word, plus the videos whose ID contains the search text
+     * @param {import('./search-utils.js').ParsedSearch} search - Parsed search
+     * @returns {Promise<Array>} Candidate video records
+     */
+    async getSearchCandidates(search) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.databaseManager.STORE_NAME);
+            const index = store.index('arrTitleTokens');
+            const lookups = getIndexLookups(search);
+            const records = [];
+            let keys = null;
+
+            const loadRecords = (idMatches) => {
+                const ids = Array.from(new Set([...(keys || []), ...idMatches]));
+
+                for (const id of ids) {
+                    const request = store.get(id);
+                    request.onsuccess = () => {
+                        if (request.result) {
+                            records.push(this.toVideoRecord(request.result));
+                        }
+                    };
+                }
+            };
+
+            // Only the primary keys are read to find the IDs containing the search text
+            const loadIdMatches = () => {
+                if (!search.idText) {
+                    loadRecords([]);
+                    return;
+                }
+
+                const request = store.getAllKeys();
+                request.onsuccess = () => {
+                    loadRecords(request.result.filter(key => String(key).toLowerCase().includes(search.idText)));
+                };
+            };
+
+            // Intersect the primary keys of one index lookup after the other
+            const lookupNext = (position) => {
+                if (position >= lookups.length || (keys && keys.size === 0)) {
+                    loadIdMatches();
+                    return;
+                }
+
+                const { token, prefix } = lookups[position];
+                const range = prefix ? IDBKeyRange.bound(token, `${token}\uffff`) : IDBKeyRange.only(token);
+                const request = index.getAllKeys(range);
+
+                request.onsuccess = () => {
+                    const found = new Set(request.result);
+                    keys = keys === null ? found : new Set(Array.from(keys).filter(key => found.has(key)));
+                    lookupNext(position + 1);
+                };
+            };
+
+            transaction.oncomplete = () => {
+                resolve(records);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to search videos'));
+            };
+
+            lookupNext(0);
+        });
+    }
+
+    /**
+     * Add the derived index fields to a video record before storing it
+     * @param {Object} video - Video record
+     * @returns {Object} Record to store
+     */
+    toStoredRecord(video) {
+        return { ...video, arrTitleTokens: getTitleTokens(video.strTitle) };
+    }
+
+    /**
+     * Remove the derived index fields from a stored record
+     * Records stored before views were counted per device get their count as unattributed views
+     * @param {Object|undefined} record - Stored record
+     * @returns {Object|null} Video record or null
+     */
+    toVideoRecord(record) {
+        if (!record) {
+            return null;
+        }
+
+        const video = withDeviceCounts(record);
+        delete video.arrTitleTokens;
+        return video;
+    }
+
+    /**
+     * Build the key range of the timestamp index for a query
+     * @param {ReturnType<typeof normalizeQuery>} query - Normalized query
+     * @returns {IDBKeyRange|null} Key range or null for the whole index
+     */
+    getTimestampRange(query) {
+        if (query.startTimestamp !== null && query.endTimestamp !== null) {
+            return IDBKeyRange.bound(query.startTimestamp, query.endTimestamp);
+        }
+        if (query.startTimestamp !== null) {
+            return IDBKeyRange.lowerBound(query.startTimestamp);
+        }
+        if (query.endTimestamp !== null) {
+            return IDBKeyRange.upperBound(query.endTimestamp);
+        }
+        return null;
+    }
+
+    async searchVideos(query, limit = 100) {
+        const result = await this.queryVideos({ text: query, sortBy: 'relevance', limit });
+        return result.videos;
     }
 
     async getVideosByDateRange(startTimestamp, endTimestamp) {
+        const result = await this.queryVideos({ startTimestamp, endTimestamp });
+        return result.videos;
+    }
+
+    async getStatistics() {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.databaseManager.STORE_NAME);
+            const index = store.index('intTimestamp');
+
+            let totalVideos = 0;
+            let totalViews = 0;
+            let oldestTimestamp = 0;
+            let newestTimestamp = 0;
+
+            // Sum the view counts in ascending timestamp order, so the first and last keys are the range bounds
+            const cursorRequest = index.openCursor();
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    return;
+                }
+
+                if (totalVideos === 0) {
+                    oldestTimestamp = cursor.key;
+                }
+                newestTimestamp = cursor.key;
+                totalVideos++;
+                totalViews += cursor.value.intCount || 1;
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => {
+                resolve({
+                    totalVideos,
+                    oldestTimestamp,
+                    newestTimestamp,
+                    totalViews,
+                    avgViewsPerVideo: totalVideos > 0 ? totalViews / totalVideos : 0
+                });
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to get statistics'));
+            };
+        });
+    }
+
+    /**
+     * Append a watch event to the event log
+     * @param {Object} event - Watch event (strIdent, intTimestamp, strSource, strDevice)
+     * @returns {Promise<boolean>} True if stored, false if the same view was already logged
+     */
+    async addWatchEvent(event) {
         if (!this.isConnected) {
             throw new Error('Database not connected');
         }
 
-        const allVideos = await this.getAllVideos();
-        return allVideos.filter(video =>
-            video.intTimestamp >= startTimestamp && video.intTimestamp <= endTimestamp
-        );
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.EVENTS_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(this.databaseManager.EVENTS_STORE_NAME);
+            const request = store.add(event);
+
+            request.onsuccess = () => {
+                resolve(true);
+            };
+
+            request.onerror = (domEvent) => {
+                if (request.error?.name === 'ConstraintError') {
+                    // Duplicate view, keep the transaction alive and report it as skipped
+                    domEvent.preventDefault();
+                    resolve(false);
+                    return;
+                }
+                reject(new Error('Failed to add watch event'));
+            };
+        });
+    }
+
+    /**
+     * Get all watch events of a video, oldest first
+     * @param {string} videoId - YouTube video ID
+     * @returns {Promise<Array>} Watch events
+     */
+    async getWatchEvents(videoId) {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.EVENTS_STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.databaseManager.EVENTS_STORE_NAME);
+            const request = store.index('strIdent').getAll(videoId);
+
+            request.onsuccess = () => {
+                const events = request.result || [];
+                resolve(events.sort((a, b) => a.intTimestamp - b.intTimestamp));
+            };
+
+            request.onerror = () => {
+                reject(new Error('Failed to get watch events'));
+            };
+        });
+    }
+
+    /**
+     * Delete all watch events of a video
+     * @param {string} videoId - YouTube video ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteWatchEvents(videoId) {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.EVENTS_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(this.databaseManager.EVENTS_STORE_NAME);
+            const request = store.index('strIdent').openKeyCursor(IDBKeyRange.only(videoId));
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => {
+                resolve(true);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Failed to delete watch events'));
+            };
+        });
     }
 
-    async getStatistics() {
+    /**
+     * Clear the whole watch event log
+     * @returns {Promise<boolean>} Success status
+     */
+    async clearWatchEvents() {
         if (!this.isConnected) {
             throw new Error('Database not connected');
         }
 
-        const allVideos = await this.getAllVideos();
+        return new Promise((resolve, reject) => {
+            const transaction = this.databaseManager.database.transaction([this.databaseManager.EVENTS_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(this.databaseManager.EVENTS_STORE_NAME);
+            const request = store.clear();
 
-        if (allVideos.length === 0) {
-            return {
-                totalVideos: 0,
-                oldestTimestamp: 0,
-                newestTimestamp: 0,
-                totalViews: 0,
-                avgViewsPerVideo: 0
+            request.onsuccess = () => {
+                resolve(true);
             };
-        }
-
-        const timestamps = allVideos.map(v => v.intTimestamp).filter(t => t);
-        const totalViews = allVideos.reduce((sum, v) => sum + (v.intCount || 1), 0);
 
-        return {
-            totalVideos: allVideos.length,
-            oldestTimestamp: Math.min(...timestamps),
-            newestTimestamp: Math.max(...timestamps),
-            totalViews,
-            avgViewsPerVideo: totalViews / allVideos.length
-        };
+            request.onerror = () => {
+                reject(new Error('Failed to clear watch events'));
+            };
+        });
     }
 
     async close() {
@@ -356,6 +1226,8 @@ export class DatabaseProviderFactory {
         this.currentProvider = null;
         this.providerType = null;
         this.indexedDBProvider = null;
+        this.mirrorProvider = null;
+        this.mirrorEnabled = false; // Mirror writes to Supabase while IndexedDB is the current provider
         this.databaseManager = null;
     }
 
@@ -366,6 +1238,10 @@ export class DatabaseProviderFactory {
     setDatabaseManager(databaseManager) {
         this.databaseManager = databaseManager;
         this.indexedDBProvider = new IndexedDBProvider(databaseManager);
+        this.mirrorProvider = new MirrorDatabaseProvider(this.indexedDBProvider, supabaseDatabaseProvider);
+
+        // Supabase writes made while it is unreachable wait in IndexedDB
+        supabaseDatabaseProvider.setWriteQueue(this.indexedDBProvider);
     }
 
     /**
@@ -378,7 +1254,8 @@ export class DatabaseProviderFactory {
 
     /**
      * Get the current provider type
-     * @returns {string} Provider type ('indexeddb' or 'supabase')
+     * The mirror reads from IndexedDB and reports 'indexeddb'
+     * @returns {string} Provider type ('indexeddb', 'supabase', 'custom' or 'chrome')
      */
     getCurrentProviderType() {
         return this.providerType;
@@ -405,6 +1282,10 @@ export class DatabaseProviderFactory {
             this.currentProvider = this.indexedDBProvider;
             this.providerType = 'indexeddb';
 
+            if (this.mirrorEnabled) {
+                await this.startMirror();
+            }
+
             // Store provider preference only if requested
             if (savePreference) {
                 await chrome.storage.local.set({
@@ -505,6 +1386,86 @@ export class DatabaseProviderFactory {
         }
     }
 
+    /**
+     * Switch to the self-hosted endpoint provider
+     * @returns {Promise<boolean>} Success status
+     */
+    async switchToCustom() {
+        try {
+            if (!(await credentialStorage.getEndpoint())) {
+                throw new Error('No endpoint configured. Please save the URL of the history document first.');
+            }
+
+            // Close current provider if different
+            if (this.currentProvider && this.providerType !== 'custom') {
+                await this.currentProvider.close();
+            }
+
+            if (!(await customDatabaseProvider.init())) {
+                throw new Error('Failed to load the history document. Please verify the URL, the login and your network connectivity.');
+            }
+
+            this.currentProvider = customDatabaseProvider;
+            this.providerType = 'custom';
+
+            await chrome.storage.local.set({
+                database_provider: 'custom'
+            });
+
+            return true;
+        } catch (error) {
+            console.error('Failed to switch to the custom endpoint:', error.message);
+
+            if (this.providerType !== 'indexeddb') {
+                try {
+                    await this.switchToIndexedDB(false); // Don't save preference when falling back
+                } catch (fallbackError) {
+                    console.error('Fallback to IndexedDB also failed:', fallbackError.message);
+                }
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Switch to the Chrome sync storage provider
+     * @returns {Promise<boolean>} Success status
+     */
+    async switchToChromeSync() {
+        try {
+            // Close current provider if different
+            if (this.currentProvider && this.providerType !== 'chrome') {
+                await this.currentProvider.close();
+            }
+
+            if (!(await chromeSyncDatabaseProvider.init())) {
+                throw new Error('Failed to read Chrome sync storage');
+            }
+
+            this.currentProvider = chromeSyncDatabaseProvider;
+            this.providerType = 'chrome';
+
+            await chrome.storage.local.set({
+                database_provider: 'chrome'
+            });
+
+            return true;
+        } catch (error) {
+            console.error('Failed to switch to Chrome sync:', error.message);
+
+            if (this.providerType !== 'indexeddb') {
+                try {
+                    await this.switchToIndexedDB(false); // Don't save preference when falling back
+                } catch (fallbackError) {
+                    console.error('Fallback to IndexedDB also failed:', fallbackError.message);
+                }
+            }
+
+            throw error;
+        }
+    }
+
     /**
      * Initialize the factory and set up the default provider
      * @returns {Promise<boolean>} Success status
@@ -512,21 +1473,28 @@ export class DatabaseProviderFactory {
     async init() {
         try {
             // Load saved provider preference
-            const result = await chrome.storage.local.get(['database_provider']);
+            const result = await chrome.storage.local.get(['database_provider', STORAGE_KEYS.DATABASE_MIRROR]);
             const savedProvider = result.database_provider || 'indexeddb';
+            this.mirrorEnabled = result[STORAGE_KEYS.DATABASE_MIRROR] === true;
+
+            const remoteSwitches = {
+                supabase: () => this.switchToSupabase(),
+                custom: () => this.switchToCustom(),
+                chrome: () => this.switchToChromeSync()
+            };
 
             // Try to initialize the saved provider
-            if (savedProvider === 'supabase') {
+            if (remoteSwitches[savedProvider]) {
                 try {
-                    const success = await this.switchToSupabase();
+                    const success = await remoteSwitches[savedProvider]();
                     if (success) {
                         return true;
                     }
                 } catch (error) {
-                    // Supabase initialization failed, falling back to IndexedDB
+                    // Remote provider initialization failed, falling back to IndexedDB
                 }
 
-                // Fall back to IndexedDB if Supabase fails, but don't save preference
+                // Fall back to IndexedDB if the remote provider fails, but don't save preference
                 return await this.switchToIndexedDB(false);
             }
 
@@ -553,6 +1521,58 @@ export class DatabaseProviderFactory {
         }
     }
 
+    /**
+     * Route reads to IndexedDB and mirror writes to Supabase
+     * Supabase failing to connect does not stop the mirror, writes made until it
+     * connects reach Supabase with the next sync
+     * @returns {Promise<void>}
+     */
+    async startMirror() {
+        if (!supabaseDatabaseProvider.isConnected) {
+            try {
+                if (!(await credentialStorage.hasCredentials()) || !(await supabaseDatabaseProvider.init())) {
+                    console.warn('Supabase is not available, mirrored writes wait for the next sync');
+                }
+            } catch (error) {
+                console.warn('Failed to connect the Supabase mirror:', error.message);
+            }
+        }
+
+        this.currentProvider = this.mirrorProvider;
+    }
+
+    /**
+     * Enable or disable mirroring writes to Supabase
+     * The preference is kept per device and applies while IndexedDB is the current provider
+     * @param {boolean} enabled - Whether writes are mirrored
+     * @returns {Promise<boolean>} Success status
+     */
+    async setMirrorMode(enabled) {
+        if (enabled) {
+            if (!(await credentialStorage.hasCredentials())) {
+                throw new Error('No Supabase credentials found. Please configure Supabase credentials first using the "Save Configuration" button.');
+            }
+
+            if (!supabaseDatabaseProvider.isConnected && !(await supabaseDatabaseProvider.init())) {
+                throw new Error('Failed to connect to Supabase. Please verify your credentials and network connectivity.');
+            }
+        }
+
+        this.mirrorEnabled = enabled;
+        await chrome.storage.local.set({ [STORAGE_KEYS.DATABASE_MIRROR]: enabled });
+
+        if (this.providerType === 'indexeddb') {
+            if (enabled) {
+                await this.startMirror();
+            } else {
+                await this.mirrorProvider.flush();
+                this.currentProvider = this.indexedDBProvider;
+            }
+        }
+
+        return true;
+    }
+
     /**
      * Get available providers
      * @returns {Array} List of available providers
@@ -576,11 +1596,28 @@ export class DatabaseProviderFactory {
             isRemote: true
         });
 
+        providers.push({
+            id: 'custom',
+            name: 'Self-hosted (WebDAV / HTTP)',
+            description: 'Store data as a JSON or NDJSON document on your own server',
+            isAvailable: (await credentialStorage.getEndpoint()) !== null,
+            isRemote: true
+        });
+
+        providers.push({
+            id: 'chrome',
+            name: 'Chrome Sync',
+            description: 'Mark videos on every device signed in to Chrome, for small histories',
+            isAvailable: true,
+            isRemote: true
+        });
+
         return providers;
     }
 
     /**
      * Get current provider status
+     * mirror is the mirror preference, pendingWrites counts the Supabase writes waiting for connectivity
      * @returns {Object} Provider status information
      */
     getProviderStatus() {
@@ -589,6 +1626,8 @@ export class DatabaseProviderFactory {
                 type: null,
                 isConnected: false,
                 isInitialized: false,
+                mirror: this.mirrorEnabled,
+                pendingWrites: supabaseDatabaseProvider.pendingWrites,
                 info: null
             };
         }
@@ -597,24 +1636,42 @@ export class DatabaseProviderFactory {
             type: this.providerType,
             isConnected: this.currentProvider.isConnected,
             isInitialized: this.currentProvider.isInitialized,
+            mirror: this.mirrorEnabled,
+            pendingWrites: supabaseDatabaseProvider.pendingWrites,
             info: this.currentProvider.getProviderInfo()
         };
     }
 
+    /**
+     * Replay the Supabase writes queued while it was unreachable
+     * @returns {Promise<number>} Number of replayed writes
+     */
+    async replayWriteQueue() {
+        if (supabaseDatabaseProvider.pendingWrites === 0) {
+            return 0;
+        }
+
+        return await supabaseDatabaseProvider.replayWrites();
+    }
+
     /**
      * Switch to a specific provider
-     * @param {string} provider - Provider type ('indexeddb' or 'supabase')
+     * @param {string} provider - Provider type ('indexeddb', 'supabase', 'custom' or 'chrome')
      * @returns {Promise<boolean>} Success status
      */
     async switchProvider(provider) {
-        if (!provider || !['indexeddb', 'supabase'].includes(provider)) {
-            throw new Error('Invalid provider type. Must be "indexeddb" or "supabase"');
+        if (!provider || !['indexeddb', 'supabase', 'custom', 'chrome'].includes(provider)) {
+            throw new Error('Invalid provider type. Must be "indexeddb", "supabase", "custom" or "chrome"');
         }
 
         if (provider === 'indexeddb') {
             return await this.switchToIndexedDB();
         } else if (provider === 'supabase') {
             return await this.switchToSupabase();
+        } else if (provider === 'custom') {
+            return await this.switchToCustom();
+        } else if (provider === 'chrome') {
+            return await this.switchToChromeSync();
         }
     }
 
@@ -641,6 +1698,12 @@ export class DatabaseProviderFactory {
             } else if (sourceProvider === 'supabase') {
                 sourceProviderInstance = supabaseDatabaseProvider;
                 await sourceProviderInstance.init();
+            } else if (sourceProvider === 'custom') {
+                sourceProviderInstance = customDatabaseProvider;
+                await sourceProviderInstance.init();
+            } else if (sourceProvider === 'chrome') {
+                sourceProviderInstance = chromeSyncDatabaseProvider;
+                await sourceProviderInstance.init();
             } else {
                 throw new Error(`Unknown source provider: ${sourceProvider}`);
             }
@@ -653,6 +1716,12 @@ export class DatabaseProviderFactory {
             } else if (targetProvider === 'supabase') {
                 targetProviderInstance = supabaseDatabaseProvider;
                 await targetProviderInstance.init();
+            } else if (targetProvider === 'custom') {
+                targetProviderInstance = customDatabaseProvider;
+                await targetProviderInstance.init();
+            } else if (targetProvider === 'chrome') {
+                targetProviderInstance = chromeSyncDatabaseProvider;
+                await targetProviderInstance.init();
             } else {
                 throw new Error(`Unknown target provider: ${targetProvider}`);
             }
@@ -682,45 +1751,55 @@ export class DatabaseProviderFactory {
     }
 
     /**
-     * Sync data between two providers (bidirectional merge)
+     * Sync data between IndexedDB and Supabase (bidirectional delta merge)
+     * Pulls the remote tombstones and rows changed since the stored watermarks, then
+     * pushes the local changes queued in the outbox. Without a watermark for the
+     * configured Supabase project (first sync, after a reset or a project change)
+     * everything is pulled and every local record is pushed once.
+     * Records changed on both sides are merged with the configured merge policy
+     * and the fields they disagreed on are saved as the conflict report.
      * @param {string} provider1 - First provider type
      * @param {string} provider2 - Second provider type
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<{pulled: number, pushed: number, deleted: number, conflicts: number, full: boolean}>} Number of videos pulled, pushed, deleted and merged with conflicts
      */
     async syncProviders(provider1, provider2) {
         try {
             if (provider1 === provider2) {
                 console.log('Providers are the same, no sync needed');
-                return true;
+                return { pulled: 0, pushed: 0, deleted: 0, conflicts: 0, full: false };
             }
 
-            // Get both providers
-            const providers = {};
-
             for (const providerType of [provider1, provider2]) {
-                if (providerType === 'indexeddb') {
-                    providers[providerType] = this.indexedDBProvider;
-                    await providers[providerType].init();
-                } else if (providerType === 'supabase') {
-                    providers[providerType] = supabaseDatabaseProvider;
-                    await providers[providerType].init();
-                } else {
+                if (!['indexeddb', 'supabase'].includes(providerType)) {
                     throw new Error(`Unknown provider: ${providerType}`);
                 }
             }
 
-            // Get all data from both providers
-            const data1 = await providers[provider1].getAllVideos();
-            const data2 = await providers[provider2].getAllVideos();
+            const local = this.indexedDBProvider;
+            const remote = supabaseDatabaseProvider;
+            await local.init();
+            await remote.init();
 
-            // Merge data (keep the most recent timestamp for each video)
-            const mergedData = this.mergeVideoData(data1, data2);
+            const watermarks = await this.getSyncWatermarks(remote);
+            const full = !watermarks.videos;
+            const stats = { pulled: 0, pushed: 0, deleted: 0, conflicts: 0, full };
+            const merge = { policy: await this.getMergePolicy(), conflicts: [] };
 
-            // Update both providers with merged data
-            await providers[provider1].importVideos(mergedData);
-            await providers[provider2].importVideos(mergedData);
+            // Tombstones first, so pulled rows of deleted videos are dropped right away
+            if (remote.supportsTombstones) {
+                stats.deleted += await this.pullTombstones(local, remote, watermarks.tombstones);
+            }
+            stats.pulled = await this.pullChanges(local, remote, watermarks.videos, full);
 
-            return true;
+            const pushStats = full ? await this.pushAll(local, remote, merge) : await this.pushOutbox(local, remote, merge);
+            stats.pushed = pushStats.pushed;
+            stats.deleted += pushStats.deleted;
+
+            stats.conflicts = merge.conflicts.length;
+            await this.saveConflictReport(merge.policy, merge.conflicts);
+
+            console.log(`Synced IndexedDB and Supabase: ${stats.pulled} videos pulled, ${stats.pushed} videos pushed, ${stats.deleted} videos deleted, ${stats.conflicts} conflicts${full ? ' (full sync)' : ''}`);
+            return stats;
         } catch (error) {
             console.error('Data sync failed:', JSON.stringify({
                 error: error.message,
@@ -732,38 +1811,397 @@ export class DatabaseProviderFactory {
     }
 
     /**
-     * Merge video data from two sources
-     * @param {Array} data1 - First data set
-     * @param {Array} data2 - Second data set
+     * Get the remote change times up to which the last sync pulled
+     * @param {Object} remote - Supabase provider
+     * @returns {Promise<{videos: string|null, tombstones: string|null}>} ISO timestamps, null if never pulled from this project
+     */
+    async getSyncWatermarks(remote) {
+        const result = await chrome.storage.local.get([STORAGE_KEYS.SYNC_WATERMARK]);
+        const state = result[STORAGE_KEYS.SYNC_WATERMARK];
+
+        // A watermark of another Supabase project or user says nothing about this one
+        if (!state || state.strUrl !== remote.baseUrl || (state.strUser || null) !== remote.userId) {
+            return { videos: null, tombstones: null };
+        }
+
+        return { videos: state.strVideos || null, tombstones: state.strTombstones || null };
+    }
+
+    /**
+     * Store the remote change time up to which a table has been pulled
+     * @param {Object} remote - Supabase provider
+     * @param {string} key - 'videos' or 'tombstones'
+     * @param {string} updatedAt - Raw updated_at of the last pulled row
+     * @returns {Promise<void>}
+     */
+    async setSyncWatermark(remote, key, updatedAt) {
+        const result = await chrome.storage.local.get([STORAGE_KEYS.SYNC_WATERMARK]);
+        const previous = result[STORAGE_KEYS.SYNC_WATERMARK];
+        const state = previous && previous.strUrl === remote.baseUrl && (previous.strUser || null) === remote.userId
+            ? previous
+            : { strUrl: remote.baseUrl, strUser: remote.userId };
+
+        state[key === 'tombstones' ? 'strTombstones' : 'strVideos'] = updatedAt;
+        await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_WATERMARK]: state });
+    }
+
+    /**
+     * Forget the sync watermarks so the next sync is a full one
+     * @returns {Promise<void>}
+     */
+    async resetSyncState() {
+        await chrome.storage.local.remove(STORAGE_KEYS.SYNC_WATERMARK);
+    }
+
+    /**
+     * Get the number of local changes waiting to be synced
+     * @returns {Promise<number>} Outbox size, 0 if IndexedDB is not open
+     */
+    async getPendingChangeCount() {
+        if (!this.indexedDBProvider) {
+            return 0;
+        }
+
+        this.indexedDBProvider.updateConnectionStatus();
+        if (!this.indexedDBProvider.isConnected) {
+            return 0;
+        }
+
+        return await this.indexedDBProvider.getOutboxCount();
+    }
+
+    /**
+     * Get the configured merge policy
+     * @returns {Promise<import('./merge-policies.js').MergePolicy>} Normalized policy
+     */
+    async getMergePolicy() {
+        const result = await chrome.storage.sync.get([MERGE.SETTINGS_KEY]);
+        return normalizeMergePolicy(result[MERGE.SETTINGS_KEY]);
+    }
+
+    /**
+     * Save the records that were merged with conflicts during the last sync
+     * @param {import('./merge-policies.js').MergePolicy} policy - Policy used by the sync
+     * @param {Array<{strIdent: string, strTitle: string, arrFields: Array}>} conflicts - Conflicting records
+     * @returns {Promise<void>}
+     */
+    async saveConflictReport(policy, conflicts) {
+        await chrome.storage.local.set({
+            [MERGE.REPORT_KEY]: {
+                intTimestamp: Date.now(),
+                strPolicy: policy.strPolicy,
+                intTotal: conflicts.length,
+                arrConflicts: conflicts.slice(0, MERGE.REPORT_LIMIT)
+            }
+        });
+    }
+
+    /**
+     * Get the conflict report of the last sync
+     * @returns {Promise<Object|null>} Report, null before the first sync
+     */
+    async getConflictReport() {
+        const result = await chrome.storage.local.get([MERGE.REPORT_KEY]);
+        return result[MERGE.REPORT_KEY] || null;
+    }
+
+    /**
+     * Walk the pages of remote rows changed since a watermark and advance it per page
+     * Pulling starts a little before the watermark because devices stamp
+     * updated_at with their own clock unless the table has the update trigger.
+     * @param {Object} remote - Supabase provider
+     * @param {string} key - Watermark key, 'videos' or 'tombstones'
+     * @param {string|null} watermark - Raw updated_at of the last pulled row, null to pull everything
+     * @param {(since: string, cursor: Object|null) => Promise<{rows: Array, cursor: Object|null}>} getPage - Fetches one page
+     * @param {(rows: Array) => Promise<void>} applyPage - Stores one page locally
+     * @returns {Promise<number>} Number of pulled rows
+     */
+    async pullPages(remote, key, watermark, getPage, applyPage) {
+        const since = watermark
+            ? new Date(Date.parse(watermark) - SYNC.DELTA.PULL_OVERLAP_MS).toISOString()
+            : new Date(0).toISOString();
+
+        let pulled = 0;
+        let cursor = null;
+        let page;
+
+        do {
+            page = await getPage(since, cursor);
+            if (page.rows.length === 0) {
+                break;
+            }
+
+            await applyPage(page.rows);
+            pulled += page.rows.length;
+            cursor = page.cursor;
+
+            // Saved per page so an interrupted sync resumes where it stopped
+            if (!watermark || Date.parse(cursor.updatedAt) > Date.parse(watermark)) {
+                watermark = cursor.updatedAt;
+                await this.setSyncWatermark(remote, key, watermark);
+            }
+        } while (page.rows.length === SYNC.DELTA.PAGE_SIZE);
+
+        if (!watermark) {
+            // Empty table, later syncs only need what changes from now on
+            await this.setSyncWatermark(remote, key, new Date(0).toISOString());
+        }
+
+        return pulled;
+    }
+
+    /**
+     * Pull the remote tombstones changed since the watermark and delete what they remove
+     * @param {Object} local - IndexedDB provider
+     * @param {Object} remote - Supabase provider
+     * @param {string|null} watermark - Raw updated_at of the last pulled tombstone
+     * @returns {Promise<number>} Number of deleted local videos
+     */
+    async pullTombstones(local, remote, watermark) {
+        let deleted = 0;
+
+        await this.pullPages(remote, 'tombstones', watermark,
+            async (since, cursor) => {
+                const page = await remote.getChangedTombstones(since, cursor, SYNC.DELTA.PAGE_SIZE);
+                return { rows: page.tombstones, cursor: page.cursor };
+            },
+            async (tombstones) => {
+                const deletedIds = await local.importTombstones(tombstones);
+                await this.deleteLocalTimelines(local, deletedIds);
+                deleted += deletedIds.length;
+            });
+
+        return deleted;
+    }
+
+    /**
+     * Pull the remote rows changed since the watermark into IndexedDB
+     * Local records with changes of their own are left to the push, which merges
+     * both sides with the merge policy. In a full sync that is every local record.
+     * @param {Object} local - IndexedDB provider
+     * @param {Object} remote - Supabase provider
+     * @param {string|null} watermark - Raw updated_at of the last pulled row, null to pull everything
+     * @param {boolean} full - Whether every local record gets pushed afterwards
+     * @returns {Promise<number>} Number of pulled videos
+     */
+    async pullChanges(local, remote, watermark, full) {
+        return await this.pullPages(remote, 'videos', watermark,
+            async (since, cursor) => {
+                const page = await remote.getChangedVideos(since, cursor, SYNC.DELTA.PAGE_SIZE);
+                return { rows: page.videos, cursor: page.cursor };
+            },
+            async (videos) => {
+                const videoIds = videos.map(video => video.strIdent);
+                const keptData = applyTombstones(videos, await local.getTombstones(videoIds));
+
+                // Rows written back by a device that missed the deletion
+                if (keptData.deletedIds.length > 0) {
+                    await remote.deleteVideos(keptData.deletedIds, { track: false });
+                }
+
+                const localVideos = new Map((await local.getVideos(videoIds)).map(video => [video.strIdent, video]));
+                const queuedIds = full ? new Set() : await local.getQueuedIds(videoIds);
+                const pulledData = [];
+
+                for (const video of keptData.videos) {
+                    const existing = localVideos.get(video.strIdent);
+                    if (!existing) {
+                        pulledData.push(markSynced(video));
+                    } else if (!full && !queuedIds.has(video.strIdent)) {
+                        // Unchanged here since the last sync, the remote row is newer
+                        pulledData.push(markSynced(withDeviceCounts({
+                            ...existing,
+                            ...video,
+                            intUpdated: Math.max(existing.intUpdated || 0, video.intUpdated || 0)
+                        })));
+                    }
+                }
+
+                // Pulled rows must not be queued, or every sync would push them back
+                await local.importVideos(pulledData, { track: false, replace: true });
+            });
+    }
+
+    /**
+     * Push the local changes queued in the outbox to Supabase
+     * @param {Object} local - IndexedDB provider
+     * @param {Object} remote - Supabase provider
+     * @param {{policy: Object, conflicts: Array}} merge - Merge policy and the conflicts collected so far
+     * @returns {Promise<{pushed: number, deleted: number}>} Number of pushed changes and deleted videos
+     */
+    async pushOutbox(local, remote, merge) {
+        const stats = { pushed: 0, deleted: 0 };
+        let after = null;
+
+        for (;;) {
+            const entries = await local.getOutbox(SYNC.DELTA.PUSH_BATCH_SIZE, after);
+            if (entries.length === 0) {
+                break;
+            }
+
+            const batchStats = await this.pushVideos(local, remote, entries.map(entry => entry.strIdent), merge);
+            stats.pushed += batchStats.pushed;
+            stats.deleted += batchStats.deleted;
+
+            await local.removeFromOutbox(entries);
+            after = entries[entries.length - 1].strIdent;
+        }
+
+        return stats;
+    }
+
+    /**
+     * Push every local record and tombstone to Supabase and empty the outbox
+     * @param {Object} local - IndexedDB provider
+     * @param {Object} remote - Supabase provider
+     * @param {{policy: Object, conflicts: Array}} merge - Merge policy and the conflicts collected so far
+     * @returns {Promise<{pushed: number, deleted: number}>} Number of pushed changes and deleted videos
+     */
+    async pushAll(local, remote, merge) {
+        // Changes queued after this point stay in the outbox for the next sync
+        const entries = await local.getOutbox();
+        const videoIds = Array.from(new Set([
+            ...(await local.getAllVideos()).map(video => video.strIdent),
+            ...(await local.getAllTombstones()).map(tombstone => tombstone.strIdent)
+        ]));
+
+        const stats = { pushed: 0, deleted: 0 };
+        for (let index = 0; index < videoIds.length; index += SYNC.DELTA.PUSH_BATCH_SIZE) {
+            const batchStats = await this.pushVideos(local, remote, videoIds.slice(index, index + SYNC.DELTA.PUSH_BATCH_SIZE), merge);
+            stats.pushed += batchStats.pushed;
+            stats.deleted += batchStats.deleted;
+        }
+
+        await local.removeFromOutbox(entries);
+        return stats;
+    }
+
+    /**
+     * Merge local records and tombstones with their remote counterparts and store the result on both sides
+     * @param {Object} local - IndexedDB provider
+     * @param {Object} remote - Supabase provider
+     * @param {string[]} videoIds - Video IDs to push
+     * @param {{policy: Object, conflicts: Array}} merge - Merge policy and the conflicts collected so far
+     * @returns {Promise<{pushed: number, deleted: number}>} Number of pushed changes and deleted videos
+     */
+    async pushVideos(local, remote, videoIds, merge) {
+        const localVideos = await local.getVideos(videoIds);
+        const localTombstones = await local.getTombstones(videoIds);
+
+        const changedIds = Array.from(new Set([...localVideos, ...localTombstones].map(record => record.strIdent)));
+        if (changedIds.length === 0) {
+            return { pushed: 0, deleted: 0 };
+        }
+
+        const remoteTombstones = remote.supportsTombstones ? await remote.getTombstones(changedIds) : [];
+        const tombstones = mergeTombstones(remoteTombstones, localTombstones);
+
+        const remoteVideos = await remote.getVideos(changedIds);
+        const mergedData = this.mergeVideoData(localVideos, remoteVideos, { tombstones, ...merge });
+        const keptIds = new Set(mergedData.map(video => video.strIdent));
+
+        if (remote.supportsTombstones) {
+            await remote.importTombstones(tombstones);
+        }
+        await remote.importVideos(mergedData, { track: false });
+
+        const deletedRemoteIds = remoteVideos.filter(video => !keptIds.has(video.strIdent)).map(video => video.strIdent);
+        if (deletedRemoteIds.length > 0) {
+            await remote.deleteVideos(deletedRemoteIds, { track: false });
+        }
+
+        const deletedIds = await local.importTombstones(tombstones);
+        await this.deleteLocalTimelines(local, deletedIds);
+        await local.importVideos(mergedData, { track: false, replace: true });
+
+        return { pushed: changedIds.length, deleted: deletedIds.length };
+    }
+
+    /**
+     * Delete the local watch events of videos removed by a tombstone
+     * @param {Object} local - IndexedDB provider
+     * @param {string[]} videoIds - Deleted video IDs
+     * @returns {Promise<void>}
+     */
+    async deleteLocalTimelines(local, videoIds) {
+        for (const videoId of videoIds) {
+            await local.deleteWatchEvents(videoId);
+        }
+    }
+
+    /**
+     * Delete the tombstones older than the retention window, locally and in Supabase
+     * Devices that stay offline for longer may bring the deleted videos back
+     * @returns {Promise<number>} Number of deleted local tombstones
+     */
+    async collectTombstones() {
+        const cutoff = Date.now() - TOMBSTONES.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        let purged = 0;
+
+        if (this.indexedDBProvider) {
+            this.indexedDBProvider.updateConnectionStatus();
+            if (this.indexedDBProvider.isConnected) {
+                purged = await this.indexedDBProvider.purgeTombstones(cutoff);
+            }
+        }
+
+        if (supabaseDatabaseProvider.isConnected && supabaseDatabaseProvider.supportsTombstones) {
+            await supabaseDatabaseProvider.purgeTombstones(cutoff);
+        }
+
+        console.log(`Collected ${purged} expired tombstones`);
+        return purged;
+    }
+
+    /**
+     * Merge local and remote video data
+     * @param {Array} localData - Local records
+     * @param {Array} remoteData - Remote records
+     * @param {Object} [options] - Merge options
+     * @param {Array} [options.tombstones] - Tombstones, videos they delete are left out
+     * @param {Object} [options.policy] - Merge policy, the default policy if not given
+     * @param {Array|null} [options.conflicts] - Receives the records merged with conflicts
      * @returns {Array} Merged data
      */
-    mergeVideoData(data1, data2) {
+    mergeVideoData(localData, remoteData, { tombstones = [], policy = getDefaultMergePolicy(), conflicts = null } = {}) {
+        const remoteVideos = new Map(remoteData.map(video => [video.strIdent, video]));
         const merged = new Map();
+        const conflicting = new Map();
+
+        localData.forEach(video => {
+            const remoteVideo = remoteVideos.get(video.strIdent);
+            if (!remoteVideo) {
+                merged.set(video.strIdent, markSynced(video));
+                return;
+            }
 
-        // Add all videos from data1
-        data1.forEach(video => {
-            merged.set(video.strIdent, video);
+            const result = mergeRecords(video, remoteVideo, policy);
+            merged.set(video.strIdent, result.video);
+
+            if (result.conflicts.length > 0) {
+                conflicting.set(video.strIdent, {
+                    strIdent: video.strIdent,
+                    strTitle: result.video.strTitle,
+                    arrFields: result.conflicts
+                });
+            }
         });
 
-        // Merge with data2, keeping the most recent timestamp
-        data2.forEach(video => {
-            const existing = merged.get(video.strIdent);
-            if (!existing) {
-                merged.set(video.strIdent, video);
-            } else {
-                // Keep the video with the most recent timestamp
-                const mergedVideo = {
-                    ...existing,
-                    ...video,
-                    intTimestamp: Math.max(existing.intTimestamp || 0, video.intTimestamp || 0),
-                    intCount: Math.max(existing.intCount || 1, video.intCount || 1),
-                    strTitle: video.strTitle || existing.strTitle // Prefer non-null title
-                };
-                merged.set(video.strIdent, mergedVideo);
+        remoteData.forEach(video => {
+            if (!merged.has(video.strIdent)) {
+                merged.set(video.strIdent, markSynced(video));
             }
         });
 
-        return Array.from(merged.values());
+        const keptData = applyTombstones(Array.from(merged.values()), tombstones);
+
+        if (conflicts) {
+            // Deleted videos have nothing left to disagree on
+            const deletedIds = new Set(keptData.deletedIds);
+            conflicts.push(...Array.from(conflicting.values()).filter(conflict => !deletedIds.has(conflict.strIdent)));
+        }
+
+        return keptData.videos;
     }
 }
 
@@ -0,0 +1,275 @@
+// @ts-check
+
+/**
+ * IndexedDB schema migrations for YouTube Watchmarker
+ * Ordered upgrade steps keyed by database version. All pending steps run inside the
+ * single versionchange transaction of the upgrade, so a failing step (or a dry run)
+ * aborts the whole upgrade and leaves the stored data untouched.
+ */
+
+import { DATABASE } from './constants.js';
+import { getTitleTokens } from './search-utils.js';
+import { logger } from './logger.js';
+
+/**
+ * @typedef {Object} MigrationContext
+ * @property {IDBDatabase} db - Database being upgraded
+ * @property {IDBTransaction} transaction - Versionchange transaction
+ * @property {boolean} dryRun - Whether the upgrade will be aborted after the last step
+ * @property {(storeName: string, transform: (record: Object) => Object|null) => Promise<number>} updateRecords -
+ *     Rewrites the records of a store, transform returns the new record or null to keep it, resolves to the number of changed records
+ */
+
+/**
+ * @typedef {Object} MigrationStep
+ * @property {number} version - Database version the step upgrades to
+ * @property {string} description - What the step changes
+ * @property {(context: MigrationContext) => Promise<number|void>|number|void} upgrade - Applies the step, optionally returns the number of changed records
+ */
+
+/**
+ * @typedef {Object} MigrationResult
+ * @property {number} intVersion - Version the step upgraded to
+ * @property {string} strDescription - What the step changed
+ * @property {number} intFromVersion - Version the database had before the upgrade
+ * @property {number} intRecords - Number of records the step changed
+ * @property {number} intDuration - Duration of the step in milliseconds
+ * @property {number} intTimestamp - Time the step ran
+ */
+
+/**
+ * Gets an object store of the upgrade, creating it if needed
+ * @param {MigrationContext} context - Migration context
+ * @param {string} storeName - Object store name
+ * @param {IDBObjectStoreParameters} options - Options used when creating the store
+ * @returns {IDBObjectStore} Object store
+ */
+function ensureStore(context, storeName, options) {
+    if (context.db.objectStoreNames.contains(storeName)) {
+        return context.transaction.objectStore(storeName);
+    }
+
+    return context.db.createObjectStore(storeName, options);
+}
+
+/**
+ * Creates an index if it does not exist yet
+ * @param {IDBObjectStore} store - Object store
+ * @param {string} name - Index name
+ * @param {string|string[]} keyPath - Index key path
+ * @param {IDBIndexParameters} options - Index options
+ * @returns {boolean} True if the index was created
+ */
+function ensureIndex(store, name, keyPath, options) {
+    if (store.indexNames.contains(name)) {
+        return false;
+    }
+
+    store.createIndex(name, keyPath, options);
+    return true;
+}
+
+/**
+ * Upgrade steps, ordered by version
+ * Steps have to be idempotent, databases created by older releases may already
+ * contain some of the stores and indexes of later steps.
+ * @type {MigrationStep[]}
+ */
+export const MIGRATIONS = [
+    {
+        version: 401,
+        description: 'Create the video store with identity and timestamp indexes, rename longTimestamp to intTimestamp',
+        upgrade: (context) => {
+            const store = ensureStore(context, DATABASE.STORE_NAME, { keyPath: DATABASE.INDEXES.IDENT });
+            ensureIndex(store, DATABASE.INDEXES.IDENT, DATABASE.INDEXES.IDENT, { unique: true });
+            ensureIndex(store, DATABASE.INDEXES.TIMESTAMP, DATABASE.INDEXES.TIMESTAMP, { unique: false });
+
+            if (store.indexNames.contains('longTimestamp')) {
+                store.deleteIndex('longTimestamp');
+            }
+
+            return context.updateRecords(DATABASE.STORE_NAME, (record) => {
+                if (record.longTimestamp === undefined) {
+                    return null;
+                }
+
+                const { longTimestamp, ...video } = record;
+                return { ...video, intTimestamp: video.intTimestamp || longTimestamp };
+            });
+        }
+    },
+    {
+        version: 402,
+        description: 'Index the completion ratio of videos',
+        upgrade: (context) => {
+            // Records without progress data are simply absent from this index
+            const store = context.transaction.objectStore(DATABASE.STORE_NAME);
+            ensureIndex(store, DATABASE.INDEXES.COMPLETION, DATABASE.INDEXES.COMPLETION, { unique: false });
+        }
+    },
+    {
+        version: 403,
+        description: 'Create the watch event store',
+        upgrade: (context) => {
+            // Append-only log of individual views, one record per view
+            const store = ensureStore(context, DATABASE.EVENTS_STORE_NAME, { keyPath: 'intId', autoIncrement: true });
+            ensureIndex(store, DATABASE.EVENTS_INDEXES.IDENT, DATABASE.EVENTS_INDEXES.IDENT, { unique: false });
+            ensureIndex(store, DATABASE.EVENTS_INDEXES.TIMESTAMP, DATABASE.EVENTS_INDEXES.TIMESTAMP, { unique: false });
+            // Makes repeated syncs of the same view idempotent
+            ensureIndex(store, DATABASE.EVENTS_INDEXES.UNIQUE_VIEW, ['strIdent', 'intTimestamp', 'strSource'], { unique: true });
+        }
+    },
+    {
+        version: 404,
+        description: 'Create the inverted title index and tokenize existing titles',
+        upgrade: (context) => {
+            const store = context.transaction.objectStore(DATABASE.STORE_NAME);
+            ensureIndex(store, DATABASE.INDEXES.TITLE_TOKENS, DATABASE.INDEXES.TITLE_TOKENS, { unique: false, multiEntry: true });
+
+            return context.updateRecords(DATABASE.STORE_NAME, (record) => {
+                return { ...record, arrTitleTokens: getTitleTokens(record.strTitle) };
+            });
+        }
+    },
+    {
+        version: 405,
+        description: 'Create the trash store for soft-deleted videos',
+        upgrade: (context) => {
+            const store = ensureStore(context, DATABASE.TRASH_STORE_NAME, { keyPath: DATABASE.INDEXES.IDENT });
+            ensureIndex(store, DATABASE.TRASH_INDEXES.DELETED, DATABASE.TRASH_INDEXES.DELETED, { unique: false });
+        }
+    },
+    {
+        version: 406,
+        description: 'Create the migration history store',
+        upgrade: (context) => {
+            ensureStore(context, DATABASE.MIGRATIONS_STORE_NAME, { keyPath: 'intVersion' });
+        }
+    },
+    {
+        version: 407,
+        description: 'Create the sync outbox store for local changes',
+        upgrade: (context) => {
+            // Existing videos are not queued, the first sync without a watermark pushes everything
+            ensureStore(context, DATABASE.OUTBOX_STORE_NAME, { keyPath: DATABASE.INDEXES.IDENT });
+        }
+    },
+    {
+        version: 408,
+        description: 'Create the tombstone store for synced deletions',
+        upgrade: (context) => {
+            const store = ensureStore(context, DATABASE.TOMBSTONES_STORE_NAME, { keyPath: DATABASE.INDEXES.IDENT });
+            ensureIndex(store, DATABASE.TOMBSTONES_INDEXES.UPDATED, DATABASE.TOMBSTONES_INDEXES.UPDATED, { unique: false });
+        }
+    },
+    {
+        version: 409,
+        description: 'Create the write queue store for Supabase writes made while offline',
+        upgrade: (context) => {
+            // Replayed in key order, so the auto-incremented key keeps the order of the writes
+            ensureStore(context, DATABASE.WRITE_QUEUE_STORE_NAME, { keyPath: 'intId', autoIncrement: true });
+        }
+    }
+];
+
+/**
+ * Rewrites the records of a store with a cursor inside the upgrade transaction
+ * @param {IDBTransaction} transaction - Versionchange transaction
+ * @param {string} storeName - Object store name
+ * @param {(record: Object) => Object|null} transform - Returns the new record or null to keep it
+ * @returns {Promise<number>} Number of changed records
+ */
+function updateRecords(transaction, storeName, transform) {
+    return new Promise((resolve, reject) => {
+        let changed = 0;
+        const request = transaction.objectStore(storeName).openCursor();
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(changed);
+                return;
+            }
+
+            try {
+                const updated = transform(cursor.value);
+                if (updated) {
+                    cursor.update(updated);
+                    changed++;
+                }
+                cursor.continue();
+            } catch (error) {
+                reject(error);
+            }
+        };
+
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Gets the steps needed to upgrade between two versions
+ * @param {number} oldVersion - Current database version (0 for a new database)
+ * @param {number} newVersion - Target database version
+ * @returns {MigrationStep[]} Pending steps in order
+ */
+export function getPendingMigrations(oldVersion, newVersion) {
+    return MIGRATIONS.filter(step => step.version > oldVersion && step.version <= newVersion);
+}
+
+/**
+ * Runs the pending steps of an upgrade in order and records them in the migration history
+ * In a dry run the steps still run, so later steps see the changes of earlier ones, but
+ * the caller aborts the transaction afterwards and nothing is recorded.
+ * @param {Object} options - Upgrade options
+ * @param {IDBDatabase} options.db - Database being upgraded
+ * @param {IDBTransaction} options.transaction - Versionchange transaction
+ * @param {number} options.oldVersion - Current database version (0 for a new database)
+ * @param {number} options.newVersion - Target database version
+ * @param {boolean} [options.dryRun=false] - Whether the upgrade will be aborted
+ * @returns {Promise<MigrationResult[]>} Results of the steps that ran
+ */
+export async function runMigrations({ db, transaction, oldVersion, newVersion, dryRun = false }) {
+    const prefix = dryRun ? '[dry run] ' : '';
+
+    /** @type {MigrationContext} */
+    const context = {
+        db,
+        transaction,
+        dryRun,
+        updateRecords: (storeName, transform) => updateRecords(transaction, storeName, transform)
+    };
+
+    /** @type {MigrationResult[]} */
+    const results = [];
+
+    for (const step of getPendingMigrations(oldVersion, newVersion)) {
+        const startTime = Date.now();
+        logger.info(`${prefix}Migrating database to version ${step.version}: ${step.description}`);
+
+        try {
+            const changed = await step.upgrade(context);
+
+            results.push({
+                intVersion: step.version,
+                strDescription: step.description,
+                intFromVersion: oldVersion,
+                intRecords: typeof changed === 'number' ? changed : 0,
+                intDuration: Date.now() - startTime,
+                intTimestamp: startTime
+            });
+
+            logger.info(`${prefix}Migrated database to version ${step.version}, ${results[results.length - 1].intRecords} records changed`);
+        } catch (error) {
+            logger.error(`${prefix}Database migration to version ${step.version} failed:`, error);
+            throw error;
+        }
+    }
+
+    if (!dryRun && db.objectStoreNames.contains(DATABASE.MIGRATIONS_STORE_NAME)) {
+        const historyStore = transaction.objectStore(DATABASE.MIGRATIONS_STORE_NAME);
+        results.forEach(result => historyStore.put(result));
+    }
+
+    return results;
+}
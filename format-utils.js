@@ -0,0 +1,334 @@
+// @ts-check
+
+/**
+ * Export format utilities for YouTube Watchmarker
+ * Writes video records as CSV or NDJSON and reads such tables back through a column mapping
+ */
+
+import { IMPORT_EXPORT, YOUTUBE } from './constants.js';
+import { mergeSources } from './source-utils.js';
+import { createProgress } from './progress-utils.js';
+import { isValidVideoId, getVideoIdFromUrl } from './validation.js';
+
+/**
+ * @typedef {Object} FormatOptions
+ * @property {string} [format] - One of IMPORT_EXPORT.FORMATS except JSON
+ * @property {string[]} [columns] - Columns to write, out of IMPORT_EXPORT.COLUMNS
+ * @property {string} [dateFormat] - One of IMPORT_EXPORT.DATE_FORMATS
+ */
+
+/**
+ * @typedef {Object} ParsedTable
+ * @property {string[]} headers - Column names
+ * @property {Array<Array<*>>} rows - Cells of each row, in header order
+ */
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+const SOURCE_SEPARATOR = '|';
+
+// Timestamps below this are read as seconds rather than milliseconds (1e11 ms is 1973)
+const SECONDS_LIMIT = 1e11;
+
+// Header names recognized for each column, compared without case, spaces and punctuation
+const COLUMN_ALIASES = {
+    id: ['id', 'videoid', 'strident', 'ident', 'video'],
+    title: ['title', 'strtitle', 'name', 'videotitle'],
+    watched: ['watched', 'inttimestamp', 'timestamp', 'date', 'time', 'when', 'watchedat', 'lastwatched'],
+    count: ['count', 'intcount', 'views', 'viewcount', 'watchcount', 'times'],
+    sources: ['sources', 'arrsources', 'source'],
+    position: ['position', 'intposition'],
+    duration: ['duration', 'intduration', 'length'],
+    completion: ['completion', 'dblcompletion', 'progress'],
+    url: ['url', 'link', 'videourl', 'titleurl']
+};
+
+/**
+ * Reads a column of a video record
+ * @param {Object} video - Video record
+ * @param {string} column - Column name
+ * @param {string} dateFormat - One of IMPORT_EXPORT.DATE_FORMATS
+ * @returns {*} Column value, null if the record has none
+ */
+function getColumn(video, column, dateFormat) {
+    switch (column) {
+        case 'id': return video.strIdent;
+        case 'title': return video.strTitle || '';
+        case 'watched':
+            return dateFormat === IMPORT_EXPORT.DATE_FORMATS.EPOCH
+                ? video.intTimestamp
+                : new Date(video.intTimestamp).toISOString();
+        case 'count': return video.intCount || 1;
+        case 'sources': return mergeSources(video.arrSources);
+        case 'position': return video.intPosition ?? null;
+        case 'duration': return video.intDuration ?? null;
+        case 'completion': return video.dblCompletion ?? null;
+        case 'url': return YOUTUBE.URLS.WATCH + video.strIdent;
+        default: return null;
+    }
+}
+
+/**
+ * Quotes a CSV cell if it contains a delimiter, a quote or a line break
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = Array.isArray(value) ? value.join(SOURCE_SEPARATOR) : String(value);
+    return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes video records as CSV or NDJSON
+ * @param {Array<Object>} videos - Video records
+ * @param {FormatOptions} [options] - Format, columns and date format
+ * @returns {{data: string, mimeType: string, extension: string}} File content and type
+ */
+export function formatVideos(videos, options = {}) {
+    const columns = (options.columns || []).filter(column => IMPORT_EXPORT.COLUMNS.includes(column));
+    const selected = columns.length > 0 ? columns : IMPORT_EXPORT.DEFAULT_COLUMNS;
+    const dateFormat = options.dateFormat || IMPORT_EXPORT.DATE_FORMATS.ISO;
+
+    if (options.format === IMPORT_EXPORT.FORMATS.NDJSON) {
+        const lines = videos.map(video => JSON.stringify(
+            Object.fromEntries(selected.map(column => [column, getColumn(video, column, dateFormat)]))
+        ));
+        return { data: lines.join('\n') + '\n', mimeType: 'application/x-ndjson', extension: 'ndjson' };
+    }
+
+    const lines = [selected.join(',')];
+    for (const video of videos) {
+        lines.push(selected.map(column => toCsvCell(getColumn(video, column, dateFormat))).join(','));
+    }
+
+    // The byte order mark lets spreadsheet applications detect UTF-8
+    return { data: '\uFEFF' + lines.join('\r\n') + '\r\n', mimeType: 'text/csv', extension: 'csv' };
+}
+
+/**
+ * Picks the delimiter that occurs most often in the header line
+ * @param {string} line - First line of the file
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(line) {
+    let best = CSV_DELIMITERS[0];
+    let bestCount = 0;
+
+    for (const delimiter of CSV_DELIMITERS) {
+        const count = line.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Splits CSV text into rows of cells
+ * Quoted cells may contain delimiters, doubled quotes and line breaks
+ * @param {string} text - CSV text without byte order mark
+ * @returns {string[][]} Rows of cells, empty lines left out
+ */
+function parseCsv(text) {
+    const delimiter = detectDelimiter(text.slice(0, text.search(/\r?\n|$/)));
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Reads a CSV or NDJSON file into headers and rows
+ * NDJSON headers are the keys found in any of the objects
+ * @param {string} text - File content
+ * @param {string} [format] - IMPORT_EXPORT.FORMATS.CSV or NDJSON, detected from the content if omitted
+ * @returns {ParsedTable} Headers and rows
+ */
+export function parseTable(text, format) {
+    const content = text.replace(/^\uFEFF/, '');
+    const isNdjson = format ? format === IMPORT_EXPORT.FORMATS.NDJSON : content.trimStart().startsWith('{');
+
+    if (!isNdjson) {
+        const [headers = [], ...rows] = parseCsv(content);
+        return { headers: headers.map(header => header.trim()), rows };
+    }
+
+    const objects = content.split(/\r?\n/)
+        .filter(line => line.trim() !== '')
+        .map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                throw new Error(`Invalid JSON on line ${index + 1}`);
+            }
+        })
+        .filter(value => value && typeof value === 'object' && !Array.isArray(value));
+
+    return tableFromObjects(objects);
+}
+
+/**
+ * Turns parsed NDJSON objects into headers and rows
+ * @param {Array<Object>} objects - One object per row
+ * @returns {ParsedTable} Headers are the keys found in any of the objects
+ */
+export function tableFromObjects(objects) {
+    const headers = Array.from(new Set(objects.flatMap(object => Object.keys(object))));
+    return { headers, rows: objects.map(object => headers.map(header => object[header] ?? '')) };
+}
+
+/**
+ * Guesses which header holds each column from its name
+ * @param {string[]} headers - Column names of the file
+ * @returns {Object<string, string>} Header for each recognized column
+ */
+export function guessMapping(headers) {
+    const mapping = {};
+    const normalized = headers.map(header => String(header).toLowerCase().replace(/[^a-z0-9]/g, ''));
+
+    for (const column of IMPORT_EXPORT.COLUMNS) {
+        const index = normalized.findIndex(name => COLUMN_ALIASES[column].includes(name));
+        if (index !== -1) {
+            mapping[column] = headers[index];
+        }
+    }
+
+    return mapping;
+}
+
+/**
+ * Parses a number cell
+ * @param {*} value - Cell value
+ * @returns {number|null} Number or null if the cell is empty or not a number
+ */
+function toNumber(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+
+    const text = String(value ?? '').trim().replace(',', '.');
+    return text !== '' && Number.isFinite(Number(text)) ? Number(text) : null;
+}
+
+/**
+ * Parses a date cell holding epoch seconds, epoch milliseconds or a date string
+ * @param {*} value - Cell value
+ * @returns {number|null} Timestamp or null if unreadable
+ */
+function toTimestamp(value) {
+    const number = toNumber(value);
+    if (number !== null) {
+        return number < SECONDS_LIMIT ? Math.round(number * 1000) : Math.round(number);
+    }
+
+    const timestamp = Date.parse(String(value ?? '').trim());
+    return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Turns table rows into video records through a column mapping
+ * Rows of the same video are combined: with a count column the highest count
+ * is kept, without one every row counts as a view
+ * @param {ParsedTable} table - Parsed file
+ * @param {Object<string, string>} mapping - Header for each column, unmapped columns are left out
+ * @returns {{videos: Array<Object>, skipped: number}} Video records and rows without a video ID or a readable date
+ */
+export function mapRows(table, mapping) {
+    const index = Object.fromEntries(IMPORT_EXPORT.COLUMNS.map(column => [
+        column,
+        mapping[column] ? table.headers.indexOf(mapping[column]) : -1
+    ]));
+    const cell = (row, column) => (index[column] === -1 ? undefined : row[index[column]]);
+
+    const videos = new Map();
+    let skipped = 0;
+
+    for (const row of table.rows) {
+        const rawId = String(cell(row, 'id') ?? '').trim();
+        const videoId = isValidVideoId(rawId)
+            ? rawId
+            : getVideoIdFromUrl(rawId) || getVideoIdFromUrl(String(cell(row, 'url') ?? '').trim());
+        const timestamp = index.watched === -1 ? Date.now() : toTimestamp(cell(row, 'watched'));
+
+        if (!videoId || timestamp === null) {
+            skipped++;
+            continue;
+        }
+
+        const rawSources = cell(row, 'sources');
+        const video = {
+            strIdent: videoId,
+            // Without a title column the title stays unknown, so merges keep the stored one
+            strTitle: index.title === -1 ? undefined : String(cell(row, 'title') ?? '').trim(),
+            intTimestamp: timestamp,
+            intCount: Math.max(Math.floor(toNumber(cell(row, 'count')) ?? 1), 1),
+            arrSources: mergeSources(Array.isArray(rawSources)
+                ? rawSources
+                : String(rawSources ?? '').split(/[|,;]/).map(source => source.trim()).filter(Boolean)),
+            ...(createProgress(toNumber(cell(row, 'position')) ?? NaN, toNumber(cell(row, 'duration')) ?? NaN) || {})
+        };
+
+        // A completion column only counts where position and duration do not give one
+        const completion = toNumber(cell(row, 'completion'));
+        if (video.dblCompletion === undefined && completion !== null && completion >= 0 && completion <= 1) {
+            video.dblCompletion = completion;
+        }
+
+        const existing = videos.get(videoId);
+        if (!existing) {
+            videos.set(videoId, video);
+            continue;
+        }
+
+        const isNewer = video.intTimestamp > existing.intTimestamp;
+        videos.set(videoId, {
+            ...(isNewer ? existing : video),
+            ...(isNewer ? video : existing),
+            strTitle: (isNewer ? video.strTitle : existing.strTitle) || existing.strTitle || video.strTitle,
+            intCount: index.count === -1 ? existing.intCount + 1 : Math.max(existing.intCount, video.intCount),
+            arrSources: mergeSources(existing.arrSources, video.arrSources)
+        });
+    }
+
+    return { videos: Array.from(videos.values()), skipped };
+}
@@ -2,37 +2,260 @@
 
 /**
  * Database action handlers
- * Handles database operations like export, import, reset, size
+ * Handles database operations like export (JSON, CSV, NDJSON), import (including Google Takeout, mapped CSV
+ * and streamed batches of large files), reset, size
  */
 
 import { logger } from '../logger.js';
+import { IMPORT_EXPORT, STORAGE_KEYS } from '../constants.js';
 import { ErrorUtils } from '../error-handler.js';
 import { isValidBase64 } from '../validation.js';
-import { processInChunks, shouldProcessInChunks } from '../chunk-utils.js';
+import { processInChunks } from '../chunk-utils.js';
+import { createImportReport, isImportable, compareRecords, mergeImportedRecord } from '../import-utils.js';
+import { mergeProgress } from '../progress-utils.js';
+import { isTakeoutJson, parseTakeoutJson, isTakeoutHtml, parseTakeoutHtml } from '../takeout-utils.js';
+import { formatVideos, parseTable, tableFromObjects, guessMapping, mapRows } from '../format-utils.js';
 import { Database } from '../bg-database.js';
+import { Trash } from '../bg-trash.js';
+import { Search } from '../bg-search.js';
 import { databaseProviderFactory } from '../database-provider-factory.js';
-import { createSimpleHandler, createHandlerWithErrorHandler } from '../handler-wrapper.js';
+import { createHandlerWithErrorHandler } from '../handler-wrapper.js';
+
+/**
+ * Read the filters of an export request
+ * @param {Object} request - Request object
+ * @returns {Object|null} Search query and filters, or null to export everything
+ */
+function getExportFilter(request) {
+    const filter = {
+        query: typeof request?.query === 'string' ? request.query.trim() : '',
+        startTimestamp: Number.isFinite(request?.startTimestamp) ? request.startTimestamp : undefined,
+        endTimestamp: Number.isFinite(request?.endTimestamp) ? request.endTimestamp : undefined,
+        source: request?.source || undefined,
+        minCount: Number.isFinite(request?.minCount) ? request.minCount : undefined
+    };
+
+    return Object.values(filter).some(value => value !== undefined && value !== '') ? filter : null;
+}
 
 /**
  * Export database data
- * @returns {Promise<Object>} Export result
+ * JSON is the full backup; CSV and NDJSON write the selected columns of each video.
+ * The same filters as the search (query text with its before:/after:/count:/source: syntax,
+ * date range, source, minimum view count) limit the export to the matching videos
+ * @param {Object} request - Request object with optional format, columns and dateFormat fields,
+ * and optional query, startTimestamp, endTimestamp, source and minCount filters
+ * @returns {Promise<Object>} Export result with the file content, its mime type and extension
  */
-export const handleDatabaseExport = createSimpleHandler(
-    async () => {
-        const data = await Database.export();
-        return { data: JSON.stringify(data) };
+export const handleDatabaseExport = createHandlerWithErrorHandler(
+    async (request) => {
+        const filter = getExportFilter(request);
+        const { query, ...filters } = filter || {};
+        const data = filter
+            ? { ...await Database.export((await Search.lookup(query, 0, 0, filters)).videos), filter }
+            : await Database.export();
+
+        if (request?.format === IMPORT_EXPORT.FORMATS.CSV || request?.format === IMPORT_EXPORT.FORMATS.NDJSON) {
+            return { ...formatVideos(data.data, request), count: data.data.length };
+        }
+
+        return { data: JSON.stringify(data), mimeType: 'application/json', extension: 'database', count: data.data.length };
     },
+    (error) => ErrorUtils.handleDatabaseError(error, 'export'),
     'handleDatabaseExport'
 );
 
 /**
- * Import database data
- * @param {Object} request - Request object with data field
+ * Read the columns of a CSV or NDJSON file before importing it
+ * @param {Object} request - Request object with data and optional format fields
+ * @returns {Promise<Object>} Headers, a few preview rows, the row count and the guessed column mapping
+ */
+export const handleDatabaseInspect = createHandlerWithErrorHandler(
+    async (request) => {
+        const table = parseTable(request.data, request.format);
+        if (table.headers.length === 0) {
+            return { success: false, error: 'The file has no columns' };
+        }
+
+        return {
+            headers: table.headers,
+            preview: table.rows.slice(0, IMPORT_EXPORT.PREVIEW_ROWS),
+            rows: table.rows.length,
+            mapping: guessMapping(table.headers)
+        };
+    },
+    (error) => ErrorUtils.createErrorResponse(error),
+    'handleDatabaseInspect'
+);
+
+/**
+ * Compare video records with the stored ones and, unless previewing, write them with a merge strategy
+ * @param {Array<Object>} videos - Video records, one per video
+ * @param {string} label - Name of the import for the log
+ * @param {Object} [options] - Import options
+ * @param {string} [options.strategy] - One of IMPORT_EXPORT.STRATEGIES, merging by default
+ * @param {boolean} [options.dryRun=false] - Only compare, write nothing
+ * @param {number} [options.skipped=0] - Entries the parser already left out
+ * @returns {Promise<import('../import-utils.js').ImportReport>} New, updated and invalid record counts
+ */
+async function importRecords(videos, label, { strategy = IMPORT_EXPORT.STRATEGIES.MERGE, dryRun = false, skipped = 0 } = {}) {
+    const currentProvider = databaseProviderFactory.getCurrentProvider();
+    if (!currentProvider) {
+        throw new Error('No database provider available');
+    }
+
+    const report = createImportReport();
+    const valid = videos.filter(isImportable);
+    report.total = videos.length + skipped;
+    report.invalid = report.total - valid.length;
+
+    await processInChunks(
+        valid,
+        async (chunk) => {
+            const stored = await currentProvider.getVideos(chunk.map(video => video.strIdent));
+            compareRecords(report, chunk, stored);
+
+            if (dryRun) {
+                return;
+            }
+
+            const storedById = new Map(stored.map(video => [video.strIdent, video]));
+            let records = chunk;
+            if (strategy === IMPORT_EXPORT.STRATEGIES.ONLY_NEW) {
+                records = chunk.filter(video => !storedById.has(video.strIdent));
+            } else if (strategy === IMPORT_EXPORT.STRATEGIES.MERGE) {
+                // Merged here rather than left to the provider, as the Supabase upsert overwrites stored records
+                records = chunk.map(video => (storedById.has(video.strIdent)
+                    ? mergeImportedRecord(video, storedById.get(video.strIdent))
+                    : video));
+            }
+            if (records.length > 0) {
+                await Database.import(records, { replace: strategy === IMPORT_EXPORT.STRATEGIES.REPLACE });
+            }
+        },
+        {
+            // A preview writes nothing, so it needs no pause between chunks
+            delayMs: dryRun ? 0 : undefined,
+            progressCallback: (progress) => {
+                logger.info(`${label} ${dryRun ? 'preview' : 'import'} progress: ${progress.percentage}% (${progress.itemsProcessed}/${progress.totalItems})`);
+            }
+        }
+    );
+
+    return report;
+}
+
+/**
+ * Build the response of an import, or of its preview
+ * @param {import('../import-utils.js').ImportReport} report - Import report
+ * @param {{strategy: string, dryRun: boolean}} options - Strategy and whether this was a preview
+ * @param {string} [details] - Note appended to the message
+ * @returns {Object} Import result with the imported, updated and skipped counts, or the report of a preview
+ */
+function toImportResult(report, { strategy, dryRun }, details = '') {
+    if (dryRun) {
+        return { preview: true, report };
+    }
+
+    const changes = report.strategies[strategy];
+    return {
+        message: `Imported ${report.new} new videos, updated ${changes.updated} known videos and skipped ${report.invalid} records${details}`,
+        imported: report.new,
+        updated: changes.updated,
+        skipped: report.invalid,
+        report
+    };
+}
+
+/**
+ * Import the videos of a Google Takeout watch history
+ * @param {import('../takeout-utils.js').TakeoutImport} takeout - Parsed Takeout export
+ * @param {{strategy: string, dryRun: boolean}} options - Merge strategy and whether to only preview
+ * @returns {Promise<Object>} Import result
+ */
+async function importTakeout({ videos, views, skipped }, options) {
+    if (videos.length === 0) {
+        return { success: false, error: `No watched videos found in the Takeout export (${skipped} entries skipped)` };
+    }
+
+    logger.info(`Importing ${videos.length} videos from ${views} Takeout views`);
+
+    const report = await importRecords(videos, 'Takeout', { ...options, skipped });
+    return toImportResult(report, options, ` (${views} views)`);
+}
+
+/**
+ * Import the rows of a CSV or NDJSON file through a column mapping
+ * @param {string} text - File content
+ * @param {string|undefined} format - IMPORT_EXPORT.FORMATS.CSV or NDJSON
+ * @param {Object<string, string>} mapping - Header for each column
+ * @param {{strategy: string, dryRun: boolean}} options - Merge strategy and whether to only preview
  * @returns {Promise<Object>} Import result
  */
+async function importTable(text, format, mapping, options) {
+    if (!mapping.id && !mapping.url) {
+        return { success: false, error: 'Map a column to the video ID or URL' };
+    }
+
+    const table = parseTable(text, format);
+    const { videos, skipped } = mapRows(table, mapping);
+    if (videos.length === 0) {
+        return { success: false, error: `No videos found in the file (${skipped} rows skipped)` };
+    }
+
+    logger.info(`Importing ${videos.length} videos from ${table.rows.length} rows`);
+
+    const report = await importRecords(videos, 'Table', { ...options, skipped });
+    return toImportResult(report, options);
+}
+
+/**
+ * Read the merge strategy and the preview flag of an import request
+ * @param {Object} request - Request object with optional strategy and dryRun fields
+ * @returns {{strategy: string, dryRun: boolean}} Import options
+ */
+function getImportOptions(request) {
+    const strategy = request.strategy || IMPORT_EXPORT.STRATEGIES.MERGE;
+    if (!Object.values(IMPORT_EXPORT.STRATEGIES).includes(strategy)) {
+        throw new Error(`Unknown import strategy: ${strategy}`);
+    }
+
+    return { strategy, dryRun: request.dryRun === true };
+}
+
+/**
+ * Turn a record of a backup into a video record, reading the fields of older exports
+ * @param {Object} video - Backup record
+ * @returns {Object} Video record
+ */
+function toVideoRecord(video) {
+    return {
+        strIdent: video.strIdent,
+        intTimestamp: video.longTimestamp || video.intTimestamp || Date.now(),
+        strTitle: video.strTitle || '',
+        intCount: video.intCount || 1,
+        arrSources: video.arrSources,
+        ...mergeProgress({}, video)
+    };
+}
+
+/**
+ * Import database data
+ * Accepts the extension's own JSON and legacy base64 exports, Google Takeout's
+ * watch-history.json and watch-history.html, and CSV or NDJSON files with a column mapping.
+ * With dryRun nothing is written and the result holds the report of what the import would change
+ * @param {Object} request - Request object with data field, format and mapping fields for CSV or NDJSON,
+ * and optional strategy (one of IMPORT_EXPORT.STRATEGIES) and dryRun fields
+ * @returns {Promise<Object>} Import result, or the preview report
+ */
 export const handleDatabaseImport = createHandlerWithErrorHandler(
     async (request) => {
-        logger.info('Database import started');
+        logger.info(request.dryRun ? 'Database import preview started' : 'Database import started');
+        const options = getImportOptions(request);
+
+        if (request.mapping) {
+            return await importTable(request.data, request.format, request.mapping, options);
+        }
 
         let parsedData;
         let rawData = request.data;
@@ -48,6 +271,11 @@ export const handleDatabaseImport = createHandlerWithErrorHandler(
             }
         }
 
+        if (isTakeoutHtml(rawData)) {
+            logger.info('Detected Google Takeout watch-history.html');
+            return await importTakeout(parseTakeoutHtml(rawData), options);
+        }
+
         // Parse as JSON
         try {
             parsedData = JSON.parse(rawData);
@@ -59,45 +287,172 @@ export const handleDatabaseImport = createHandlerWithErrorHandler(
             };
         }
 
+        if (isTakeoutJson(parsedData)) {
+            logger.info('Detected Google Takeout watch-history.json');
+            return await importTakeout(parseTakeoutJson(parsedData), options);
+        }
+
         // Handle legacy DB format - if parsedData is an array, wrap it
         if (Array.isArray(parsedData)) {
-            parsedData = {
-                data: parsedData.map(video => ({
-                    strIdent: video.strIdent,
-                    intTimestamp: video.longTimestamp || video.intTimestamp || Date.now(),
-                    strTitle: video.strTitle || '',
-                    intCount: video.intCount || 1
-                }))
-            };
+            parsedData = { data: parsedData.map(toVideoRecord) };
         }
 
         const videoData = parsedData.data || [];
         logger.info(`Importing ${videoData.length} videos`);
 
-        // Use chunk processing utility for large datasets
-        if (shouldProcessInChunks(videoData)) {
-            const result = await processInChunks(
-                videoData,
-                async (chunk) => await Database.import(chunk),
-                {
-                    progressCallback: (progress) => {
-                        logger.info(`Import progress: ${progress.percentage}% (${progress.itemsProcessed}/${progress.totalItems})`);
-                    }
-                }
-            );
-            return result;
-        } else {
-            // For smaller datasets, use single-pass import
-            await Database.import(videoData);
-            return {
-                message: `Successfully imported ${videoData.length} videos`
-            };
-        }
+        const report = await importRecords(videoData, 'Backup', options);
+        return toImportResult(report, options);
     },
     (error) => ErrorUtils.handleDatabaseError(error, 'import'),
     'handleDatabaseImport'
 );
 
+/**
+ * Turn the objects of a streamed batch into video records
+ * Backup records carry strIdent and are imported as they are, like handleDatabaseImport does,
+ * so they keep their per-device counts. Entries of legacy exports still carry longTimestamp.
+ * Other objects are rows of a CSV / NDJSON export whose columns are recognized by name
+ * @param {Array<*>} objects - Parsed objects
+ * @returns {{videos: Array<Object>, skipped: number}} Video records and objects left out
+ */
+function toStreamedRecords(objects) {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const records = objects.filter(object => isObject(object) && 'strIdent' in object);
+    const rows = objects.filter(object => isObject(object) && !('strIdent' in object));
+
+    const videos = records.map(record => ('longTimestamp' in record ? toVideoRecord(record) : record));
+    let skipped = objects.length - records.length - rows.length;
+
+    if (rows.length > 0) {
+        const table = tableFromObjects(rows);
+        const mapped = mapRows(table, guessMapping(table.headers));
+        videos.push(...mapped.videos);
+        skipped += mapped.skipped;
+    }
+
+    return { videos, skipped };
+}
+
+/**
+ * Read the checkpoint of the last unfinished streaming import
+ * @returns {Promise<Object|null>} Import ID, records read and videos imported so far, or null
+ */
+async function getImportCheckpoint() {
+    const result = await chrome.storage.local.get([STORAGE_KEYS.IMPORT_CHECKPOINT]);
+    return result[STORAGE_KEYS.IMPORT_CHECKPOINT] || null;
+}
+
+/**
+ * Start a streaming import
+ * The options page streams large files as batches over a port; an import interrupted
+ * by closing the page or by a cancel resumes after the last imported batch
+ * @param {Object} request - Request object with the importId identifying the file
+ * @returns {Promise<Object>} Records of the file already imported, 0 for a new import
+ */
+export const handleDatabaseImportStart = createHandlerWithErrorHandler(
+    async (request) => {
+        if (!request.importId) {
+            return { success: false, error: 'Missing import ID' };
+        }
+
+        const checkpoint = await getImportCheckpoint();
+        const resumable = checkpoint && checkpoint.strImportId === request.importId;
+
+        return {
+            records: resumable ? checkpoint.intRecords : 0,
+            imported: resumable ? checkpoint.intImported : 0
+        };
+    },
+    (error) => ErrorUtils.handleDatabaseError(error, 'import'),
+    'handleDatabaseImportStart'
+);
+
+/**
+ * Import a batch of a streaming import and record the progress
+ * With dryRun the batch is only compared with the stored videos and its preview report returned
+ * @param {Object} request - Request object with importId, offset (records of the file before the batch), videos,
+ * and optional strategy and dryRun fields
+ * @returns {Promise<Object>} Records read and videos imported so far
+ */
+export const handleDatabaseImportBatch = createHandlerWithErrorHandler(
+    async (request) => {
+        const { importId, offset = 0, videos } = request;
+        const options = getImportOptions(request);
+        if ((!importId && !options.dryRun) || !Array.isArray(videos)) {
+            return { success: false, error: 'Invalid import batch' };
+        }
+
+        const batch = toStreamedRecords(videos);
+        const report = await importRecords(batch.videos, 'Batch', { ...options, skipped: batch.skipped });
+        if (options.dryRun) {
+            return { preview: true, report };
+        }
+
+        // A batch at offset 0 starts the import over
+        const checkpoint = offset > 0 ? await getImportCheckpoint() : null;
+        const previous = checkpoint && checkpoint.strImportId === importId ? checkpoint : { intImported: 0, intSkipped: 0 };
+        const next = {
+            strImportId: importId,
+            intRecords: offset + videos.length,
+            intImported: previous.intImported + report.strategies[options.strategy].written,
+            intSkipped: previous.intSkipped + report.invalid,
+            intTimestamp: Date.now()
+        };
+        await chrome.storage.local.set({ [STORAGE_KEYS.IMPORT_CHECKPOINT]: next });
+
+        logger.info(`Streaming import: ${next.intRecords} records read, ${next.intImported} videos imported`);
+        return { records: next.intRecords, imported: next.intImported };
+    },
+    (error) => ErrorUtils.handleDatabaseError(error, 'import'),
+    'handleDatabaseImportBatch'
+);
+
+/**
+ * Finish a streaming import and forget its checkpoint
+ * @param {Object} request - Request object with importId
+ * @returns {Promise<Object>} Import result
+ */
+export const handleDatabaseImportFinish = createHandlerWithErrorHandler(
+    async (request) => {
+        const checkpoint = await getImportCheckpoint();
+        await chrome.storage.local.remove([STORAGE_KEYS.IMPORT_CHECKPOINT]);
+
+        if (!checkpoint || checkpoint.strImportId !== request.importId) {
+            return { message: 'Successfully imported 0 videos', imported: 0, skipped: 0 };
+        }
+
+        const skipped = checkpoint.intSkipped ? ` and skipped ${checkpoint.intSkipped} records` : '';
+        return {
+            message: `Successfully imported ${checkpoint.intImported} videos${skipped}`,
+            imported: checkpoint.intImported,
+            skipped: checkpoint.intSkipped
+        };
+    },
+    (error) => ErrorUtils.handleDatabaseError(error, 'import'),
+    'handleDatabaseImportFinish'
+);
+
+/**
+ * Cancel a streaming import
+ * The imported batches stay and the checkpoint is kept, so choosing the same file again resumes the import
+ * @param {Object} request - Request object with importId
+ * @returns {Promise<Object>} Videos imported before the cancel
+ */
+export const handleDatabaseImportCancel = createHandlerWithErrorHandler(
+    async (request) => {
+        const checkpoint = await getImportCheckpoint();
+        const imported = checkpoint && checkpoint.strImportId === request.importId ? checkpoint.intImported : 0;
+
+        logger.info(`Streaming import cancelled after ${imported} videos`);
+        return {
+            message: `Import cancelled after ${imported} videos, choose the same file again to resume`,
+            imported
+        };
+    },
+    (error) => ErrorUtils.handleDatabaseError(error, 'import'),
+    'handleDatabaseImportCancel'
+);
+
 /**
  * Reset database
  * @returns {Promise<Object>} Reset result
@@ -105,12 +460,35 @@ export const handleDatabaseImport = createHandlerWithErrorHandler(
 export const handleDatabaseReset = createHandlerWithErrorHandler(
     async () => {
         await Database.reset();
+        await Trash.clear();
         return { message: 'Database reset successfully' };
     },
     (error) => ErrorUtils.handleDatabaseError(error, 'reset'),
     'handleDatabaseReset'
 );
 
+/**
+ * Get the database version and the recorded schema migrations
+ * With dryRun the pending steps from the current version, or from fromVersion,
+ * are run on a scratch copy of the data and their results returned
+ * @param {Object} request - Request object with optional dryRun and fromVersion fields
+ * @returns {Promise<Object>} Version, migration history and the dry run results
+ */
+export const handleDatabaseMigrations = createHandlerWithErrorHandler(
+    async (request) => {
+        const history = await Database.getMigrationHistory();
+        if (!request?.dryRun) {
+            return { version: Database.DB_VERSION, history };
+        }
+
+        const fromVersion = request.fromVersion ?? Database.database?.version;
+        const dryRun = await Database.dryRunMigrations(fromVersion);
+        return { version: Database.DB_VERSION, history, fromVersion, dryRun };
+    },
+    (error) => ErrorUtils.handleDatabaseError(error, 'migrations'),
+    'handleDatabaseMigrations'
+);
+
 /**
  * Get database size
  * @returns {Promise<Object>} Size result
@@ -2,13 +2,15 @@
 
 /**
  * Database provider action handlers
- * Handles provider switching, status, syncing, and migration
+ * Handles provider switching, status, syncing, migration, the Supabase schema, Supabase sign-in, and the self-hosted endpoint
  */
 
 import { logger } from '../logger.js';
 import { ErrorUtils } from '../error-handler.js';
 import { credentialStorage } from '../credential-storage.js';
 import { databaseProviderFactory } from '../database-provider-factory.js';
+import { supabaseDatabaseProvider } from '../supabase-database-provider.js';
+import { customDatabaseProvider } from '../custom-database-provider.js';
 
 /**
  * Get database provider status
@@ -33,7 +35,7 @@ export async function handleProviderSwitch(request) {
     try {
         const { provider } = request;
 
-        if (!provider || !['indexeddb', 'supabase'].includes(provider)) {
+        if (!provider || !['indexeddb', 'supabase', 'custom', 'chrome'].includes(provider)) {
             return { success: false, error: 'Invalid provider type' };
         }
 
@@ -47,6 +49,12 @@ export async function handleProviderSwitch(request) {
         } else if (provider === 'supabase') {
             await databaseProviderFactory.switchToSupabase();
             return { success: true, message: `Successfully switched to ${provider}` };
+        } else if (provider === 'custom') {
+            await databaseProviderFactory.switchToCustom();
+            return { success: true, message: `Successfully switched to ${provider}` };
+        } else if (provider === 'chrome') {
+            await databaseProviderFactory.switchToChromeSync();
+            return { success: true, message: `Successfully switched to ${provider}` };
         }
     } catch (error) {
         logger.error('Failed to switch provider:', error);
@@ -54,6 +62,22 @@ export async function handleProviderSwitch(request) {
     }
 }
 
+/**
+ * Enable or disable mirroring local writes to Supabase
+ * @param {Object} request - Request with enabled field
+ * @returns {Promise<Object>} Mirror result
+ */
+export async function handleProviderMirror(request) {
+    try {
+        const enabled = request.enabled === true;
+        await databaseProviderFactory.setMirrorMode(enabled);
+        return { success: true, mirror: enabled };
+    } catch (error) {
+        logger.error('Failed to change the mirror mode:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
+
 /**
  * Get available providers
  * @returns {Promise<Object>} Available providers
@@ -109,21 +133,35 @@ export async function handleProviderSync(request) {
             return { success: false, error: 'Invalid providers array' };
         }
 
-        const success = await databaseProviderFactory.syncProviders(providers[0], providers[1]);
-        if (success) {
-            return {
-                success: true,
-                message: `Successfully synced data between ${providers[0]} and ${providers[1]}`
-            };
-        } else {
-            return { success: false, error: 'Sync failed' };
-        }
+        const { pulled, pushed, deleted, conflicts } = await databaseProviderFactory.syncProviders(providers[0], providers[1]);
+        return {
+            success: true,
+            pulled,
+            pushed,
+            deleted,
+            conflicts,
+            message: `Successfully synced data between ${providers[0]} and ${providers[1]} (${pulled} pulled, ${pushed} pushed, ${deleted} deleted, ${conflicts} conflicts)`
+        };
     } catch (error) {
         logger.error('Failed to sync providers:', error);
         return ErrorUtils.createErrorResponse(error);
     }
 }
 
+/**
+ * Get the records merged with conflicts during the last sync
+ * @returns {Promise<Object>} Conflict report, null before the first sync
+ */
+export async function handleSyncConflicts() {
+    try {
+        const report = await databaseProviderFactory.getConflictReport();
+        return { success: true, report };
+    } catch (error) {
+        logger.error('Failed to get the sync conflict report:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
+
 /**
  * Configure Supabase credentials
  * @param {Object} request - Request with credentials
@@ -224,3 +262,187 @@ export async function handleSupabaseCheckTable() {
         return ErrorUtils.createErrorResponse(error);
     }
 }
+
+/**
+ * Get the Supabase schema version, the missing upgrade steps and their SQL
+ * @returns {Promise<Object>} Schema status result
+ */
+export async function handleSupabaseSchemaStatus() {
+    try {
+        const schema = await supabaseDatabaseProvider.getSchemaStatus();
+        return { success: true, schema };
+    } catch (error) {
+        logger.error('Failed to check the Supabase schema:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
+
+/**
+ * Apply the missing Supabase schema steps
+ * @returns {Promise<Object>} Upgrade result with the new schema status
+ */
+export async function handleSupabaseSchemaUpgrade() {
+    try {
+        const schema = await supabaseDatabaseProvider.applySchemaUpgrade();
+        return { success: true, schema };
+    } catch (error) {
+        logger.error('Failed to upgrade the Supabase schema:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
+
+/**
+ * Let the Supabase provider act for a new session, or with the API key without one
+ * An initialized provider reconnects so the schema is checked with the rights of the user
+ * @param {Object|null} session - Session from the credential storage
+ * @returns {Promise<void>}
+ */
+async function applySupabaseSession(session) {
+    supabaseDatabaseProvider.useSession(session);
+
+    if (supabaseDatabaseProvider.isInitialized) {
+        await supabaseDatabaseProvider.init();
+    }
+}
+
+/**
+ * Sign in to Supabase Auth with email and password
+ * @param {Object} request - Request with email and password fields
+ * @returns {Promise<Object>} Sign-in result
+ */
+export async function handleSupabaseSignIn(request) {
+    try {
+        const { email, password } = request;
+        const session = await credentialStorage.signInWithPassword(email, password);
+        await applySupabaseSession(session);
+        return { success: true, email: session.email, message: `Signed in as ${session.email}` };
+    } catch (error) {
+        logger.error('Failed to sign in to Supabase:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
+
+/**
+ * Email a one-time Supabase sign-in code
+ * @param {Object} request - Request with email field
+ * @returns {Promise<Object>} Send result
+ */
+export async function handleSupabaseSendCode(request) {
+    try {
+        const { email } = request;
+        await credentialStorage.sendSignInCode(email);
+        return { success: true, message: `Sign-in code sent to ${email}` };
+    } catch (error) {
+        logger.error('Failed to send the Supabase sign-in code:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
+
+/**
+ * Sign in to Supabase Auth with an emailed one-time code
+ * @param {Object} request - Request with email and token fields
+ * @returns {Promise<Object>} Sign-in result
+ */
+export async function handleSupabaseVerifyCode(request) {
+    try {
+        const { email, token } = request;
+        const session = await credentialStorage.verifySignInCode(email, token);
+        await applySupabaseSession(session);
+        return { success: true, email: session.email, message: `Signed in as ${session.email}` };
+    } catch (error) {
+        logger.error('Failed to verify the Supabase sign-in code:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
+
+/**
+ * Sign out of Supabase Auth
+ * @returns {Promise<Object>} Sign-out result
+ */
+export async function handleSupabaseSignOut() {
+    try {
+        await credentialStorage.signOut();
+        await applySupabaseSession(null);
+        return { success: true, message: 'Signed out of Supabase' };
+    } catch (error) {
+        logger.error('Failed to sign out of Supabase:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
+
+/**
+ * Save the self-hosted endpoint
+ * Reloads the document when the endpoint provider is already in use
+ * @param {Object} request - Request with strUrl, strFormat, strUsername and strPassword fields
+ * @returns {Promise<Object>} Configure result
+ */
+export async function handleCustomConfigure(request) {
+    try {
+        const { strUrl, strFormat, strUsername, strPassword } = request;
+        await credentialStorage.storeEndpoint({ strUrl, strFormat, strUsername, strPassword });
+
+        if (customDatabaseProvider.isInitialized) {
+            await customDatabaseProvider.init();
+        }
+
+        return { success: true, message: 'Endpoint saved successfully' };
+    } catch (error) {
+        logger.error('Failed to save the endpoint:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
+
+/**
+ * Test the self-hosted endpoint by loading the history document
+ * @returns {Promise<Object>} Test result
+ */
+export async function handleCustomTest() {
+    try {
+        const success = customDatabaseProvider.isInitialized
+            ? await customDatabaseProvider.testConnection()
+            : await customDatabaseProvider.init();
+
+        if (success) {
+            return { success: true, message: 'Endpoint connection test successful', info: customDatabaseProvider.getProviderInfo() };
+        } else {
+            return { success: false, error: 'Endpoint connection test failed' };
+        }
+    } catch (error) {
+        logger.error('Endpoint connection test failed:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
+
+/**
+ * Clear the self-hosted endpoint, switching back to IndexedDB when it is in use
+ * @returns {Promise<Object>} Clear result
+ */
+export async function handleCustomClear() {
+    try {
+        if (databaseProviderFactory.getCurrentProviderType() === 'custom') {
+            await databaseProviderFactory.switchToIndexedDB();
+        } else {
+            await customDatabaseProvider.close();
+        }
+
+        await credentialStorage.clearEndpoint();
+        return { success: true, message: 'Endpoint configuration cleared successfully' };
+    } catch (error) {
+        logger.error('Failed to clear the endpoint configuration:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
+
+/**
+ * Get the self-hosted endpoint (password masked)
+ * @returns {Promise<Object>} Endpoint result
+ */
+export async function handleCustomGetConfig() {
+    try {
+        const endpoint = await credentialStorage.getMaskedEndpoint();
+        return { success: true, endpoint };
+    } catch (error) {
+        logger.error('Failed to get the endpoint configuration:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
@@ -6,12 +6,12 @@
  */
 
 import { logger } from '../logger.js';
-import { ErrorUtils } from '../error-handler.js';
+import { ErrorUtils, ValidationError } from '../error-handler.js';
 import { Search } from '../bg-search.js';
 
 /**
  * Search for videos
- * @param {Object} request - Request with query/strQuery, page/intSkip, pageSize/intLength
+ * @param {Object} request - Request with query/strQuery, page/intSkip, pageSize/intLength and optional source
  * @returns {Promise<Object>} Search result
  */
 export async function handleSearchVideos(request) {
@@ -33,7 +33,7 @@ export async function handleSearchVideos(request) {
             length = request.intLength || 0;
         }
 
-        const result = await Search.lookup(query, skip, length);
+        const result = await Search.lookup(query, skip, length, { source: request.source });
 
         return {
             success: true,
@@ -41,13 +41,16 @@ export async function handleSearchVideos(request) {
             totalResults: result.totalResults
         };
     } catch (error) {
-        logger.error('Search videos error:', error);
+        // Query syntax errors are shown inline by the search box
+        if (!(error instanceof ValidationError)) {
+            logger.error('Search videos error:', error);
+        }
         return ErrorUtils.createErrorResponse(error);
     }
 }
 
 /**
- * Delete a video from database and history
+ * Move a video from the database to the trash
  * @param {Object} request - Request with videoId/strIdent
  * @returns {Promise<Object>} Delete result
  */
@@ -75,3 +78,38 @@ export async function handleSearchDelete(request) {
         return ErrorUtils.createErrorResponse(error);
     }
 }
+
+/**
+ * Move several videos from the database to the trash
+ * @param {Object} request - Request with videoIds, or selectAll with query, optional source and optional excludedIds
+ * @returns {Promise<Object>} Delete result with deletedCount
+ */
+export async function handleSearchDeleteMany(request) {
+    try {
+        // "Select all matching query" resolves the IDs here so they do not have to be sent back and forth,
+        // only the IDs unchecked afterwards are sent along
+        const excludedIds = new Set(Array.isArray(request.excludedIds) ? request.excludedIds : []);
+        const videoIds = request.selectAll
+            ? (await Search.lookupIds(request.query || '', { source: request.source })).filter(videoId => !excludedIds.has(videoId))
+            : request.videoIds;
+
+        if (!Array.isArray(videoIds) || videoIds.length === 0) {
+            return {
+                success: false,
+                error: 'Missing video IDs'
+            };
+        }
+
+        const result = await Search.deleteMany(videoIds, (progress) => {
+            logger.debug('Delete many progress:', progress);
+        });
+
+        return {
+            success: true,
+            deletedCount: result.deletedCount
+        };
+    } catch (error) {
+        logger.error('Search delete many error:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
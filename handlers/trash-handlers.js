@@ -0,0 +1,84 @@
+// @ts-check
+
+/**
+ * Trash action handlers
+ * Handles listing, restoring and purging deleted videos
+ */
+
+import { logger } from '../logger.js';
+import { ErrorUtils } from '../error-handler.js';
+import { Trash } from '../bg-trash.js';
+
+/**
+ * List the videos in the trash
+ * @returns {Promise<Object>} Trash entries and retention window
+ */
+export async function handleTrashList() {
+    try {
+        const [videos, retentionDays] = await Promise.all([
+            Trash.list(),
+            Trash.getRetentionDays()
+        ]);
+
+        return {
+            success: true,
+            objVideos: videos,
+            retentionDays: retentionDays
+        };
+    } catch (error) {
+        logger.error('Trash list error:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
+
+/**
+ * Restore videos from the trash
+ * @param {Object} request - Request with videoIds
+ * @returns {Promise<Object>} Restore result with restoredCount
+ */
+export async function handleTrashRestore(request) {
+    try {
+        if (!Array.isArray(request.videoIds) || request.videoIds.length === 0) {
+            return {
+                success: false,
+                error: 'Missing video IDs'
+            };
+        }
+
+        const result = await Trash.restore(request.videoIds);
+
+        return {
+            success: true,
+            restoredCount: result.restoredCount
+        };
+    } catch (error) {
+        logger.error('Trash restore error:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
+
+/**
+ * Permanently delete videos from the trash and browser history
+ * @param {Object} request - Request with videoIds, or all to empty the trash
+ * @returns {Promise<Object>} Purge result with purgedCount
+ */
+export async function handleTrashPurge(request) {
+    try {
+        if (!request.all && (!Array.isArray(request.videoIds) || request.videoIds.length === 0)) {
+            return {
+                success: false,
+                error: 'Missing video IDs'
+            };
+        }
+
+        const result = request.all ? await Trash.purgeAll() : await Trash.purge(request.videoIds);
+
+        return {
+            success: true,
+            purgedCount: result.purgedCount
+        };
+    } catch (error) {
+        logger.error('Trash purge error:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
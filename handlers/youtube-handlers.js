@@ -9,6 +9,8 @@ import { logger } from '../logger.js';
 import { ErrorUtils } from '../error-handler.js';
 import { Youtube } from '../bg-youtube.js';
 import { videoTracker } from '../video-tracker.js';
+import { WatchEvents } from '../bg-watch-events.js';
+import { getDeviceId } from '../browser-utils.js';
 
 /**
  * Lookup a video in the database
@@ -41,12 +43,12 @@ export async function handleYoutubeLookup(request) {
 
 /**
  * Ensure a video exists in the database
- * @param {Object} request - Request with videoId and optional title, timestamp, count
+ * @param {Object} request - Request with videoId and optional title, timestamp, count, source
  * @returns {Promise<Object>} Ensure result
  */
 export async function handleYoutubeEnsure(request) {
     try {
-        const { videoId, title, timestamp, count } = request;
+        const { videoId, title, timestamp, count, source } = request;
 
         if (!videoId) {
             return {
@@ -59,7 +61,7 @@ export async function handleYoutubeEnsure(request) {
             videoTracker.cacheTitle(videoId, title);
         }
 
-        const result = await Youtube.ensure(videoId, title, timestamp, count);
+        const result = await Youtube.ensure(videoId, title, timestamp, count, source);
         return { success: true, data: result };
 
     } catch (error) {
@@ -113,12 +115,12 @@ export async function handleYoutubeLikedVideos() {
 
 /**
  * Mark a video as watched
- * @param {Object} request - Request with videoId and optional title, timestamp, count
+ * @param {Object} request - Request with videoId and optional title, timestamp, count, source
  * @returns {Promise<Object>} Mark result
  */
 export async function handleYoutubeMark(request) {
     try {
-        const { videoId, title, timestamp, count } = request;
+        const { videoId, title, timestamp, count, source } = request;
 
         if (!videoId) {
             return {
@@ -127,7 +129,7 @@ export async function handleYoutubeMark(request) {
             };
         }
 
-        const result = await Youtube.mark(videoId, title, timestamp, count);
+        const result = await Youtube.mark(videoId, title, timestamp, count, source);
         return { success: true, data: result };
 
     } catch (error) {
@@ -135,3 +137,58 @@ export async function handleYoutubeMark(request) {
         return ErrorUtils.createErrorResponse(error);
     }
 }
+
+/**
+ * Store the playback progress of a video
+ * @param {Object} request - Request with videoId, position and optional title, duration
+ * @returns {Promise<Object>} Progress result
+ */
+export async function handleYoutubeProgress(request) {
+    try {
+        const { videoId, title, position, duration } = request;
+
+        if (!videoId) {
+            return {
+                success: false,
+                error: 'Missing video ID'
+            };
+        }
+
+        if (title) {
+            videoTracker.cacheTitle(videoId, title);
+        }
+
+        const result = await Youtube.updateProgress(videoId, title, position, duration);
+        return { success: true, data: result };
+
+    } catch (error) {
+        logger.error('YouTube progress error:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
+
+/**
+ * Get the view timeline of a video
+ * @param {Object} request - Request with videoId
+ * @returns {Promise<Object>} Timeline result
+ */
+export async function handleWatchEventsLookup(request) {
+    try {
+        const { videoId } = request;
+
+        if (!videoId) {
+            return {
+                success: false,
+                error: 'Missing video ID'
+            };
+        }
+
+        const events = await WatchEvents.getTimeline(videoId);
+        const counts = await WatchEvents.getDeviceCounts(videoId);
+        return { success: true, events, counts, deviceId: await getDeviceId() };
+
+    } catch (error) {
+        logger.error('Watch events lookup error:', error);
+        return ErrorUtils.createErrorResponse(error);
+    }
+}
@@ -0,0 +1,142 @@
+// @ts-check
+
+/**
+ * Import preview utilities for YouTube Watchmarker
+ * Compares the records of an import with the stored ones for each merge strategy
+ */
+
+import { IMPORT_EXPORT } from './constants.js';
+import { validateVideoRecord } from './validation.js';
+import { mergeSources } from './source-utils.js';
+import { mergeProgress } from './progress-utils.js';
+import { mergeDeviceCounts, sumDeviceCounts } from './count-utils.js';
+
+/**
+ * @typedef {Object} StrategyChanges
+ * @property {number} written - Records the strategy writes
+ * @property {number} updated - Stored videos the strategy changes
+ * @property {number} timestamps - Stored videos whose last watched time changes
+ * @property {number} counts - Stored videos whose view count changes
+ * @property {number} titles - Stored videos whose title changes
+ */
+
+/**
+ * @typedef {Object} ImportReport
+ * @property {number} total - Records in the file
+ * @property {number} invalid - Records left out: unreadable entries and records failing validation
+ * @property {number} new - Records of videos that are not stored yet
+ * @property {number} existing - Records of stored videos
+ * @property {Object<string, StrategyChanges>} strategies - Changes of each of IMPORT_EXPORT.STRATEGIES
+ */
+
+/**
+ * Creates an empty import report
+ * @returns {ImportReport} Report with all counts at 0
+ */
+export function createImportReport() {
+    return {
+        total: 0,
+        invalid: 0,
+        new: 0,
+        existing: 0,
+        strategies: Object.fromEntries(Object.values(IMPORT_EXPORT.STRATEGIES).map(strategy => [
+            strategy,
+            { written: 0, updated: 0, timestamps: 0, counts: 0, titles: 0 }
+        ]))
+    };
+}
+
+/**
+ * Checks whether an imported record can be stored
+ * @param {Object} video - Imported video record
+ * @returns {boolean} True if the record passes validation
+ */
+export function isImportable(video) {
+    return validateVideoRecord(video).valid;
+}
+
+/**
+ * Merges an imported record into the stored record of the same video
+ * Keeps the latest time, the highest count, all sources and the views of every
+ * device, so a provider that overwrites stored records on import still writes
+ * the merged values. The stored title stays unless the import has one and is
+ * at least as new
+ * @param {Object} video - Imported video record
+ * @param {Object} stored - Stored video record
+ * @returns {Object} Merged video record
+ */
+export function mergeImportedRecord(video, stored) {
+    const objCounts = mergeDeviceCounts(stored.objCounts, video.objCounts);
+
+    return {
+        ...stored,
+        ...video,
+        strTitle: ((video.intTimestamp || 0) >= (stored.intTimestamp || 0) && video.strTitle) || stored.strTitle || video.strTitle,
+        intTimestamp: Math.max(stored.intTimestamp || 0, video.intTimestamp || 0),
+        intCount: Math.max(stored.intCount || 1, video.intCount || 1, sumDeviceCounts(objCounts)),
+        ...(stored.objCounts || video.objCounts ? { objCounts } : {}),
+        arrSources: mergeSources(stored.arrSources, video.arrSources),
+        ...mergeProgress(stored, video)
+    };
+}
+
+/**
+ * Lists the fields of a stored video a strategy would change
+ * @param {Object} video - Imported video record
+ * @param {Object} stored - Stored video record
+ * @param {string} strategy - One of IMPORT_EXPORT.STRATEGIES
+ * @returns {string[]} Changed fields as StrategyChanges keys
+ */
+function getChanges(video, stored, strategy) {
+    if (strategy === IMPORT_EXPORT.STRATEGIES.ONLY_NEW) {
+        return [];
+    }
+
+    const record = strategy === IMPORT_EXPORT.STRATEGIES.MERGE ? mergeImportedRecord(video, stored) : video;
+    const title = record.strTitle !== undefined ? record.strTitle : stored.strTitle;
+
+    const changes = [];
+    if (record.intTimestamp !== stored.intTimestamp) {
+        changes.push('timestamps');
+    }
+    if ((record.intCount || 1) !== (stored.intCount || 1)) {
+        changes.push('counts');
+    }
+    if ((title || '') !== (stored.strTitle || '')) {
+        changes.push('titles');
+    }
+    return changes;
+}
+
+/**
+ * Adds a chunk of imported records to a report
+ * @param {ImportReport} report - Report to update
+ * @param {Array<Object>} videos - Valid imported records
+ * @param {Array<Object>} storedVideos - Stored records of the same videos
+ */
+export function compareRecords(report, videos, storedVideos) {
+    const stored = new Map(storedVideos.map(video => [video.strIdent, video]));
+
+    for (const video of videos) {
+        const existing = stored.get(video.strIdent);
+
+        if (!existing) {
+            report.new++;
+            Object.values(report.strategies).forEach(changes => changes.written++);
+            continue;
+        }
+
+        report.existing++;
+        for (const [strategy, changes] of Object.entries(report.strategies)) {
+            const fields = getChanges(video, existing, strategy);
+
+            if (strategy !== IMPORT_EXPORT.STRATEGIES.ONLY_NEW) {
+                changes.written++;
+            }
+            if (fields.length > 0) {
+                changes.updated++;
+                fields.forEach(field => changes[field]++);
+            }
+        }
+    }
+}
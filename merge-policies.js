@@ -0,0 +1,257 @@
+// @ts-check
+
+/**
+ * Merge policies for YouTube Watchmarker
+ * Resolves the local and remote records of the same video field by field when
+ * providers are synced. Local records keep a snapshot of the fields as they were
+ * last synced, so a field changed on one side only simply takes that side and the
+ * configured policy only decides fields that changed on both sides (conflicts).
+ * View counts are kept per device; summed across devices, the default, they merge
+ * without conflicts.
+ */
+
+import { MERGE } from './constants.js';
+import { mergeProgress } from './progress-utils.js';
+import { mergeSources } from './source-utils.js';
+import { mergeDeviceCounts, sumDeviceCounts, withDeviceCounts } from './count-utils.js';
+
+/**
+ * @typedef {Object} MergePolicy
+ * @property {string} strPolicy - Record policy, one of MERGE.POLICIES
+ * @property {Object<string, string>} objRules - Rule per MERGE.FIELDS entry, MERGE.RULES.POLICY to follow the record policy
+ */
+
+/**
+ * @typedef {Object} FieldConflict
+ * @property {string} strField - Conflicting record field
+ * @property {*} local - Local value
+ * @property {*} remote - Remote value
+ * @property {*} merged - Value kept by the merge
+ */
+
+/**
+ * @typedef {Object} MergeResult
+ * @property {Object} video - Merged record, with the snapshot of its synced fields
+ * @property {FieldConflict[]} conflicts - Fields changed differently on both sides
+ */
+
+// Record fields resolved together for each configurable field
+const FIELD_KEYS = {
+    [MERGE.FIELDS.TIMESTAMP]: ['intTimestamp'],
+    [MERGE.FIELDS.COUNT]: ['intCount'],
+    [MERGE.FIELDS.TITLE]: ['strTitle'],
+    [MERGE.FIELDS.PROGRESS]: ['intPosition', 'intDuration', 'dblCompletion'],
+    [MERGE.FIELDS.SOURCES]: ['arrSources']
+};
+
+const SYNCED_KEYS = Object.values(FIELD_KEYS).flat();
+
+/**
+ * Gets the policy used when nothing is configured, the behaviour of earlier releases
+ * with view counts summed across devices
+ * @returns {MergePolicy} Default policy
+ */
+export function getDefaultMergePolicy() {
+    const objRules = {};
+    Object.values(MERGE.FIELDS).forEach(field => {
+        objRules[field] = field === MERGE.FIELDS.COUNT ? MERGE.RULES.SUM : MERGE.RULES.POLICY;
+    });
+
+    return { strPolicy: MERGE.POLICIES.MERGE, objRules };
+}
+
+/**
+ * Normalizes a stored policy, replacing unknown values with the defaults
+ * @param {*} value - Stored policy
+ * @returns {MergePolicy} Normalized policy
+ */
+export function normalizeMergePolicy(value) {
+    const policy = getDefaultMergePolicy();
+    const policies = Object.values(MERGE.POLICIES);
+
+    if (value && policies.includes(value.strPolicy)) {
+        policy.strPolicy = value.strPolicy;
+    }
+
+    for (const field of Object.values(MERGE.FIELDS)) {
+        const rule = value?.objRules?.[field];
+        const allowed = [MERGE.RULES.POLICY, ...policies];
+        if (field === MERGE.FIELDS.COUNT) {
+            allowed.push(MERGE.RULES.SUM);
+        }
+        if (allowed.includes(rule)) {
+            policy.objRules[field] = rule;
+        }
+    }
+
+    return policy;
+}
+
+/**
+ * Gets the rule that applies to a field
+ * @param {MergePolicy} policy - Normalized policy
+ * @param {string} field - One of MERGE.FIELDS
+ * @returns {string} Record policy or MERGE.RULES.SUM
+ */
+function getRule(policy, field) {
+    const rule = policy.objRules[field];
+    return !rule || rule === MERGE.RULES.POLICY ? policy.strPolicy : rule;
+}
+
+/**
+ * Compares two values of a record field
+ * @param {*} value1 - First value
+ * @param {*} value2 - Second value
+ * @returns {boolean} True if equal
+ */
+function isSameValue(value1, value2) {
+    if (Array.isArray(value1) || Array.isArray(value2)) {
+        return mergeSources(value1).join(',') === mergeSources(value2).join(',');
+    }
+    return (value1 ?? null) === (value2 ?? null);
+}
+
+/**
+ * Checks whether a record field holds no value
+ * @param {*} value - Field value
+ * @returns {boolean} True if empty
+ */
+function isEmptyValue(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Copies some fields of a record
+ * @param {Object} record - Record
+ * @param {string[]} keys - Fields to copy
+ * @returns {Object} Copied fields
+ */
+function pickFields(record, keys) {
+    const fields = {};
+    keys.forEach(key => {
+        fields[key] = record[key];
+    });
+    return fields;
+}
+
+/**
+ * Picks the record whose side wins a conflict
+ * The newest side is the one written last, local change time against the time the remote row was stored
+ * @param {string} rule - Record policy
+ * @param {Object} local - Local record
+ * @param {Object} remote - Remote record
+ * @returns {Object} Winning record
+ */
+function pickSide(rule, local, remote) {
+    if (rule === MERGE.POLICIES.KEEP_REMOTE) {
+        return remote;
+    }
+    if (rule === MERGE.POLICIES.LAST_WRITER_WINS) {
+        return (remote.intUpdated || 0) > (local.intUpdated || 0) ? remote : local;
+    }
+    return local;
+}
+
+/**
+ * Resolves a field changed on both sides
+ * @param {string} field - One of MERGE.FIELDS
+ * @param {string} rule - Rule of the field
+ * @param {Object} local - Local record
+ * @param {Object} remote - Remote record
+ * @returns {Object} Resolved fields
+ */
+function resolveField(field, rule, local, remote) {
+    if (rule !== MERGE.POLICIES.MERGE) {
+        return pickFields(pickSide(rule, local, remote), FIELD_KEYS[field]);
+    }
+
+    switch (field) {
+        case MERGE.FIELDS.TIMESTAMP:
+            return { intTimestamp: Math.max(local.intTimestamp || 0, remote.intTimestamp || 0) };
+        case MERGE.FIELDS.COUNT:
+            return { intCount: Math.max(local.intCount || 1, remote.intCount || 1) };
+        case MERGE.FIELDS.PROGRESS:
+            return mergeProgress(remote, local);
+        case MERGE.FIELDS.SOURCES:
+            return { arrSources: mergeSources(local.arrSources, remote.arrSources) };
+        default:
+            return { strTitle: local.strTitle };
+    }
+}
+
+/**
+ * Stores the snapshot of the synced fields on a record
+ * @param {Object} video - Record as it is now stored on both sides
+ * @returns {Object} Record with its snapshot
+ */
+export function markSynced(video) {
+    return { ...video, objSynced: pickFields(video, SYNCED_KEYS) };
+}
+
+/**
+ * Merges the local and remote records of a video
+ * @param {Object} local - Local record
+ * @param {Object} remote - Remote record
+ * @param {MergePolicy} policy - Normalized policy
+ * @returns {MergeResult} Merged record and the conflicts the policy resolved
+ */
+export function mergeRecords(local, remote, policy) {
+    const base = local.objSynced || null;
+    const merged = { ...remote, ...local };
+    const conflicts = [];
+    const sumCounts = getRule(policy, MERGE.FIELDS.COUNT) === MERGE.RULES.SUM;
+
+    for (const [field, keys] of Object.entries(FIELD_KEYS)) {
+        if ((field === MERGE.FIELDS.COUNT && sumCounts) || keys.every(key => isSameValue(local[key], remote[key]))) {
+            continue;
+        }
+
+        const changed = (record) => !base || keys.some(key => !isSameValue(record[key], base[key]));
+        const empty = (record) => keys.every(key => isEmptyValue(record[key]));
+        let fields;
+
+        if (empty(remote) || !changed(remote)) {
+            fields = pickFields(local, keys);
+        } else if (empty(local) || !changed(local)) {
+            fields = pickFields(remote, keys);
+        } else {
+            fields = resolveField(field, getRule(policy, field), local, remote);
+
+            keys.filter(key => !isSameValue(local[key], remote[key])).forEach(key => {
+                conflicts.push({ strField: key, local: local[key], remote: remote[key], merged: fields[key] });
+            });
+        }
+
+        keys.forEach(key => {
+            if (isEmptyValue(fields[key])) {
+                delete merged[key];
+            } else {
+                merged[key] = fields[key];
+            }
+        });
+    }
+
+    merged.arrSources = mergeSources(merged.arrSources);
+
+    if (!sumCounts) {
+        // The total follows its rule, the per-device counts of the side it was taken from go with it
+        const side = (merged.intCount || 1) === (local.intCount || 1) ? local : remote;
+        Object.assign(merged, withDeviceCounts({ objCounts: side.objCounts, intCount: merged.intCount || 1 }));
+    } else if (local.objCounts && remote.objCounts) {
+        merged.objCounts = mergeDeviceCounts(local.objCounts, remote.objCounts);
+        merged.intCount = sumDeviceCounts(merged.objCounts) || 1;
+    } else {
+        // Providers without per-device counts only know the total, which must not be added twice
+        Object.assign(merged, withDeviceCounts({
+            objCounts: local.objCounts || remote.objCounts,
+            intCount: Math.max(local.intCount || 1, remote.intCount || 1)
+        }));
+    }
+
+    const intUpdated = Math.max(local.intUpdated || 0, remote.intUpdated || 0);
+    if (intUpdated > 0) {
+        merged.intUpdated = intUpdated;
+    }
+
+    return { video: markSynced(merged), conflicts };
+}
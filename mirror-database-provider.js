@@ -0,0 +1,223 @@
+/**
+ * Mirror Database Provider for YouTube Watch History
+ * Reads from IndexedDB and applies every write to Supabase as well, in the
+ * background, so lookups stay local while the cloud copy is kept current
+ * between syncs. Local writes still queue their changes in the sync outbox,
+ * so a write that could not be mirrored is sent by the next sync.
+ */
+
+/**
+ * Mirror Database Provider
+ * Wraps the IndexedDB provider and the Supabase provider
+ */
+export class MirrorDatabaseProvider {
+    /**
+     * @param {Object} local - IndexedDB provider, answers every read
+     * @param {Object} remote - Supabase provider, receives a copy of every write
+     */
+    constructor(local, remote) {
+        this.local = local;
+        this.remote = remote;
+        this.pending = Promise.resolve(); // Chain of mirrored writes, keeps them in order
+        this.mirroredWrites = 0;
+        this.failedWrites = 0;
+    }
+
+    get isInitialized() {
+        return this.local.isInitialized;
+    }
+
+    get isConnected() {
+        return this.local.isConnected;
+    }
+
+    /**
+     * Apply a write to Supabase after the writes mirrored before it
+     * The local write has already succeeded, failures are only logged
+     * @param {string} description - Write shown in log messages
+     * @param {Function} operation - Writes to the remote provider
+     */
+    mirror(description, operation) {
+        this.pending = this.pending.then(async () => {
+            if (!this.remote.isConnected) {
+                // Left to the next sync through the outbox
+                return;
+            }
+
+            await operation();
+            this.mirroredWrites++;
+        }).catch((error) => {
+            this.failedWrites++;
+            console.warn(`Failed to mirror ${description} to Supabase:`, error.message);
+        });
+    }
+
+    /**
+     * Wait until the writes mirrored so far reached Supabase
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await this.pending;
+    }
+
+    /**
+     * Copy stored local records to Supabase
+     * The local records already carry the merged fields and view counts of the write
+     * @param {string[]} videoIds - Written video IDs
+     * @param {boolean} track - Whether the write revoked the tombstones of the videos
+     * @returns {Promise<void>}
+     */
+    async mirrorVideos(videoIds, track) {
+        const videos = await this.local.getVideos(videoIds);
+
+        if (track && this.remote.supportsTombstones) {
+            // Only videos deleted before have a tombstone to revoke
+            const revoked = (await this.local.getTombstones(videoIds)).filter(tombstone => tombstone.intDeleted === 0);
+            if (revoked.length > 0) {
+                await this.remote.revokeTombstones(revoked.map(tombstone => tombstone.strIdent));
+            }
+        }
+
+        await this.remote.importVideos(videos, { track: false });
+    }
+
+    async init() {
+        return await this.local.init();
+    }
+
+    async testConnection() {
+        return await this.local.testConnection();
+    }
+
+    updateConnectionStatus() {
+        this.local.updateConnectionStatus();
+    }
+
+    async getVideo(videoId) {
+        return await this.local.getVideo(videoId);
+    }
+
+    /**
+     * Store or update a video record locally and mirror the stored record
+     * @param {Object} video - Video data
+     * @param {Object} [options] - Write options, see the IndexedDB provider
+     * @returns {Promise<boolean>} Success status of the local write
+     */
+    async putVideo(video, options = {}) {
+        const success = await this.local.putVideo(video, options);
+        this.mirror('a video', () => this.mirrorVideos([video.strIdent], options.track !== false));
+        return success;
+    }
+
+    async getAllVideos() {
+        return await this.local.getAllVideos();
+    }
+
+    async getVideoCount() {
+        return await this.local.getVideoCount();
+    }
+
+    async clearAllVideos() {
+        const success = await this.local.clearAllVideos();
+        this.mirror('the reset', () => this.remote.clearAllVideos());
+        return success;
+    }
+
+    async deleteVideo(videoId, options = {}) {
+        return await this.deleteVideos([videoId], options);
+    }
+
+    async deleteVideos(videoIds, options = {}) {
+        const success = await this.local.deleteVideos(videoIds, options);
+        this.mirror(`${videoIds.length} deletions`, () => this.remote.deleteVideos(videoIds, options));
+        return success;
+    }
+
+    /**
+     * Import several video records locally and mirror the stored records
+     * @param {Array} videos - Video records
+     * @param {Object} [options] - Write options, see the IndexedDB provider
+     * @returns {Promise<boolean>} Success status of the local write
+     */
+    async importVideos(videos, options = {}) {
+        const success = await this.local.importVideos(videos, options);
+        const videoIds = videos.map(video => video.strIdent);
+        this.mirror(`${videoIds.length} videos`, () => this.mirrorVideos(videoIds, options.track !== false));
+        return success;
+    }
+
+    async getVideos(videoIds) {
+        return await this.local.getVideos(videoIds);
+    }
+
+    // Tombstones pulled by a sync are stored locally, callers probing for them read the local copy
+    async getTombstones(videoIds) {
+        return await this.local.getTombstones(videoIds);
+    }
+
+    async getAllTombstones() {
+        return await this.local.getAllTombstones();
+    }
+
+    async queryVideos(options = {}) {
+        return await this.local.queryVideos(options);
+    }
+
+    async searchVideos(query, limit = 100) {
+        return await this.local.searchVideos(query, limit);
+    }
+
+    async getVideosByDateRange(startTimestamp, endTimestamp) {
+        return await this.local.getVideosByDateRange(startTimestamp, endTimestamp);
+    }
+
+    async getStatistics() {
+        return await this.local.getStatistics();
+    }
+
+    async addWatchEvent(event) {
+        const stored = await this.local.addWatchEvent(event);
+        if (stored) {
+            this.mirror('a watch event', () => this.remote.addWatchEvent(event));
+        }
+        return stored;
+    }
+
+    async getWatchEvents(videoId) {
+        return await this.local.getWatchEvents(videoId);
+    }
+
+    async deleteWatchEvents(videoId) {
+        const success = await this.local.deleteWatchEvents(videoId);
+        this.mirror('the deletion of watch events', () => this.remote.deleteWatchEvents(videoId));
+        return success;
+    }
+
+    async clearWatchEvents() {
+        const success = await this.local.clearWatchEvents();
+        this.mirror('the reset of watch events', () => this.remote.clearWatchEvents());
+        return success;
+    }
+
+    /**
+     * Close the mirror once the pending writes were mirrored
+     * Supabase stays open, it is shared with the sync
+     * @returns {Promise<boolean>} Success status
+     */
+    async close() {
+        await this.flush();
+        return await this.local.close();
+    }
+
+    getProviderInfo() {
+        return {
+            ...this.local.getProviderInfo(),
+            name: 'IndexedDB (mirrored to Supabase)',
+            mirror: {
+                isConnected: this.remote.isConnected,
+                mirroredWrites: this.mirroredWrites,
+                failedWrites: this.failedWrites
+            }
+        };
+    }
+}
@@ -11,7 +11,10 @@ class PopupSearchManager {
             currentPage: 1,
             pageSize: 30, // Increased page size for smaller font
             totalResults: 0,
-            isSearching: false
+            isSearching: false,
+            selectedIds: new Set(),
+            selectAllMatching: false,
+            excludedIds: new Set()
         };
     }
 
@@ -72,8 +75,11 @@ class PopupSearchManager {
         this.searchQuery = document.getElementById('idSearch_Query');
         this.searchButton = document.getElementById('idSearch_Lookup');
         this.searchResults = document.getElementById('idSearch_Results');
+        this.searchError = document.getElementById('idSearch_Error');
         this.searchIcon = document.getElementById('search-icon');
         this.searchSpinner = document.getElementById('search-spinner');
+        this.exportFormat = document.getElementById('idSearch_ExportFormat');
+        this.exportButton = document.getElementById('idSearch_Export');
         this.initialLoading = document.getElementById('initial-loading');
 
         // Options link
@@ -111,12 +117,19 @@ class PopupSearchManager {
      */
     setupSearchListeners() {
         // Search button click
-        this.searchButton.addEventListener('click', () => this.performSearch());
+        this.searchButton.addEventListener('click', () => {
+            this.clearSearchSelection();
+            this.performSearch();
+        });
+
+        // Export the matching videos
+        this.exportButton.addEventListener('click', () => this.exportSearchResults());
 
         // Enter key search
         this.searchQuery.addEventListener('keypress', (event) => {
             if (event.key === 'Enter') {
                 event.preventDefault();
+                this.clearSearchSelection();
                 this.performSearch();
             }
         });
@@ -129,9 +142,10 @@ class PopupSearchManager {
             searchTimeout = setTimeout(() => {
                 const query = this.searchQuery.value.trim();
 
-                // Reset to first page when query changes
+                // Reset to first page and selection when query changes
                 this.searchState.currentPage = 1;
                 this.searchState.currentQuery = query;
+                this.clearSearchSelection();
 
                 // Always search (empty query shows all videos)
                 this.performSearch();
@@ -299,9 +313,14 @@ class PopupSearchManager {
             });
 
             if (response && response.success) {
+                this.clearSearchSyntaxError();
                 const videos = response.objVideos || response.results || [];
                 this.searchState.totalResults = response.totalResults || 0;
                 this.displaySearchResults(videos);
+            } else if (response?.code === 'VALIDATION_ERROR') {
+                // Invalid query syntax, keep the previous results
+                this.hideInitialLoading();
+                this.showSearchSyntaxError(response.error);
             } else {
                 const errorMessage = query ?
                     'Search failed. Please try again.' :
@@ -328,6 +347,24 @@ class PopupSearchManager {
         }
     }
 
+    /**
+     * Show a query syntax error below the search box
+     * @param {string} message - Parse error message
+     */
+    showSearchSyntaxError(message) {
+        this.searchQuery.classList.add('is-invalid');
+        this.searchError.textContent = message || 'Invalid search syntax.';
+        this.searchError.classList.remove('d-none');
+    }
+
+    /**
+     * Clear the query syntax error below the search box
+     */
+    clearSearchSyntaxError() {
+        this.searchQuery.classList.remove('is-invalid');
+        this.searchError.classList.add('d-none');
+    }
+
     /**
      * Hide initial loading animation
      */
@@ -362,10 +399,22 @@ class PopupSearchManager {
                         ${this.searchState.currentQuery ? ` for "${this.escapeHtml(this.searchState.currentQuery)}"` : ''}
                     </h6>
                 </div>
+                <div class="d-flex align-items-center gap-2 mb-2 search-bulk-actions">
+                    <small class="text-muted me-auto search-selection-count"></small>
+                    <button class="btn btn-sm btn-outline-primary select-all-matching-btn" type="button">
+                        Select all ${this.searchState.totalResults}
+                    </button>
+                    <button class="btn btn-sm btn-danger delete-selected-btn" type="button" title="Delete selected videos">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
                 <div class="table-responsive">
                     <table class="table table-hover table-sm">
                         <thead class="table-secondary">
                             <tr>
+                                <th class="text-center" style="width: 30px;">
+                                    <input type="checkbox" class="form-check-input select-page-checkbox" aria-label="Select all videos on this page" />
+                                </th>
                                 <th style="width: 120px;">
                                     <i class="fas fa-clock me-1"></i>Date
                                 </th>
@@ -383,6 +432,12 @@ class PopupSearchManager {
                         <tbody>
                             ${results.map(result => `
                                 <tr class="search-result-item">
+                                    <td class="text-center">
+                                        <input type="checkbox" class="form-check-input select-video-checkbox"
+                                               data-video-id="${result.strIdent || result.id}"
+                                               aria-label="Select video"
+                                               ${this.isVideoSelected(result.strIdent || result.id) ? 'checked' : ''} />
+                                    </td>
                                     <td class="text-center">
                                         <small class="text-muted">
                                             ${this.formatDateForTable(new Date(result.intTimestamp || result.timestamp))}
@@ -434,6 +489,200 @@ class PopupSearchManager {
                 this.deleteVideo(videoId, e.currentTarget);
             });
         });
+
+        this.setupSelectionListeners();
+    }
+
+    /**
+     * Set up selection checkboxes and bulk actions
+     */
+    setupSelectionListeners() {
+        const videoCheckboxes = this.searchResults.querySelectorAll('.select-video-checkbox');
+
+        videoCheckboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const videoId = e.currentTarget.getAttribute('data-video-id');
+
+                // With "all matching" selected, unchecked rows are left out of the selection
+                if (this.searchState.selectAllMatching) {
+                    if (e.currentTarget.checked) {
+                        this.searchState.excludedIds.delete(videoId);
+                    } else {
+                        this.searchState.excludedIds.add(videoId);
+                    }
+                } else if (e.currentTarget.checked) {
+                    this.searchState.selectedIds.add(videoId);
+                } else {
+                    this.searchState.selectedIds.delete(videoId);
+                }
+                this.updateSelectionState();
+            });
+        });
+
+        this.searchResults.querySelector('.select-page-checkbox').addEventListener('change', (e) => {
+            const checked = e.currentTarget.checked;
+            videoCheckboxes.forEach(checkbox => {
+                const videoId = checkbox.getAttribute('data-video-id');
+                if (this.searchState.selectAllMatching) {
+                    if (checked) {
+                        this.searchState.excludedIds.delete(videoId);
+                    } else {
+                        this.searchState.excludedIds.add(videoId);
+                    }
+                } else if (checked) {
+                    this.searchState.selectedIds.add(videoId);
+                } else {
+                    this.searchState.selectedIds.delete(videoId);
+                }
+            });
+            this.updateSelectionState();
+        });
+
+        this.searchResults.querySelector('.select-all-matching-btn').addEventListener('click', () => {
+            this.searchState.selectAllMatching = true;
+            this.searchState.selectedIds.clear();
+            this.searchState.excludedIds.clear();
+            this.updateSelectionState();
+        });
+
+        this.searchResults.querySelector('.delete-selected-btn').addEventListener('click', (e) => {
+            this.deleteSelectedVideos(e.currentTarget);
+        });
+
+        this.updateSelectionState();
+    }
+
+    /**
+     * Check whether a video is selected
+     */
+    isVideoSelected(videoId) {
+        return this.searchState.selectAllMatching
+            ? !this.searchState.excludedIds.has(videoId)
+            : this.searchState.selectedIds.has(videoId);
+    }
+
+    /**
+     * Get the number of selected videos
+     */
+    getSelectionCount() {
+        return this.searchState.selectAllMatching
+            ? Math.max(this.searchState.totalResults - this.searchState.excludedIds.size, 0)
+            : this.searchState.selectedIds.size;
+    }
+
+    /**
+     * Reset the selection
+     */
+    clearSearchSelection() {
+        this.searchState.selectedIds.clear();
+        this.searchState.selectAllMatching = false;
+        this.searchState.excludedIds.clear();
+    }
+
+    /**
+     * Sync checkboxes and bulk actions with the selection
+     */
+    updateSelectionState() {
+        const videoCheckboxes = Array.from(this.searchResults.querySelectorAll('.select-video-checkbox'));
+        videoCheckboxes.forEach(checkbox => {
+            checkbox.checked = this.isVideoSelected(checkbox.getAttribute('data-video-id'));
+        });
+
+        const checkedCount = videoCheckboxes.filter(checkbox => checkbox.checked).length;
+        const pageCheckbox = this.searchResults.querySelector('.select-page-checkbox');
+        pageCheckbox.checked = checkedCount > 0 && checkedCount === videoCheckboxes.length;
+        pageCheckbox.indeterminate = checkedCount > 0 && checkedCount < videoCheckboxes.length;
+
+        const selectionCount = this.getSelectionCount();
+        this.searchResults.querySelector('.search-selection-count').textContent = `${selectionCount} selected`;
+        this.searchResults.querySelector('.select-all-matching-btn').classList.toggle('d-none', this.searchState.selectAllMatching && this.searchState.excludedIds.size === 0);
+        this.searchResults.querySelector('.delete-selected-btn').disabled = selectionCount === 0;
+    }
+
+    /**
+     * Delete all selected videos
+     */
+    async deleteSelectedVideos(deleteButton) {
+        const selectionCount = this.getSelectionCount();
+        if (selectionCount === 0) return;
+
+        if (!confirm(`Are you sure you want to delete ${selectionCount} video${selectionCount !== 1 ? 's' : ''} from your watch history?`)) {
+            return;
+        }
+
+        try {
+            deleteButton.disabled = true;
+            deleteButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+            const request = this.searchState.selectAllMatching ? {
+                action: 'search-delete-many',
+                selectAll: true,
+                excludedIds: Array.from(this.searchState.excludedIds),
+                query: this.searchState.currentQuery
+            } : {
+                action: 'search-delete-many',
+                videoIds: Array.from(this.searchState.selectedIds)
+            };
+
+            const response = await this.safeSendMessage(request);
+
+            if (response && response.success) {
+                this.showSuccess(`Moved ${response.deletedCount} video${response.deletedCount !== 1 ? 's' : ''} to Recently Deleted`);
+
+                this.clearSearchSelection();
+                this.searchState.currentPage = 1;
+                await this.performSearch();
+            } else {
+                this.showError(response?.error || 'Failed to delete videos');
+                deleteButton.disabled = false;
+                deleteButton.innerHTML = '<i class="fas fa-trash"></i>';
+            }
+        } catch (error) {
+            console.error('Bulk delete error:', error);
+            this.showError('Delete error: ' + error.message);
+            deleteButton.disabled = false;
+            deleteButton.innerHTML = '<i class="fas fa-trash"></i>';
+        }
+    }
+
+    /**
+     * Export the videos matching the current search
+     * Query filters like before:, after:, count:> and source: narrow the export
+     */
+    async exportSearchResults() {
+        try {
+            this.exportButton.disabled = true;
+
+            const response = await this.safeSendMessage({
+                action: 'database-export',
+                query: this.searchState.currentQuery || this.searchQuery.value.trim(),
+                format: this.exportFormat.value
+            });
+
+            if (!response || !response.success) {
+                this.showError(response?.error || 'Failed to export videos');
+                return;
+            }
+
+            const blob = new Blob([response.data], { type: response.mimeType || 'application/json' });
+            const url = URL.createObjectURL(blob);
+            try {
+                await chrome.downloads.download({
+                    url,
+                    filename: `youtube-watchmarker-${new Date().toISOString().split('T')[0]}.${response.extension || 'database'}`,
+                    saveAs: false
+                });
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+
+            this.showSuccess(`Exported ${response.count} video${response.count !== 1 ? 's' : ''}`);
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showError('Export failed: ' + error.message);
+        } finally {
+            this.exportButton.disabled = false;
+        }
     }
 
     /**
@@ -540,7 +789,7 @@ class PopupSearchManager {
             });
 
             if (response && response.success) {
-                this.showSuccess('Video deleted successfully');
+                this.showSuccess('Video moved to Recently Deleted');
 
                 // Check if we need to go back a page
                 const totalPagesAfterDelete = Math.ceil((this.searchState.totalResults - 1) / this.searchState.pageSize);
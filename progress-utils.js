@@ -0,0 +1,88 @@
+// @ts-check
+
+/**
+ * Watch progress utilities for YouTube Watchmarker
+ * Computes, merges and classifies per-video playback progress
+ */
+
+import { PROGRESS } from './constants.js';
+
+/**
+ * Computes the completion ratio for a playback position
+ * @param {number} position - Playback position in seconds
+ * @param {number} duration - Video duration in seconds
+ * @returns {number|null} Ratio between 0.0 and 1.0, or null if it cannot be computed
+ */
+export function computeCompletion(position, duration) {
+    if (!Number.isFinite(position) || !Number.isFinite(duration) || duration <= 0) {
+        return null;
+    }
+
+    const ratio = Math.min(Math.max(position / duration, 0), 1);
+    return Math.round(ratio * 1000) / 1000;
+}
+
+/**
+ * Builds the progress fields of a video record from raw playback values
+ * @param {number} position - Playback position in seconds
+ * @param {number} [duration] - Video duration in seconds
+ * @returns {{intPosition: number, intDuration?: number, dblCompletion?: number}|null} Progress fields or null if invalid
+ */
+export function createProgress(position, duration) {
+    if (!Number.isFinite(position) || position < 0) {
+        return null;
+    }
+
+    const progress = { intPosition: Math.floor(position) };
+
+    if (Number.isFinite(duration) && duration > 0) {
+        progress.intDuration = Math.floor(duration);
+        progress.dblCompletion = computeCompletion(position, duration);
+    }
+
+    return progress;
+}
+
+/**
+ * Merges the progress fields of two records of the same video
+ * The position follows the incoming record, while the duration and the
+ * completion keep the highest known value so a finished video stays finished
+ * @param {Object} existing - Stored video record
+ * @param {Object} incoming - New video record
+ * @returns {Object} Progress fields to store (empty if neither record has progress)
+ */
+export function mergeProgress(existing, incoming) {
+    const merged = {};
+
+    const position = incoming?.intPosition ?? existing?.intPosition;
+    if (position !== undefined && position !== null) {
+        merged.intPosition = position;
+    }
+
+    const duration = Math.max(existing?.intDuration || 0, incoming?.intDuration || 0);
+    if (duration > 0) {
+        merged.intDuration = duration;
+    }
+
+    const completion = Math.max(existing?.dblCompletion ?? -1, incoming?.dblCompletion ?? -1);
+    if (completion >= 0) {
+        merged.dblCompletion = completion;
+    }
+
+    return merged;
+}
+
+/**
+ * Classifies a video record as partially watched or finished
+ * Records without progress data (history syncs, imports) count as finished
+ * @param {Object} video - Video record
+ * @param {number} [threshold] - Completion ratio from which a video is finished
+ * @returns {string} One of PROGRESS.STATES
+ */
+export function getWatchState(video, threshold = PROGRESS.FINISHED_THRESHOLD) {
+    if (typeof video?.dblCompletion !== 'number' || video.dblCompletion >= threshold) {
+        return PROGRESS.STATES.FINISHED;
+    }
+
+    return PROGRESS.STATES.PARTIAL;
+}
@@ -0,0 +1,213 @@
+// @ts-check
+
+/**
+ * Search query parser for YouTube Watchmarker
+ * Splits the history search box syntax into free text and structured filters,
+ * e.g. `before:2023-01-01 after:2022-06 count:>3 id:abc source:liked -"live stream"`
+ */
+
+import { WATCH_SOURCES } from './constants.js';
+import { ValidationError } from './error-handler.js';
+
+/**
+ * @typedef {Object} ParsedQuery
+ * @property {string} text - Free text, quoted phrases kept in quotes
+ * @property {string} excludeText - Negated words and phrases, quoted phrases kept in quotes
+ * @property {number|null} startTimestamp - From `after:`, inclusive
+ * @property {number|null} endTimestamp - From `before:`, exclusive of the given date
+ * @property {number|null} minCount - From `count:`, inclusive
+ * @property {number|null} maxCount - From `count:`, inclusive
+ * @property {string|null} idText - From `id:`, substring of the video ID
+ * @property {string|null} source - From `source:`, one of WATCH_SOURCES
+ */
+
+// Short names accepted by source: next to the full WATCH_SOURCES values
+const SOURCE_ALIASES = {
+    navigation: WATCH_SOURCES.BROWSER_NAVIGATION,
+    progress: WATCH_SOURCES.YOUTUBE_PROGRESS,
+    liked: WATCH_SOURCES.YOUTUBE_LIKED
+};
+
+const OPERATORS = ['before', 'after', 'count', 'id', 'source'];
+
+/**
+ * Parses a date operand (YYYY, YYYY-MM or YYYY-MM-DD) as local midnight
+ * @param {string} value - Date operand
+ * @param {string} operator - Operator name for error messages
+ * @returns {number} Timestamp of the start of the period
+ * @throws {ValidationError} If the date is invalid
+ */
+function parseDate(value, operator) {
+    const match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (!match) {
+        throw new ValidationError(`Invalid date "${value}" for ${operator}:, use YYYY, YYYY-MM or YYYY-MM-DD`, { operator, value });
+    }
+
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : 0;
+    const day = match[3] ? Number(match[3]) : 1;
+    const date = new Date(year, month, day);
+
+    if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) {
+        throw new ValidationError(`Invalid date "${value}" for ${operator}:`, { operator, value });
+    }
+
+    return date.getTime();
+}
+
+/**
+ * Parses a count operand such as 3, >3, >=3, <3 or <=3
+ * @param {string} value - Count operand
+ * @returns {{min: number|null, max: number|null}} Inclusive bounds
+ * @throws {ValidationError} If the operand is invalid
+ */
+function parseCount(value) {
+    const match = value.match(/^(>=|<=|>|<|=)?(\d+)$/);
+    if (!match) {
+        throw new ValidationError(`Invalid count "${value}", use count:3, count:>3, count:>=3, count:<3 or count:<=3`, { operator: 'count', value });
+    }
+
+    const number = Number(match[2]);
+    switch (match[1]) {
+        case '>': return { min: number + 1, max: null };
+        case '>=': return { min: number, max: null };
+        case '<': return { min: null, max: number - 1 };
+        case '<=': return { min: null, max: number };
+        default: return { min: number, max: number };
+    }
+}
+
+/**
+ * Resolves a source operand to one of WATCH_SOURCES
+ * @param {string} value - Source operand
+ * @returns {string} Detection source
+ * @throws {ValidationError} If the source is unknown
+ */
+function parseSource(value) {
+    const source = value.toLowerCase();
+    if (Object.values(WATCH_SOURCES).includes(source)) {
+        return source;
+    }
+    if (SOURCE_ALIASES[source]) {
+        return SOURCE_ALIASES[source];
+    }
+
+    const accepted = [...Object.keys(SOURCE_ALIASES), ...Object.values(WATCH_SOURCES)].join(', ');
+    throw new ValidationError(`Unknown source "${value}", use one of: ${accepted}`, { operator: 'source', value });
+}
+
+/**
+ * Splits a query into whitespace separated parts, keeping quoted phrases together
+ * @param {string} input - Raw query
+ * @returns {Array<{negated: boolean, quoted: boolean, value: string}>} Query parts
+ * @throws {ValidationError} If a quote is not closed
+ */
+function splitQuery(input) {
+    const parts = [];
+    let position = 0;
+
+    while (position < input.length) {
+        if (/\s/.test(input[position])) {
+            position++;
+            continue;
+        }
+
+        const negated = input[position] === '-' && position + 1 < input.length && !/\s/.test(input[position + 1]);
+        if (negated) {
+            position++;
+        }
+
+        if (input[position] === '"') {
+            const end = input.indexOf('"', position + 1);
+            if (end === -1) {
+                throw new ValidationError(`Missing closing quote for the phrase starting at position ${position + 1}`, { position: position + 1 });
+            }
+            parts.push({ negated, quoted: true, value: input.slice(position + 1, end) });
+            position = end + 1;
+        } else {
+            let end = position;
+            while (end < input.length && !/\s/.test(input[end])) {
+                end++;
+            }
+            parts.push({ negated, quoted: false, value: input.slice(position, end) });
+            position = end;
+        }
+    }
+
+    return parts;
+}
+
+/**
+ * Parses the history search box syntax
+ * Unknown `word:` prefixes are treated as plain text so titles containing colons still work
+ * @param {string} input - Raw query
+ * @returns {ParsedQuery} Parsed query
+ * @throws {ValidationError} If the syntax is invalid
+ */
+export function parseSearchQuery(input) {
+    /** @type {ParsedQuery} */
+    const parsed = {
+        text: '',
+        excludeText: '',
+        startTimestamp: null,
+        endTimestamp: null,
+        minCount: null,
+        maxCount: null,
+        idText: null,
+        source: null
+    };
+
+    if (!input || typeof input !== 'string') {
+        return parsed;
+    }
+
+    const include = [];
+    const exclude = [];
+
+    for (const part of splitQuery(input)) {
+        const match = part.quoted ? null : part.value.match(/^([a-z]+):(.*)$/i);
+        const operator = match ? match[1].toLowerCase() : null;
+
+        if (!operator || !OPERATORS.includes(operator)) {
+            const text = part.quoted ? `"${part.value}"` : part.value;
+            (part.negated ? exclude : include).push(text);
+            continue;
+        }
+
+        const value = match[2];
+        if (part.negated) {
+            throw new ValidationError(`${operator}: cannot be negated`, { operator, value });
+        }
+        if (!value) {
+            throw new ValidationError(`Missing value for ${operator}:`, { operator, value });
+        }
+
+        switch (operator) {
+            case 'before':
+                parsed.endTimestamp = parseDate(value, operator) - 1;
+                break;
+            case 'after':
+                parsed.startTimestamp = parseDate(value, operator);
+                break;
+            case 'count': {
+                const { min, max } = parseCount(value);
+                parsed.minCount = min ?? parsed.minCount;
+                parsed.maxCount = max ?? parsed.maxCount;
+                break;
+            }
+            case 'id':
+                if (!/^[a-zA-Z0-9_-]+$/.test(value)) {
+                    throw new ValidationError(`Invalid video ID "${value}" for id:`, { operator, value });
+                }
+                parsed.idText = value;
+                break;
+            case 'source':
+                parsed.source = parseSource(value);
+                break;
+        }
+    }
+
+    parsed.text = include.join(' ');
+    parsed.excludeText = exclude.join(' ');
+    return parsed;
+}
@@ -0,0 +1,139 @@
+// @ts-check
+
+/**
+ * Video query utilities for YouTube Watchmarker
+ * Shared option handling for the queryVideos API of the database providers
+ */
+
+import { hasSource } from './source-utils.js';
+import { parseSearchText, isEmptySearch, matchesSearch, containsExcluded } from './search-utils.js';
+
+/**
+ * @typedef {Object} VideoQuery
+ * @property {string} [text] - Full-text search over titles (words, prefixes, quoted phrases) or part of a video ID
+ * @property {number} [startTimestamp] - Only videos watched at or after this time
+ * @property {number} [endTimestamp] - Only videos watched at or before this time
+ * @property {string} [exclude] - Words and quoted phrases that must not appear in the title
+ * @property {number} [minCount] - Only videos viewed at least this many times
+ * @property {number} [maxCount] - Only videos viewed at most this many times
+ * @property {string} [idText] - Case-insensitive substring of the video ID
+ * @property {string} [source] - Only videos marked by this detection source
+ * @property {string} [order] - Sort order by timestamp, 'desc' (newest first) or 'asc'
+ * @property {string} [sortBy] - 'timestamp' or 'relevance' (only applies to text searches)
+ * @property {number} [offset] - Number of matching videos to skip
+ * @property {number} [limit] - Maximum number of videos to return (0 = all)
+ */
+
+/**
+ * @typedef {Object} VideoQueryResult
+ * @property {Array<Object>} videos - Requested page of matching videos
+ * @property {number} totalResults - Number of matching videos before pagination
+ */
+
+/**
+ * @typedef {Object} NormalizedQuery
+ * @property {import('./search-utils.js').ParsedSearch} search - Parsed full-text search
+ * @property {import('./search-utils.js').ParsedSearch} exclude - Parsed excluded words and phrases
+ * @property {number|null} minCount - Lower view count bound
+ * @property {number|null} maxCount - Upper view count bound
+ * @property {string|null} idText - Lowercased video ID substring
+ * @property {number|null} startTimestamp - Lower timestamp bound
+ * @property {number|null} endTimestamp - Upper timestamp bound
+ * @property {string|null} source - Detection source filter
+ * @property {string} order - 'desc' or 'asc'
+ * @property {boolean} rank - Whether to sort by relevance instead of timestamp
+ * @property {number} offset - Number of matching videos to skip
+ * @property {number} limit - Maximum number of videos to return (0 = all)
+ */
+
+/**
+ * Converts an optional numeric option to an integer
+ * @param {*} value - Raw option value
+ * @returns {number|null} Integer or null if unset or invalid
+ */
+function toIntegerOrNull(value) {
+    const number = Number(value);
+    return value != null && value !== '' && Number.isFinite(number) ? Math.floor(number) : null;
+}
+
+/**
+ * Normalizes query options, dropping empty filters and clamping pagination
+ * @param {VideoQuery} [options] - Raw query options
+ * @returns {NormalizedQuery} Normalized query
+ */
+export function normalizeQuery(options = {}) {
+    const startTimestamp = Number(options.startTimestamp);
+    const endTimestamp = Number(options.endTimestamp);
+
+    const search = parseSearchText(options.text);
+
+    return {
+        search,
+        exclude: parseSearchText(options.exclude),
+        minCount: toIntegerOrNull(options.minCount),
+        maxCount: toIntegerOrNull(options.maxCount),
+        idText: options.idText ? String(options.idText).toLowerCase() : null,
+        startTimestamp: options.startTimestamp != null && Number.isFinite(startTimestamp) ? Math.floor(startTimestamp) : null,
+        endTimestamp: options.endTimestamp != null && Number.isFinite(endTimestamp) ? Math.floor(endTimestamp) : null,
+        source: options.source || null,
+        order: options.order === 'asc' ? 'asc' : 'desc',
+        rank: options.sortBy === 'relevance' && !isEmptySearch(search),
+        offset: Math.max(0, Math.floor(Number(options.offset) || 0)),
+        limit: Math.max(0, Math.floor(Number(options.limit) || 0))
+    };
+}
+
+/**
+ * Checks whether a query contains a full-text search
+ * @param {NormalizedQuery} query - Normalized query
+ * @returns {boolean} True if titles have to be searched
+ */
+export function hasSearch(query) {
+    return !isEmptySearch(query.search) || query.search.videoId !== null || query.search.idText !== null;
+}
+
+/**
+ * Checks whether a query filters on anything besides the timestamp range
+ * @param {NormalizedQuery} query - Normalized query
+ * @returns {boolean} True if records have to be inspected one by one
+ */
+export function hasRecordFilters(query) {
+    return hasSearch(query) ||
+        !isEmptySearch(query.exclude) ||
+        query.minCount !== null ||
+        query.maxCount !== null ||
+        query.idText !== null ||
+        query.source !== null;
+}
+
+/**
+ * Checks whether a video record matches the record filters of a query
+ * The timestamp range is expected to be applied by the index
+ * @param {Object} video - Video record
+ * @param {NormalizedQuery} query - Normalized query
+ * @returns {boolean} True if the record matches
+ */
+export function matchesQuery(video, query) {
+    if (hasSearch(query) && !matchesSearch(video, query.search)) {
+        return false;
+    }
+
+    if (!isEmptySearch(query.exclude) && containsExcluded(video, query.exclude)) {
+        return false;
+    }
+
+    const count = video.intCount || 1;
+    if ((query.minCount !== null && count < query.minCount) || (query.maxCount !== null && count > query.maxCount)) {
+        return false;
+    }
+
+    if (query.idText && !(video.strIdent || '').toLowerCase().includes(query.idText)) {
+        return false;
+    }
+
+    if (query.source && !hasSource(video, query.source)) {
+        return false;
+    }
+
+    return true;
+}
@@ -0,0 +1,229 @@
+// @ts-check
+
+/**
+ * Full-text search utilities for YouTube Watchmarker
+ * Tokenizes titles and search text, matches and ranks videos
+ */
+
+import { REGEX } from './constants.js';
+
+/**
+ * @typedef {Object} ParsedSearch
+ * @property {string} text - Search text as typed, trimmed
+ * @property {string[]} terms - Words that have to prefix-match a title token
+ * @property {string[][]} phrases - Quoted token sequences that have to appear in order
+ * @property {string|null} videoId - Video ID if the whole text is one
+ * @property {string|null} idText - Lowercased text if it can be part of a video ID
+ */
+
+// Characters a video ID is made of
+const ID_TEXT = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Lowercases text and strips diacritics so "Café" matches "cafe"
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+export function foldText(text) {
+    if (!text || typeof text !== 'string') {
+        return '';
+    }
+
+    return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Splits text into folded word tokens, keeping their order
+ * @param {string} text - Text to tokenize
+ * @param {boolean} [fold=true] - Strip diacritics; without, tokens are only lowercased
+ * @returns {string[]} Tokens
+ */
+export function tokenize(text, fold = true) {
+    const normalized = fold ? foldText(text) : (typeof text === 'string' ? text.toLowerCase() : '');
+    return normalized.split(/[^\p{L}\p{N}\p{M}]+/u).filter(token => token.length > 0);
+}
+
+/**
+ * Gets the distinct tokens of a title, as stored in the inverted index
+ * @param {string} title - Video title
+ * @returns {string[]} Distinct tokens
+ */
+export function getTitleTokens(title) {
+    return Array.from(new Set(tokenize(title)));
+}
+
+/**
+ * Parses free search text into terms and quoted phrases
+ * @param {string} text - Search text, e.g. `cat "live stream"`
+ * @param {boolean} [fold=true] - Strip diacritics from the terms and phrases, see tokenize
+ * @returns {ParsedSearch} Parsed search
+ */
+export function parseSearchText(text, fold = true) {
+    const search = { text: '', terms: [], phrases: [], videoId: null, idText: null };
+    if (!text || typeof text !== 'string') {
+        return search;
+    }
+
+    const trimmed = text.trim();
+    search.text = trimmed;
+    if (REGEX.VIDEO_ID.test(trimmed)) {
+        search.videoId = trimmed;
+    }
+    if (ID_TEXT.test(trimmed)) {
+        search.idText = trimmed.toLowerCase();
+    }
+
+    // An unbalanced quote runs until the end of the text
+    const remainder = trimmed.replace(/"([^"]*)"?/g, (match, phrase) => {
+        const tokens = tokenize(phrase, fold);
+        if (tokens.length > 0) {
+            search.phrases.push(tokens);
+        }
+        return ' ';
+    });
+
+    search.terms = Array.from(new Set(tokenize(remainder, fold)));
+    return search;
+}
+
+/**
+ * Checks whether a parsed search has nothing to match
+ * @param {ParsedSearch} search - Parsed search
+ * @returns {boolean} True if empty
+ */
+export function isEmptySearch(search) {
+    return !search || (search.terms.length === 0 && search.phrases.length === 0);
+}
+
+/**
+ * Lists the index lookups a search needs, one per distinct token
+ * Terms are looked up by prefix, phrase tokens have to match exactly
+ * @param {ParsedSearch} search - Parsed search
+ * @returns {Array<{token: string, prefix: boolean}>} Index lookups
+ */
+export function getIndexLookups(search) {
+    const lookups = new Map();
+
+    for (const phrase of search.phrases) {
+        phrase.forEach(token => lookups.set(token, false));
+    }
+    for (const term of search.terms) {
+        if (!lookups.has(term)) {
+            lookups.set(term, true);
+        }
+    }
+
+    return Array.from(lookups, ([token, prefix]) => ({ token, prefix }));
+}
+
+/**
+ * Checks whether a token sequence contains a phrase
+ * @param {string[]} tokens - Title tokens in order
+ * @param {string[]} phrase - Phrase tokens
+ * @returns {boolean} True if the phrase appears
+ */
+function containsPhrase(tokens, phrase) {
+    for (let start = 0; start + phrase.length <= tokens.length; start++) {
+        if (phrase.every((token, offset) => tokens[start + offset] === token)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Scores how well a video matches a search
+ * Exact words weigh more than prefixes, phrases add a bonus and short titles
+ * rank above long ones with the same matches. Videos whose ID contains the
+ * text match too, below any title match
+ * @param {Object} video - Video record
+ * @param {ParsedSearch} search - Parsed search
+ * @returns {number} Score, 0 if the video does not match
+ */
+export function scoreVideo(video, search) {
+    if (search.videoId && video.strIdent === search.videoId) {
+        return 100;
+    }
+
+    const titleScore = scoreTitle(video, search);
+    if (titleScore > 0) {
+        return titleScore;
+    }
+
+    return search.idText && (video.strIdent || '').toLowerCase().includes(search.idText) ? 0.5 : 0;
+}
+
+/**
+ * Scores how well the title of a video matches the terms and phrases of a search
+ * @param {Object} video - Video record
+ * @param {ParsedSearch} search - Parsed search
+ * @returns {number} Score, 0 if the title does not match
+ */
+function scoreTitle(video, search) {
+    if (isEmptySearch(search)) {
+        return 0;
+    }
+
+    const tokens = tokenize(video.strTitle);
+    if (tokens.length === 0) {
+        return 0;
+    }
+
+    let score = 0;
+
+    for (const phrase of search.phrases) {
+        if (!containsPhrase(tokens, phrase)) {
+            return 0;
+        }
+        score += 3 * phrase.length;
+    }
+
+    for (const term of search.terms) {
+        if (tokens.includes(term)) {
+            score += 2;
+        } else if (tokens.some(token => token.startsWith(term))) {
+            score += 1;
+        } else {
+            return 0;
+        }
+    }
+
+    return score + 1 / tokens.length;
+}
+
+/**
+ * Checks whether a video matches a search
+ * @param {Object} video - Video record
+ * @param {ParsedSearch} search - Parsed search
+ * @returns {boolean} True if the video matches
+ */
+export function matchesSearch(video, search) {
+    return scoreVideo(video, search) > 0;
+}
+
+/**
+ * Checks whether a video title contains any excluded word or phrase
+ * Excluded words have to match a whole title word, not just its prefix
+ * @param {Object} video - Video record
+ * @param {ParsedSearch} exclude - Parsed excluded words and phrases
+ * @returns {boolean} True if the video has to be left out
+ */
+export function containsExcluded(video, exclude) {
+    const tokens = tokenize(video.strTitle);
+
+    return exclude.terms.some(term => tokens.includes(term)) ||
+        exclude.phrases.some(phrase => containsPhrase(tokens, phrase));
+}
+
+/**
+ * Sorts matching videos by relevance, most recent first on equal scores
+ * @param {Array<Object>} videos - Matching video records
+ * @param {ParsedSearch} search - Parsed search
+ * @returns {Array<Object>} Sorted copy
+ */
+export function rankVideos(videos, search) {
+    return videos
+        .map(video => ({ video, score: scoreVideo(video, search) }))
+        .sort((a, b) => (b.score - a.score) || ((b.video.intTimestamp || 0) - (a.video.intTimestamp || 0)))
+        .map(entry => entry.video);
+}
@@ -12,7 +12,9 @@ import { logger } from './logger.js';
  */
 const SETTINGS_CONFIG = {
     integers: [
-        { key: "databaseSize", defaultValue: 0 }
+        { key: "databaseSize", defaultValue: 0 },
+        { key: "idVisualization_Partialthreshold", defaultValue: 90 },
+        { key: "idTrash_Retentiondays", defaultValue: 30 }
     ],
     booleans: [
         { key: "idCondition_Brownav", defaultValue: true },
@@ -26,7 +28,8 @@ const SETTINGS_CONFIG = {
         { key: "idVisualization_Showbadge", defaultValue: true },
         { key: "idVisualization_Showdate", defaultValue: true },
         { key: "idVisualization_Hideprogress", defaultValue: true },
-        { key: "idVisualization_Showpublishdate", defaultValue: false }
+        { key: "idVisualization_Showpublishdate", defaultValue: false },
+        { key: "idVisualization_Markpartial", defaultValue: true }
     ],
     stylesheets: [
         {
@@ -48,6 +51,14 @@ const SETTINGS_CONFIG = {
         {
             key: "stylesheet_Hideprogress",
             defaultValue: "ytd-thumbnail-overlay-resume-playback-renderer, ytm-thumbnail-overlay-resume-playback-renderer { display:none !important; }"
+        },
+        {
+            key: "stylesheet_Markpartial",
+            defaultValue: ".youwatch-mark.youwatch-partial yt-img-shadow img, .youwatch-mark.youwatch-partial yt-image img, .youwatch-mark.youwatch-partial .ytp-videowall-still-image, .youwatch-mark.youwatch-partial img.yt-core-image, .youwatch-mark.youwatch-partial img.ytCoreImageHost { opacity:0.7; filter:none; }"
+        },
+        {
+            key: "stylesheet_Partialbadge",
+            defaultValue: '.youwatch-mark.youwatch-partial::after { background-color:#B45309; content:"PARTIAL" attr(watchprogress); }'
         }
     ]
 };
@@ -0,0 +1,56 @@
+// @ts-check
+
+/**
+ * Detection source utilities for YouTube Watchmarker
+ * Normalizes and merges the sources that marked a video as watched
+ */
+
+import { WATCH_SOURCES } from './constants.js';
+
+/**
+ * Normalizes a detection source to one of WATCH_SOURCES
+ * @param {string} source - Detection source
+ * @returns {string} Known source or WATCH_SOURCES.UNKNOWN
+ */
+export function normalizeSource(source) {
+    return Object.values(WATCH_SOURCES).includes(source) ? source : WATCH_SOURCES.UNKNOWN;
+}
+
+/**
+ * Merges source lists into a sorted list without duplicates
+ * @param {...(string[]|undefined)} lists - Source lists to merge
+ * @returns {string[]} Merged sources
+ */
+export function mergeSources(...lists) {
+    const merged = new Set();
+
+    for (const list of lists) {
+        if (Array.isArray(list)) {
+            list.forEach(source => merged.add(normalizeSource(source)));
+        }
+    }
+
+    return Array.from(merged).sort();
+}
+
+/**
+ * Gets the sources of a video record
+ * Records stored before sources were tracked count as WATCH_SOURCES.UNKNOWN
+ * @param {Object} video - Video record
+ * @returns {string[]} Sources of the record
+ */
+export function getSources(video) {
+    return Array.isArray(video?.arrSources) && video.arrSources.length > 0
+        ? video.arrSources
+        : [WATCH_SOURCES.UNKNOWN];
+}
+
+/**
+ * Checks whether a video record was marked by a given source
+ * @param {Object} video - Video record
+ * @param {string} source - Detection source
+ * @returns {boolean} True if the record carries the source
+ */
+export function hasSource(video, source) {
+    return getSources(video).includes(normalizeSource(source));
+}
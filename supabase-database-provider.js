@@ -5,6 +5,15 @@
  */
 
 import { credentialStorage } from './credential-storage.js';
+import { WATCH_SOURCES, SYNC, WRITE_QUEUE, SUPABASE_SCHEMA, SUPABASE_AUTH, STORAGE_KEYS } from './constants.js';
+import { normalizeSource, mergeSources } from './source-utils.js';
+import { mergeProgress } from './progress-utils.js';
+import { normalizeQuery, hasSearch } from './query-utils.js';
+import { isEmptySearch, parseSearchText, rankVideos } from './search-utils.js';
+import { createTombstone } from './tombstone-utils.js';
+import { countViews, withDeviceCounts, getDeviceCounts, addDeviceViews, sumDeviceCounts } from './count-utils.js';
+import { getDeviceId } from './browser-utils.js';
+import { SCHEMA_STEPS, getLatestSchemaVersion, getInstalledVersion, getMissingSteps, getApplicableSteps, generateUpgradeSql } from './supabase-schema.js';
 
 /**
  * Supabase Database Provider
@@ -15,12 +24,34 @@ export class SupabaseDatabaseProvider {
         this.isInitialized = false;
         this.isConnected = false;
         this.tableName = 'youtube_watch_history';
+        this.eventsTableName = 'youtube_watch_events';
+        this.tombstonesTableName = 'youtube_watch_tombstones';
         this.credentials = null;
         this.baseUrl = null;
         this.apiKey = null;
         this.maxRetries = 3;
         this.retryDelay = 1000;
         this.activeControllers = new Set(); // Track active AbortControllers for cleanup
+        this.supportsProgress = false; // Set by checkSchema when the progress columns exist
+        this.supportsEvents = false; // Set by checkSchema when the events table exists
+        this.supportsSources = false; // Set by checkSchema when the sources column exists
+        this.supportsDeviceCounts = false; // Set by checkSchema when the per-device counts column exists
+        this.supportsFullText = false; // Set by checkSchema when the full-text column exists
+        this.supportsTombstones = false; // Set by checkSchema when the tombstones table exists
+        this.supportsBulkUpsert = false; // Set by checkSchema when the bulk upsert function exists
+        this.supportsUsers = false; // Set by checkSchema when rows carry the user_id of their owner
+        this.schemaVersion = 0; // Installed schema version, see supabase-schema.js
+        this.hasSchemaVersionTable = false;
+        this.session = null; // Supabase Auth session, requests act for its user instead of the API key
+        this.userId = null;
+        this.sessionRefresh = null; // Pending session refresh, shared by concurrent requests
+        this.writeQueue = null; // Set by the provider factory, stores writes made while Supabase is unreachable
+        this.pendingWrites = 0; // Number of queued writes
+        this.replayAttempt = 0; // Failed replays in a row, drives the replay backoff
+        this.replayTimer = null;
+        this.isReplaying = false;
+        this.isOffline = false; // Started from the recorded schema while Supabase was unreachable
+        this.offlineVideos = new Map(); // Videos read while Supabase was unreachable, null when unknown
     }
 
     createTimeoutSignal(timeoutMs) {
@@ -97,41 +128,217 @@ export class SupabaseDatabaseProvider {
         return timestamp == null || isNaN(timestamp) ? Date.now() : Math.floor(Number(timestamp));
     }
 
+    /**
+     * Get the column list used by select queries
+     * @returns {string} Comma-separated column names
+     */
+    getSelectColumns() {
+        const columns = ['str_ident', 'int_timestamp', 'str_title', 'int_count', 'updated_at'];
+        if (this.supportsProgress) {
+            columns.push('int_position', 'int_duration', 'dbl_completion');
+        }
+        if (this.supportsSources) {
+            columns.push('arr_sources');
+        }
+        if (this.supportsDeviceCounts) {
+            columns.push('obj_counts');
+        }
+        return columns.join(',');
+    }
+
+    /**
+     * Convert a table row to a video record
+     * @param {Object} row - Table row
+     * @returns {Object} Video record
+     */
+    rowToVideo(row) {
+        const video = {
+            strIdent: row.str_ident,
+            intTimestamp: parseInt(row.int_timestamp),
+            strTitle: row.str_title,
+            intCount: parseInt(row.int_count)
+        };
+
+        if (row.int_position != null) {
+            video.intPosition = parseInt(row.int_position);
+        }
+        if (row.int_duration != null) {
+            video.intDuration = parseInt(row.int_duration);
+        }
+        if (row.dbl_completion != null) {
+            video.dblCompletion = Number(row.dbl_completion);
+        }
+        if (Array.isArray(row.arr_sources) && row.arr_sources.length > 0) {
+            video.arrSources = row.arr_sources;
+        }
+        // Time the row was last stored, compared by the last-writer-wins merge policy
+        if (row.updated_at) {
+            video.intUpdated = Date.parse(row.updated_at);
+        }
+        // Older clients only raise int_count, their views stay unattributed
+        if (this.supportsDeviceCounts) {
+            return withDeviceCounts({ ...video, objCounts: row.obj_counts });
+        }
+
+        return video;
+    }
+
+    /**
+     * Convert a video record to a table row for upserts
+     * @param {Object} video - Video record
+     * @returns {Object} Table row
+     */
+    videoToRow(video) {
+        const row = this.withOwner({
+            str_ident: video.strIdent,
+            int_timestamp: this.normalizeTimestamp(video.intTimestamp),
+            // Imports without a title column leave it unknown, bulk upserts still need the key
+            str_title: video.strTitle ?? '',
+            int_count: video.intCount || 1,
+            updated_at: new Date().toISOString()
+        });
+
+        // PostgREST bulk upserts require identical keys on every row
+        if (this.supportsProgress) {
+            row.int_position = video.intPosition ?? null;
+            row.int_duration = video.intDuration ?? null;
+            row.dbl_completion = video.dblCompletion ?? null;
+        }
+        if (this.supportsSources) {
+            row.arr_sources = Array.isArray(video.arrSources) ? video.arrSources : [];
+        }
+        if (this.supportsDeviceCounts) {
+            row.obj_counts = video.objCounts || {};
+        }
+
+        return row;
+    }
+
+    /**
+     * Load and validate the stored credentials
+     * @returns {Promise<boolean>} True if valid credentials are configured
+     */
+    async loadCredentials() {
+        // Get stored credentials
+        this.credentials = await credentialStorage.getCredentials();
+        if (!this.credentials) {
+            return false;
+        }
+
+        // Validate credentials
+        if (!this.validateSupabaseUrl(this.credentials.supabaseUrl)) {
+            console.error('Invalid Supabase URL format:', this.credentials.supabaseUrl);
+            return false;
+        }
+
+        if (!this.validateApiKey(this.credentials.apiKey)) {
+            console.error('Invalid API key format');
+            return false;
+        }
+
+        // Set up API configuration
+        this.baseUrl = this.credentials.supabaseUrl;
+        this.apiKey = this.credentials.apiKey;
+        this.useSession(await credentialStorage.getSession());
+        return true;
+    }
+
+    /**
+     * Act for the user of a Supabase Auth session, or with the API key without one
+     * @param {Object|null} session - Session from the credential storage
+     */
+    useSession(session) {
+        this.session = session;
+        this.userId = session ? session.userId : null;
+    }
+
+    /**
+     * Get the bearer token of the requests
+     * @returns {string} Access token of the session, or the API key
+     */
+    getAccessToken() {
+        return this.session ? this.session.accessToken : this.apiKey;
+    }
+
+    /**
+     * Refresh the session, once for all requests that need it at the same time
+     * A session whose refresh token was rejected is ended and the provider disconnects
+     * @returns {Promise<void>}
+     */
+    async refreshSession() {
+        if (!this.sessionRefresh) {
+            this.sessionRefresh = credentialStorage.refreshSession(this.session)
+                .then((session) => this.useSession(session))
+                .catch((error) => {
+                    if (!this.isUnreachableError(error)) {
+                        this.useSession(null);
+                        this.isConnected = false;
+                    }
+                    throw error;
+                })
+                .finally(() => {
+                    this.sessionRefresh = null;
+                });
+        }
+
+        await this.sessionRefresh;
+    }
+
+    /**
+     * Refresh the session before it expires
+     * @returns {Promise<void>}
+     */
+    async ensureFreshSession() {
+        if (this.session && this.session.expiresAt - Date.now() < SUPABASE_AUTH.SESSION_REFRESH_MARGIN) {
+            await this.refreshSession();
+        }
+    }
+
+    /**
+     * Add the owner to a row written for a signed-in user
+     * Rows written with the API key get the shared owner from the column default
+     * @param {Object} row - Table row
+     * @returns {Object} Row with user_id when signed in
+     */
+    withOwner(row) {
+        if (this.supportsUsers && this.userId) {
+            row.user_id = this.userId;
+        }
+        return row;
+    }
+
     /**
      * Initialize the Supabase connection
      * @returns {Promise<boolean>} Success status
      */
     async init() {
         try {
-            // Get stored credentials
-            this.credentials = await credentialStorage.getCredentials();
-            if (!this.credentials) {
-                return false;
-            }
-
-            // Validate credentials
-            if (!this.validateSupabaseUrl(this.credentials.supabaseUrl)) {
-                console.error('Invalid Supabase URL format:', this.credentials.supabaseUrl);
-                return false;
-            }
-
-            if (!this.validateApiKey(this.credentials.apiKey)) {
-                console.error('Invalid API key format');
+            if (!await this.loadCredentials()) {
                 return false;
             }
 
-            // Set up API configuration
-            this.baseUrl = this.credentials.supabaseUrl;
-            this.apiKey = this.credentials.apiKey;
-
             // Test connection and ensure schema
             await this.ensureSchema();
 
             this.isInitialized = true;
             this.isConnected = true;
 
+            await this.loadWriteQueue();
+
             return true;
         } catch (error) {
+            // Marks made offline are queued when an earlier session recorded the schema
+            if (this.writeQueue && this.isUnreachableError(error) && await this.restoreSchema()) {
+                console.warn('Supabase is unreachable, starting offline and queueing writes:', error.message);
+                this.isInitialized = true;
+                this.isConnected = true;
+                this.isOffline = true;
+
+                await this.loadWriteQueue();
+
+                return true;
+            }
+
             console.error('Failed to initialize Supabase provider:', error.message);
             this.isInitialized = false;
             this.isConnected = false;
@@ -164,20 +371,13 @@ export class SupabaseDatabaseProvider {
      */
     async ensureSchema() {
         try {
-            const response = await this.makeRequest('GET', `/${this.tableName}?select=count&limit=1`);
-            if (response.ok) {
+            if (await this.probeSchema(SCHEMA_STEPS[0].probe(this.getSchemaTables()))) {
+                await this.checkSchema();
                 return;
             }
 
             console.error('Table does not exist. Create it with this SQL:');
-            console.error(`CREATE TABLE IF NOT EXISTS ${this.tableName} (
-  str_ident VARCHAR(255) PRIMARY KEY,
-  int_timestamp BIGINT NOT NULL,
-  str_title TEXT,
-  int_count INTEGER DEFAULT 1 NOT NULL,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-);`);
+            console.error(generateUpgradeSql(SCHEMA_STEPS, this.getSchemaTables()));
 
             throw new Error('Database table does not exist. Please create it using the SQL above.');
         } catch (error) {
@@ -187,6 +387,254 @@ export class SupabaseDatabaseProvider {
         }
     }
 
+    /**
+     * Get the table names used by the schema steps
+     * @returns {import('./supabase-schema.js').SchemaTables} Table names
+     */
+    getSchemaTables() {
+        return {
+            videos: this.tableName,
+            events: this.eventsTableName,
+            tombstones: this.tombstonesTableName
+        };
+    }
+
+    /**
+     * Check whether a schema probe succeeds
+     * Missing tables and columns are rejected by PostgREST, an unreachable Supabase is not a missing schema
+     * @param {string} path - API path of the probe
+     * @returns {Promise<boolean>} True if the probed objects exist
+     */
+    async probeSchema(path) {
+        try {
+            await this.makeRequest('GET', path);
+            return true;
+        } catch (error) {
+            if (this.isUnreachableError(error)) {
+                throw error;
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Get the applied schema versions
+     * Read from the schema version table, projects set up before it existed are probed step by step
+     * @returns {Promise<{applied: number[], hasVersionTable: boolean}>} Applied versions and whether they were recorded
+     */
+    async getAppliedSchemaVersions() {
+        try {
+            const response = await this.makeRequest('GET', `/${SUPABASE_SCHEMA.VERSION_TABLE}?select=int_version&order=int_version.asc`);
+            const rows = await response.json();
+            // Signed-in users cannot read the versions before the step that lets them, probe instead
+            if (rows.length > 0) {
+                return { applied: rows.map(row => row.int_version), hasVersionTable: true };
+            }
+        } catch (error) {
+            if (this.isUnreachableError(error)) {
+                throw error;
+            }
+        }
+
+        const tables = this.getSchemaTables();
+        const applied = [];
+
+        for (const step of SCHEMA_STEPS) {
+            if (step.probe && await this.probeSchema(step.probe(tables))) {
+                applied.push(step.version);
+            }
+        }
+
+        return { applied, hasVersionTable: false };
+    }
+
+    /**
+     * Detect the installed schema version and enable the features of the applied steps
+     * Tables created by older versions keep working, the missing steps are logged with their upgrade SQL
+     * @returns {Promise<number[]>} Applied versions
+     */
+    async checkSchema() {
+        const { applied, hasVersionTable } = await this.getAppliedSchemaVersions();
+
+        this.applySchema(applied, hasVersionTable);
+        this.isOffline = false;
+
+        try {
+            await chrome.storage.local.set({
+                [STORAGE_KEYS.SUPABASE_SCHEMA]: { strUrl: this.baseUrl, arrApplied: applied, hasVersionTable }
+            });
+        } catch (error) {
+            console.warn('Failed to record the Supabase schema:', error.message);
+        }
+
+        const missing = getMissingSteps(applied);
+        if (missing.length > 0) {
+            const sql = this.getUpgradeSql(applied);
+            console.warn(`Supabase schema is at version ${this.schemaVersion} of ${getLatestSchemaVersion()}, missing: ${missing.map(step => step.description.toLowerCase()).join(', ')}. ${sql
+                ? 'Upgrade it from the options page or with this SQL:'
+                : 'Row level security would lock out the anon key, sign in or use the service role key to upgrade it.'}`);
+            if (sql) {
+                console.warn(sql);
+            }
+        }
+
+        return applied;
+    }
+
+    /**
+     * Enable the features of the applied schema steps
+     * @param {number[]} applied - Applied versions
+     * @param {boolean} hasVersionTable - Whether the versions were read from the schema version table
+     */
+    applySchema(applied, hasVersionTable) {
+        for (const step of SCHEMA_STEPS) {
+            if (step.feature) {
+                this[step.feature] = applied.includes(step.version);
+            }
+        }
+
+        this.schemaVersion = getInstalledVersion(applied);
+        this.hasSchemaVersionTable = hasVersionTable;
+    }
+
+    /**
+     * Enable the features of the schema recorded by the last check of this project
+     * @returns {Promise<boolean>} True if a schema of this project was recorded
+     */
+    async restoreSchema() {
+        try {
+            const { [STORAGE_KEYS.SUPABASE_SCHEMA]: schema } = await chrome.storage.local.get(STORAGE_KEYS.SUPABASE_SCHEMA);
+
+            if (!schema || schema.strUrl !== this.baseUrl) {
+                return false;
+            }
+
+            this.applySchema(schema.arrApplied, schema.hasVersionTable);
+            return true;
+        } catch (error) {
+            console.warn('Failed to restore the Supabase schema:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get the role of the API key from the claims of its JWT
+     * @returns {string|null} Role such as service_role or anon, null if the key is not a readable JWT
+     */
+    getKeyRole() {
+        try {
+            const payload = this.apiKey.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(atob(payload)).role || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether requests keep reaching the tables once row level security is enabled
+     * The service role bypasses it, the anon key only reaches the rows of a signed-in user
+     * @returns {boolean} True for the service role key or a signed-in user
+     */
+    keepsAccessUnderRls() {
+        return this.getKeyRole() === 'service_role' || this.session !== null;
+    }
+
+    /**
+     * Get the SQL that upgrades the schema to the latest version
+     * Steps that would lock out the configured key are left out, see getApplicableSteps
+     * @param {number[]} applied - Applied versions
+     * @returns {string} Upgrade SQL, empty when the schema is up to date
+     */
+    getUpgradeSql(applied) {
+        return generateUpgradeSql(getApplicableSteps(applied, this.keepsAccessUnderRls()), this.getSchemaTables(), {
+            detected: this.hasSchemaVersionTable ? [] : applied
+        });
+    }
+
+    /**
+     * Get the schema status shown on the options page
+     * Works before the provider is initialized, so a project without tables can be set up
+     * @returns {Promise<Object>} Installed and latest version, missing steps and their upgrade SQL, and the
+     * versions held back because they would lock out the configured key
+     */
+    async getSchemaStatus() {
+        if (!this.baseUrl && !await this.loadCredentials()) {
+            throw new Error('Supabase credentials not configured');
+        }
+
+        const applied = await this.checkSchema();
+        const missing = getMissingSteps(applied);
+        const applicable = getApplicableSteps(applied, this.keepsAccessUnderRls());
+        const held = missing.filter(step => !applicable.includes(step));
+        const usersVersion = SCHEMA_STEPS.find(step => step.feature === 'supportsUsers').version;
+
+        return {
+            intVersion: this.schemaVersion,
+            intLatest: getLatestSchemaVersion(),
+            arrMissing: missing.map(step => ({
+                intVersion: step.version,
+                strDescription: step.description,
+                arrObjects: step.objects(this.getSchemaTables())
+            })),
+            strSql: this.getUpgradeSql(applied),
+            arrHeld: held.map(step => step.version),
+            strWarning: held.length > 0
+                ? `Version ${held[0].version} enables row level security. After it, the anon key can no longer read or write the tables until version ${usersVersion} is applied and you sign in under Account; reads then return no videos instead of an error. The SQL leaves out version ${held[0].version} and later. Sign in, or save the service role key, to get it.`
+                : '',
+            hasVersionTable: this.hasSchemaVersionTable,
+            canApply: this.hasSchemaVersionTable && await this.probeSchemaFunction()
+        };
+    }
+
+    /**
+     * Check whether the schema function of the installer exists
+     * Probed with an empty statement, which does nothing
+     * @returns {Promise<boolean>} True if upgrades can be applied by the extension
+     */
+    async probeSchemaFunction() {
+        try {
+            await this.makeRequest('POST', `/rpc/${SUPABASE_SCHEMA.APPLY_FUNCTION}`, { sql: 'SELECT 1' });
+            return true;
+        } catch (error) {
+            if (this.isUnreachableError(error)) {
+                throw error;
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Apply the missing schema steps through the schema function
+     * The function has to be created once in the SQL editor, the API key cannot run DDL otherwise
+     * @returns {Promise<Object>} Schema status after the upgrade
+     */
+    async applySchemaUpgrade() {
+        const status = await this.getSchemaStatus();
+        if (status.arrMissing.length === 0) {
+            return status;
+        }
+
+        if (!status.canApply) {
+            throw new Error('The schema upgrade function is not installed. Run the upgrade SQL once in the Supabase SQL editor.');
+        }
+
+        const missing = SCHEMA_STEPS.filter(step => status.arrMissing.some(entry => entry.intVersion === step.version)
+            && !status.arrHeld.includes(step.version));
+        if (missing.length === 0) {
+            throw new Error(status.strWarning);
+        }
+
+        await this.makeRequest('POST', `/rpc/${SUPABASE_SCHEMA.APPLY_FUNCTION}`, {
+            sql: generateUpgradeSql(missing, this.getSchemaTables(), { installer: false })
+        });
+
+        console.log(`Upgraded the Supabase schema to version ${getLatestSchemaVersion()}`);
+
+        // PostgREST reloads its schema cache asynchronously after the NOTIFY
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+        return await this.getSchemaStatus();
+    }
+
     async retryRequest(requestFn, retries = this.maxRetries, attempt = 1) {
         try {
             return await requestFn();
@@ -220,11 +668,13 @@ export class SupabaseDatabaseProvider {
     async makeRequest(method, path, body = null, headers = {}) {
         const url = `${this.baseUrl}/rest/v1${path}`;
 
+        await this.ensureFreshSession();
+
         // Security headers
         const requestHeaders = {
             'Content-Type': 'application/json',
             'apikey': this.apiKey,
-            'Authorization': `Bearer ${this.apiKey}`,
+            'Authorization': `Bearer ${this.getAccessToken()}`,
             'Prefer': 'return=representation',
             'X-Client-Info': 'youtube-watchmarker-extension',
             // Add security headers
@@ -244,10 +694,20 @@ export class SupabaseDatabaseProvider {
             config.body = JSON.stringify(body);
         }
 
+        let refreshed = false;
+
         const requestFn = async () => {
             try {
                 const response = await fetch(url, config);
 
+                // Sessions can end before they expire, e.g. when the JWT secret is rotated
+                if (response.status === 401 && this.session && !refreshed) {
+                    refreshed = true;
+                    await this.refreshSession();
+                    requestHeaders['Authorization'] = `Bearer ${this.getAccessToken()}`;
+                    return await requestFn();
+                }
+
                 if (!response.ok) {
                     const errorText = await response.text();
                     throw new Error(`HTTP ${response.status}: ${errorText || response.statusText}`);
@@ -263,90 +723,322 @@ export class SupabaseDatabaseProvider {
     }
 
     /**
-     * Test database connection
-     * @returns {Promise<boolean>} Connection status
+     * Set the durable queue that buffers writes while Supabase is unreachable
+     * @param {Object} writeQueue - Store with addQueuedWrite, getQueuedWrites, getQueuedWriteCount, removeQueuedWrite and clearQueuedWrites
      */
-    async testConnection() {
-        try {
-            if (!this.baseUrl || !this.apiKey) {
-                return false;
-            }
+    setWriteQueue(writeQueue) {
+        this.writeQueue = writeQueue;
+    }
 
-            // Simple test query - try to access the table
-            const response = await this.makeRequest('GET', `/${this.tableName}?select=count&limit=1`);
+    /**
+     * Load the length of the write queue and replay writes left by an earlier session
+     * @returns {Promise<void>}
+     */
+    async loadWriteQueue() {
+        if (!this.writeQueue) {
+            return;
+        }
 
-            this.isConnected = response.ok;
-            return this.isConnected;
+        try {
+            this.pendingWrites = await this.writeQueue.getQueuedWriteCount();
+            if (this.pendingWrites > 0) {
+                this.replayAttempt = 0;
+                this.scheduleReplay();
+            }
         } catch (error) {
-            console.error('Supabase connection test failed:', error.message);
-            this.isConnected = false;
-            return false;
+            console.error('Failed to load the write queue:', error.message);
         }
     }
 
     /**
-     * Get a single video record by ID
-     * @param {string} videoId - YouTube video ID
-     * @returns {Promise<Object|null>} Video record or null
+     * Check whether a request failed because Supabase could not be reached or could not serve it
+     * Such writes are queued, other failures (bad requests, missing permissions) are not
+     * @param {Error} error - Request error
+     * @returns {boolean} True if the request can succeed later unchanged
      */
-    async getVideo(videoId) {
-        try {
-            this.ensureConnected();
-
-            const response = await this.makeRequest('GET', `/${this.tableName}?str_ident=eq.${videoId}&select=str_ident,int_timestamp,str_title,int_count&limit=1`);
-
-            if (!response.ok) {
-                throw new Error(`Failed to get video: ${response.status}`);
-            }
+    isUnreachableError(error) {
+        return this.isRetryableError(error) || /^HTTP (408|429|5\d\d):/.test(error.message);
+    }
 
-            const data = await response.json();
+    /**
+     * Send a write request, queueing it when Supabase is unreachable
+     * Writes are also queued while older writes wait, so they reach Supabase in order
+     * @param {string} method - HTTP method
+     * @param {string} path - API path
+     * @param {Object|Array} body - Request body
+     * @param {Object} headers - Additional headers
+     * @param {Object<string, number>|null} [base] - View counts a video row started from when it was built without the stored row, see mergeStoredRow
+     * @returns {Promise<boolean>} Success status, true once the write is queued
+     */
+    async sendWrite(method, path, body = null, headers = {}, base = null) {
+        if (this.writeQueue && this.pendingWrites > 0) {
+            await this.queueWrite(method, path, body, headers, base);
+            return true;
+        }
 
-            if (data.length === 0) {
-                return null;
+        try {
+            const response = await this.makeRequest(method, path, base ? await this.mergeStoredRow(body, base) : body, headers);
+            return response.ok;
+        } catch (error) {
+            if (!this.writeQueue || !this.isUnreachableError(error)) {
+                throw error;
             }
 
-            const row = data[0];
-            return {
-                strIdent: row.str_ident,
-                intTimestamp: parseInt(row.int_timestamp),
-                strTitle: row.str_title,
-                intCount: parseInt(row.int_count)
-            };
-        } catch (error) {
-            console.error('Failed to get video:', error.message);
-            throw error;
+            console.warn('Supabase is unreachable, queueing the write:', error.message);
+            await this.queueWrite(method, path, body, headers, base);
+            return true;
         }
     }
 
     /**
-     * Store or update a video record
-     * @param {Object} video - Video data
+     * Append a write to the durable queue and schedule its replay
+     * @param {string} method - HTTP method
+     * @param {string} path - API path
+     * @param {Object|Array} body - Request body
+     * @param {Object} headers - Additional headers
+     * @param {Object<string, number>|null} [base] - View counts a video row started from when it was built without the stored row
+     * @returns {Promise<void>}
+     */
+    async queueWrite(method, path, body, headers, base = null) {
+        await this.writeQueue.addQueuedWrite({
+            strMethod: method,
+            strPath: path,
+            objBody: body,
+            objHeaders: headers,
+            objBase: base,
+            intQueued: Date.now()
+        });
+
+        this.pendingWrites++;
+        this.scheduleReplay();
+    }
+
+    /**
+     * Merge a video row built while Supabase was unreachable into the stored row
+     * The row was built without reading the stored one, so the views it counted beyond its base
+     * are added to the stored counts and the other fields merge instead of overwriting them
+     * @param {Object} row - Video row
+     * @param {Object<string, number>} base - View counts the row started from
+     * @returns {Promise<Object>} Row to upsert
+     */
+    async mergeStoredRow(row, base) {
+        const response = await this.makeRequest('GET', `/${this.tableName}?str_ident=eq.${row.str_ident}&select=${this.getSelectColumns()}&limit=1`);
+        const data = await response.json();
+
+        if (data.length === 0) {
+            return row;
+        }
+
+        const stored = this.rowToVideo(data[0]);
+        const video = this.rowToVideo(row);
+        const objCounts = addDeviceViews(getDeviceCounts(stored), video.objCounts, base);
+
+        return this.videoToRow({
+            ...stored,
+            ...video,
+            strTitle: video.strTitle || stored.strTitle,
+            intTimestamp: Math.max(stored.intTimestamp, video.intTimestamp),
+            // Without the per-device column the row only carries its total
+            intCount: this.supportsDeviceCounts ? sumDeviceCounts(objCounts) : stored.intCount + Math.max(0, video.intCount - sumDeviceCounts(base)),
+            objCounts,
+            arrSources: mergeSources(stored.arrSources, video.arrSources),
+            ...mergeProgress(stored, video)
+        });
+    }
+
+    /**
+     * Schedule the next replay of the write queue with exponential backoff
+     */
+    scheduleReplay() {
+        if (this.replayTimer || this.isReplaying) {
+            return;
+        }
+
+        const delay = Math.min(this.retryDelay * Math.pow(2, this.replayAttempt), WRITE_QUEUE.MAX_REPLAY_DELAY);
+        this.replayTimer = setTimeout(() => {
+            this.replayTimer = null;
+            this.replayWrites();
+        }, delay);
+    }
+
+    /**
+     * Replay the queued writes in order until the queue is empty or a write fails
+     * Writes Supabase rejects stay queued and are retried with the backoff, e.g. once a permission is granted or the schema is upgraded
+     * @returns {Promise<number>} Number of replayed writes
+     */
+    async replayWrites() {
+        if (!this.writeQueue || this.isReplaying || !this.baseUrl || !this.apiKey) {
+            return 0;
+        }
+
+        if (this.replayTimer) {
+            clearTimeout(this.replayTimer);
+            this.replayTimer = null;
+        }
+
+        this.isReplaying = true;
+        let replayed = 0;
+
+        try {
+            let writes = await this.writeQueue.getQueuedWrites(WRITE_QUEUE.REPLAY_BATCH_SIZE);
+
+            while (writes.length > 0) {
+                for (const write of writes) {
+                    try {
+                        const body = write.objBase ? await this.mergeStoredRow(write.objBody, write.objBase) : write.objBody;
+                        await this.makeRequest(write.strMethod, write.strPath, body, write.objHeaders);
+                        replayed++;
+                    } catch (error) {
+                        // A session that ended keeps the queue until the user signs in again
+                        if (!this.isUnreachableError(error) && this.isConnected) {
+                            console.error('Supabase rejected a queued write, keeping it queued:', JSON.stringify({
+                                error: error.message,
+                                method: write.strMethod,
+                                path: write.strPath,
+                                queued: new Date(write.intQueued).toISOString()
+                            }, null, 2));
+                        }
+                        throw error;
+                    }
+
+                    await this.writeQueue.removeQueuedWrite(write.intId);
+                }
+
+                writes = await this.writeQueue.getQueuedWrites(WRITE_QUEUE.REPLAY_BATCH_SIZE);
+            }
+
+            this.replayAttempt = 0;
+            this.offlineVideos.clear();
+
+            if (replayed > 0) {
+                console.log(`Replayed ${replayed} queued writes to Supabase`);
+            }
+        } catch (error) {
+            this.replayAttempt++;
+            console.warn(`Write queue replay stopped after ${replayed} writes:`, error.message);
+        } finally {
+            this.isReplaying = false;
+            this.pendingWrites = await this.writeQueue.getQueuedWriteCount().catch(() => this.pendingWrites - replayed);
+
+            if (this.pendingWrites > 0) {
+                this.scheduleReplay();
+            }
+        }
+
+        return replayed;
+    }
+
+    /**
+     * Test database connection
+     * @returns {Promise<boolean>} Connection status
+     */
+    async testConnection() {
+        try {
+            if (!this.baseUrl || !this.apiKey) {
+                return false;
+            }
+
+            // Simple test query - try to access the table
+            const response = await this.makeRequest('GET', `/${this.tableName}?select=count&limit=1`);
+
+            this.isConnected = response.ok;
+            return this.isConnected;
+        } catch (error) {
+            // Started offline, writes are queued until Supabase is back
+            if (this.isOffline && this.isUnreachableError(error)) {
+                console.warn('Supabase is unreachable, writes are queued:', error.message);
+                return true;
+            }
+
+            console.error('Supabase connection test failed:', error.message);
+            this.isConnected = false;
+            return false;
+        }
+    }
+
+    /**
+     * Get a single video record by ID
+     * @param {string} videoId - YouTube video ID
+     * @returns {Promise<Object|null>} Video record or null
+     */
+    async getVideo(videoId) {
+        try {
+            this.ensureConnected();
+
+            // Writes of a video read offline add their views to the stored row, later ones build on them
+            if (this.offlineVideos.has(videoId)) {
+                return this.offlineVideos.get(videoId);
+            }
+
+            const response = await this.makeRequest('GET', `/${this.tableName}?str_ident=eq.${videoId}&select=${this.getSelectColumns()}&limit=1`);
+
+            if (!response.ok) {
+                throw new Error(`Failed to get video: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (data.length === 0) {
+                return null;
+            }
+
+            return this.rowToVideo(data[0]);
+        } catch (error) {
+            // Marks made offline still reach the write queue, their write merges with the stored row
+            if (this.writeQueue && this.isUnreachableError(error)) {
+                console.warn('Supabase is unreachable, reading the video as unknown:', error.message);
+                this.offlineVideos.set(videoId, null);
+                return null;
+            }
+
+            console.error('Failed to get video:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Store or update a video record
+     * @param {Object} video - Video data
      * @param {string} video.strIdent - YouTube video ID
      * @param {number} video.intTimestamp - Timestamp
      * @param {string} video.strTitle - Video title
      * @param {number} video.intCount - View count
+     * @param {number} [video.intPosition] - Last playback position in seconds
+     * @param {number} [video.intDuration] - Video duration in seconds
+     * @param {number} [video.dblCompletion] - Completion ratio (0.0 - 1.0)
+     * @param {Object} [options] - Write options
+     * @param {boolean} [options.track=true] - Revoke the tombstone of a deleted video stored again and count new views for this device
      * @returns {Promise<boolean>} Success status
      */
-    async putVideo(video) {
+    async putVideo(video, { track = true } = {}) {
         try {
             this.ensureConnected();
 
-            const { strIdent, intTimestamp, strTitle, intCount = 1 } = video;
+            if (track) {
+                await this.revokeTombstones([video.strIdent]);
+                video = countViews(video, await getDeviceId());
+            }
+
+            // A video read offline was built without the stored row, its write adds to it
+            const wasReadOffline = this.offlineVideos.has(video.strIdent);
+            const base = wasReadOffline ? getDeviceCounts(this.offlineVideos.get(video.strIdent)) : null;
 
             // Use upsert with conflict resolution
-            const videoData = {
-                str_ident: strIdent,
-                int_timestamp: this.normalizeTimestamp(intTimestamp),
-                str_title: strTitle,
-                int_count: intCount,
-                updated_at: new Date().toISOString()
-            };
+            const videoData = this.videoToRow(video);
 
-            const response = await this.makeRequest('POST', `/${this.tableName}`, videoData, {
+            const success = await this.sendWrite('POST', `/${this.tableName}`, videoData, {
                 'Prefer': 'resolution=merge-duplicates'
-            });
+            }, base);
 
-            return response.ok;
+            if (wasReadOffline) {
+                if (this.pendingWrites > 0) {
+                    this.offlineVideos.set(video.strIdent, { ...video });
+                } else {
+                    this.offlineVideos.delete(video.strIdent);
+                }
+            }
+
+            return success;
         } catch (error) {
             console.error('Failed to put video:', error.message);
             throw error;
@@ -367,7 +1059,7 @@ export class SupabaseDatabaseProvider {
             let hasMore = true;
 
             while (hasMore) {
-                const response = await this.makeRequest('GET', `/${this.tableName}?select=str_ident,int_timestamp,str_title,int_count&order=int_timestamp.desc&limit=${limit}&offset=${offset}`);
+                const response = await this.makeRequest('GET', `/${this.tableName}?select=${this.getSelectColumns()}&order=int_timestamp.desc&limit=${limit}&offset=${offset}`);
 
                 if (!response.ok) {
                     throw new Error(`Failed to get all videos: ${response.status}`);
@@ -378,12 +1070,7 @@ export class SupabaseDatabaseProvider {
                 if (data.length === 0) {
                     hasMore = false;
                 } else {
-                    const videos = data.map(row => ({
-                        strIdent: row.str_ident,
-                        intTimestamp: parseInt(row.int_timestamp),
-                        strTitle: row.str_title,
-                        intCount: parseInt(row.int_count)
-                    }));
+                    const videos = data.map(row => this.rowToVideo(row));
 
                     allVideos.push(...videos);
                     offset += limit;
@@ -445,6 +1132,12 @@ export class SupabaseDatabaseProvider {
 
             const response = await this.makeRequest('DELETE', `/${this.tableName}?str_ident=neq.`);
 
+            // Writes queued before the reset would bring cleared videos back
+            if (this.writeQueue) {
+                await this.writeQueue.clearQueuedWrites();
+                this.pendingWrites = 0;
+            }
+
             console.log('All videos cleared from Supabase');
             return response.ok;
         } catch (error) {
@@ -456,31 +1149,59 @@ export class SupabaseDatabaseProvider {
     /**
      * Delete a single video record by ID
      * @param {string} videoId - YouTube video ID
+     * @param {Object} [options] - Write options
+     * @param {boolean} [options.track=true] - Leave a tombstone so other devices delete it too
      * @returns {Promise<boolean>} Success status
      */
-    async deleteVideo(videoId) {
+    async deleteVideo(videoId, { track = true } = {}) {
         try {
             this.ensureConnected();
 
-            const response = await this.makeRequest('DELETE', `/${this.tableName}?str_ident=eq.${videoId}`);
-
-            if (!response.ok) {
-                throw new Error(`Failed to delete video: ${response.status}`);
+            if (track) {
+                await this.writeTombstones([videoId]);
             }
 
-            return true;
+            return await this.sendWrite('DELETE', `/${this.tableName}?str_ident=eq.${videoId}`);
         } catch (error) {
             console.error('Failed to delete video:', error.message);
             throw error;
         }
     }
 
+    /**
+     * Delete several video records by ID (batch operation)
+     * @param {string[]} videoIds - YouTube video IDs
+     * @param {Object} [options] - Write options
+     * @param {boolean} [options.track=true] - Leave tombstones so other devices delete them too
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteVideos(videoIds, { track = true } = {}) {
+        try {
+            this.ensureConnected();
+
+            if (!videoIds || videoIds.length === 0) {
+                return true;
+            }
+
+            if (track) {
+                await this.writeTombstones(videoIds);
+            }
+
+            return await this.sendWrite('DELETE', `/${this.tableName}?str_ident=in.(${videoIds.map(encodeURIComponent).join(',')})`);
+        } catch (error) {
+            console.error('Failed to delete videos:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Import multiple videos (batch operation)
      * @param {Array} videos - Array of video objects
+     * @param {Object} [options] - Write options
+     * @param {boolean} [options.track=true] - Revoke the tombstones of deleted videos stored again and count new views for this device
      * @returns {Promise<boolean>} Success status
      */
-    async importVideos(videos) {
+    async importVideos(videos, { track = true } = {}) {
         try {
             this.ensureConnected();
 
@@ -488,21 +1209,24 @@ export class SupabaseDatabaseProvider {
                 return true;
             }
 
+            if (track) {
+                await this.revokeTombstones(videos.map(video => video.strIdent));
+                const deviceId = await getDeviceId();
+                videos = videos.map(video => countViews(video, deviceId));
+            }
+
             // Prepare data for batch insert
-            const videoData = videos.map(video => ({
-                str_ident: video.strIdent,
-                int_timestamp: this.normalizeTimestamp(video.intTimestamp),
-                str_title: video.strTitle,
-                int_count: video.intCount || 1,
-                updated_at: new Date().toISOString()
-            }));
+            const videoData = videos.map(video => this.videoToRow(video));
+
+            if (this.supportsBulkUpsert) {
+                // One statement on the server instead of a PostgREST batch
+                return await this.sendWrite('POST', `/rpc/${SUPABASE_SCHEMA.UPSERT_FUNCTION}`, { rows: videoData });
+            }
 
             // PostgREST supports batch operations
-            const response = await this.makeRequest('POST', `/${this.tableName}`, videoData, {
+            return await this.sendWrite('POST', `/${this.tableName}`, videoData, {
                 'Prefer': 'resolution=merge-duplicates'
             });
-
-            return response.ok;
         } catch (error) {
             console.error('Failed to import videos:', error.message);
             throw error;
@@ -510,84 +1234,417 @@ export class SupabaseDatabaseProvider {
     }
 
     /**
-     * Search videos by title
-     * @param {string} query - Search query
-     * @param {number} limit - Maximum results
-     * @returns {Promise<Array>} Array of matching video records
+     * Get the stored records of several videos
+     * @param {string[]} videoIds - YouTube video IDs
+     * @returns {Promise<Array>} Existing video records
      */
-    async searchVideos(query, limit = 100) {
+    async getVideos(videoIds) {
         try {
             this.ensureConnected();
 
-            const response = await this.makeRequest('GET', `/${this.tableName}?str_title=ilike.*${encodeURIComponent(query)}*&select=str_ident,int_timestamp,str_title,int_count&order=int_timestamp.desc&limit=${limit}`);
+            if (!videoIds || videoIds.length === 0) {
+                return [];
+            }
 
-            if (!response.ok) {
-                throw new Error(`Failed to search videos: ${response.status}`);
+            const ids = videoIds.map(videoId => this.quoteFilterValue(videoId)).join(',');
+            const response = await this.makeRequest('GET', `/${this.tableName}?select=${this.getSelectColumns()}&str_ident=in.${encodeURIComponent(`(${ids})`)}`);
+
+            const data = await response.json();
+            return data.map(row => this.rowToVideo(row));
+        } catch (error) {
+            console.error('Failed to get videos:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get one page of the rows of a table changed since a point in time, oldest change first
+     * Pages are keyed on (updated_at, str_ident) so rows sharing a change time are
+     * neither skipped nor repeated. The cursor keeps the raw updated_at string,
+     * which has a higher precision than JavaScript dates.
+     * @param {string} tableName - Table to read
+     * @param {string} columns - Columns to select, including updated_at
+     * @param {string} since - ISO timestamp of the oldest change to return
+     * @param {{updatedAt: string, strIdent: string}|null} cursor - Last row of the previous page
+     * @param {number} limit - Maximum number of rows
+     * @returns {Promise<{rows: Array, cursor: {updatedAt: string, strIdent: string}|null}>} Changed rows and the cursor of the last one
+     */
+    async getChangedRows(tableName, columns, since, cursor, limit) {
+        const filter = cursor
+            ? `or=${encodeURIComponent(`(updated_at.gt.${this.quoteFilterValue(cursor.updatedAt)},and(updated_at.eq.${this.quoteFilterValue(cursor.updatedAt)},str_ident.gt.${this.quoteFilterValue(cursor.strIdent)}))`)}`
+            : `updated_at=gte.${encodeURIComponent(since)}`;
+
+        const response = await this.makeRequest('GET', `/${tableName}?select=${columns}&${filter}&order=updated_at.asc,str_ident.asc&limit=${limit}`);
+
+        const rows = await response.json();
+        const last = rows[rows.length - 1];
+
+        return {
+            rows,
+            cursor: last ? { updatedAt: last.updated_at, strIdent: last.str_ident } : null
+        };
+    }
+
+    /**
+     * Get one page of the videos changed since a point in time, oldest change first
+     * @param {string} since - ISO timestamp of the oldest change to return
+     * @param {{updatedAt: string, strIdent: string}|null} [cursor] - Last row of the previous page
+     * @param {number} [limit] - Maximum number of rows
+     * @returns {Promise<{videos: Array, cursor: {updatedAt: string, strIdent: string}|null}>} Changed videos and the cursor of their last row
+     */
+    async getChangedVideos(since, cursor = null, limit = SYNC.DELTA.PAGE_SIZE) {
+        try {
+            this.ensureConnected();
+
+            const page = await this.getChangedRows(this.tableName, this.getSelectColumns(), since, cursor, limit);
+            return { videos: page.rows.map(row => this.rowToVideo(row)), cursor: page.cursor };
+        } catch (error) {
+            console.error('Failed to get changed videos:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert a tombstone row to a tombstone
+     * @param {Object} row - Table row
+     * @returns {import('./tombstone-utils.js').Tombstone} Tombstone
+     */
+    rowToTombstone(row) {
+        return {
+            strIdent: row.str_ident,
+            intDeleted: parseInt(row.int_deleted),
+            intUpdated: parseInt(row.int_updated)
+        };
+    }
+
+    /**
+     * Convert a tombstone to a table row for upserts
+     * @param {import('./tombstone-utils.js').Tombstone} tombstone - Tombstone
+     * @returns {Object} Table row
+     */
+    tombstoneToRow(tombstone) {
+        return this.withOwner({
+            str_ident: tombstone.strIdent,
+            int_deleted: this.normalizeTimestamp(tombstone.intDeleted),
+            int_updated: this.normalizeTimestamp(tombstone.intUpdated),
+            updated_at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Get the tombstones of several videos
+     * @param {string[]} videoIds - YouTube video IDs
+     * @returns {Promise<Array>} Existing tombstones, empty without the tombstones table
+     */
+    async getTombstones(videoIds) {
+        try {
+            this.ensureConnected();
+
+            if (!this.supportsTombstones || !videoIds || videoIds.length === 0) {
+                return [];
             }
 
+            const ids = videoIds.map(videoId => this.quoteFilterValue(videoId)).join(',');
+            const response = await this.makeRequest('GET', `/${this.tombstonesTableName}?select=str_ident,int_deleted,int_updated&str_ident=in.${encodeURIComponent(`(${ids})`)}`);
+
             const data = await response.json();
+            return data.map(row => this.rowToTombstone(row));
+        } catch (error) {
+            console.error('Failed to get tombstones:', error.message);
+            throw error;
+        }
+    }
 
-            return data.map(row => ({
-                strIdent: row.str_ident,
-                intTimestamp: parseInt(row.int_timestamp),
-                strTitle: row.str_title,
-                intCount: parseInt(row.int_count)
-            }));
+    /**
+     * Get one page of the tombstones changed since a point in time, oldest change first
+     * @param {string} since - ISO timestamp of the oldest change to return
+     * @param {{updatedAt: string, strIdent: string}|null} [cursor] - Last row of the previous page
+     * @param {number} [limit] - Maximum number of rows
+     * @returns {Promise<{tombstones: Array, cursor: {updatedAt: string, strIdent: string}|null}>} Changed tombstones and the cursor of their last row
+     */
+    async getChangedTombstones(since, cursor = null, limit = SYNC.DELTA.PAGE_SIZE) {
+        try {
+            this.ensureConnected();
+
+            if (!this.supportsTombstones) {
+                return { tombstones: [], cursor: null };
+            }
+
+            const page = await this.getChangedRows(this.tombstonesTableName, 'str_ident,int_deleted,int_updated,updated_at', since, cursor, limit);
+            return { tombstones: page.rows.map(row => this.rowToTombstone(row)), cursor: page.cursor };
         } catch (error) {
-            console.error('Failed to search videos:', error.message);
+            console.error('Failed to get changed tombstones:', error.message);
             throw error;
         }
     }
 
     /**
-     * Get videos by date range
-     * @param {number} startTimestamp - Start timestamp
-     * @param {number} endTimestamp - End timestamp
-     * @returns {Promise<Array>} Array of video records
+     * Store tombstones, replacing the stored ones of the same videos
+     * @param {Array} tombstones - Tombstones
+     * @returns {Promise<boolean>} Success status
      */
-    async getVideosByDateRange(startTimestamp, endTimestamp) {
+    async importTombstones(tombstones) {
         try {
             this.ensureConnected();
 
-            const allVideos = [];
-            let offset = 0;
-            const limit = 1000; // Use reasonable batch size
+            if (!this.supportsTombstones || !tombstones || tombstones.length === 0) {
+                return true;
+            }
+
+            return await this.sendWrite('POST', `/${this.tombstonesTableName}`, tombstones.map(tombstone => this.tombstoneToRow(tombstone)), {
+                'Prefer': 'resolution=merge-duplicates'
+            });
+        } catch (error) {
+            console.error('Failed to import tombstones:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Leave tombstones for videos deleted through this provider
+     * @param {string[]} videoIds - Deleted video IDs
+     * @returns {Promise<boolean>} Success status
+     */
+    async writeTombstones(videoIds) {
+        const timestamp = Date.now();
+        return await this.importTombstones(videoIds.map(videoId => createTombstone(videoId, timestamp)));
+    }
+
+    /**
+     * Revoke the tombstones of deleted videos that are stored again
+     * @param {string[]} videoIds - Stored video IDs
+     * @returns {Promise<boolean>} Success status
+     */
+    async revokeTombstones(videoIds) {
+        if (!this.supportsTombstones || videoIds.length === 0) {
+            return true;
+        }
+
+        const ids = videoIds.map(videoId => this.quoteFilterValue(videoId)).join(',');
+        return await this.sendWrite('PATCH', `/${this.tombstonesTableName}?str_ident=in.${encodeURIComponent(`(${ids})`)}&int_deleted=gt.0`, {
+            int_deleted: 0,
+            int_updated: Date.now(),
+            updated_at: new Date().toISOString()
+        }, {
+            'Prefer': 'return=minimal'
+        });
+    }
+
+    /**
+     * Delete the tombstones last written before a point in time
+     * @param {number} cutoff - Tombstones written at or before this time are deleted
+     * @returns {Promise<boolean>} Success status
+     */
+    async purgeTombstones(cutoff) {
+        try {
+            this.ensureConnected();
+
+            if (!this.supportsTombstones) {
+                return true;
+            }
+
+            const response = await this.makeRequest('DELETE', `/${this.tombstonesTableName}?int_updated=lte.${this.normalizeTimestamp(cutoff)}`);
+            return response.ok;
+        } catch (error) {
+            console.error('Failed to purge tombstones:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Query videos with PostgREST filters, ordering and pagination
+     * @param {import('./query-utils.js').VideoQuery} [options] - Query options
+     * @returns {Promise<import('./query-utils.js').VideoQueryResult>} Matching page and total count
+     */
+    async queryVideos(options = {}) {
+        try {
+            this.ensureConnected();
+
+            const query = normalizeQuery(options);
+
+            // PostgREST cannot order by ts_rank, so ranked searches load every match and rank it here
+            if (query.rank) {
+                const result = await this.queryVideos({ ...options, sortBy: 'timestamp', offset: 0, limit: 0 });
+                const ranked = rankVideos(result.videos, query.search);
+                const end = query.limit > 0 ? query.offset + query.limit : undefined;
+                return { videos: ranked.slice(query.offset, end), totalResults: ranked.length };
+            }
+
+            const conditions = this.buildQueryConditions(query);
+            if (conditions === null) {
+                return { videos: [], totalResults: 0 };
+            }
+
+            const filter = conditions.length > 0 ? `&and=${encodeURIComponent(`(${conditions.join(',')})`)}` : '';
+            const basePath = `/${this.tableName}?select=${this.getSelectColumns()}${filter}&order=int_timestamp.${query.order},str_ident.asc`;
+
+            const videos = [];
+            let totalResults = 0;
+            let offset = query.offset;
+            const batchSize = 1000; // Use reasonable batch size
             let hasMore = true;
 
             while (hasMore) {
-                const response = await this.makeRequest('GET', `/${this.tableName}?int_timestamp=gte.${this.normalizeTimestamp(startTimestamp)}&int_timestamp=lte.${this.normalizeTimestamp(endTimestamp)}&select=str_ident,int_timestamp,str_title,int_count&order=int_timestamp.desc&limit=${limit}&offset=${offset}`);
+                const pageSize = query.limit > 0 ? Math.min(query.limit - videos.length, batchSize) : batchSize;
+                const response = await this.makeRequest('GET', `${basePath}&limit=${pageSize}&offset=${offset}`, null, {
+                    'Prefer': 'count=exact'
+                });
 
-                if (!response.ok) {
-                    throw new Error(`Failed to get videos by date range: ${response.status}`);
-                }
+                const countHeader = response.headers.get('Content-Range');
+                totalResults = countHeader ? parseInt(countHeader.match(/\/(\d+)$/)?.[1] || '0') : totalResults;
 
                 const data = await response.json();
+                videos.push(...data.map(row => this.rowToVideo(row)));
+                offset += data.length;
 
-                if (data.length === 0) {
-                    hasMore = false;
-                } else {
-                    const videos = data.map(row => ({
-                        strIdent: row.str_ident,
-                        intTimestamp: parseInt(row.int_timestamp),
-                        strTitle: row.str_title,
-                        intCount: parseInt(row.int_count)
-                    }));
+                // Stop at the end of the table or once the requested page is complete
+                hasMore = data.length === pageSize && (query.limit === 0 || videos.length < query.limit);
+            }
 
-                    allVideos.push(...videos);
-                    offset += limit;
+            return { videos, totalResults: Math.max(totalResults, query.offset + videos.length) };
+        } catch (error) {
+            console.error('Failed to query videos:', error.message);
+            throw error;
+        }
+    }
 
-                    // If we got fewer records than the limit, we've reached the end
-                    if (data.length < limit) {
-                        hasMore = false;
-                    }
+    /**
+     * Build the PostgREST logic tree conditions of a query
+     * @param {ReturnType<typeof normalizeQuery>} query - Normalized query
+     * @returns {string[]|null} Conditions, or null if nothing can match
+     */
+    buildQueryConditions(query) {
+        const conditions = [];
+
+        if (hasSearch(query)) {
+            conditions.push(this.buildSearchCondition(query.search));
+        }
+
+        if (!isEmptySearch(query.exclude)) {
+            conditions.push(...this.buildExcludeConditions(query.exclude));
+        }
+
+        if (query.minCount !== null) {
+            conditions.push(`int_count.gte.${query.minCount}`);
+        }
+
+        if (query.maxCount !== null) {
+            conditions.push(`int_count.lte.${query.maxCount}`);
+        }
+
+        if (query.idText) {
+            conditions.push(`str_ident.ilike.${this.quoteFilterValue(`*${query.idText}*`)}`);
+        }
+
+        if (query.startTimestamp !== null) {
+            conditions.push(`int_timestamp.gte.${query.startTimestamp}`);
+        }
+
+        if (query.endTimestamp !== null) {
+            conditions.push(`int_timestamp.lte.${query.endTimestamp}`);
+        }
+
+        if (query.source) {
+            const source = normalizeSource(query.source);
+            if (!this.supportsSources) {
+                // Without the column every record counts as unknown
+                if (source !== WATCH_SOURCES.UNKNOWN) {
+                    return null;
                 }
+            } else if (source === WATCH_SOURCES.UNKNOWN) {
+                conditions.push(`or(arr_sources.eq.{},arr_sources.cs.{${source}})`);
+            } else {
+                conditions.push(`arr_sources.cs.{${source}}`);
             }
+        }
 
-            return allVideos;
-        } catch (error) {
-            console.error('Failed to get videos by date range:', error.message);
-            throw error;
+        return conditions;
+    }
+
+    /**
+     * Build the logic tree condition of a full-text search
+     * Words become prefix terms and quoted phrases become followed-by sequences of a tsquery.
+     * Without the full-text column the title is matched with ilike on the words as typed,
+     * as ilike compares diacritics
+     * @param {import('./search-utils.js').ParsedSearch} search - Parsed search
+     * @returns {string} Condition
+     */
+    buildSearchCondition(search) {
+        const parts = [];
+
+        if (!isEmptySearch(search)) {
+            if (this.supportsFullText) {
+                const tsquery = [
+                    ...search.phrases.map(phrase => phrase.join(' <-> ')),
+                    ...search.terms.map(term => `${term}:*`)
+                ].join(' & ');
+                parts.push(`fts_title.fts(simple).${this.quoteFilterValue(tsquery)}`);
+            } else {
+                const raw = parseSearchText(search.text, false);
+                raw.phrases.forEach(phrase => parts.push(`str_title.ilike.${this.quoteFilterValue(`*${phrase.join('*')}*`)}`));
+                raw.terms.forEach(term => parts.push(`str_title.ilike.${this.quoteFilterValue(`*${term}*`)}`));
+            }
+        }
+
+        const titleCondition = parts.length > 1 ? `and(${parts.join(',')})` : parts[0];
+        if (!search.idText) {
+            return titleCondition;
         }
+
+        const idCondition = `str_ident.ilike.${this.quoteFilterValue(`*${search.idText}*`)}`;
+        return titleCondition ? `or(${titleCondition},${idCondition})` : idCondition;
+    }
+
+    /**
+     * Build the logic tree conditions that leave out excluded words and phrases
+     * @param {import('./search-utils.js').ParsedSearch} exclude - Parsed excluded words and phrases
+     * @returns {string[]} Conditions
+     */
+    buildExcludeConditions(exclude) {
+        const sequences = [...exclude.phrases, ...exclude.terms.map(term => [term])];
+
+        if (this.supportsFullText) {
+            return sequences.map(tokens => `fts_title.not.fts(simple).${this.quoteFilterValue(tokens.join(' <-> '))}`);
+        }
+
+        // ilike compares diacritics, so it gets the words as typed
+        const raw = parseSearchText(exclude.text, false);
+        return [...raw.phrases, ...raw.terms.map(term => [term])]
+            .map(tokens => `str_title.not.ilike.${this.quoteFilterValue(`*${tokens.join('*')}*`)}`);
+    }
+
+    /**
+     * Quote a value for use inside a PostgREST logic tree
+     * @param {string} value - Raw filter value
+     * @returns {string} Quoted value with reserved characters escaped
+     */
+    quoteFilterValue(value) {
+        return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    /**
+     * Search videos by title
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Array>} Array of matching video records
+     */
+    async searchVideos(query, limit = 100) {
+        const result = await this.queryVideos({ text: query, sortBy: 'relevance', limit });
+        return result.videos;
+    }
+
+    /**
+     * Get videos by date range
+     * @param {number} startTimestamp - Start timestamp
+     * @param {number} endTimestamp - End timestamp
+     * @returns {Promise<Array>} Array of video records
+     */
+    async getVideosByDateRange(startTimestamp, endTimestamp) {
+        const result = await this.queryVideos({
+            startTimestamp: this.normalizeTimestamp(startTimestamp),
+            endTimestamp: this.normalizeTimestamp(endTimestamp)
+        });
+        return result.videos;
     }
 
     /**
@@ -626,13 +1683,118 @@ export class SupabaseDatabaseProvider {
         }
     }
 
+    /**
+     * Append a watch event to the event log
+     * @param {Object} event - Watch event (strIdent, intTimestamp, strSource, strDevice)
+     * @returns {Promise<boolean>} True if stored, false if skipped
+     */
+    async addWatchEvent(event) {
+        try {
+            this.ensureConnected();
+
+            if (!this.supportsEvents) {
+                return false;
+            }
+
+            const eventData = this.withOwner({
+                str_ident: event.strIdent,
+                int_timestamp: this.normalizeTimestamp(event.intTimestamp),
+                str_source: event.strSource,
+                str_device: event.strDevice || null
+            });
+
+            // Ignore views that were already logged (same user, video, time and source)
+            const conflict = this.supportsUsers ? 'user_id,str_ident,int_timestamp,str_source' : 'str_ident,int_timestamp,str_source';
+            return await this.sendWrite('POST', `/${this.eventsTableName}?on_conflict=${conflict}`, eventData, {
+                'Prefer': 'resolution=ignore-duplicates'
+            });
+        } catch (error) {
+            console.error('Failed to add watch event:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all watch events of a video, oldest first
+     * @param {string} videoId - YouTube video ID
+     * @returns {Promise<Array>} Watch events
+     */
+    async getWatchEvents(videoId) {
+        try {
+            this.ensureConnected();
+
+            if (!this.supportsEvents) {
+                return [];
+            }
+
+            const response = await this.makeRequest('GET', `/${this.eventsTableName}?str_ident=eq.${videoId}&select=id,str_ident,int_timestamp,str_source,str_device&order=int_timestamp.asc`);
+            const data = await response.json();
+
+            return data.map(row => ({
+                intId: parseInt(row.id),
+                strIdent: row.str_ident,
+                intTimestamp: parseInt(row.int_timestamp),
+                strSource: row.str_source,
+                strDevice: row.str_device
+            }));
+        } catch (error) {
+            console.error('Failed to get watch events:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete all watch events of a video
+     * @param {string} videoId - YouTube video ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteWatchEvents(videoId) {
+        try {
+            this.ensureConnected();
+
+            if (!this.supportsEvents) {
+                return true;
+            }
+
+            return await this.sendWrite('DELETE', `/${this.eventsTableName}?str_ident=eq.${videoId}`);
+        } catch (error) {
+            console.error('Failed to delete watch events:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Clear the whole watch event log
+     * @returns {Promise<boolean>} Success status
+     */
+    async clearWatchEvents() {
+        try {
+            this.ensureConnected();
+
+            if (!this.supportsEvents) {
+                return true;
+            }
+
+            const response = await this.makeRequest('DELETE', `/${this.eventsTableName}?id=gt.0`);
+            return response.ok;
+        } catch (error) {
+            console.error('Failed to clear watch events:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Close database connection
      * @returns {Promise<boolean>} Success status
      */
     async close() {
         try {
-            // HTTP connections don't need explicit closing
+            // HTTP connections don't need explicit closing, queued writes wait for the next init
+            if (this.replayTimer) {
+                clearTimeout(this.replayTimer);
+                this.replayTimer = null;
+            }
+
             this.isConnected = false;
             this.baseUrl = null;
             this.apiKey = null;
@@ -655,6 +1817,9 @@ export class SupabaseDatabaseProvider {
             type: 'remote',
             isConnected: this.isConnected,
             isInitialized: this.isInitialized,
+            pendingWrites: this.pendingWrites,
+            schemaVersion: this.schemaVersion,
+            userEmail: this.session ? this.session.email : null,
             url: this.baseUrl,
             tableName: this.tableName
         };
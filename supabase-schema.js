@@ -0,0 +1,357 @@
+// @ts-check
+
+/**
+ * Supabase schema description for YouTube Watchmarker
+ * Ordered, idempotent upgrade steps keyed by schema version, like the IndexedDB
+ * migrations. Applied steps are recorded in the schema version table; projects
+ * set up before it existed are detected by probing for the objects a step creates.
+ * The upgrade SQL of the missing steps can be run in the Supabase SQL editor, or
+ * applied by the extension once the schema function of the installer is in place.
+ */
+
+import { SUPABASE_SCHEMA } from './constants.js';
+
+/**
+ * @typedef {Object} SchemaTables
+ * @property {string} videos - Video table name
+ * @property {string} events - Watch event table name
+ * @property {string} tombstones - Tombstone table name
+ */
+
+/**
+ * @typedef {Object} SchemaStep
+ * @property {number} version - Schema version the step upgrades to
+ * @property {string} description - What the step changes
+ * @property {(tables: SchemaTables) => string[]} objects - Database objects the step creates or changes
+ * @property {string} [feature] - Provider flag enabled by the step
+ * @property {boolean} [restrictsAccess] - Whether the step takes access away from the anon key, so it and
+ *     the steps after it are only offered to a service role key or a signed-in user
+ * @property {(tables: SchemaTables) => string} [probe] - PostgREST path that only succeeds once the step is applied,
+ *     steps without one are only known from the schema version table
+ * @property {(tables: SchemaTables) => string} sql - Idempotent upgrade SQL
+ */
+
+/**
+ * Upgrade steps, ordered by version
+ * @type {SchemaStep[]}
+ */
+export const SCHEMA_STEPS = [
+    {
+        version: 1,
+        description: 'Create the video table',
+        objects: (t) => [`table ${t.videos}`, `index idx_${t.videos}_timestamp`, `index idx_${t.videos}_created_at`],
+        probe: (t) => `/${t.videos}?select=str_ident&limit=1`,
+        sql: (t) => `CREATE TABLE IF NOT EXISTS ${t.videos} (
+  str_ident VARCHAR(255) PRIMARY KEY,
+  int_timestamp BIGINT NOT NULL CHECK (int_timestamp > 0),
+  str_title TEXT CHECK (char_length(str_title) <= 1000),
+  int_count INTEGER DEFAULT 1 NOT NULL CHECK (int_count > 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_${t.videos}_timestamp ON ${t.videos} (int_timestamp);
+CREATE INDEX IF NOT EXISTS idx_${t.videos}_created_at ON ${t.videos} (created_at);`
+    },
+    {
+        version: 2,
+        description: 'Add the watch progress columns',
+        objects: (t) => [`columns ${t.videos}.int_position, int_duration, dbl_completion`],
+        feature: 'supportsProgress',
+        probe: (t) => `/${t.videos}?select=int_position,int_duration,dbl_completion&limit=1`,
+        sql: (t) => `ALTER TABLE ${t.videos}
+  ADD COLUMN IF NOT EXISTS int_position INTEGER,
+  ADD COLUMN IF NOT EXISTS int_duration INTEGER,
+  ADD COLUMN IF NOT EXISTS dbl_completion REAL CHECK (dbl_completion BETWEEN 0 AND 1);`
+    },
+    {
+        version: 3,
+        description: 'Create the watch event table',
+        objects: (t) => [`table ${t.events}`, `index idx_${t.events}_ident`],
+        feature: 'supportsEvents',
+        probe: (t) => `/${t.events}?select=id&limit=1`,
+        sql: (t) => `CREATE TABLE IF NOT EXISTS ${t.events} (
+  id BIGSERIAL PRIMARY KEY,
+  str_ident VARCHAR(255) NOT NULL,
+  int_timestamp BIGINT NOT NULL,
+  str_source VARCHAR(50) NOT NULL,
+  str_device VARCHAR(64),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (str_ident, int_timestamp, str_source)
+);
+CREATE INDEX IF NOT EXISTS idx_${t.events}_ident ON ${t.events} (str_ident, int_timestamp);`
+    },
+    {
+        version: 4,
+        description: 'Add the detection sources column',
+        objects: (t) => [`column ${t.videos}.arr_sources`],
+        feature: 'supportsSources',
+        probe: (t) => `/${t.videos}?select=arr_sources&limit=1`,
+        sql: (t) => `ALTER TABLE ${t.videos}
+  ADD COLUMN IF NOT EXISTS arr_sources TEXT[] DEFAULT '{}' NOT NULL;`
+    },
+    {
+        version: 5,
+        description: 'Add the accent-insensitive full-text title column',
+        objects: (t) => ['extension unaccent', 'function watchmarker_unaccent', `column ${t.videos}.fts_title`, `index idx_${t.videos}_fts_title`],
+        feature: 'supportsFullText',
+        probe: (t) => `/${t.videos}?select=str_ident&fts_title=fts(simple).test&limit=1`,
+        sql: (t) => `CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE OR REPLACE FUNCTION watchmarker_unaccent(text) RETURNS text
+  LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+  AS $$ SELECT public.unaccent('public.unaccent', $1) $$;
+ALTER TABLE ${t.videos}
+  ADD COLUMN IF NOT EXISTS fts_title tsvector
+  GENERATED ALWAYS AS (to_tsvector('simple', watchmarker_unaccent(coalesce(str_title, '')))) STORED;
+CREATE INDEX IF NOT EXISTS idx_${t.videos}_fts_title ON ${t.videos} USING GIN (fts_title);`
+    },
+    {
+        version: 6,
+        description: 'Index and stamp the change time of videos for incremental sync',
+        objects: (t) => [`index idx_${t.videos}_updated_at`, 'function watchmarker_touch_updated_at', `trigger trg_${t.videos}_updated_at`],
+        sql: (t) => `CREATE INDEX IF NOT EXISTS idx_${t.videos}_updated_at ON ${t.videos} (updated_at);
+CREATE OR REPLACE FUNCTION watchmarker_touch_updated_at() RETURNS trigger
+  LANGUAGE plpgsql AS $$ BEGIN NEW.updated_at = clock_timestamp(); RETURN NEW; END $$;
+CREATE OR REPLACE TRIGGER trg_${t.videos}_updated_at
+  BEFORE INSERT OR UPDATE ON ${t.videos}
+  FOR EACH ROW EXECUTE FUNCTION watchmarker_touch_updated_at();`
+    },
+    {
+        version: 7,
+        description: 'Create the tombstone table for synced deletions',
+        objects: (t) => [`table ${t.tombstones}`, `index idx_${t.tombstones}_updated_at`, `trigger trg_${t.tombstones}_updated_at`],
+        feature: 'supportsTombstones',
+        probe: (t) => `/${t.tombstones}?select=str_ident&limit=1`,
+        sql: (t) => `CREATE TABLE IF NOT EXISTS ${t.tombstones} (
+  str_ident VARCHAR(255) PRIMARY KEY,
+  int_deleted BIGINT NOT NULL,
+  int_updated BIGINT NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_${t.tombstones}_updated_at ON ${t.tombstones} (updated_at);
+CREATE OR REPLACE FUNCTION watchmarker_touch_updated_at() RETURNS trigger
+  LANGUAGE plpgsql AS $$ BEGIN NEW.updated_at = clock_timestamp(); RETURN NEW; END $$;
+CREATE OR REPLACE TRIGGER trg_${t.tombstones}_updated_at
+  BEFORE INSERT OR UPDATE ON ${t.tombstones}
+  FOR EACH ROW EXECUTE FUNCTION watchmarker_touch_updated_at();`
+    },
+    {
+        version: 8,
+        description: 'Add the per-device view counts column',
+        objects: (t) => [`column ${t.videos}.obj_counts`],
+        feature: 'supportsDeviceCounts',
+        probe: (t) => `/${t.videos}?select=obj_counts&limit=1`,
+        sql: (t) => `ALTER TABLE ${t.videos}
+  ADD COLUMN IF NOT EXISTS obj_counts JSONB DEFAULT '{}' NOT NULL;`
+    },
+    {
+        version: 9,
+        description: 'Enable row level security, only the service role has access',
+        // The anon key only gets access back through the owner policies of version 11, as a signed-in user
+        restrictsAccess: true,
+        objects: (t) => [t.videos, t.events, t.tombstones, SUPABASE_SCHEMA.VERSION_TABLE].map(table => `policy watchmarker_service_role on ${table}`),
+        sql: (t) => [t.videos, t.events, t.tombstones, SUPABASE_SCHEMA.VERSION_TABLE].map(table => `ALTER TABLE ${table} ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS watchmarker_service_role ON ${table};
+CREATE POLICY watchmarker_service_role ON ${table} FOR ALL TO service_role USING (true) WITH CHECK (true);`).join('\n')
+    },
+    {
+        version: 10,
+        description: 'Create the bulk upsert function for video imports',
+        objects: () => [`function ${SUPABASE_SCHEMA.UPSERT_FUNCTION}`],
+        feature: 'supportsBulkUpsert',
+        sql: (t) => getUpsertFunctionSql(t, { owner: false })
+    },
+    {
+        version: 11,
+        description: 'Separate the histories of signed-in users with row level security',
+        objects: (t) => [
+            ...[t.videos, t.events, t.tombstones].map(table => `column ${table}.user_id`),
+            `primary key ${t.videos}_user_pkey`,
+            `primary key ${t.tombstones}_user_pkey`,
+            `index idx_${t.events}_user_view`,
+            ...[t.videos, t.events, t.tombstones].map(table => `policy watchmarker_owner on ${table}`),
+            `policy watchmarker_read on ${SUPABASE_SCHEMA.VERSION_TABLE}`,
+            `function ${SUPABASE_SCHEMA.UPSERT_FUNCTION}`
+        ],
+        feature: 'supportsUsers',
+        probe: (t) => `/${t.videos}?select=user_id&limit=1`,
+        sql: (t) => `${[t.videos, t.events, t.tombstones].map(table => `ALTER TABLE ${table}
+  ADD COLUMN IF NOT EXISTS user_id UUID NOT NULL DEFAULT coalesce(auth.uid(), '${SUPABASE_SCHEMA.SHARED_OWNER}'::uuid);`).join('\n')}
+${getOwnerKeySql(t.videos)}
+${getOwnerKeySql(t.tombstones)}
+ALTER TABLE ${t.events} DROP CONSTRAINT IF EXISTS ${t.events}_str_ident_int_timestamp_str_source_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_${t.events}_user_view ON ${t.events} (user_id, str_ident, int_timestamp, str_source);
+${[t.videos, t.events, t.tombstones].map(table => `DROP POLICY IF EXISTS watchmarker_owner ON ${table};
+CREATE POLICY watchmarker_owner ON ${table} FOR ALL TO authenticated
+  USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());`).join('\n')}
+DROP POLICY IF EXISTS watchmarker_read ON ${SUPABASE_SCHEMA.VERSION_TABLE};
+CREATE POLICY watchmarker_read ON ${SUPABASE_SCHEMA.VERSION_TABLE} FOR SELECT TO authenticated USING (true);
+${getUpsertFunctionSql(t, { owner: true })}`
+    }
+];
+
+/**
+ * Gets the SQL of the bulk upsert function
+ * With owners, rows are keyed by user and signed-in users may call it, row level security still applies
+ * @param {SchemaTables} tables - Table names
+ * @param {Object} options - Function options
+ * @param {boolean} options.owner - Whether rows carry the user_id of their owner
+ * @returns {string} Function SQL
+ */
+function getUpsertFunctionSql(tables, { owner }) {
+    const t = tables;
+    const columns = 'str_ident, int_timestamp, str_title, int_count, int_position, int_duration, dbl_completion, arr_sources, obj_counts';
+
+    return `CREATE OR REPLACE FUNCTION ${SUPABASE_SCHEMA.UPSERT_FUNCTION}(rows jsonb) RETURNS integer
+  LANGUAGE sql SET search_path = public AS $$
+  WITH upserted AS (
+    INSERT INTO ${t.videos} (${owner ? 'user_id, ' : ''}${columns})
+    SELECT ${owner ? `coalesce(r.user_id, auth.uid(), '${SUPABASE_SCHEMA.SHARED_OWNER}'::uuid), ` : ''}r.str_ident, r.int_timestamp, r.str_title, coalesce(r.int_count, 1), r.int_position, r.int_duration, r.dbl_completion,
+      coalesce(r.arr_sources, '{}'), coalesce(r.obj_counts, '{}')
+    FROM jsonb_populate_recordset(NULL::${t.videos}, rows) AS r
+    ON CONFLICT (${owner ? 'user_id, ' : ''}str_ident) DO UPDATE SET
+      int_timestamp = EXCLUDED.int_timestamp,
+      str_title = EXCLUDED.str_title,
+      int_count = EXCLUDED.int_count,
+      int_position = EXCLUDED.int_position,
+      int_duration = EXCLUDED.int_duration,
+      dbl_completion = EXCLUDED.dbl_completion,
+      arr_sources = EXCLUDED.arr_sources,
+      obj_counts = EXCLUDED.obj_counts
+    RETURNING 1
+  )
+  SELECT count(*)::integer FROM upserted $$;
+REVOKE ALL ON FUNCTION ${SUPABASE_SCHEMA.UPSERT_FUNCTION}(jsonb) FROM PUBLIC, anon${owner ? '' : ', authenticated'};
+GRANT EXECUTE ON FUNCTION ${SUPABASE_SCHEMA.UPSERT_FUNCTION}(jsonb) TO service_role${owner ? ', authenticated' : ''};`;
+}
+
+/**
+ * Gets the SQL that keys a table by owner and video, so each user has their own row of a video
+ * Written as a block because a primary key cannot be added if not exists
+ * @param {string} table - Table name
+ * @returns {string} Primary key SQL
+ */
+function getOwnerKeySql(table) {
+    return `DO $$ BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = '${table}_user_pkey') THEN
+    ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_pkey;
+    ALTER TABLE ${table} ADD CONSTRAINT ${table}_user_pkey PRIMARY KEY (user_id, str_ident);
+  END IF;
+END $$;`;
+}
+
+/**
+ * Gets the schema version of the latest step
+ * @returns {number} Latest schema version
+ */
+export function getLatestSchemaVersion() {
+    return SCHEMA_STEPS[SCHEMA_STEPS.length - 1].version;
+}
+
+/**
+ * Gets the installed schema version, the last step applied together with every step before it
+ * @param {number[]} applied - Versions of the applied steps
+ * @returns {number} Installed version, 0 for an empty project
+ */
+export function getInstalledVersion(applied) {
+    let version = 0;
+
+    for (const step of SCHEMA_STEPS) {
+        if (!applied.includes(step.version)) {
+            break;
+        }
+        version = step.version;
+    }
+
+    return version;
+}
+
+/**
+ * Gets the steps that are not applied yet
+ * @param {number[]} applied - Versions of the applied steps
+ * @returns {SchemaStep[]} Missing steps in order
+ */
+export function getMissingSteps(applied) {
+    return SCHEMA_STEPS.filter(step => !applied.includes(step.version));
+}
+
+/**
+ * Gets the missing steps that can be applied without locking out the configured key
+ * Without access under row level security, steps stop before the first one that restricts access
+ * @param {number[]} applied - Versions of the applied steps
+ * @param {boolean} keepsAccess - Whether the key keeps access under row level security
+ * @returns {SchemaStep[]} Applicable steps in order
+ */
+export function getApplicableSteps(applied, keepsAccess) {
+    const missing = getMissingSteps(applied);
+    const restricted = missing.findIndex(step => step.restrictsAccess);
+
+    return keepsAccess || restricted === -1 ? missing : missing.slice(0, restricted);
+}
+
+/**
+ * Quotes a text as an SQL literal
+ * @param {string} text - Text
+ * @returns {string} SQL literal
+ */
+function quoteLiteral(text) {
+    return `'${text.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Gets the SQL of the schema version table and the function that lets the extension apply upgrades
+ * The function runs any SQL, so only the service role may execute it
+ * @returns {string} Installer SQL
+ */
+export function getInstallerSql() {
+    return `CREATE TABLE IF NOT EXISTS ${SUPABASE_SCHEMA.VERSION_TABLE} (
+  int_version INTEGER PRIMARY KEY,
+  str_description TEXT NOT NULL,
+  applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE OR REPLACE FUNCTION ${SUPABASE_SCHEMA.APPLY_FUNCTION}(sql text) RETURNS void
+  LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+  AS $$ BEGIN EXECUTE sql; END $$;
+REVOKE ALL ON FUNCTION ${SUPABASE_SCHEMA.APPLY_FUNCTION}(text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION ${SUPABASE_SCHEMA.APPLY_FUNCTION}(text) TO service_role;`;
+}
+
+/**
+ * Generates the upgrade SQL of some steps
+ * Every step records itself in the schema version table, and PostgREST reloads
+ * its schema cache afterwards so new tables and columns can be used right away
+ * @param {SchemaStep[]} steps - Steps to apply, in order
+ * @param {SchemaTables} tables - Table names
+ * @param {Object} [options] - Generation options
+ * @param {boolean} [options.installer=true] - Start with the installer, left out when applied through the schema function
+ * @param {number[]} [options.detected=[]] - Versions found by probing, recorded by the installer so they are not applied again
+ * @returns {string} Upgrade SQL, empty without steps
+ */
+export function generateUpgradeSql(steps, tables, { installer = true, detected = [] } = {}) {
+    if (steps.length === 0) {
+        return '';
+    }
+
+    const parts = [];
+
+    if (installer) {
+        parts.push(`-- Schema version table and upgrade function\n${getInstallerSql()}`);
+
+        const recorded = SCHEMA_STEPS.filter(step => detected.includes(step.version));
+        if (recorded.length > 0) {
+            parts.push(`-- Versions already present in this project
+INSERT INTO ${SUPABASE_SCHEMA.VERSION_TABLE} (int_version, str_description) VALUES
+${recorded.map(step => `  (${step.version}, ${quoteLiteral(step.description)})`).join(',\n')}
+  ON CONFLICT (int_version) DO NOTHING;`);
+        }
+    }
+
+    for (const step of steps) {
+        parts.push(`-- Version ${step.version}: ${step.description}
+${step.sql(tables)}
+INSERT INTO ${SUPABASE_SCHEMA.VERSION_TABLE} (int_version, str_description)
+  VALUES (${step.version}, ${quoteLiteral(step.description)}) ON CONFLICT (int_version) DO NOTHING;`);
+    }
+
+    parts.push(`NOTIFY pgrst, 'reload schema';`);
+    return parts.join('\n\n');
+}
@@ -0,0 +1,195 @@
+// @ts-check
+
+/**
+ * Google Takeout utilities for YouTube Watchmarker
+ * Parses the watch-history.json and watch-history.html files of a Takeout export
+ */
+
+import { WATCH_SOURCES } from './constants.js';
+import { decodeHtmlEntitiesAndFixEncoding } from './text-utils.js';
+import { getVideoIdFromUrl } from './validation.js';
+
+/**
+ * @typedef {Object} TakeoutView
+ * @property {string} strIdent - YouTube video ID
+ * @property {string} strTitle - Video title, empty if the entry has none
+ * @property {number} intTimestamp - Time of the view
+ */
+
+/**
+ * @typedef {Object} TakeoutImport
+ * @property {Array<Object>} videos - One video record per video, repeat views counted in intCount
+ * @property {number} views - Views found
+ * @property {number} skipped - Entries left out: ads, removed videos, entries without a video or a readable time
+ */
+
+// Offsets of the zones Takeout writes that Date.parse does not know
+const ZONE_OFFSETS = {
+    WET: '+00:00',
+    WEST: '+01:00',
+    BST: '+01:00',
+    CET: '+01:00',
+    CEST: '+02:00',
+    EET: '+02:00',
+    EEST: '+03:00',
+    MSK: '+03:00',
+    IST: '+05:30',
+    HKT: '+08:00',
+    SGT: '+08:00',
+    JST: '+09:00',
+    KST: '+09:00',
+    AEST: '+10:00',
+    AEDT: '+11:00',
+    NZST: '+12:00',
+    NZDT: '+13:00',
+    BRT: '-03:00'
+};
+
+const AD_MARKER = 'From Google Ads';
+const WATCHED_PREFIX = 'Watched ';
+
+/**
+ * Parses the time of an HTML entry, e.g. "Jan 1, 2023, 12:00:00 PM CET"
+ * Times in an unknown zone are read as local time
+ * @param {string} text - Time as written in the export
+ * @returns {number|null} Timestamp or null if unreadable
+ */
+function parseTakeoutTime(text) {
+    const normalized = text.replace(/[\u00a0\u202f]/g, ' ').replace(/\s+/g, ' ').trim();
+    let timestamp = Date.parse(normalized);
+
+    if (Number.isNaN(timestamp)) {
+        const match = normalized.match(/^(.*)\s+([A-Z]{2,5})$/);
+        if (match) {
+            const offset = ZONE_OFFSETS[match[2]];
+            timestamp = Date.parse(offset ? `${match[1]} GMT${offset}` : match[1]);
+        }
+    }
+
+    return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Combines the views of each video into one record
+ * Views of a video at the same time are counted once
+ * @param {TakeoutView[]} views - Parsed views
+ * @param {number} skipped - Entries left out while parsing
+ * @returns {TakeoutImport} Video records and counts
+ */
+function groupViews(views, skipped) {
+    const videos = new Map();
+
+    for (const view of views) {
+        const video = videos.get(view.strIdent);
+
+        if (!video) {
+            videos.set(view.strIdent, { ...view, times: new Set([view.intTimestamp]) });
+            continue;
+        }
+
+        video.times.add(view.intTimestamp);
+        if (view.intTimestamp > video.intTimestamp) {
+            video.intTimestamp = view.intTimestamp;
+            video.strTitle = view.strTitle || video.strTitle;
+        } else if (!video.strTitle) {
+            video.strTitle = view.strTitle;
+        }
+    }
+
+    return {
+        videos: Array.from(videos.values(), ({ times, ...video }) => ({
+            ...video,
+            intCount: times.size,
+            arrSources: [WATCH_SOURCES.YOUTUBE_HISTORY]
+        })),
+        views: views.length,
+        skipped
+    };
+}
+
+/**
+ * Checks whether parsed JSON is a Takeout watch-history.json
+ * @param {*} data - Parsed JSON
+ * @returns {boolean} True for a list of Takeout activity entries
+ */
+export function isTakeoutJson(data) {
+    return Array.isArray(data) && data.length > 0 &&
+        data.slice(0, 10).every(entry => entry && typeof entry === 'object' &&
+            typeof entry.time === 'string' && typeof entry.header === 'string' && !('strIdent' in entry));
+}
+
+/**
+ * Parses the entries of a Takeout watch-history.json
+ * @param {Array<Object>} entries - Takeout activity entries
+ * @returns {TakeoutImport} Video records and counts
+ */
+export function parseTakeoutJson(entries) {
+    /** @type {TakeoutView[]} */
+    const views = [];
+    let skipped = 0;
+
+    for (const entry of entries) {
+        const isAd = Array.isArray(entry.details) && entry.details.some(detail => detail && detail.name === AD_MARKER);
+        const videoId = typeof entry.titleUrl === 'string' ? getVideoIdFromUrl(entry.titleUrl) : null;
+        const timestamp = Date.parse(entry.time);
+
+        // Removed videos have no titleUrl
+        if (isAd || !videoId || Number.isNaN(timestamp)) {
+            skipped++;
+            continue;
+        }
+
+        const title = typeof entry.title === 'string' ? entry.title : '';
+        views.push({
+            strIdent: videoId,
+            strTitle: title.startsWith(WATCHED_PREFIX) ? title.slice(WATCHED_PREFIX.length) : title,
+            intTimestamp: timestamp
+        });
+    }
+
+    return groupViews(views, skipped);
+}
+
+/**
+ * Checks whether text is a Takeout watch-history.html
+ * @param {string} text - File content
+ * @returns {boolean} True for a Takeout activity page
+ */
+export function isTakeoutHtml(text) {
+    return typeof text === 'string' && text.trimStart().startsWith('<') && text.includes('class="outer-cell');
+}
+
+/**
+ * Parses a Takeout watch-history.html
+ * Each entry is an outer-cell whose content cell holds the link, the channel and the time
+ * @param {string} text - File content
+ * @returns {TakeoutImport} Video records and counts
+ */
+export function parseTakeoutHtml(text) {
+    /** @type {TakeoutView[]} */
+    const views = [];
+    let skipped = 0;
+
+    for (const cell of text.split('class="outer-cell').slice(1)) {
+        const content = cell.match(/<div class="content-cell[^"]*mdl-typography--body-1">([\s\S]*?)<\/div>/);
+        const link = content ? content[1].match(/<a href="([^"]+)">([\s\S]*?)<\/a>/) : null;
+        const videoId = link ? getVideoIdFromUrl(decodeHtmlEntitiesAndFixEncoding(link[1])) : null;
+
+        // The time is the last line of the content cell
+        const lines = content ? content[1].split(/<br\s*\/?>/).map(line => line.replace(/<[^>]*>/g, '').trim()).filter(Boolean) : [];
+        const timestamp = lines.length > 0 ? parseTakeoutTime(decodeHtmlEntitiesAndFixEncoding(lines[lines.length - 1])) : null;
+
+        if (cell.includes(AD_MARKER) || !link || !videoId || timestamp === null) {
+            skipped++;
+            continue;
+        }
+
+        views.push({
+            strIdent: videoId,
+            strTitle: decodeHtmlEntitiesAndFixEncoding(link[2].replace(/<[^>]*>/g, '')).trim(),
+            intTimestamp: timestamp
+        });
+    }
+
+    return groupViews(views, skipped);
+}
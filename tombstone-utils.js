@@ -0,0 +1,90 @@
+// @ts-check
+
+/**
+ * Tombstone utilities for YouTube Watchmarker
+ * Tombstones remember deleted videos so syncs remove them everywhere instead of
+ * copying them back from a device or provider that still has them
+ */
+
+/**
+ * @typedef {Object} Tombstone
+ * @property {string} strIdent - ID of the deleted video
+ * @property {number} intDeleted - Time of the deletion, 0 once the video was stored again
+ * @property {number} intUpdated - Time the tombstone was last written, the newest write wins
+ */
+
+/**
+ * Creates a tombstone for a deletion
+ * @param {string} videoId - ID of the deleted video
+ * @param {number} [timestamp] - Time of the deletion
+ * @returns {Tombstone} Tombstone
+ */
+export function createTombstone(videoId, timestamp = Date.now()) {
+    return { strIdent: videoId, intDeleted: timestamp, intUpdated: timestamp };
+}
+
+/**
+ * Creates a revoked tombstone, written when a deleted video is stored again on purpose
+ * @param {string} videoId - ID of the restored video
+ * @param {number} [timestamp] - Time of the restore
+ * @returns {Tombstone} Tombstone that no longer deletes anything
+ */
+export function revokeTombstone(videoId, timestamp = Date.now()) {
+    return { strIdent: videoId, intDeleted: 0, intUpdated: timestamp };
+}
+
+/**
+ * Checks whether a tombstone deletes a video record
+ * Views after the deletion bring the video back
+ * @param {Object|null|undefined} video - Video record
+ * @param {Tombstone|null|undefined} tombstone - Tombstone of the same video
+ * @returns {boolean} True if the record has to be removed
+ */
+export function isDeletedBy(video, tombstone) {
+    if (!video || !tombstone || !(tombstone.intDeleted > 0)) {
+        return false;
+    }
+
+    return (video.intTimestamp || 0) <= tombstone.intDeleted;
+}
+
+/**
+ * Merges two tombstone sets, keeping the most recently written tombstone per video
+ * @param {Tombstone[]} tombstones1 - First set
+ * @param {Tombstone[]} tombstones2 - Second set
+ * @returns {Tombstone[]} Merged set
+ */
+export function mergeTombstones(tombstones1, tombstones2) {
+    const merged = new Map();
+
+    for (const tombstone of [...(tombstones1 || []), ...(tombstones2 || [])]) {
+        const existing = merged.get(tombstone.strIdent);
+        if (!existing || tombstone.intUpdated > existing.intUpdated) {
+            merged.set(tombstone.strIdent, tombstone);
+        }
+    }
+
+    return Array.from(merged.values());
+}
+
+/**
+ * Removes the video records deleted by a tombstone
+ * @param {Array<Object>} videos - Video records
+ * @param {Tombstone[]} tombstones - Tombstones
+ * @returns {{videos: Array<Object>, deletedIds: string[]}} Remaining records and the IDs of the removed ones
+ */
+export function applyTombstones(videos, tombstones) {
+    const byIdent = new Map((tombstones || []).map(tombstone => [tombstone.strIdent, tombstone]));
+    const remaining = [];
+    const deletedIds = [];
+
+    for (const video of videos) {
+        if (isDeletedBy(video, byIdent.get(video.strIdent))) {
+            deletedIds.push(video.strIdent);
+        } else {
+            remaining.push(video);
+        }
+    }
+
+    return { videos: remaining, deletedIds };
+}
@@ -6,6 +6,7 @@
  */
 
 import { REGEX } from './constants.js';
+import { mergeSources } from './source-utils.js';
 
 /**
  * Validates if a string is valid base64
@@ -124,6 +125,22 @@ export function isYouTubeUrl(url) {
     return REGEX.YOUTUBE_URL.test(url);
 }
 
+/**
+ * Gets the video ID of a YouTube watch, shorts or youtu.be URL
+ * @param {string} url - URL to read
+ * @returns {string|null} Video ID or null if the URL is not a YouTube video
+ */
+export function getVideoIdFromUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const shorts = parsed.pathname.match(/^\/shorts\/([^/]+)/);
+        const videoId = parsed.hostname === 'youtu.be' ? parsed.pathname.slice(1) : (shorts ? shorts[1] : parsed.searchParams.get('v'));
+        return isValidVideoId(videoId) ? videoId : null;
+    } catch {
+        return null;
+    }
+}
+
 /**
  * Validates if a URL is a Supabase URL
  * @param {string} url - URL to validate
@@ -172,6 +189,22 @@ export function validateVideoRecord(video) {
         errors.push('intCount must be at least 1');
     }
 
+    for (const field of ['intPosition', 'intDuration']) {
+        if (video[field] !== undefined && (typeof video[field] !== 'number' || video[field] < 0)) {
+            errors.push(`${field} must be a non-negative number`);
+        }
+    }
+
+    if (video.dblCompletion !== undefined &&
+        (typeof video.dblCompletion !== 'number' || video.dblCompletion < 0 || video.dblCompletion > 1)) {
+        errors.push('dblCompletion must be a number between 0 and 1');
+    }
+
+    if (video.arrSources !== undefined &&
+        (!Array.isArray(video.arrSources) || video.arrSources.some(source => typeof source !== 'string'))) {
+        errors.push('arrSources must be an array of strings');
+    }
+
     return {
         valid: errors.length === 0,
         errors
@@ -184,10 +217,33 @@ export function validateVideoRecord(video) {
  * @returns {Object} Sanitized video record
  */
 export function sanitizeVideoRecord(video) {
-    return {
+    const sanitized = {
         strIdent: String(video.strIdent || ''),
         intTimestamp: Number(video.intTimestamp) || Date.now(),
         strTitle: String(video.strTitle || ''),
         intCount: Number(video.intCount) || 1
     };
+
+    // Progress fields are optional and only kept when they hold valid numbers
+    const position = Number(video.intPosition);
+    if (video.intPosition != null && Number.isFinite(position)) {
+        sanitized.intPosition = Math.max(0, Math.floor(position));
+    }
+
+    const duration = Number(video.intDuration);
+    if (video.intDuration != null && duration > 0) {
+        sanitized.intDuration = Math.floor(duration);
+    }
+
+    const completion = Number(video.dblCompletion);
+    if (video.dblCompletion != null && Number.isFinite(completion)) {
+        sanitized.dblCompletion = Math.min(Math.max(completion, 0), 1);
+    }
+
+    const sources = mergeSources(video.arrSources);
+    if (sources.length > 0) {
+        sanitized.arrSources = sources;
+    }
+
+    return sanitized;
 }
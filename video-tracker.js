@@ -9,7 +9,7 @@ import { logger } from './logger.js';
 import { sendMessageToTab } from './browser-utils.js';
 import { isValidVideoTitle } from './validation.js';
 import { decodeHtmlEntitiesAndFixEncoding } from './text-utils.js';
-import { TIMEOUTS } from './constants.js';
+import { TIMEOUTS, WATCH_SOURCES } from './constants.js';
 
 /**
  * Video Tracker class
@@ -205,8 +205,14 @@ export class VideoTracker {
             );
 
             if (hasSignificantProgress) {
-                await this.ensureVideoTracked(videoId, title);
-                await this.notifyYouTubeTabs(videoId, title);
+                // The furthest elapsed time is the current playback position, len is the video length
+                const positions = elapsedTimes.map(time => parseFloat(time)).filter(Number.isFinite);
+                const duration = parseFloat(urlParams.get('len'));
+
+                const video = positions.length > 0
+                    ? await this.recordProgress(videoId, title, Math.max(...positions), duration)
+                    : await this.ensureVideoTracked(videoId, title);
+                await this.notifyYouTubeTabs(videoId, title, video.dblCompletion);
             }
         } catch (error) {
             this.logger.error('Error handling progress request:', error);
@@ -219,19 +225,13 @@ export class VideoTracker {
      * @param {string} title - Video title
      */
     async markVideoAsWatched(videoId, title) {
-        return new Promise((resolve, reject) => {
-            this.youtubeModule.mark(
-                { strIdent: videoId, strTitle: title },
-                (response) => {
-                    if (response) {
-                        this.logger.debug('Video marked as watched:', videoId);
-                        resolve(response);
-                    } else {
-                        reject(new Error('Failed to mark video as watched'));
-                    }
-                }
-            );
-        });
+        const response = await this.youtubeModule.mark(videoId, title, null, null, WATCH_SOURCES.BROWSER_NAVIGATION);
+        if (!response) {
+            throw new Error('Failed to mark video as watched');
+        }
+
+        this.logger.debug('Video marked as watched:', videoId);
+        return response;
     }
 
     /**
@@ -240,33 +240,36 @@ export class VideoTracker {
      * @param {string} title - Video title
      */
     async ensureVideoTracked(videoId, title) {
-        return new Promise((resolve, reject) => {
-            try {
-                this.youtubeModule.ensure(
-                    { strIdent: videoId, strTitle: title },
-                    (response) => {
-                        if (response) {
-                            this.logger.debug('Video ensured:', videoId);
-                            resolve(response);
-                        } else {
-                            this.logger.error('Youtube.ensure returned null response for:', videoId, title);
-                            reject(new Error('Failed to ensure video'));
-                        }
-                    }
-                );
-            } catch (error) {
-                this.logger.error('Error in Youtube.ensure call:', error);
-                reject(error);
-            }
-        });
+        const response = await this.youtubeModule.ensure(videoId, title, null, null, WATCH_SOURCES.YOUTUBE_PROGRESS);
+        if (!response) {
+            this.logger.error('Youtube.ensure returned null response for:', videoId, title);
+            throw new Error('Failed to ensure video');
+        }
+
+        this.logger.debug('Video ensured:', videoId);
+        return response;
+    }
+
+    /**
+     * Record the playback progress of a video
+     * @param {string} videoId - Video ID
+     * @param {string} title - Video title
+     * @param {number} position - Playback position in seconds
+     * @param {number} [duration] - Video duration in seconds
+     */
+    async recordProgress(videoId, title, position, duration) {
+        const response = await this.youtubeModule.updateProgress(videoId, title, position, duration);
+        this.logger.debug('Video progress recorded:', videoId, response.dblCompletion);
+        return response;
     }
 
     /**
      * Notify all YouTube tabs about a marked video
      * @param {string} videoId - Video ID
      * @param {string} title - Video title
+     * @param {number} [completion] - Completion ratio, if known
      */
-    async notifyYouTubeTabs(videoId, title) {
+    async notifyYouTubeTabs(videoId, title, completion) {
         return new Promise((resolve) => {
             chrome.tabs.query(
                 { url: "*://*.youtube.com/*" },
@@ -277,7 +280,8 @@ export class VideoTracker {
                             videoId: videoId,
                             timestamp: 0,
                             title: title,
-                            count: 0
+                            count: 0,
+                            completion: completion
                         });
                     });
                     resolve();
@@ -281,9 +281,11 @@ class SettingsManager {
         this.settingKeys = [
             'stylesheet_Fadeout', 'stylesheet_Grayout', 'stylesheet_Showbadge',
             'stylesheet_Showdate', 'stylesheet_Hideprogress',
+            'stylesheet_Markpartial', 'stylesheet_Partialbadge',
             'idVisualization_Fadeout', 'idVisualization_Grayout',
             'idVisualization_Showbadge', 'idVisualization_Showdate',
-            'idVisualization_Hideprogress', 'idVisualization_Showpublishdate'
+            'idVisualization_Hideprogress', 'idVisualization_Showpublishdate',
+            'idVisualization_Markpartial', 'idVisualization_Partialthreshold'
         ];
     }
 
@@ -517,9 +519,10 @@ class CSSManager {
             const keys = [
                 'stylesheet_Fadeout', 'stylesheet_Grayout', 'stylesheet_Showbadge',
                 'stylesheet_Showdate', 'stylesheet_Hideprogress',
+                'stylesheet_Markpartial', 'stylesheet_Partialbadge',
                 'idVisualization_Fadeout', 'idVisualization_Grayout',
                 'idVisualization_Showbadge', 'idVisualization_Showdate',
-                'idVisualization_Hideprogress'
+                'idVisualization_Hideprogress', 'idVisualization_Markpartial'
             ];
 
             for (const key of keys) {
@@ -582,6 +585,19 @@ class CSSManager {
             cssContent += settings.stylesheet_Hideprogress + '\n';
         }
 
+        // Partially watched videos carry both classes, so these rules must come after the watched ones
+        if (settings.idVisualization_Markpartial && settings.stylesheet_Markpartial) {
+            cssContent += settings.stylesheet_Markpartial + '\n';
+            if (settings.idVisualization_Fadeout || settings.idVisualization_Grayout) {
+                cssContent += '.youwatch-mark.youwatch-partial yt-thumbnail-view-model img { opacity:0.7; filter:none; }\n';
+                cssContent += '.youwatch-mark.youwatch-partial yt-collection-thumbnail-view-model img { opacity:0.7; filter:none; }\n';
+                cssContent += '.youwatch-mark.youwatch-partial yt-collections-stack img { opacity:0.7; filter:none; }\n';
+            }
+        }
+        if (settings.idVisualization_Markpartial && settings.idVisualization_Showbadge && settings.stylesheet_Partialbadge) {
+            cssContent += settings.stylesheet_Partialbadge + '\n';
+        }
+
         // Publication dates are now added directly to title text, no CSS needed
 
         return cssContent;
@@ -607,17 +623,49 @@ class VideoMarkerManager {
     constructor(backgroundManager) {
         this.backgroundManager = backgroundManager;
         this.watchDates = {};
+        this.completions = {};
+        this.partialThreshold = 0.9;
         this.observers = new WeakMap();
 
-        // Listen for watch date updates from background
+        // Listen for watch date updates from background (lookups reply with the record, ensure/progress with { data })
         this.backgroundManager.onMessage((response) => {
-            if (response && response.strIdent) {
-                this.watchDates[response.strIdent] = response.intTimestamp;
-                this.markVideosWithId(response.strIdent);
+            const video = response && response.strIdent ? response : response?.data;
+            if (video && video.strIdent) {
+                this.watchDates[video.strIdent] = video.intTimestamp;
+                this.setCompletion(video.strIdent, video.dblCompletion);
+                this.markVideosWithId(video.strIdent);
             }
         });
     }
 
+    /**
+     * Remember the completion ratio of a video (undefined when no progress is known)
+     */
+    setCompletion(videoId, completion) {
+        if (typeof completion === 'number') {
+            this.completions[videoId] = completion;
+        }
+    }
+
+    /**
+     * Check whether a watched video was abandoned before the partial threshold
+     */
+    isPartiallyWatched(videoId) {
+        const completion = this.completions[videoId];
+        return typeof completion === 'number' && completion < this.partialThreshold;
+    }
+
+    /**
+     * Update the partial threshold and re-mark all visible videos
+     */
+    setPartialThreshold(percentage) {
+        const value = Number(percentage);
+        if (!Number.isFinite(value) || value <= 0 || value > 100) return;
+
+        this.partialThreshold = value / 100;
+        Utils.findVideos().forEach(video => this.markVideo(video, Utils.extractVideoId(video)));
+    }
+
     /**
      * Mark video as watched or unwatched
      */
@@ -636,7 +684,7 @@ class VideoMarkerManager {
                     videoElement;
                 // Ensure we don't keep the class on the outer notification link
                 if (markTarget !== videoElement && videoElement.classList?.contains('youwatch-mark')) {
-                    videoElement.classList.remove('youwatch-mark');
+                    videoElement.classList.remove('youwatch-mark', 'youwatch-partial');
                     if (videoElement.hasAttribute && videoElement.hasAttribute('watchdate')) {
                         videoElement.removeAttribute('watchdate');
                     }
@@ -670,7 +718,7 @@ class VideoMarkerManager {
                 // Remove marks from other watch/shorts links in the same card to avoid duplicates
                 container.querySelectorAll('a[href^="/watch?v="], a[href^="/shorts/"]').forEach(a => {
                     if (a !== markTarget && a.classList?.contains('youwatch-mark')) {
-                        a.classList.remove('youwatch-mark');
+                        a.classList.remove('youwatch-mark', 'youwatch-partial');
                         if (a.hasAttribute && a.hasAttribute('watchdate')) {
                             a.removeAttribute('watchdate');
                         }
@@ -697,6 +745,15 @@ class VideoMarkerManager {
                 markTarget.removeAttribute("watchdate");
             }
         }
+
+        // Partially watched videos keep the watched mark and add a second state class
+        if (isWatched && this.isPartiallyWatched(videoId)) {
+            markTarget.classList.add("youwatch-partial");
+            markTarget.setAttribute("watchprogress", ` ${Math.round(this.completions[videoId] * 100)}%`);
+        } else if (markTarget.classList.contains("youwatch-partial")) {
+            markTarget.classList.remove("youwatch-partial");
+            markTarget.removeAttribute("watchprogress");
+        }
     }
 
     /**
@@ -743,11 +800,12 @@ class VideoMarkerManager {
     /**
      * Mark video as watched from user interaction
      */
-    markAsWatchedFromInteraction(videoId, title) {
+    markAsWatchedFromInteraction(videoId, title, source) {
         this.backgroundManager.sendMessage({
             action: "youtube-ensure",
             videoId: videoId,
-            title: title
+            title: title,
+            source: source
         });
     }
 
@@ -994,10 +1052,14 @@ class PublicationDateManager {
  * Manages user interaction detection (rating, progress)
  */
 class InteractionManager {
-    constructor(videoMarkerManager) {
+    constructor(videoMarkerManager, settingsManager) {
         this.videoMarkerManager = videoMarkerManager;
+        this.settingsManager = settingsManager;
+        this.lastProgressReport = 0;
+        this.PROGRESS_REPORT_INTERVAL = 15000; // Mirrors PROGRESS.REPORT_INTERVAL in constants.js
         this.setupRatingObserver();
         this.setupProgressListener();
+        this.setupPlaybackListener();
     }
 
     /**
@@ -1072,7 +1134,7 @@ class InteractionManager {
                 const videoId = this.getCurrentVideoId();
                 if (videoId) {
                     const title = this.getCurrentVideoTitle();
-                    this.videoMarkerManager.markAsWatchedFromInteraction(videoId, title);
+                    this.videoMarkerManager.markAsWatchedFromInteraction(videoId, title, "rating");
                 }
             }
         } catch (error) {
@@ -1088,11 +1150,59 @@ class InteractionManager {
             const { strIdent, strTitle } = event.detail;
 
             if (strIdent && strIdent.length === 11) {
-                this.videoMarkerManager.markAsWatchedFromInteraction(strIdent, strTitle);
+                this.videoMarkerManager.markAsWatchedFromInteraction(strIdent, strTitle, "youtube-progress");
             }
         });
     }
 
+    /**
+     * Setup playback position reporting for the watch page player
+     */
+    setupPlaybackListener() {
+        // Media events do not bubble, so listen in the capture phase
+        document.addEventListener('timeupdate', (event) => {
+            if (Date.now() - this.lastProgressReport >= this.PROGRESS_REPORT_INTERVAL) {
+                this.reportPlaybackProgress(event.target);
+            }
+        }, true);
+
+        ['pause', 'ended'].forEach(eventName => {
+            document.addEventListener(eventName, (event) => this.reportPlaybackProgress(event.target), true);
+        });
+    }
+
+    /**
+     * Send the playback position of the main player to the background script
+     */
+    async reportPlaybackProgress(videoElement) {
+        try {
+            if (!(videoElement instanceof HTMLVideoElement) || !videoElement.closest('#movie_player')) return;
+
+            // Ads play in the same element and must not count as progress
+            if (videoElement.closest('.ad-showing')) return;
+
+            const videoId = this.getCurrentVideoId();
+            if (!videoId || videoId.length !== 11) return;
+
+            const position = videoElement.currentTime;
+            const duration = videoElement.duration;
+            if (!Number.isFinite(position) || position < 3 || !Number.isFinite(duration)) return;
+
+            if (!await this.settingsManager.getSetting('idCondition_Youprog')) return;
+
+            this.lastProgressReport = Date.now();
+            this.videoMarkerManager.backgroundManager.sendMessage({
+                action: "youtube-progress",
+                videoId: videoId,
+                title: this.getCurrentVideoTitle(),
+                position: position,
+                duration: duration
+            });
+        } catch (error) {
+            Utils.logError("Error reporting playback progress:", error);
+        }
+    }
+
     /**
      * Get current video ID from URL
      */
@@ -1193,7 +1303,7 @@ class YouTubeWatchMarker {
         this.cssManager = new CSSManager(this.settingsManager);
         this.videoMarkerManager = new VideoMarkerManager(this.backgroundManager);
         this.publicationDateManager = new PublicationDateManager(this.settingsManager);
-        this.interactionManager = new InteractionManager(this.videoMarkerManager);
+        this.interactionManager = new InteractionManager(this.videoMarkerManager, this.settingsManager);
         this.pageObserverManager = new PageObserverManager(() => this.refresh());
 
         this.init().catch(error => {
@@ -1212,6 +1322,11 @@ class YouTubeWatchMarker {
         await this.settingsManager.loadSettings();
         await this.cssManager.injectCSS();
 
+        const partialThreshold = await this.settingsManager.getSetting('idVisualization_Partialthreshold');
+        if (partialThreshold) {
+            this.videoMarkerManager.partialThreshold = partialThreshold / 100;
+        }
+
         this.setupMessageListener();
         this.setupSettingsListener();
 
@@ -1230,6 +1345,7 @@ class YouTubeWatchMarker {
                         break;
                     case "youtube-mark":
                         this.videoMarkerManager.watchDates[data.videoId] = data.timestamp;
+                        this.videoMarkerManager.setCompletion(data.videoId, data.completion);
                         this.videoMarkerManager.markVideosWithId(data.videoId);
                         break;
                     default:
@@ -1249,17 +1365,24 @@ class YouTubeWatchMarker {
         this.settingsManager.setupChangeListener((changes) => {
             // Handle CSS changes
             const cssKeys = ['stylesheet_Fadeout', 'stylesheet_Grayout', 'stylesheet_Showbadge',
-                'stylesheet_Showdate', 'stylesheet_Hideprogress'
+                'stylesheet_Showdate', 'stylesheet_Hideprogress',
+                'stylesheet_Markpartial', 'stylesheet_Partialbadge'
             ];
             const visualKeys = ['idVisualization_Fadeout', 'idVisualization_Grayout',
                 'idVisualization_Showbadge', 'idVisualization_Showdate',
-                'idVisualization_Hideprogress', 'idVisualization_Showpublishdate'
+                'idVisualization_Hideprogress', 'idVisualization_Showpublishdate',
+                'idVisualization_Markpartial'
             ];
 
             if (cssKeys.some(key => changes[key]) || visualKeys.some(key => changes[key])) {
                 this.cssManager.reinjectCSS();
             }
 
+            // Handle partial threshold changes
+            if (changes.idVisualization_Partialthreshold) {
+                this.videoMarkerManager.setPartialThreshold(changes.idVisualization_Partialthreshold.newValue);
+            }
+
             // Handle publication date setting changes
             if (changes.idVisualization_Showpublishdate) {
                 this.handlePublishDateSettingChange(changes.idVisualization_Showpublishdate.newValue);